@@ -1,4 +1,9 @@
-import { pathData, studioMissions, workspaceBlueprints, codeStarters, lessonGuides, hints, featureSearchData, placementQuiz, changelog, pathOrder, lessonUrl, pathUrl, totalLessonCount, siteUrl, releaseLabel } from "./curriculum.js";
+import { pathData, studioMissions, workspaceBlueprints, codeStarters, lessonGuides, hints, featureSearchData, placementQuiz, changelog, pathOrder, lessonUrl, pathUrl, totalLessonCount, siteUrl, releaseLabel, localizeContent, prerequisites, recommendNextLesson, glossary, glossaryUrl, glossarySegments, presentationOrder, quizDraw } from "./curriculum.js";
+import { defaultLocale, localeOrder, locales, isLocale, translate, localePath } from "./i18n.js";
+import { validatePack } from "./curriculum-schema.js";
+import { createCodeEditor, escapeHtml } from "./code-editor.js";
+import { diffLines, diffHunks, unifiedDiff } from "./line-diff.js";
+import { moduleSyntax } from "./module-syntax.js";
 
 document.querySelectorAll("[data-release-label]").forEach((node) => { node.textContent = releaseLabel; });
 
@@ -6,11 +11,41 @@ const storageKey = "learnweb-progress-v2";
 const themeKey = "learnweb-theme-v2";
 const notesKey = "learnweb-lesson-notes-v1";
 const workspacesKey = "learnweb-studio-workspaces-v1";
+const workspaceHistoryKey = "learnweb-workspace-history-v1";
+// Workspace history: an automatic checkpoint after this long or this many
+// edits since the last one. Each lesson keeps its newest checkpoints up to the
+// limits, and the whole history stays within a budget (in characters of JSON)
+// by dropping the oldest automatic checkpoints first.
+const checkpointInterval = 2 * 60 * 1000;
+const checkpointEdits = 40;
+const autoCheckpointLimit = 20;
+const namedCheckpointLimit = 20;
+const workspaceHistoryBudget = 1_500_000;
+const checkpointKinds = new Set(["auto", "named", "beforeRestore", "beforeReset"]);
 const certificateDateKey = "learnweb-certificate-awarded-at-v1";
+const localeKey = "learnweb-locale-v1";
+const tracksKey = "learnweb-tracks-v1";
+const packsKey = "learnweb-packs-v1";
+const reviewKey = "learnweb-review-v1";
+// Spaced review: a question answered right comes back after the next interval
+// in days; a miss sends it back to the first.
+const reviewIntervals = [1, 3, 7, 16, 35, 70];
+const attemptsKey = "learnweb-attempts-v1";
+const attemptLimit = 500;
+const masteryKey = "learnweb-mastery-v1";
+// A mastery exam passes with this share of its questions right.
+const examPassShare = 0.8;
+// Code workspaces may hold extra files beside index.html, style.css, and
+// app.js (their HTML, CSS, and JS). Names are relative paths; images are kept
+// as data URLs. Stored workspaces are checked with these as the module loads.
+const coreFileNames = { html: "index.html", css: "style.css", js: "app.js" };
+const workspaceFileName = /^(?:[\w-]+\/)*[\w-][\w.-]*\.(?:js|mjs|css|json|html|svg|txt|md|png|jpe?g|gif|webp)$/i;
+const workspaceFileLimit = 12;
+const workspaceImageBytes = 200_000;
 
 // Analytics contract (ANALYTICS-003): only allowlisted, non-private fields may
-// ever be sent. Learner notes, code, artifacts, and certificate names must
-// never appear in a payload.
+// ever be sent. Learner notes, code, artifacts, quiz answers, and certificate
+// names must never appear in a payload.
 const ANALYTICS_ALLOWED = new Set(["path", "lesson", "action", "result"]);
 
 function trackEvent(name, params = {}) {
@@ -31,26 +66,68 @@ const canonicalLessonIdList = Object.entries(pathData).flatMap(([pathId, path])
 );
 const canonicalLessonIds = new Set(canonicalLessonIdList);
 const lessonOrder = new Map(canonicalLessonIdList.map((id, index) => [id, index]));
+// Curriculum packs add paths on this device only. The built-in paths are the
+// ones with static pages, and the certificate covers exactly their lessons.
+const corePathIds = [...pathOrder];
+const coreLessonIds = [...canonicalLessonIdList];
+const hasCoreLessons = (completed) => coreLessonIds.every((id) => completed.has(id));
 let storageWriteFailed = false;
+
+// Locale: ?lang= (links from localized static pages), then the saved choice,
+// then the browser's languages. Translations replace text only — lesson IDs,
+// and so stored progress, notes, and workspaces, are the same in every locale.
+let locale = defaultLocale;
+const t = (key, values) => translate(locale, key, values);
+locale = resolveLocale();
+let lessonTranslated = () => true;
+const lessonContentSelector = "#lesson-title, .lesson-dek, .lesson-objective-list, #chapter-one-title, .chapter-one-copy, .lesson-principle, #chapter-two-title, .chapter-two-copy, .practice-mission, .practice-steps, .practice-proof, [data-quiz-groups]";
+if (locale !== defaultLocale) {
+  // Offline before the bundle was cached, lessons fall back to English.
+  const bundle = await import(`./curriculum-lessons.${locale}.js`).catch(() => ({}));
+  const localized = localizeContent({ bundle, ...locales[locale] });
+  [[pathData, localized.pathData], [studioMissions, localized.studioMissions], [hints, localized.hints], [lessonGuides, localized.lessonGuides], [codeStarters, localized.codeStarters]]
+    .forEach(([target, source]) => replaceObject(target, source));
+  changelog.splice(0, changelog.length, ...localized.changelog);
+  lessonTranslated = localized.isTranslated;
+}
+
+// Packs join the shared curriculum objects before any stored state is read, so
+// their lessons validate, search, and back up like built-in ones.
+const packs = sanitizePacks(readStorage(packsKey, []));
+packs.forEach(installPack);
+
 const storedProgress = readStorage(storageKey, []);
 const progress = new Set(normalizeProgress(storedProgress));
 const lessonNotes = sanitizeNotes(readStorage(notesKey, {}));
 const lessonWorkspaces = sanitizeWorkspaces(readStorage(workspacesKey, {}));
+const workspaceHistory = sanitizeWorkspaceHistory(readStorage(workspaceHistoryKey, {}));
 let certificateAwardedAt = readStorage(certificateDateKey, null);
-if (!isValidTimestamp(certificateAwardedAt) || progress.size !== canonicalLessonIdList.length) certificateAwardedAt = null;
+const tracks = sanitizeTracks(readStorage(tracksKey, []));
+const reviews = sanitizeReviews(readStorage(reviewKey, {}));
+const attempts = sanitizeAttempts(readStorage(attemptsKey, []));
+const mastery = sanitizeMastery(readStorage(masteryKey, {}), progress);
+if (!isValidTimestamp(certificateAwardedAt) || !hasCoreLessons(progress)) certificateAwardedAt = null;
 const pathDialog = document.querySelector("#path-dialog");
 const lessonDialog = document.querySelector("#lesson-dialog");
 const searchDialog = document.querySelector("#search-dialog");
 const reduceMotion = matchMedia("(prefers-reduced-motion: reduce)");
 let activeLesson = null;
+let activeTrackId = null;
+let lessonQuiz = [];
 let lessonQuizResults = [];
 let lessonArtifactSubmitted = false;
 let noteSaveTimer;
 let workspaceSaveTimer;
 let workspacePreviewTimer;
+// Aborted when the lesson workspace is rendered again or the lesson dialog
+// closes (closing it, Back, or any other route): removes the workspace's window
+// listeners and stops its timers and observers.
+let workspaceTeardown = new AbortController();
 let pendingNoteLessonId = null;
 let pendingNoteValue = null;
 let editorInsertMode = false;
+// "unified" or "split"; shared by every diff on screen.
+let diffLayout = "unified";
 
 function readStorage(key, fallback) {
   try {
@@ -61,10 +138,21 @@ function readStorage(key, fallback) {
   }
 }
 
+function resolveLocale() {
+  const requested = new URLSearchParams(location.search).get("lang");
+  if (isLocale(requested)) {
+    writeStorage(localeKey, requested);
+    return requested;
+  }
+  const saved = readStorage(localeKey, null);
+  if (isLocale(saved)) return saved;
+  return navigator.languages?.map((tag) => tag.slice(0, 2).toLowerCase()).find(isLocale) ?? defaultLocale;
+}
+
 function markStorageUnavailable() {
   storageWriteFailed = true;
   document.querySelectorAll("[data-storage-status]").forEach((status) => {
-    status.textContent = "Local changes may not persist on this device.";
+    status.textContent = t("storage.unavailable");
   });
 }
 
@@ -92,7 +180,7 @@ function normalizeProgress(value) {
 }
 
 function lessonParts(lessonId) {
-  const match = /^([a-z]+)-([1-9])$/.exec(lessonId);
+  const match = /^([a-z]+)-([1-9]\d*)$/.exec(lessonId);
   if (!match || !canonicalLessonIds.has(lessonId)) return null;
   return { pathId: match[1], index: Number(match[2]) - 1 };
 }
@@ -103,6 +191,15 @@ function workspaceKind(pathId, index) {
   return null;
 }
 
+function normalizeWorkspaceFiles(value = []) {
+  if (!Array.isArray(value) || value.length > workspaceFileLimit) return null;
+  const valid = value.every((file) => isRecord(file)
+    && typeof file.name === "string" && workspaceFileName.test(file.name) && !Object.values(coreFileNames).includes(file.name)
+    && typeof file.content === "string" && file.content.length <= 500_000);
+  if (!valid || new Set(value.map((file) => file.name)).size !== value.length) return null;
+  return value.map(({ name, content }) => ({ name, content }));
+}
+
 function normalizeWorkspaceState(lessonId, value) {
   const parts = lessonParts(lessonId);
   if (!parts || !isRecord(value) || value.submitted !== Boolean(value.submitted)) return null;
@@ -111,12 +208,46 @@ function normalizeWorkspaceState(lessonId, value) {
   const updatedAt = Number.isFinite(value.updatedAt) ? value.updatedAt : 0;
   if (kind === "code") {
     if (![value.html, value.css, value.js].every((item) => typeof item === "string" && item.length <= 500_000)) return null;
-    return { type: "code", html: value.html, css: value.css, js: value.js, submitted: value.submitted, updatedAt };
+    const files = normalizeWorkspaceFiles(value.files);
+    if (!files) return null;
+    return { type: "code", html: value.html, css: value.css, js: value.js, files, submitted: value.submitted, updatedAt };
   }
   if (!Array.isArray(value.responses) || value.responses.length !== 3 || !value.responses.every((item) => typeof item === "string" && item.length <= 100_000)) return null;
   return { type: "record", responses: [...value.responses], submitted: value.submitted, updatedAt };
 }
 
+// A checkpoint holds a workspace's content: everything but its submitted flag
+// and save time.
+function workspaceContent(state) {
+  return state.type === "code"
+    ? { html: state.html, css: state.css, js: state.js, files: state.files.map((file) => ({ ...file })) }
+    : { responses: [...state.responses] };
+}
+
+// A checkpoint is `{ id, at, kind, name?, content }`. Kind is "named" for the
+// ones a learner saves, which carry a name, and says why the app saved the
+// rest: "auto", "beforeRestore", or "beforeReset".
+function normalizeCheckpoint(lessonId, value) {
+  const parts = lessonParts(lessonId);
+  if (!parts || !isRecord(value) || typeof value.id !== "string" || !/^[a-z0-9]{1,24}$/.test(value.id)) return null;
+  if (!isValidTimestamp(value.at) || !checkpointKinds.has(value.kind)) return null;
+  const named = value.kind === "named";
+  if (named ? typeof value.name !== "string" || !value.name.trim() || value.name.length > 60 : value.name !== undefined) return null;
+  const state = isRecord(value.content)
+    && normalizeWorkspaceState(lessonId, { ...value.content, type: workspaceKind(parts.pathId, parts.index), submitted: false });
+  if (!state) return null;
+  return { id: value.id, at: value.at, kind: value.kind, ...(named && { name: value.name.trim() }), content: workspaceContent(state) };
+}
+
+// A lesson whose history has an invalid checkpoint loses its whole history,
+// so a backup can be checked by counting lessons.
+function sanitizeWorkspaceHistory(value) {
+  if (!isRecord(value)) return {};
+  return Object.fromEntries(Object.entries(value)
+    .map(([lessonId, entries]) => [lessonId, Array.isArray(entries) ? entries.map((entry) => normalizeCheckpoint(lessonId, entry)) : []])
+    .filter(([, entries]) => entries.length && entries.every(Boolean)));
+}
+
 function sanitizeNotes(value) {
   if (!isRecord(value)) return {};
   return Object.fromEntries(Object.entries(value)
@@ -130,11 +261,139 @@ function sanitizeWorkspaces(value) {
     .filter(([, state]) => state));
 }
 
+// Tracks are learner-made sequences of existing lessons, possibly across
+// paths. Invalid entries are dropped rather than repaired.
+function normalizeTrack(value) {
+  if (!isRecord(value) || typeof value.id !== "string" || !/^[a-z0-9-]{1,40}$/.test(value.id)) return null;
+  if (typeof value.name !== "string" || !value.name.trim() || value.name.length > 80) return null;
+  if (!Array.isArray(value.lessons) || !value.lessons.every((id) => canonicalLessonIds.has(id))) return null;
+  if (new Set(value.lessons).size !== value.lessons.length) return null;
+  return { id: value.id, name: value.name.trim(), lessons: [...value.lessons] };
+}
+
+function sanitizeTracks(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = new Set();
+  return value.map(normalizeTrack).filter((track) => {
+    if (!track || ids.has(track.id)) return false;
+    ids.add(track.id);
+    return true;
+  }).slice(0, 50);
+}
+
+// The review schedule holds one card per quiz question of a lesson, in quiz
+// order: `{ box, due }`, where `box` indexes reviewIntervals and `due` is a
+// local YYYY-MM-DD date. A lesson whose quiz changed length starts over.
+function normalizeReviewCard(value) {
+  if (!isRecord(value) || !Number.isInteger(value.box) || value.box < 0 || value.box >= reviewIntervals.length) return null;
+  if (typeof value.due !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value.due) || !isValidTimestamp(value.due)) return null;
+  return { box: value.box, due: value.due };
+}
+
+function sanitizeReviews(value) {
+  if (!isRecord(value)) return {};
+  return Object.fromEntries(Object.entries(value).flatMap(([lessonId, cards]) => {
+    const parts = lessonParts(lessonId);
+    if (!parts || !Array.isArray(cards) || cards.length !== lessonGuides[parts.pathId][parts.index].quiz.length) return [];
+    const normalized = cards.map(normalizeReviewCard);
+    return normalized.every(Boolean) ? [[lessonId, normalized]] : [];
+  }));
+}
+
+// Quiz attempts, oldest first: the question (by lesson ID and quiz index), the
+// answer given, whether it was right, and when. `answer` is an option index,
+// or a list of indexes or typed blanks for the other question types.
+function normalizeAttempt(value) {
+  if (!isRecord(value) || !Number.isInteger(value.question) || typeof value.correct !== "boolean" || !isValidTimestamp(value.at)) return null;
+  const parts = typeof value.lesson === "string" && lessonParts(value.lesson);
+  if (!parts || value.question < 0 || value.question >= lessonGuides[parts.pathId][parts.index].quiz.length) return null;
+  const { answer } = value;
+  const part = (item) => Number.isInteger(item) || (typeof item === "string" && item.length <= 200);
+  if (!Number.isInteger(answer) && !(Array.isArray(answer) && answer.length <= 6 && answer.every(part))) return null;
+  return { lesson: value.lesson, question: value.question, answer: Array.isArray(answer) ? [...answer] : answer, correct: value.correct, at: value.at };
+}
+
+function sanitizeAttempts(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map(normalizeAttempt).filter(Boolean).slice(-attemptLimit);
+}
+
+// Passed mastery exams by path ID: `{ passedAt, score, total }`. Like the
+// certificate, a badge only stands while every lesson of its path is complete.
+function normalizeMastery(value) {
+  if (!isRecord(value) || !isValidTimestamp(value.passedAt) || !Number.isInteger(value.total) || !Number.isInteger(value.score)) return null;
+  if (value.total < 1 || value.score < examPassMark(value.total) || value.score > value.total) return null;
+  return { passedAt: value.passedAt, score: value.score, total: value.total };
+}
+
+function sanitizeMastery(value, completed) {
+  if (!isRecord(value)) return {};
+  return Object.fromEntries(Object.entries(value).flatMap(([pathId, record]) => {
+    const normalized = Object.hasOwn(pathData, pathId) && pathComplete(pathId, completed) && normalizeMastery(record);
+    return normalized ? [[pathId, normalized]] : [];
+  }));
+}
+
+// Packs that fail validation are dropped whole; a later pack may not reuse a
+// path ID taken by a built-in path or an earlier pack.
+function sanitizePacks(value) {
+  if (!Array.isArray(value)) return [];
+  return value.reduce((valid, pack) => {
+    const taken = [...corePathIds, ...valid.map(({ pathId }) => pathId)];
+    return valid.length < 20 && !validatePack(pack, taken).length ? [...valid, pack] : valid;
+  }, []);
+}
+
+function installPack({ pathId, path, lessonGuides: guides, studioMissions: missions, workspaceBlueprint, codeStarters: starters = [], hints: packHints = [] }) {
+  pathData[pathId] = { symbol: "◇", accent: "#d9ff43", ...path };
+  lessonGuides[pathId] = guides;
+  studioMissions[pathId] = missions;
+  // A pack of code lessons alone needs no blueprint.
+  if (workspaceBlueprint) workspaceBlueprints[pathId] = workspaceBlueprint;
+  codeStarters[pathId] = starters;
+  hints[pathId] = packHints;
+  if (!pathOrder.includes(pathId)) pathOrder.push(pathId);
+  refreshLessonIds();
+}
+
+function uninstallPack(pathId) {
+  [pathData, lessonGuides, studioMissions, workspaceBlueprints, codeStarters, hints].forEach((data) => { delete data[pathId]; });
+  pathOrder.splice(pathOrder.indexOf(pathId), 1);
+  refreshLessonIds();
+}
+
+// Swaps the installed packs in memory; callers persist the list once the
+// change is final.
+function usePacks(list) {
+  packs.forEach(({ pathId }) => uninstallPack(pathId));
+  packs.splice(0, packs.length, ...list);
+  packs.forEach(installPack);
+}
+
+function refreshLessonIds() {
+  const ids = pathOrder.flatMap((pathId) => pathData[pathId].modules.map((_, index) => `${pathId}-${index + 1}`));
+  canonicalLessonIdList.splice(0, canonicalLessonIdList.length, ...ids);
+  canonicalLessonIds.clear();
+  lessonOrder.clear();
+  ids.forEach((id, index) => {
+    canonicalLessonIds.add(id);
+    lessonOrder.set(id, index);
+  });
+}
+
+// Packs are validated before the rest of a backup, whose lesson IDs may
+// belong to them; see importBackup.
+function validateBackupPacks(value) {
+  const valid = sanitizePacks(value);
+  if (!Array.isArray(value) || valid.length !== value.length) throw new Error("The backup contains invalid curriculum packs.");
+  return valid;
+}
+
 function validateBackupPayload(payload) {
   if (!isRecord(payload) || payload.app !== "learnweb") throw new Error("This is not a learn.web backup.");
   const version = payload.version === undefined ? 1 : payload.version;
-  if (version !== 1 && version !== 2) throw new Error("This backup version is not supported.");
-  const allowedKeys = new Set(["app", "version", "exportedAt", "progress", "notes", "workspaces", "certificateAwardedAt"]);
+  if (![1, 2, 3, 4, 5, 6, 7, 8, 9].includes(version)) throw new Error("This backup version is not supported.");
+  const allowedKeys = new Set(["app", "version", "exportedAt", "progress", "notes", "workspaces", "workspaceHistory", "certificateAwardedAt", "tracks", "packs", "review", "attempts", "mastery"]);
   if (Object.keys(payload).some((key) => !allowedKeys.has(key))) throw new Error("The backup contains unknown fields.");
   if (!Array.isArray(payload.progress) || payload.progress.some((id) => typeof id !== "string" || !canonicalLessonIds.has(id))) {
     throw new Error("The backup contains an unknown lesson ID.");
@@ -146,12 +405,32 @@ function validateBackupPayload(payload) {
   if (!isRecord(payload.workspaces) || Object.keys(workspaces).length !== Object.keys(payload.workspaces).length) throw new Error("The backup contains invalid workspaces.");
   const certificate = payload.certificateAwardedAt ?? null;
   if (certificate !== null && !isValidTimestamp(certificate)) throw new Error("The certificate timestamp is invalid.");
-  if (certificate && payload.progress.length !== canonicalLessonIdList.length) throw new Error("The certificate does not match completion state.");
+  if (certificate && !hasCoreLessons(new Set(payload.progress))) throw new Error("The certificate does not match completion state.");
+  // Backups from before version 3 carry no tracks and leave the current ones alone.
+  const importedTracks = payload.tracks === undefined ? null : sanitizeTracks(payload.tracks);
+  if (importedTracks && (!Array.isArray(payload.tracks) || importedTracks.length !== payload.tracks.length)) throw new Error("The backup contains invalid tracks.");
+  // Likewise, backups from before version 5 carry no review schedule.
+  const importedReview = payload.review === undefined ? null : sanitizeReviews(payload.review);
+  if (importedReview && (!isRecord(payload.review) || Object.keys(importedReview).length !== Object.keys(payload.review).length)) throw new Error("The backup contains an invalid review schedule.");
+  // And backups from before version 6 carry no attempt history.
+  const importedAttempts = payload.attempts === undefined ? null : sanitizeAttempts(payload.attempts);
+  if (importedAttempts && (!Array.isArray(payload.attempts) || importedAttempts.length !== payload.attempts.length)) throw new Error("The backup contains invalid quiz attempts.");
+  // And backups from before version 7 carry no mastery badges.
+  const importedMastery = payload.mastery === undefined ? null : sanitizeMastery(payload.mastery, new Set(payload.progress));
+  if (importedMastery && (!isRecord(payload.mastery) || Object.keys(importedMastery).length !== Object.keys(payload.mastery).length)) throw new Error("The backup contains invalid mastery badges.");
+  // And backups from before version 9 carry no workspace history.
+  const importedHistory = payload.workspaceHistory === undefined ? null : sanitizeWorkspaceHistory(payload.workspaceHistory);
+  if (importedHistory && (!isRecord(payload.workspaceHistory) || Object.keys(importedHistory).length !== Object.keys(payload.workspaceHistory).length)) throw new Error("The backup contains invalid workspace history.");
   return {
     progress: normalizeProgress(payload.progress),
     notes,
     workspaces,
-    certificateAwardedAt: certificate
+    certificateAwardedAt: certificate,
+    tracks: importedTracks,
+    review: importedReview,
+    attempts: importedAttempts,
+    mastery: importedMastery,
+    workspaceHistory: importedHistory
   };
 }
 
@@ -183,12 +462,42 @@ function runTransition(update) {
 function setTheme(theme, persist = true) {
   document.documentElement.dataset.theme = theme;
   const light = theme === "paper";
-  document.querySelector(".theme-toggle").setAttribute("aria-label", light ? "Switch to dark theme" : "Switch to light theme");
+  document.querySelector(".theme-toggle").setAttribute("aria-label", light ? t("theme.toDark") : t("theme.toLight"));
   document.querySelector(".theme-icon").textContent = light ? "◑" : "◐";
   document.querySelector('meta[name="theme-color"]').content = light ? "#f2efe6" : "#0b0b0e";
   if (persist) writeStorage(themeKey, theme);
 }
 
+// index.html ships English; marked nodes take the catalog text for other locales.
+function applyLocale() {
+  document.documentElement.lang = locale;
+  if (locale === defaultLocale) return;
+  document.querySelectorAll("[data-i18n]").forEach((node) => { node.textContent = t(node.dataset.i18n); });
+  [["label", "aria-label"], ["placeholder", "placeholder"], ["title", "title"]].forEach(([name, attribute]) => {
+    document.querySelectorAll(`[data-i18n-${name}]`).forEach((node) => {
+      node.setAttribute(attribute, t(node.getAttribute(`data-i18n-${name}`)));
+    });
+  });
+  document.querySelectorAll("[data-open-path]").forEach((link) => {
+    link.href = localePath(locale, pathUrl(link.dataset.openPath));
+  });
+}
+
+function initializeLocaleSwitch() {
+  const select = document.querySelector("[data-locale-select]");
+  if (!select) return;
+  select.replaceChildren(...localeOrder.map((code) => Object.assign(new Option(locales[code].name, code, false, code === locale), { lang: code })));
+  select.closest("[data-locale-switch]").hidden = false;
+  select.addEventListener("change", () => {
+    flushPendingSaves();
+    writeStorage(localeKey, select.value);
+    // Reloading swaps the content bundle; the hash reopens the same lesson.
+    const url = new URL(location.href);
+    url.searchParams.set("lang", select.value);
+    location.assign(url);
+  });
+}
+
 function initializeTheme() {
   const saved = readStorage(themeKey, null);
   if (saved === "paper" || saved === "ink") {
@@ -211,6 +520,49 @@ function updateProgressUI() {
     bar.style.width = `${(count / total) * 100}%`;
   });
   writeStorage(storageKey, [...progress]);
+  renderNextLesson();
+  renderPackCards();
+}
+
+// The recommendation follows the prerequisite graph, so a learner is not sent
+// to platform-4 before the foundations lesson it builds on.
+function renderNextLesson() {
+  const next = recommendNextLesson(progress);
+  document.querySelectorAll("[data-next-lesson]").forEach((block) => {
+    const link = block.querySelector("[data-next-lesson-link]");
+    const reason = block.querySelector("[data-next-lesson-reason]");
+    link.hidden = !next;
+    if (!next) {
+      reason.textContent = t("next.done");
+      return;
+    }
+    const { pathId, index } = next;
+    link.href = staticLessonUrl(pathId, index);
+    link.textContent = pathData[pathId].modules[index].title;
+    reason.textContent = t(next.continues ? "next.continue" : "next.start", { path: pathData[pathId].title });
+  });
+}
+
+function renderPrerequisites(lessonId) {
+  const required = prerequisites[lessonId] || [];
+  if (!required.length) return null;
+  const line = makeElement("p", "module-prereqs");
+  line.append(makeElement("span", "module-prereqs-label", t("module.buildsOn")));
+  required.forEach((id, position) => {
+    const { pathId, index } = lessonParts(id);
+    const done = progress.has(id);
+    const link = makeElement("a", done ? "is-complete" : "", pathData[pathId].modules[index].title);
+    link.href = staticLessonUrl(pathId, index);
+    if (!id.startsWith(`${lessonParts(lessonId).pathId}-`)) link.append(makeElement("small", "", ` · ${pathData[pathId].title}`));
+    if (done) link.append(makeElement("span", "sr-only", ` ${t("module.prereqDone")}`));
+    link.addEventListener("click", (event) => {
+      if (!plainActivation(event)) return;
+      event.preventDefault();
+      openLesson(pathId, index);
+    });
+    line.append(position ? ", " : " ", link);
+  });
+  return line;
 }
 
 let navigationState = { type: "home" };
@@ -230,7 +582,7 @@ function commitNavigation(state, mode) {
 }
 
 function navigateFromHash() {
-  const lessonMatch = location.hash.match(/^#lesson-([a-z]+)-([1-6])$/);
+  const lessonMatch = location.hash.match(/^#lesson-([a-z]+)-([1-9]\d*)$/);
   if (lessonMatch && pathData[lessonMatch[1]]?.modules[Number(lessonMatch[2]) - 1]) {
     openLesson(lessonMatch[1], Number(lessonMatch[2]) - 1, true);
     return;
@@ -265,13 +617,14 @@ function openPath(pathId, fromHistory = false) {
   pathDialog.querySelector(".dialog-symbol").textContent = path.symbol;
   pathDialog.querySelector(".dialog-label").textContent = path.label;
   pathDialog.querySelector(".dialog-description").textContent = path.description;
-  pathDialog.querySelector(".dialog-overline").textContent = `${path.modules.length} studio lessons · project based`;
+  pathDialog.querySelector(".dialog-overline").textContent = t("path.overline", { count: path.modules.length });
   pathDialog.querySelector("#path-dialog-title").textContent = path.title;
   pathDialog.querySelector(".dialog-outcome").textContent = path.outcome;
 
   const list = pathDialog.querySelector(".module-list");
   list.replaceChildren();
-  path.modules.forEach(([title, detail, time], index) => {
+  const recommended = recommendNextLesson(progress);
+  path.modules.forEach(({ title, detail, time }, index) => {
     const lessonId = `${pathId}-${index + 1}`;
     const item = document.createElement("li");
     item.className = "module-item";
@@ -280,7 +633,7 @@ function openPath(pathId, fromHistory = false) {
     status.className = "module-status";
     status.dataset.lessonId = lessonId;
     status.classList.toggle("is-complete", progress.has(lessonId));
-    status.setAttribute("aria-label", progress.has(lessonId) ? `${title} completed` : `${title} not completed`);
+    status.setAttribute("aria-label", t(progress.has(lessonId) ? "module.completed" : "module.notCompleted", { title }));
     status.textContent = progress.has(lessonId) ? "✓" : String(index + 1).padStart(2, "0");
 
     const copy = document.createElement("div");
@@ -291,28 +644,39 @@ function openPath(pathId, fromHistory = false) {
     description.textContent = detail;
     const start = document.createElement("a");
     start.className = "start-lesson";
-    start.href = lessonUrl(pathId, index);
-    start.textContent = progress.has(lessonId) ? "Review lesson →" : "Start lesson →";
+    start.href = staticLessonUrl(pathId, index);
+    start.textContent = t(progress.has(lessonId) ? "module.review" : "module.start");
     start.addEventListener("click", (event) => {
       if (!plainActivation(event)) return;
       event.preventDefault();
       openLesson(pathId, index);
     });
-    copy.append(strong, description, start);
+    if (!lessonTranslated(pathId, index)) {
+      strong.lang = description.lang = defaultLocale;
+      strong.append(Object.assign(makeElement("span", "module-untranslated", t("module.untranslated")), { lang: locale }));
+    }
+    copy.append(strong, description);
+    const prereqs = renderPrerequisites(lessonId);
+    if (prereqs) copy.append(prereqs);
+    if (recommended?.lessonId === lessonId) {
+      item.classList.add("is-recommended");
+      strong.append(makeElement("span", "module-next", t("module.recommended")));
+    }
+    copy.append(start);
 
     const duration = document.createElement("span");
     duration.className = "module-time";
     duration.textContent = time;
 
-    const [mission, proof] = studioMissions[pathId][index];
+    const { mission, proof } = studioMissions[pathId][index];
     const brief = document.createElement("details");
     brief.className = "studio-brief";
     const briefLabel = document.createElement("summary");
-    briefLabel.textContent = "Open studio brief";
+    briefLabel.textContent = t("module.brief");
     const make = document.createElement("p");
-    make.append(Object.assign(document.createElement("strong"), { textContent: "Make — " }), mission);
+    make.append(Object.assign(document.createElement("strong"), { textContent: t("module.make") }), mission);
     const verify = document.createElement("p");
-    verify.append(Object.assign(document.createElement("strong"), { textContent: "Done when — " }), proof);
+    verify.append(Object.assign(document.createElement("strong"), { textContent: t("module.doneWhen") }), proof);
     brief.append(briefLabel, make, verify);
 
     item.append(status, copy, duration, brief);
@@ -320,6 +684,7 @@ function openPath(pathId, fromHistory = false) {
   });
 
   updateDialogProgress(pathId);
+  renderPathExam(pathId);
   if (lessonDialog.open && activeLesson) {
     lessonDialog.close();
     activeLesson = null;
@@ -333,15 +698,57 @@ function plainActivation(event) {
   return !(event.metaKey || event.ctrlKey || event.shiftKey || event.altKey || event.button !== 0 || event.defaultPrevented);
 }
 
-function appendParagraphs(container, paragraphs) {
+// A locale has static pages only for its translated lessons, and packs have
+// none, so their lessons link to the app's own route.
+function staticLessonUrl(pathId, index) {
+  if (!corePathIds.includes(pathId)) return `#lesson-${pathId}-${index + 1}`;
+  return lessonTranslated(pathId, index) ? localePath(locale, lessonUrl(pathId, index)) : lessonUrl(pathId, index);
+}
+
+// Glossary terms link to their definitions at first use; pass one `linked`
+// set across a lesson's sections so a term is not linked twice.
+function appendParagraphs(container, paragraphs, linked = new Set()) {
   container.replaceChildren();
   paragraphs.forEach((text) => {
     const paragraph = document.createElement("p");
-    paragraph.textContent = text;
+    glossarySegments(text, linked).forEach(({ text: run, entry }) => {
+      if (!entry) {
+        paragraph.append(run);
+        return;
+      }
+      const link = makeElement("a", "glossary-term", run);
+      link.href = glossaryUrl(entry.term);
+      link.title = entry.definition;
+      link.target = "_blank";
+      link.rel = "noopener";
+      if (locale !== defaultLocale) link.hreflang = defaultLocale;
+      paragraph.append(link);
+    });
     container.append(paragraph);
   });
 }
 
+// Calendar dates (YYYY-MM-DD) read the same in every time zone.
+function longDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+function renderSources(sources = []) {
+  const block = lessonDialog.querySelector(".lesson-sources");
+  const list = block.querySelector(".lesson-source-list");
+  block.hidden = !sources.length;
+  list.replaceChildren();
+  sources.forEach(({ title, url, publisher, accessed }) => {
+    const link = makeElement("a", "", title);
+    link.href = url;
+    link.target = "_blank";
+    link.rel = "noopener";
+    const item = document.createElement("li");
+    item.append(link, makeElement("small", "", t("lesson.sourceMeta", { publisher, date: longDate(accessed) })));
+    list.append(item);
+  });
+}
+
 function makeElement(tag, className, text) {
   const element = document.createElement(tag);
   if (className) element.className = className;
@@ -358,6 +765,7 @@ function getWorkspaceState(lessonId, pathId, index) {
       html: starter.html,
       css: starter.css,
       js: starter.js,
+      files: [],
       submitted: false,
       updatedAt: Date.now()
     };
@@ -373,19 +781,100 @@ function getWorkspaceState(lessonId, pathId, index) {
   return lessonWorkspaces[lessonId];
 }
 
+// Debounced saves follow edits, so each one counts toward the next automatic
+// checkpoint; immediate ones (submitting, restoring) do not.
 function persistWorkspace(lessonId, state, immediate = false) {
   state.updatedAt = Date.now();
   lessonWorkspaces[lessonId] = state;
   clearTimeout(workspaceSaveTimer);
   const save = () => writeStorage(workspacesKey, lessonWorkspaces);
   if (immediate) return save();
+  noteWorkspaceEdit(lessonId, state);
   workspaceSaveTimer = setTimeout(save, 250);
   return true;
 }
 
+// ——— Workspace history ———
+// Edits since each lesson's last checkpoint, as `{ count, since }`.
+const pendingCheckpoints = new Map();
+// Redraws the open history panel; set while one is on screen.
+let refreshHistoryPanel = () => {};
+
+function noteWorkspaceEdit(lessonId, state) {
+  const pending = pendingCheckpoints.get(lessonId) ?? { count: 0, since: Date.now() };
+  pending.count += 1;
+  pendingCheckpoints.set(lessonId, pending);
+  if (pending.count >= checkpointEdits || Date.now() - pending.since >= checkpointInterval) addCheckpoint(lessonId, state, "auto");
+}
+
+// Saves the workspace's current content as a checkpoint. Only named ones may
+// repeat the newest checkpoint's content; the others are skipped then.
+function addCheckpoint(lessonId, state, kind, name) {
+  pendingCheckpoints.delete(lessonId);
+  const entries = workspaceHistory[lessonId] ?? [];
+  const content = workspaceContent(state);
+  if (kind !== "named" && JSON.stringify(entries.at(-1)?.content) === JSON.stringify(content)) return false;
+  entries.push({
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    at: new Date().toISOString(),
+    kind,
+    ...(name && { name }),
+    content
+  });
+  workspaceHistory[lessonId] = entries;
+  saveWorkspaceHistory();
+  refreshHistoryPanel(lessonId);
+  return true;
+}
+
+// Applies the retention limits, then the overall budget, and stores the rest.
+function saveWorkspaceHistory() {
+  Object.values(workspaceHistory).forEach((entries) => {
+    const named = entries.filter((entry) => entry.kind === "named").slice(-namedCheckpointLimit);
+    const automatic = entries.filter((entry) => entry.kind !== "named").slice(-autoCheckpointLimit);
+    entries.splice(0, entries.length, ...entries.filter((entry) => named.includes(entry) || automatic.includes(entry)));
+  });
+  const oldestFirst = Object.entries(workspaceHistory)
+    .flatMap(([lessonId, entries]) => entries.map((entry) => ({ lessonId, entry })))
+    .sort((a, b) => (a.entry.kind === "named") - (b.entry.kind === "named") || a.entry.at.localeCompare(b.entry.at));
+  let size = JSON.stringify(workspaceHistory).length;
+  for (const { lessonId, entry } of oldestFirst) {
+    if (size <= workspaceHistoryBudget) break;
+    const entries = workspaceHistory[lessonId];
+    entries.splice(entries.indexOf(entry), 1);
+    size -= JSON.stringify(entry).length + 1;
+  }
+  Object.keys(workspaceHistory).filter((lessonId) => !workspaceHistory[lessonId].length).forEach((lessonId) => { delete workspaceHistory[lessonId]; });
+  return writeStorage(workspaceHistoryKey, workspaceHistory);
+}
+
+// Check results count only while the code is what they tested.
+const codeSource = (state) => JSON.stringify([state.html, state.css, state.js, state.files]);
+// The latest check run per code workspace: `{ source, results }`, where
+// results is undefined while running, null if the runner never answered,
+// or one boolean per check.
+const codeCheckRuns = new WeakMap();
+// The latest accessibility audit per code workspace, `{ source, findings,
+// checkedAt }`; the exported artifact carries it while the code still matches.
+const auditReports = new WeakMap();
+
+function codeCheckStatus(state, pathId, index) {
+  if (state.type !== "code" || !codeStarters[pathId][index].checks) return null;
+  const run = codeCheckRuns.get(state);
+  if (run?.source !== codeSource(state)) return "stale";
+  if (run.results === undefined) return "running";
+  return run.results === null ? "timeout" : null;
+}
+
 function workspaceChecks(state, pathId, index) {
   if (state.type === "code") {
     const starter = codeStarters[pathId][index];
+    // A lesson with a check suite is judged on behavior alone.
+    if (starter.checks) {
+      const run = codeCheckRuns.get(state);
+      const results = run?.source === codeSource(state) ? run.results : null;
+      return starter.checks.map((check, checkIndex) => [check.label, results?.[checkIndex] === true]);
+    }
     const total = state.html.trim().length + state.css.trim().length + state.js.trim().length;
     const changedCharacters = ["html", "css", "js"].reduce((sum, key) => {
       const before = starter[key];
@@ -398,14 +887,14 @@ function workspaceChecks(state, pathId, index) {
       return sum + differences;
     }, 0);
     return [
-      ["A working HTML foundation is present", /<([a-z][\w-]*)\b/i.test(state.html)],
-      ["You made a meaningful change to the starter", changedCharacters >= 20],
-      ["The artifact contains enough implementation to review", total >= 220]
+      [t("workspace.checkHtml"), /<([a-z][\w-]*)\b/i.test(state.html)],
+      [t("workspace.checkChanged"), changedCharacters >= 20],
+      [t("workspace.checkEnough"), total >= 220]
     ];
   }
   const blueprint = workspaceBlueprints[pathId].lenses[index];
   return state.responses.map((response, responseIndex) => [
-    `${blueprint[responseIndex * 2]} has specific evidence`,
+    t("workspace.checkEvidence", { title: blueprint[responseIndex].title }),
     response.trim().length >= 30
   ]);
 }
@@ -427,13 +916,16 @@ function updateWorkspaceReadiness(mount, state, pathId, index) {
   }));
 
   submit.disabled = !ready || state.submitted;
-  submit.textContent = state.submitted ? "Artifact submitted ✓" : "Submit studio artifact";
+  submit.textContent = state.submitted ? t("workspace.submitted") : t("workspace.submit");
+  const checkStatus = codeCheckStatus(state, pathId, index);
   status.className = `workspace-state${state.submitted ? " is-submitted" : ready ? " is-ready" : ""}`;
   status.textContent = state.submitted
-    ? storageWriteFailed ? "Submitted for this session · storage unavailable" : "Submitted · saved on this device"
+    ? storageWriteFailed ? t("workspace.submittedSession") : t("workspace.submittedSaved")
     : ready
-      ? "Ready to submit"
-      : `${completeCount} of ${checks.length} quality signals met`;
+      ? t("workspace.ready")
+      : checkStatus
+        ? t(`workspace.checks.${checkStatus}`)
+        : t("workspace.signals", { complete: completeCount, total: checks.length });
 
   const lessonId = `${pathId}-${index + 1}`;
   lessonArtifactSubmitted = state.submitted || progress.has(lessonId);
@@ -444,9 +936,10 @@ function buildWorkspaceChrome(pathId, index, state) {
   const fragment = document.createDocumentFragment();
   const head = makeElement("div", "workspace-head");
   const titleBlock = makeElement("div");
+  const code = workspaceKind(pathId, index) === "code";
   titleBlock.append(
-    makeElement("p", "workspace-eyebrow", pathId === "platform" ? "Live implementation lab" : workspaceBlueprints[pathId].artifact),
-    makeElement("h3", "", pathId === "platform" ? "Build and test it here." : "Build the evidence here.")
+    makeElement("p", "workspace-eyebrow", code ? t("workspace.codeEyebrow") : workspaceBlueprints[pathId].artifact),
+    makeElement("h3", "", code ? t("workspace.codeTitle") : t("workspace.recordTitle"))
   );
   const stateLabel = makeElement("span", "workspace-state", "");
   stateLabel.dataset.workspaceStatus = "";
@@ -468,7 +961,16 @@ const previewRunnerUrl = ["localhost", "127.0.0.1"].includes(location.hostname)
   : "https://raw.githack.com/leemark/learnweb/main/lab-runner.htm";
 
 function postPreviewState(frame, state) {
-  const message = { learnwebRun: true, html: state.html, css: state.css, js: state.js };
+  const message = { learnwebRun: true, html: state.html, css: state.css, js: state.js, files: state.files, lang: locale, emulate: frame._learnwebPreview?.emulation() };
+  frame._learnwebConsole?.clear();
+  frame._learnwebAudit?.clear();
+  // Kept so a change of emulation can show the same code again.
+  frame._learnwebLastRun = { html: state.html, css: state.css, js: state.js, files: state.files?.map((file) => ({ ...file })) };
+  deliverPreviewMessage(frame, message);
+  frame._learnwebPreview?.mirror(message);
+}
+
+function deliverPreviewMessage(frame, message) {
   frame._learnwebPendingState = message;
   if (frame.dataset.runnerState === "ready") {
     frame.contentWindow?.postMessage(message, "*");
@@ -494,6 +996,8 @@ function postPreviewState(frame, state) {
 
 function clearPreviewState(frame) {
   frame._learnwebPendingState = null;
+  frame._learnwebLastRun = null;
+  frame._learnwebPreview?.stop();
   frame.dataset.runnerState = "loading";
   frame.src = "about:blank";
 }
@@ -502,6 +1006,308 @@ function runCodePreview(frame, state) {
   postPreviewState(frame, state);
 }
 
+// Runs a lesson's checks in a hidden runner of their own, so clicks and
+// submits never touch the visible preview. Resolves to one boolean per check,
+// or null when the runner does not answer in time (an endless loop, say).
+// The learner's code runs in that frame too and could post results of its
+// own, so only an answer carrying this run's nonce counts.
+function runCodeChecks(state, checks) {
+  const nonce = crypto.randomUUID();
+  document.querySelector(".workspace-check-frame")?.remove();
+  const frame = document.createElement("iframe");
+  frame.className = "workspace-check-frame";
+  frame.setAttribute("sandbox", "allow-scripts allow-forms");
+  frame.setAttribute("aria-hidden", "true");
+  frame.tabIndex = -1;
+  return new Promise((resolve) => {
+    const finish = (results) => {
+      clearTimeout(timer);
+      window.removeEventListener("message", receive);
+      frame.remove();
+      resolve(results);
+    };
+    const receive = (event) => {
+      if (event.source !== frame.contentWindow || event.data?.nonce !== nonce || !Array.isArray(event.data.learnwebChecks)) return;
+      finish(event.data.learnwebChecks.map((result) => result === true));
+    };
+    const timer = setTimeout(() => finish(null), 6000);
+    window.addEventListener("message", receive);
+    frame.addEventListener("load", () => {
+      frame.contentWindow?.postMessage({ learnwebRun: true, html: state.html, css: state.css, js: state.js, files: state.files, checks, nonce }, "*");
+    }, { once: true });
+    frame.src = previewRunnerUrl;
+    document.body.append(frame);
+  });
+}
+
+// The console under a preview: what the learner's code logs, forwarded by
+// lab-runner.htm. Each run starts it empty; the filter narrows it by level.
+const consoleFilters = { all: ["log", "info", "warn", "error"], log: ["log", "info"], warn: ["warn"], error: ["error"] };
+const consoleEntryLimit = 500;
+
+// ——— Preview emulation ———
+const previewWidths = [320, 375, 768, 1024, 1280, 1440];
+const previewZooms = [1, 1.25, 1.5, 2, 3, 4];
+// Compare widths shows the page at these at once; the first is the main frame.
+const compareWidths = [320, 768, 1280];
+
+// The toolbar over a preview. Width and zoom size the frame as a browser
+// window would be: at 200% a 1280px window lays the page out 640 CSS px wide
+// and draws it twice as large, scaled down to fit when it is wider than the
+// space here. Color scheme, reduced motion, and forced colors go with each run
+// to lab-runner.htm, which emulates them. Compare widths adds frames showing
+// the same code side by side; the console and the audit stay with the first.
+// Wraps `frame`, which must be in the document, and returns the toolbar;
+// aborting `signal` stops it following the stage's size.
+function createPreviewToolbar(frame, signal) {
+  const settings = { width: null, zoom: 1, colorScheme: "", reducedMotion: "", forcedColors: false, compare: false };
+  const toolbar = makeElement("div", "preview-toolbar");
+  toolbar.setAttribute("role", "group");
+  toolbar.setAttribute("aria-label", t("preview.toolbar"));
+  const select = (label, setting, options) => {
+    const control = makeElement("label", "preview-control");
+    const input = document.createElement("select");
+    input.dataset.previewSetting = setting;
+    input.append(...options.map(([value, text]) => new Option(text, value)));
+    control.append(makeElement("span", "", label), input);
+    toolbar.append(control);
+    return input;
+  };
+  const width = select(t("preview.width"), "width", [["", t("preview.fit")], ...previewWidths.map((value) => [String(value), `${value}px`]), ["custom", t("preview.custom")]]);
+  const customWidth = Object.assign(document.createElement("input"), { type: "number", min: 200, max: 2560, step: 1, value: 414, hidden: true });
+  customWidth.dataset.previewCustomWidth = "";
+  customWidth.setAttribute("aria-label", t("preview.customWidth"));
+  width.after(customWidth);
+  const zoom = select(t("preview.zoom"), "zoom", previewZooms.map((value) => [String(value), `${value * 100}%`]));
+  const scheme = select(t("preview.colorScheme"), "colorScheme", [["", t("preview.system")], ["light", t("preview.light")], ["dark", t("preview.dark")]]);
+  const motion = select(t("preview.motion"), "reducedMotion", [["", t("preview.system")], ["reduce", t("preview.reduce")], ["no-preference", t("preview.noPreference")]]);
+  const forcedControl = makeElement("label", "preview-control preview-forced");
+  const forced = Object.assign(document.createElement("input"), { type: "checkbox" });
+  forced.dataset.previewSetting = "forcedColors";
+  forcedControl.append(forced, makeElement("span", "", t("preview.forcedColors")));
+  const compare = makeElement("button", "preview-compare", t("preview.compare"));
+  compare.type = "button";
+  compare.setAttribute("aria-pressed", "false");
+  const status = makeElement("p", "preview-status");
+  toolbar.append(forcedControl, compare, status);
+
+  const stage = makeElement("div", "preview-stage");
+  const column = (target) => {
+    const figure = makeElement("figure", "preview-column");
+    const caption = makeElement("figcaption");
+    const viewport = makeElement("div", "preview-viewport");
+    figure.append(caption, viewport);
+    viewport.append(target);
+    return { figure, caption, viewport, frame: target };
+  };
+  frame.before(stage);
+  const main = column(frame);
+  stage.append(main.figure);
+  let extras = [];
+
+  const fit = ({ viewport, frame: target }, windowWidth) => {
+    const available = viewport.clientWidth;
+    if (!available) return null;
+    const outer = windowWidth ?? available;
+    const scale = settings.zoom * Math.min(1, available / outer);
+    Object.assign(target.style, {
+      width: `${outer / settings.zoom}px`,
+      height: `${viewport.clientHeight / scale}px`,
+      left: `${(available - (outer / settings.zoom) * scale) / 2}px`,
+      transform: scale === 1 ? "" : `scale(${scale})`
+    });
+    return Math.round(outer / settings.zoom);
+  };
+  const layout = () => {
+    const columns = [main, ...extras];
+    const widths = columns.map((item, index) => fit(item, settings.compare ? compareWidths[index] : settings.width));
+    columns.forEach((item, index) => { item.caption.textContent = settings.compare ? `${compareWidths[index]}px` : ""; });
+    if (widths[0]) status.textContent = t("preview.viewport", { width: widths[0] });
+  };
+  const resizing = new ResizeObserver(layout);
+  resizing.observe(stage);
+  signal?.addEventListener("abort", () => resizing.disconnect());
+
+  // Emulation changes show the last code again rather than rerunning the
+  // workspace, so check results and the audit's source stay as they were.
+  const replay = () => {
+    if (frame._learnwebLastRun) postPreviewState(frame, frame._learnwebLastRun);
+  };
+  const setCompare = (on) => {
+    settings.compare = on;
+    compare.setAttribute("aria-pressed", String(on));
+    width.disabled = on;
+    customWidth.disabled = on;
+    stage.classList.toggle("is-comparing", on);
+    extras.forEach((item) => item.figure.remove());
+    extras = on ? compareWidths.slice(1).map((value) => {
+      const extra = document.createElement("iframe");
+      extra.title = t("preview.compareFrame", { width: value });
+      extra.setAttribute("sandbox", frame.getAttribute("sandbox"));
+      const item = column(extra);
+      stage.append(item.figure);
+      return item;
+    }) : [];
+    layout();
+    replay();
+  };
+
+  toolbar.addEventListener("change", (event) => {
+    const setting = event.target.dataset.previewSetting;
+    if (event.target === width || event.target === customWidth) {
+      customWidth.hidden = width.value !== "custom";
+      const value = width.value === "custom" ? Math.min(2560, Math.max(200, Number(customWidth.value) || 414)) : Number(width.value);
+      settings.width = value || null;
+      if (event.target === width && width.value === "custom") customWidth.focus();
+      layout();
+    } else if (event.target === zoom) {
+      settings.zoom = Number(zoom.value);
+      layout();
+    } else if (setting) {
+      settings[setting] = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+      replay();
+    }
+  });
+  compare.addEventListener("click", () => setCompare(!settings.compare));
+
+  frame._learnwebPreview = {
+    emulation: () => ({ colorScheme: scheme.value, reducedMotion: motion.value, forcedColors: forced.checked }),
+    mirror: (message) => extras.forEach((item) => deliverPreviewMessage(item.frame, message)),
+    stop: () => extras.forEach((item) => clearPreviewState(item.frame))
+  };
+  layout();
+  return toolbar;
+}
+
+function createConsolePanel(frame, signal) {
+  const panel = makeElement("section", "console-panel");
+  panel.setAttribute("aria-label", t("console.title"));
+  const bar = makeElement("div", "console-bar");
+  const filters = makeElement("div", "console-filters");
+  filters.setAttribute("role", "group");
+  filters.setAttribute("aria-label", t("console.filter"));
+  Object.keys(consoleFilters).forEach((filter) => {
+    const button = makeElement("button", "", t(`console.show.${filter}`));
+    button.type = "button";
+    button.dataset.consoleFilter = filter;
+    button.setAttribute("aria-pressed", String(filter === "all"));
+    filters.append(button);
+  });
+  const clear = makeElement("button", "console-clear", t("console.clear"));
+  clear.type = "button";
+  bar.append(makeElement("strong", "", t("console.title")), filters, clear);
+  const entries = makeElement("ol", "console-entries");
+  entries.setAttribute("role", "log");
+  entries.setAttribute("aria-label", t("console.output"));
+  const empty = makeElement("p", "console-empty", t("console.empty"));
+  panel.append(bar, entries, empty);
+
+  let filter = "all";
+  const reset = () => {
+    entries.replaceChildren();
+    empty.hidden = false;
+  };
+  filters.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-console-filter]");
+    if (!button) return;
+    filter = button.dataset.consoleFilter;
+    filters.querySelectorAll("button").forEach((item) => item.setAttribute("aria-pressed", String(item === button)));
+    entries.querySelectorAll(".console-entry").forEach((entry) => { entry.hidden = !consoleFilters[filter].includes(entry.dataset.level); });
+  });
+  clear.addEventListener("click", reset);
+  window.addEventListener("message", (event) => {
+    const message = event.data?.learnwebConsole;
+    if (event.source !== frame.contentWindow || !isRecord(message)) return;
+    const level = consoleFilters.all.includes(message.level) ? message.level : "log";
+    const entry = makeElement("li", "console-entry");
+    entry.dataset.level = level;
+    entry.hidden = !consoleFilters[filter].includes(level);
+    entry.append(
+      makeElement("span", "console-level", t(`console.level.${level}`)),
+      makeElement("pre", "", message.truncated ? t("console.truncated") : String(message.text ?? "").slice(0, 4000))
+    );
+    entries.append(entry);
+    if (entries.children.length > consoleEntryLimit) entries.firstElementChild.remove();
+    empty.hidden = true;
+    entries.scrollTop = entries.scrollHeight;
+  }, { signal });
+  frame._learnwebConsole = { clear: reset };
+  return panel;
+}
+
+// The accessibility panel under a preview: lab-runner.htm audits the page as
+// it renders now, and selecting a finding outlines its element there.
+// `onFindings` receives each answered audit.
+const auditRules = ["alt", "label", "link", "heading", "duplicateId", "contrast", "langMissing", "langInvalid"];
+const auditMessage = (finding) => t(`audit.rule.${finding.rule}`, finding.values);
+
+function createAuditPanel(frame, onFindings, signal) {
+  const panel = makeElement("section", "audit-panel");
+  panel.setAttribute("aria-label", t("audit.title"));
+  const bar = makeElement("div", "audit-bar");
+  const check = makeElement("button", "audit-run", t("audit.run"));
+  check.type = "button";
+  bar.append(makeElement("strong", "", t("audit.title")), check);
+  const status = makeElement("p", "audit-status", t("audit.idle"));
+  status.setAttribute("role", "status");
+  const list = makeElement("ol", "audit-findings");
+  panel.append(bar, status, list);
+
+  let pending = null;
+  const settle = (message) => {
+    clearTimeout(pending);
+    pending = null;
+    status.textContent = message;
+  };
+  check.addEventListener("click", () => {
+    list.replaceChildren();
+    if (frame.dataset.runnerState !== "ready") return settle(t("audit.notReady"));
+    settle(t("audit.running"));
+    pending = setTimeout(() => settle(t("audit.noAnswer")), 3000);
+    frame.contentWindow?.postMessage({ learnwebAudit: true }, "*");
+  });
+  list.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-audit-selector]");
+    if (button) frame.contentWindow?.postMessage({ learnwebHighlight: button.dataset.auditSelector }, "*");
+  });
+  window.addEventListener("message", (event) => {
+    const results = event.data?.learnwebAuditResults;
+    if (event.source !== frame.contentWindow || !Array.isArray(results) || !pending) return;
+    const findings = results
+      .filter((finding) => isRecord(finding) && auditRules.includes(finding.rule) && typeof finding.selector === "string")
+      .map(({ rule, selector, values }) => ({ rule, selector, values: isRecord(values) ? values : {} }));
+    list.replaceChildren(...findings.map((finding) => {
+      const item = document.createElement("li");
+      const button = makeElement("button", "audit-finding");
+      button.type = "button";
+      button.dataset.auditSelector = finding.selector;
+      button.dataset.auditRule = finding.rule;
+      button.append(makeElement("span", "", auditMessage(finding)), makeElement("code", "", finding.selector));
+      item.append(button);
+      return item;
+    }));
+    settle(findings.length ? t("audit.count", { count: findings.length }) : t("audit.clean"));
+    onFindings?.(findings);
+  }, { signal });
+  frame._learnwebAudit = {
+    clear: () => {
+      list.replaceChildren();
+      settle(t("audit.idle"));
+    }
+  };
+  return panel;
+}
+
+const workspaceFileLanguage = (name) => ({ css: "css", html: "html", svg: "html", js: "js", mjs: "js", json: "js" })[name.split(".").pop().toLowerCase()] || "text";
+
+// Why a new file cannot be called `name`, or "" when it can.
+function workspaceFileProblem(state, name) {
+  if (!workspaceFileName.test(name)) return t("workspace.files.invalidName");
+  if (Object.values(coreFileNames).includes(name) || state.files.some((file) => file.name === name)) return t("workspace.files.taken", { name });
+  if (state.files.length >= workspaceFileLimit) return t("workspace.files.limit", { count: workspaceFileLimit });
+  return "";
+}
+
 function renderCodeWorkspace(mount, lessonId, pathId, index, state) {
   mount.append(buildWorkspaceChrome(pathId, index, state));
 
@@ -509,35 +1315,43 @@ function renderCodeWorkspace(mount, lessonId, pathId, index, state) {
   const labBar = makeElement("div", "lesson-code-bar");
   const tabs = makeElement("div", "lesson-code-tabs");
   tabs.setAttribute("role", "tablist");
-  const run = makeElement("button", "workspace-mini-action", "Run preview");
+  const run = makeElement("button", "workspace-mini-action", t("workspace.run"));
   run.type = "button";
-  const stop = makeElement("button", "workspace-mini-action", "Stop");
+  const stop = makeElement("button", "workspace-mini-action", t("workspace.stop"));
   stop.type = "button";
-  stop.setAttribute("aria-label", "Stop the preview");
-  const auto = makeElement("button", "workspace-mini-action", "Auto-run: off");
+  stop.setAttribute("aria-label", t("workspace.stopLabel"));
+  const mode = makeElement("button", "editor-mode-toggle", editorInsertMode ? t("editor.modeOn") : t("editor.modeOff"));
+  mode.type = "button";
+  mode.dataset.editorMode = "";
+  mode.setAttribute("aria-pressed", String(editorInsertMode));
+  mode.title = t("editor.modeHint");
+  mode.addEventListener("click", () => setEditorMode(!editorInsertMode));
+  const auto = makeElement("button", "workspace-mini-action", t("workspace.autoOff"));
   auto.type = "button";
   auto.setAttribute("aria-pressed", "false");
-  auto.title = "When on, the preview re-runs as you type; when off, press Run preview.";
-  const sizes = makeElement("div", "workspace-preview-sizes");
-  ["Compact", "Wide"].forEach((label, sizeIndex) => {
-    const button = makeElement("button", sizeIndex ? "" : "is-active", label);
-    button.type = "button";
-    button.dataset.workspaceSize = sizeIndex ? "wide" : "compact";
-    sizes.append(button);
-  });
-  labBar.append(tabs, auto, sizes, run, stop);
+  auto.title = t("workspace.autoHint");
+  const addFile = makeElement("button", "workspace-add-file", t("workspace.files.add"));
+  addFile.type = "button";
+  addFile.setAttribute("aria-expanded", "false");
+  labBar.append(tabs, addFile, mode, auto, run, stop);
 
   const stage = makeElement("div", "lesson-code-stage");
   const editorWrap = makeElement("div", "lesson-code-editor");
   const previewWrap = makeElement("div", "lesson-code-preview");
-  previewWrap.dataset.previewSize = "compact";
   const frame = document.createElement("iframe");
-  frame.title = "Studio task preview";
+  frame.title = t("workspace.previewTitle");
   // Cross-origin runner (separate port in dev, static CDN in production) with
   // a sandbox that blocks modals. In real browsers the cross-origin frame is
   // process-isolated, so a learner's while(true) cannot freeze the app.
   frame.setAttribute("sandbox", "allow-scripts allow-forms");
-  previewWrap.append(frame);
+  // The audit describes the code last sent to the preview, which may lag the
+  // editors while auto-run is off.
+  let previewSource = codeSource(state);
+  const { signal } = workspaceTeardown;
+  previewWrap.append(frame, createConsolePanel(frame, signal), createAuditPanel(frame, (findings) => {
+    auditReports.set(state, { source: previewSource, findings, checkedAt: Date.now() });
+  }, signal));
+  previewWrap.prepend(createPreviewToolbar(frame, signal));
 
   let autoRun = false;
   let lastHeartbeat = Date.now();
@@ -550,11 +1364,31 @@ function renderCodeWorkspace(mount, lessonId, pathId, index, state) {
       if (frame.dataset.runnerState !== "ready") return;
       if (Date.now() - lastHeartbeat > 2500) {
         clearInterval(watchdogTimer);
-        stopPreview("The preview stopped responding, so it was reset.");
+        stopPreview(t("workspace.previewReset"));
       }
     }, 1000);
   };
 
+  const checks = codeStarters[pathId][index].checks;
+  const testCode = () => {
+    if (!checks) return;
+    const run = { source: codeSource(state) };
+    codeCheckRuns.set(state, run);
+    runCodeChecks(state, checks).then((results) => {
+      if (codeCheckRuns.get(state) !== run) return;
+      run.results = results;
+      if (previewWrap.isConnected) updateWorkspaceReadiness(mount, state, pathId, index);
+    });
+  };
+  const runPreview = () => {
+    previewSource = codeSource(state);
+    runCodePreview(frame, state);
+    startWatchdog();
+    testCode();
+    // The footer is not built yet during the first render.
+    if (mount.querySelector("[data-workspace-checks]")) updateWorkspaceReadiness(mount, state, pathId, index);
+  };
+
   const stopPreview = (message) => {
     clearInterval(watchdogTimer);
     clearPreviewState(frame);
@@ -568,10 +1402,26 @@ function renderCodeWorkspace(mount, lessonId, pathId, index, state) {
     if (event.source === frame.contentWindow && event.data?.learnwebHeartbeat) {
       lastHeartbeat = Date.now();
     }
+  }, { signal });
+  signal.addEventListener("abort", () => {
+    clearInterval(watchdogTimer);
+    clearTimeout(workspacePreviewTimer);
   });
 
+  const changes = createChangesPanel(codeStarters[pathId][index], state);
+  const edited = () => {
+    state.submitted = false;
+    persistWorkspace(lessonId, state);
+    clearTimeout(workspacePreviewTimer);
+    if (autoRun) workspacePreviewTimer = setTimeout(runPreview, 450);
+    updateWorkspaceReadiness(mount, state, pathId, index);
+    changes.refresh();
+  };
+  const editorOptions = { tabInserts: () => editorInsertMode, exitInsert: () => setEditorMode(false) };
+
   ["html", "css", "js"].forEach((language, languageIndex) => {
     const tab = makeElement("button", languageIndex === 0 ? "is-active" : "", language.toUpperCase());
+    tab.title = coreFileNames[language];
     tab.type = "button";
     tab.setAttribute("role", "tab");
     tab.setAttribute("aria-selected", String(languageIndex === 0));
@@ -584,71 +1434,168 @@ function renderCodeWorkspace(mount, lessonId, pathId, index, state) {
     const panel = makeElement("div", "workspace-code-panel");
     panel.setAttribute("role", "tabpanel");
     panel.id = `workspace-panel-${language}`;
+    panel.dataset.workspacePanel = language;
     panel.setAttribute("aria-labelledby", tab.id || "");
     panel.hidden = languageIndex !== 0;
-    const label = makeElement("label", "sr-only", `${language.toUpperCase()} editor`);
+    const label = makeElement("label", "sr-only", t("workspace.editor", { language: language.toUpperCase() }));
     const textarea = document.createElement("textarea");
     textarea.className = `workspace-code-input${languageIndex === 0 ? " is-active" : ""}`;
     textarea.dataset.workspaceEditor = language;
     textarea.id = `workspace-editor-${language}`;
     label.htmlFor = textarea.id;
-    textarea.spellcheck = false;
     textarea.value = state[language];
     textarea.addEventListener("input", () => {
       state[language] = textarea.value;
-      state.submitted = false;
-      persistWorkspace(lessonId, state);
-      clearTimeout(workspacePreviewTimer);
-      if (autoRun) {
-        workspacePreviewTimer = setTimeout(() => {
-          runCodePreview(frame, state);
-          startWatchdog();
-        }, 450);
-      }
-      updateWorkspaceReadiness(mount, state, pathId, index);
+      edited();
     });
     panel.append(label, textarea);
+    createCodeEditor(textarea, { language, ...editorOptions });
     editorWrap.append(panel);
   });
 
-  bindTablist(tabs, (tab) => {
+  const selectTab = bindTablist(tabs, (tab) => {
     const selected = tab.dataset.workspaceTab;
     tabs.querySelectorAll("button").forEach((button) => {
       button.classList.toggle("is-active", button === tab);
     });
-    editorWrap.querySelectorAll("[data-workspace-editor]").forEach((editor) => {
-      const active = editor.dataset.workspaceEditor === selected;
-      editor.classList.toggle("is-active", active);
-      editor.closest(".workspace-code-panel").hidden = !active;
+    editorWrap.querySelectorAll("[data-workspace-panel]").forEach((panel) => {
+      const active = panel.dataset.workspacePanel === selected;
+      panel.hidden = !active;
+      panel.querySelector("textarea")?.classList.toggle("is-active", active);
     });
-    editorWrap.querySelector(`[data-workspace-editor="${selected}"]`).focus();
+    const panel = editorWrap.querySelector(`[data-workspace-panel="${CSS.escape(selected)}"]`);
+    (panel.querySelector("textarea") || panel.querySelector("button")).focus();
   });
-  sizes.addEventListener("click", (event) => {
-    const button = event.target.closest("[data-workspace-size]");
-    if (!button) return;
-    sizes.querySelectorAll("button").forEach((item) => item.classList.toggle("is-active", item === button));
-    previewWrap.dataset.previewSize = button.dataset.workspaceSize;
+
+  // Extra files get a tab each after the HTML, CSS, and JS ones: an editor
+  // for text, a picture for images, and a button to delete the file.
+  let fileTabCount = 0;
+  const addFileTab = (file) => {
+    fileTabCount += 1;
+    const key = `file:${file.name}`;
+    const tab = makeElement("button", "", file.name);
+    tab.type = "button";
+    tab.setAttribute("role", "tab");
+    tab.setAttribute("aria-selected", "false");
+    tab.tabIndex = -1;
+    tab.id = `workspace-tab-file-${fileTabCount}`;
+    tab.dataset.workspaceTab = key;
+    const panel = makeElement("div", "workspace-code-panel workspace-file-panel");
+    panel.setAttribute("role", "tabpanel");
+    panel.id = `workspace-panel-file-${fileTabCount}`;
+    panel.dataset.workspacePanel = key;
+    panel.setAttribute("aria-labelledby", tab.id);
+    panel.hidden = true;
+    tab.setAttribute("aria-controls", panel.id);
+
+    const bar = makeElement("div", "workspace-file-bar");
+    const remove = makeElement("button", "", t("workspace.files.delete", { name: file.name }));
+    remove.type = "button";
+    bar.append(makeElement("code", "", file.name), remove);
+    panel.append(bar);
+    if (file.content.startsWith("data:image/")) {
+      const figure = makeElement("figure", "workspace-file-image");
+      const image = Object.assign(document.createElement("img"), { src: file.content, alt: file.name });
+      figure.append(image, makeElement("figcaption", "", t("workspace.files.image", { size: Math.ceil((file.content.length * 3) / 4 / 1000) })));
+      panel.append(figure);
+    } else {
+      const label = makeElement("label", "sr-only", t("workspace.editor", { language: file.name }));
+      const textarea = document.createElement("textarea");
+      textarea.className = "workspace-code-input";
+      textarea.id = `workspace-editor-file-${fileTabCount}`;
+      textarea.dataset.workspaceFile = file.name;
+      label.htmlFor = textarea.id;
+      textarea.value = file.content;
+      textarea.addEventListener("input", () => {
+        file.content = textarea.value;
+        edited();
+      });
+      panel.append(label, textarea);
+      createCodeEditor(textarea, { language: workspaceFileLanguage(file.name), ...editorOptions });
+    }
+    remove.addEventListener("click", () => {
+      if (!confirm(t("workspace.files.deleteConfirm", { name: file.name }))) return;
+      state.files.splice(state.files.indexOf(file), 1);
+      const selected = tab.getAttribute("aria-selected") === "true";
+      tab.remove();
+      panel.remove();
+      if (selected) selectTab(tabs.querySelector('[data-workspace-tab="html"]'), true);
+      edited();
+    });
+    tabs.append(tab);
+    editorWrap.append(panel);
+    return tab;
+  };
+  state.files.forEach(addFileTab);
+
+  const fileForm = makeElement("form", "workspace-file-form");
+  fileForm.id = `workspace-files-${lessonId}`;
+  fileForm.hidden = true;
+  addFile.setAttribute("aria-controls", fileForm.id);
+  const nameLabel = makeElement("label", "", t("workspace.files.name"));
+  const nameInput = Object.assign(document.createElement("input"), { type: "text", placeholder: "utils.js", spellcheck: false, autocomplete: "off" });
+  nameLabel.append(nameInput);
+  const create = makeElement("button", "workspace-mini-action", t("workspace.files.create"));
+  const uploadLabel = makeElement("label", "workspace-file-upload", t("workspace.files.upload"));
+  const upload = Object.assign(document.createElement("input"), { type: "file", accept: "image/*" });
+  uploadLabel.append(upload);
+  const fileStatus = makeElement("p", "workspace-file-status", t("workspace.files.hint"));
+  fileStatus.setAttribute("role", "status");
+  fileForm.append(nameLabel, create, uploadLabel, fileStatus);
+
+  const addFileToState = (file) => {
+    state.files.push(file);
+    fileForm.hidden = true;
+    addFile.setAttribute("aria-expanded", "false");
+    fileStatus.textContent = t("workspace.files.hint");
+    selectTab(addFileTab(file), true);
+    edited();
+  };
+  addFile.addEventListener("click", () => {
+    fileForm.hidden = !fileForm.hidden;
+    addFile.setAttribute("aria-expanded", String(!fileForm.hidden));
+    if (!fileForm.hidden) nameInput.focus();
   });
-  run.addEventListener("click", () => {
-    runCodePreview(frame, state);
-    startWatchdog();
+  fileForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const name = nameInput.value.trim();
+    const problem = workspaceFileProblem(state, name);
+    if (problem) {
+      fileStatus.textContent = problem;
+      return;
+    }
+    nameInput.value = "";
+    addFileToState({ name, content: "" });
   });
-  stop.addEventListener("click", () => stopPreview("Preview stopped."));
+  upload.addEventListener("change", () => {
+    const [image] = upload.files;
+    upload.value = "";
+    if (!image) return;
+    const name = image.name.toLowerCase().replace(/[^\w./-]+/g, "-");
+    const problem = !image.type.startsWith("image/") ? t("workspace.files.invalidName")
+      : image.size > workspaceImageBytes ? t("workspace.files.tooLarge", { size: workspaceImageBytes / 1000 })
+      : workspaceFileProblem(state, name);
+    if (problem) {
+      fileStatus.textContent = problem;
+      return;
+    }
+    const reader = new FileReader();
+    reader.addEventListener("load", () => addFileToState({ name, content: reader.result }));
+    reader.readAsDataURL(image);
+  });
+  run.addEventListener("click", runPreview);
+  stop.addEventListener("click", () => stopPreview(t("workspace.previewStopped")));
   auto.addEventListener("click", () => {
     autoRun = !autoRun;
     auto.setAttribute("aria-pressed", String(autoRun));
-    auto.textContent = autoRun ? "Auto-run: on" : "Auto-run: off";
-    if (autoRun) {
-      runCodePreview(frame, state);
-      startWatchdog();
-    }
+    auto.textContent = autoRun ? t("workspace.autoOn") : t("workspace.autoOff");
+    if (autoRun) runPreview();
   });
 
   stage.append(editorWrap, previewWrap);
-  lab.append(labBar, stage);
-  mount.append(lab);
-  runCodePreview(frame, state);
-  startWatchdog();
+  lab.append(labBar, fileForm, stage);
+  mount.append(lab, changes.element);
+  runPreview();
 }
 
 function renderRecordWorkspace(mount, lessonId, pathId, index, state) {
@@ -662,12 +1609,12 @@ function renderRecordWorkspace(mount, lessonId, pathId, index, state) {
     const number = makeElement("span", "workspace-field-number", String(responseIndex + 1).padStart(2, "0"));
     const copy = makeElement("span", "workspace-field-copy");
     copy.append(
-      makeElement("strong", "", prompts[responseIndex * 2]),
-      makeElement("small", "", prompts[responseIndex * 2 + 1])
+      makeElement("strong", "", prompts[responseIndex].title),
+      makeElement("small", "", prompts[responseIndex].prompt)
     );
     const textarea = document.createElement("textarea");
     textarea.rows = 6;
-    textarea.placeholder = "Write concrete evidence, a decision, and enough context for someone else to review it…";
+    textarea.placeholder = t("workspace.recordPlaceholder");
     textarea.value = response;
     textarea.addEventListener("input", () => {
       state.responses[responseIndex] = textarea.value;
@@ -681,28 +1628,126 @@ function renderRecordWorkspace(mount, lessonId, pathId, index, state) {
   mount.append(form);
 }
 
-function exportWorkspaceArtifact(lessonId, pathId, index, state) {
-  const title = pathData[pathId].modules[index][0];
+// The audit as an HTML comment at the end of the exported page; nothing when
+// the code changed since the last check.
+function auditReportComment(state) {
+  const report = auditReports.get(state);
+  if (report?.source !== codeSource(state)) return "";
+  const checkedAt = new Date(report.checkedAt).toLocaleString(locale, { dateStyle: "long", timeStyle: "short" });
+  const lines = report.findings.length
+    ? report.findings.map((finding) => `- ${auditMessage(finding)}: ${finding.selector}`)
+    : [t("audit.clean")];
+  return htmlComment([t("audit.report", { date: checkedAt }), ...lines].join("\n"));
+}
+
+// Text as an HTML comment on its own lines, with anything that would end the
+// comment early broken up.
+function htmlComment(text) {
+  return `\n<!--\n${text.replace(/<!--|--!?>/g, (marker) => marker.replace("--", "- -"))}\n-->\n`;
+}
+
+// A project with extra files exports as a ZIP of the whole tree; its
+// index.html links style.css and app.js (as a module when it imports or
+// exports), as lab-runner.htm runs them.
+const crcTable = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit += 1) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+const crc32 = (bytes) => ~bytes.reduce((crc, byte) => crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8), ~0) >>> 0;
+
+// A ZIP archive of `[name, bytes]` entries, stored without compression.
+function zipArchive(entries) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const records = [];
+  const directory = [];
+  let offset = 0;
+  entries.forEach(([name, bytes]) => {
+    const path = encoder.encode(name);
+    const crc = crc32(bytes);
+    const local = new DataView(new ArrayBuffer(30));
+    const central = new DataView(new ArrayBuffer(46));
+    local.setUint32(0, 0x04034b50, true);
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    // Both headers share version, UTF-8 flag, time, date, CRC, sizes, and name length.
+    [[local, 4], [central, 6]].forEach(([view, at]) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 6, time, true);
+      view.setUint16(at + 8, date, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, bytes.length, true);
+      view.setUint32(at + 18, bytes.length, true);
+      view.setUint16(at + 22, path.length, true);
+    });
+    central.setUint32(42, offset, true);
+    records.push(local, path, bytes);
+    directory.push(central, path);
+    offset += 30 + path.length + bytes.length;
+  });
+  const size = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...records, ...directory, end], { type: "application/zip" });
+}
+
+function workspaceArchive(title, state, changes) {
+  const encoder = new TextEncoder();
+  const page = `<!doctype html>
+<html lang="${locale}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title><link rel="stylesheet" href="style.css"></head><body>${state.html}<script src="app.js"${moduleSyntax.test(state.js) ? ' type="module"' : ""}><\/script>${auditReportComment(state)}</body></html>`;
+  const fileBytes = ({ content }) => {
+    if (!content.startsWith("data:")) return encoder.encode(content);
+    const [header, data] = content.split(",");
+    return header.endsWith(";base64") ? Uint8Array.from(atob(data), (character) => character.charCodeAt(0)) : encoder.encode(decodeURIComponent(data));
+  };
+  return zipArchive([
+    ["index.html", encoder.encode(page)],
+    ["style.css", encoder.encode(state.css)],
+    ["app.js", encoder.encode(state.js)],
+    ...state.files.map((file) => [file.name, fileBytes(file)]),
+    ...(changes ? [["changes.diff", encoder.encode(changes)]] : [])
+  ]);
+}
+
+// With `includeChanges`, a code artifact also carries its diff from the
+// starter: as changes.diff in a ZIP, or a comment at the end of the page.
+function exportWorkspaceArtifact(lessonId, pathId, index, state, { includeChanges = false } = {}) {
+  const { title } = pathData[pathId].modules[index];
+  const changes = includeChanges && state.type === "code" ? starterDiffText(pathId, index, state) : "";
   let contents;
   let extension;
   let mime;
-  if (state.type === "code") {
+  if (state.type === "code" && state.files.length) {
+    contents = workspaceArchive(title, state, changes);
+    extension = "zip";
+    mime = "application/zip";
+  } else if (state.type === "code") {
     const safeCss = state.css.replace(/<\/style/gi, "<\\/style");
     const safeJs = state.js.replace(/<\/script/gi, "<\\/script");
     contents = `<!doctype html>
-<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
-<title>${title}</title><style>${safeCss}</style></head><body>${state.html}<script>${safeJs}<\/script></body></html>`;
+<html lang="${locale}"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title><style>${safeCss}</style></head><body>${state.html}<script>${safeJs}<\/script>${auditReportComment(state)}${changes && htmlComment(`${t("changes.report")}\n\n${changes}`)}</body></html>`;
     extension = "html";
     mime = "text/html";
   } else {
     const prompts = workspaceBlueprints[pathId].lenses[index];
-    contents = `# ${title}\n\n**Studio task:** ${studioMissions[pathId][index][0]}\n\n${state.responses.map((response, responseIndex) =>
-      `## ${prompts[responseIndex * 2]}\n\n${response || "_Not answered_"}`
-    ).join("\n\n")}\n\n## Definition of done\n\n${studioMissions[pathId][index][1]}\n`;
+    const { mission, proof } = studioMissions[pathId][index];
+    contents = `# ${title}\n\n**${t("export.studioTask")}:** ${mission}\n\n${state.responses.map((response, responseIndex) =>
+      `## ${prompts[responseIndex].title}\n\n${response || `_${t("export.notAnswered")}_`}`
+    ).join("\n\n")}\n\n## ${t("lesson.definitionOfDone")}\n\n${proof}\n`;
     extension = "md";
     mime = "text/markdown";
   }
-  const blob = new Blob([contents], { type: `${mime};charset=utf-8` });
+  const blob = contents instanceof Blob ? contents : new Blob([contents], { type: `${mime};charset=utf-8` });
   const link = document.createElement("a");
   link.href = URL.createObjectURL(blob);
   link.download = `${lessonId}-${title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "")}.${extension}`;
@@ -717,9 +1762,9 @@ function renderWorkspaceFooter(mount, lessonId, pathId, index, state) {
   checklist.dataset.workspaceChecks = "";
 
   const actions = makeElement("div", "workspace-actions");
-  const reset = makeElement("button", "button button-ghost", "Reset workspace");
-  const download = makeElement("button", "button button-ghost", "Export artifact");
-  const submit = makeElement("button", "button button-primary", "Submit studio artifact");
+  const reset = makeElement("button", "button button-ghost", t("workspace.reset"));
+  const download = makeElement("button", "button button-ghost", t("workspace.export"));
+  const submit = makeElement("button", "button button-primary", t("workspace.submit"));
   [reset, download, submit].forEach((button) => { button.type = "button"; });
   submit.dataset.submitWorkspace = "";
 
@@ -728,22 +1773,30 @@ function renderWorkspaceFooter(mount, lessonId, pathId, index, state) {
     const hint = document.createElement("details");
     hint.className = "workspace-hint";
     const summary = document.createElement("summary");
-    summary.textContent = "Need a hint?";
+    summary.textContent = t("workspace.hint");
     hint.append(summary, Object.assign(document.createElement("p"), { textContent: hintText }));
     actions.append(hint);
   }
 
+  let includeChanges = null;
+  if (state.type === "code") {
+    const option = makeElement("label", "workspace-export-changes");
+    includeChanges = Object.assign(document.createElement("input"), { type: "checkbox" });
+    option.append(includeChanges, makeElement("span", "", t("changes.export")));
+    actions.append(option);
+  }
   actions.append(reset, download, submit);
-  review.append(checklist, actions);
+  review.append(checklist, actions, renderWorkspaceHistory(lessonId, pathId, index, state));
   mount.append(review);
 
   reset.addEventListener("click", () => {
-    if (!confirm("Reset this workspace? Your current draft for this lesson will be replaced.")) return;
+    if (!confirm(t("workspace.resetConfirm"))) return;
+    addCheckpoint(lessonId, state, "beforeReset");
     delete lessonWorkspaces[lessonId];
     writeStorage(workspacesKey, lessonWorkspaces);
     renderStudioWorkspace(pathId, index);
   });
-  download.addEventListener("click", () => exportWorkspaceArtifact(lessonId, pathId, index, state));
+  download.addEventListener("click", () => exportWorkspaceArtifact(lessonId, pathId, index, state, { includeChanges: includeChanges?.checked }));
   submit.addEventListener("click", () => {
     if (!workspaceChecks(state, pathId, index).every(([, complete]) => complete)) return;
     state.submitted = true;
@@ -754,10 +1807,262 @@ function renderWorkspaceFooter(mount, lessonId, pathId, index, state) {
   });
 }
 
+// Labelled text of each part of a workspace's content: its files for code,
+// its responses for a record. Images show as their size.
+function workspaceParts(pathId, index, content) {
+  if (content.responses) return content.responses.map((text, responseIndex) => [workspaceBlueprints[pathId].lenses[index][responseIndex].title, text]);
+  return [
+    ...["html", "css", "js"].map((language) => [coreFileNames[language], content[language]]),
+    ...content.files.map(({ name, content: text }) => [name, text.startsWith("data:") ? t("workspace.files.image", { size: Math.ceil((text.length * 3) / 4 / 1000) }) : text])
+  ];
+}
+
+// Side by side, a run of removed lines faces the added lines that replace it;
+// each row is `[before line, after line]`, either possibly missing.
+function splitRows(lines) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const pair = () => {
+    for (let row = 0; row < Math.max(removed.length, added.length); row += 1) rows.push([removed[row], added[row]]);
+    removed = [];
+    added = [];
+  };
+  lines.forEach((line) => {
+    if (line.type === "removed") {
+      if (added.length) pair();
+      removed.push(line);
+    } else if (line.type === "added") {
+      added.push(line);
+    } else {
+      pair();
+      rows.push([line, line]);
+    }
+  });
+  pair();
+  return rows;
+}
+
+// A line diff, unified or side by side, with unchanged stretches folded away.
+function diffView(before, after, layout = diffLayout) {
+  const view = makeElement("div", `diff-view is-${layout}`);
+  const { hunks, trailing } = diffHunks(diffLines(before, after));
+  if (!hunks.length) {
+    view.append(makeElement("p", "diff-empty", t("diff.noChanges")));
+    return view;
+  }
+  const gap = (count) => makeElement("p", "diff-gap", t("diff.skipped", { count }));
+  const signs = { same: " ", removed: "−", added: "+" };
+  const side = (line, number) => {
+    const cell = makeElement("div", `diff-side is-${line?.type ?? "empty"}`);
+    if (line) cell.append(makeElement("span", "diff-number", String(number)), makeElement("span", "diff-sign", signs[line.type]), makeElement("code", "", line.text));
+    return cell;
+  };
+  hunks.forEach(({ skipped, lines }) => {
+    if (skipped) view.append(gap(skipped));
+    const hunk = makeElement("div", "diff-hunk");
+    hunk.append(...(layout === "split"
+      ? splitRows(lines).map(([left, right]) => {
+        const row = makeElement("div", "diff-row");
+        row.append(side(left, left?.before), side(right, right?.after));
+        return row;
+      })
+      : lines.map((line) => {
+        const row = makeElement("div", `diff-line is-${line.type}`);
+        row.append(
+          makeElement("span", "diff-number", String(line.before ?? "")),
+          makeElement("span", "diff-number", String(line.after ?? "")),
+          makeElement("span", "diff-sign", signs[line.type]),
+          makeElement("code", "", line.text)
+        );
+        return row;
+      })));
+    view.append(hunk);
+  });
+  if (trailing) view.append(gap(trailing));
+  return view;
+}
+
+// Changes from the lesson's starter in HTML, CSS, and JS, redrawn while open:
+// a section per file with its added and removed line counts.
+function createChangesPanel(starter, state) {
+  const panel = document.createElement("details");
+  panel.className = "workspace-changes";
+  panel.dataset.workspaceChanges = "";
+  const summary = makeElement("summary", "", t("changes.title"));
+  const bar = makeElement("div", "workspace-changes-bar");
+  const hint = makeElement("p", "", t("changes.hint"));
+  const layouts = makeElement("div", "workspace-diff-layout");
+  layouts.setAttribute("role", "group");
+  layouts.setAttribute("aria-label", t("changes.layout"));
+  ["unified", "split"].forEach((layout) => {
+    const button = makeElement("button", "", t(`changes.${layout}`));
+    button.type = "button";
+    button.dataset.diffLayout = layout;
+    layouts.append(button);
+  });
+  bar.append(hint, layouts);
+  const files = makeElement("div", "workspace-changes-files");
+  panel.append(summary, bar, files);
+
+  const render = () => {
+    if (!panel.open) return;
+    layouts.querySelectorAll("button").forEach((button) => {
+      const active = button.dataset.diffLayout === diffLayout;
+      button.classList.toggle("is-active", active);
+      button.setAttribute("aria-pressed", String(active));
+    });
+    files.replaceChildren(...["html", "css", "js"].map((language) => {
+      const lines = diffLines(starter[language], state[language]);
+      const section = makeElement("section", "workspace-changes-file");
+      section.dataset.changesFile = language;
+      const head = makeElement("h4");
+      head.append(
+        makeElement("code", "", coreFileNames[language]),
+        makeElement("span", "", t("changes.stat", {
+          added: lines.filter((line) => line.type === "added").length,
+          removed: lines.filter((line) => line.type === "removed").length
+        }))
+      );
+      section.append(head, diffView(starter[language], state[language]));
+      return section;
+    }));
+  };
+  panel.addEventListener("toggle", render);
+  layouts.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-diff-layout]");
+    if (!button) return;
+    diffLayout = button.dataset.diffLayout;
+    render();
+  });
+  return { element: panel, refresh: render };
+}
+
+// The changes from the starter as a unified diff of index.html, style.css,
+// and app.js, for a mentor to read or apply.
+function starterDiffText(pathId, index, state) {
+  const starter = codeStarters[pathId][index];
+  return ["html", "css", "js"].map((language) => unifiedDiff(coreFileNames[language], starter[language], state[language])).join("")
+    || `${t("changes.none")}\n`;
+}
+
+// Version history: name and save a checkpoint, and preview any checkpoint,
+// compare it with the current draft, or restore it.
+function renderWorkspaceHistory(lessonId, pathId, index, state) {
+  const panel = document.createElement("details");
+  panel.className = "workspace-history";
+  panel.dataset.workspaceHistory = "";
+  const summary = document.createElement("summary");
+  const form = makeElement("form", "workspace-history-form");
+  const nameLabel = makeElement("label", "", t("history.name"));
+  const nameInput = Object.assign(document.createElement("input"), { type: "text", maxLength: 60, placeholder: t("history.namePlaceholder"), autocomplete: "off" });
+  nameLabel.append(nameInput);
+  form.append(nameLabel, makeElement("button", "workspace-mini-action", t("history.save")));
+  const status = makeElement("p", "workspace-history-status", t("history.retention", { auto: autoCheckpointLimit, named: namedCheckpointLimit }));
+  status.setAttribute("role", "status");
+  const list = makeElement("ol", "workspace-history-list");
+  const view = makeElement("section", "workspace-history-view");
+  view.hidden = true;
+  panel.append(summary, form, status, list, view);
+
+  const entryDate = (entry) => new Date(entry.at).toLocaleString(locale, { dateStyle: "medium", timeStyle: "short" });
+  const render = (changedLessonId = lessonId) => {
+    if (changedLessonId !== lessonId) return;
+    const entries = workspaceHistory[lessonId] ?? [];
+    summary.textContent = t("history.summary", { count: entries.length });
+    list.replaceChildren(...entries.map((entry) => {
+      const item = makeElement("li", `workspace-checkpoint${entry.kind === "named" ? " is-named" : ""}`);
+      item.dataset.checkpoint = entry.id;
+      const label = makeElement("div");
+      const time = makeElement("time", "", entryDate(entry));
+      time.dateTime = entry.at;
+      label.append(makeElement("strong", "", entry.kind === "named" ? entry.name : t(`history.kind.${entry.kind}`)), time);
+      const actions = makeElement("div", "workspace-checkpoint-actions");
+      ["preview", "compare", "restore"].forEach((action) => {
+        const button = makeElement("button", "", t(`history.${action}`));
+        button.type = "button";
+        button.dataset.checkpointAction = action;
+        actions.append(button);
+      });
+      item.append(label, actions);
+      return item;
+    }).reverse());
+    if (!entries.length) list.append(makeElement("li", "workspace-history-empty", t("history.empty")));
+  };
+  refreshHistoryPanel = render;
+  render();
+
+  const show = (title, parts) => {
+    const heading = makeElement("h4", "", title);
+    heading.tabIndex = -1;
+    const close = makeElement("button", "workspace-mini-action", t("history.close"));
+    close.type = "button";
+    close.addEventListener("click", () => {
+      view.hidden = true;
+      list.querySelector("button")?.focus();
+    });
+    const head = makeElement("div", "workspace-history-view-head");
+    head.append(heading, close);
+    view.replaceChildren(head, ...parts.map(([label, content]) => {
+      const part = makeElement("div", "workspace-history-part");
+      part.append(makeElement("h5", "", label), content);
+      return part;
+    }));
+    view.hidden = false;
+    heading.focus();
+  };
+  const preview = (entry) => show(
+    t("history.previewTitle", { date: entryDate(entry) }),
+    workspaceParts(pathId, index, entry.content).map(([label, text]) => [label, text ? makeElement("pre", "", text) : makeElement("p", "diff-empty", t("history.emptyPart"))])
+  );
+  // Parts on either side are compared by label, so an added or deleted file
+  // shows as all added or all removed.
+  const compare = (entry) => {
+    const before = new Map(workspaceParts(pathId, index, entry.content));
+    const after = new Map(workspaceParts(pathId, index, workspaceContent(state)));
+    const labels = [...new Set([...after.keys(), ...before.keys()])];
+    show(t("history.compareTitle", { date: entryDate(entry) }), labels.map((label) => [label, diffView(before.get(label) ?? "", after.get(label) ?? "")]));
+  };
+  const restore = (entry) => {
+    if (!confirm(t("history.restoreConfirm", { date: entryDate(entry) }))) return;
+    addCheckpoint(lessonId, state, "beforeRestore");
+    const restored = normalizeWorkspaceState(lessonId, { ...entry.content, type: state.type, submitted: false });
+    persistWorkspace(lessonId, restored, true);
+    renderStudioWorkspace(pathId, index);
+    const history = lessonDialog.querySelector("[data-workspace-history]");
+    history.open = true;
+    history.querySelector(".workspace-history-status").textContent = t("history.restored", { date: entryDate(entry) });
+    history.querySelector("summary").focus();
+  };
+
+  list.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-checkpoint-action]");
+    if (!button) return;
+    const entry = workspaceHistory[lessonId]?.find((item) => item.id === button.closest("[data-checkpoint]").dataset.checkpoint);
+    if (!entry) return;
+    ({ preview, compare, restore })[button.dataset.checkpointAction](entry);
+  });
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const name = nameInput.value.trim();
+    if (!name) {
+      status.textContent = t("history.nameMissing");
+      nameInput.focus();
+      return;
+    }
+    addCheckpoint(lessonId, state, "named", name);
+    nameInput.value = "";
+    status.textContent = t("history.saved", { name });
+  });
+  return panel;
+}
+
 function renderStudioWorkspace(pathId, index) {
   const lessonId = `${pathId}-${index + 1}`;
   const mount = lessonDialog.querySelector("[data-workspace]");
   const state = getWorkspaceState(lessonId, pathId, index);
+  workspaceTeardown.abort();
+  workspaceTeardown = new AbortController();
   mount.replaceChildren();
   if (state.type === "code") renderCodeWorkspace(mount, lessonId, pathId, index, state);
   else renderRecordWorkspace(mount, lessonId, pathId, index, state);
@@ -774,20 +2079,41 @@ function openLesson(pathId, index, fromHistory = false) {
   activeLesson = { pathId, index };
   flushPendingSaves();
   const lessonId = `${pathId}-${index + 1}`;
+  if (!activeTrack()?.lessons.includes(lessonId)) activeTrackId = null;
+  const sequence = lessonSequence();
+  const position = activePosition(sequence);
   const isComplete = progress.has(lessonId);
-  lessonQuizResults = guide.quiz.map(() => isComplete);
+  lessonQuiz = drawQuiz(guide);
+  lessonQuizResults = lessonQuiz.map(() => isComplete);
   lessonArtifactSubmitted = isComplete;
 
   if (pathDialog.open) pathDialog.close();
   lessonDialog.style.setProperty("--lesson-accent", path.accent);
-  lessonDialog.querySelector(".lesson-path-label").textContent = path.title;
-  lessonDialog.querySelector(".lesson-position").textContent = `Lesson ${index + 1} of ${path.modules.length}`;
-  lessonDialog.querySelector(".lesson-header-progress .meter span").style.width = `${((index + 1) / path.modules.length) * 100}%`;
+  lessonDialog.querySelector(".lesson-path-label").textContent = activeTrack()?.name ?? path.title;
+  const back = lessonDialog.querySelector(".lesson-back");
+  back.setAttribute("aria-label", t(activeTrackId ? "lesson.backToTrack" : "lesson.back"));
+  back.querySelector("[data-i18n]").textContent = t(activeTrackId ? "lesson.trackOverview" : "lesson.pathOverview");
+  lessonDialog.querySelector(".lesson-position").textContent = t("lesson.position", { number: position + 1, total: sequence.length });
+  lessonDialog.querySelector(".lesson-header-progress .meter span").style.width = `${((position + 1) / sequence.length) * 100}%`;
   lessonDialog.querySelector(".lesson-kicker").textContent = `${path.label} / ${String(index + 1).padStart(2, "0")}`;
-  lessonDialog.querySelector("#lesson-title").textContent = module[0];
-  lessonDialog.querySelector(".lesson-dek").textContent = module[1];
-  lessonDialog.querySelector(".lesson-time").textContent = module[2];
-  lessonDialog.querySelector(".lesson-state").textContent = isComplete ? "Complete" : "In progress";
+  lessonDialog.querySelector("#lesson-title").textContent = module.title;
+  lessonDialog.querySelector(".lesson-dek").textContent = module.detail;
+  lessonDialog.querySelector(".lesson-time").textContent = module.time;
+  const reviewed = lessonDialog.querySelector(".lesson-reviewed");
+  if (module.lastReviewed) {
+    const date = document.createElement("time");
+    date.dateTime = module.lastReviewed;
+    date.textContent = longDate(module.lastReviewed);
+    reviewed.replaceChildren(date);
+  } else {
+    reviewed.textContent = t("lesson.notReviewed");
+  }
+  // Untranslated lessons keep their English text, marked as such for readers
+  // and assistive technology.
+  const contentLang = lessonTranslated(pathId, index) ? locale : defaultLocale;
+  lessonDialog.querySelectorAll(lessonContentSelector).forEach((node) => { node.lang = contentLang; });
+  lessonDialog.querySelector("[data-lesson-untranslated]").hidden = contentLang === locale;
+  lessonDialog.querySelector(".lesson-state").textContent = isComplete ? t("lesson.complete") : t("lesson.inProgress");
 
   const objectives = lessonDialog.querySelector(".lesson-objective-list");
   objectives.replaceChildren();
@@ -797,17 +2123,18 @@ function openLesson(pathId, index, fromHistory = false) {
     objectives.append(item);
   });
 
-  lessonDialog.querySelector("#chapter-one-title").textContent = guide.understand[0];
-  appendParagraphs(lessonDialog.querySelector(".chapter-one-copy"), guide.understand[1]);
+  lessonDialog.querySelector("#chapter-one-title").textContent = guide.understand.title;
+  const linkedTerms = new Set();
+  appendParagraphs(lessonDialog.querySelector(".chapter-one-copy"), guide.understand.paragraphs, linkedTerms);
   lessonDialog.querySelector(".lesson-principle").textContent = guide.principle;
-  lessonDialog.querySelector("#chapter-two-title").textContent = guide.apply[0];
-  appendParagraphs(lessonDialog.querySelector(".chapter-two-copy"), guide.apply[1]);
+  lessonDialog.querySelector("#chapter-two-title").textContent = guide.apply.title;
+  appendParagraphs(lessonDialog.querySelector(".chapter-two-copy"), guide.apply.paragraphs, linkedTerms);
 
   const example = lessonDialog.querySelector(".lesson-example");
   example.hidden = !guide.example;
   example.querySelector("code").textContent = guide.example || "";
 
-  const [mission, proof] = studioMissions[pathId][index];
+  const { mission, proof } = studioMissions[pathId][index];
   lessonDialog.querySelector(".practice-mission").textContent = mission;
   lessonDialog.querySelector(".practice-proof").textContent = proof;
   const steps = lessonDialog.querySelector(".practice-steps");
@@ -818,15 +2145,16 @@ function openLesson(pathId, index, fromHistory = false) {
     steps.append(item);
   });
 
+  renderSources(guide.sources);
   renderStudioWorkspace(pathId, index);
 
   const note = lessonDialog.querySelector("#lesson-note");
   note.value = lessonNotes[lessonId] || "";
-  lessonDialog.querySelector(".note-status").textContent = note.value ? "Saved locally" : "Ready";
+  lessonDialog.querySelector(".note-status").textContent = note.value ? t("notes.saved") : t("notes.ready");
 
-  renderQuiz(guide.quiz, lessonId);
-  renderLessonRail(pathId, index);
-  renderLessonPager(pathId, index);
+  renderQuiz(lessonId);
+  renderLessonRail();
+  renderLessonPager();
   updateLessonGate();
 
   if (!lessonDialog.open) lessonDialog.showModal();
@@ -835,62 +2163,274 @@ function openLesson(pathId, index, fromHistory = false) {
   else commitNavigation({ type: "lesson", pathId, index }, "push");
 }
 
-function renderQuiz(quiz, lessonId) {
-  const container = lessonDialog.querySelector("[data-quiz-groups]");
-  container.replaceChildren();
-  quiz.forEach((question, questionIndex) => {
-    const [questionText, options, , explanation] = question;
-    const group = document.createElement("fieldset");
-    group.className = "quiz-group";
-    const legend = document.createElement("legend");
-    legend.textContent = questionText;
-    group.append(legend);
+// Each question type renders its own controls: radios for one answer,
+// checkboxes for several, a reorderable list, a select per prompt, or inputs
+// inside a code snippet. A solved question shows its answer already in place.
+// Options appear in `order` but keep their canonical index as the input value,
+// so grading never depends on where an option was shown.
+function choiceControls(question, questionIndex, idPrefix, solved, order) {
+  const multiple = question.type === "multiple";
+  const controls = makeElement("div", "quiz-options");
+  order.forEach((index, position) => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = multiple ? "checkbox" : "radio";
+    input.name = `quiz-${idPrefix}-${questionIndex}`;
+    input.value = String(index);
+    input.checked = solved && (multiple ? question.correctIndexes.includes(index) : index === question.correctIndex);
+    label.append(input, makeElement("span", "", String.fromCharCode(65 + position)), makeElement("strong", "", question.options[index]));
+    controls.append(label);
+  });
+  // A changed answer has not been checked yet.
+  controls.addEventListener("change", () => controls.querySelectorAll(".quiz-rationale").forEach((node) => node.remove()));
+  return controls;
+}
+
+function orderControls(question, solved) {
+  const list = makeElement("ol", "quiz-order");
+  const status = makeElement("p", "sr-only");
+  status.setAttribute("aria-live", "polite");
+  let dragged = null;
+  const renumber = () => [...list.children].forEach((item, position) => {
+    item.querySelector(".quiz-order-position").textContent = String(position + 1);
+    item.querySelector("[data-move='up']").disabled = position === 0;
+    item.querySelector("[data-move='down']").disabled = position === list.children.length - 1;
+  });
+  const announce = (item) => {
+    status.textContent = t("quiz.moved", { item: item.querySelector("strong").textContent, position: [...list.children].indexOf(item) + 1, total: list.children.length });
+  };
+  const move = (item, offset, button) => {
+    const sibling = offset < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling) return;
+    if (offset < 0) sibling.before(item);
+    else sibling.after(item);
+    renumber();
+    announce(item);
+    (button.disabled ? item.querySelector(`[data-move='${offset < 0 ? "down" : "up"}']`) : button).focus();
+  };
 
-    const fieldset = document.createElement("div");
-    fieldset.className = "quiz-options";
-    options.forEach((text, index) => {
-      const label = document.createElement("label");
-      const input = document.createElement("input");
-      input.type = "radio";
-      input.name = `quiz-${lessonId}-${questionIndex}`;
-      input.value = String(index);
-      input.checked = lessonQuizResults[questionIndex] && index === question[2];
-      const marker = document.createElement("span");
-      marker.textContent = String.fromCharCode(65 + index);
-      const copy = document.createElement("strong");
-      copy.textContent = text;
-      label.append(input, marker, copy);
-      fieldset.append(label);
+  const order = solved ? question.items.map((_, index) => index) : presentationOrder(question.items.length, question.question);
+  order.forEach((itemIndex) => {
+    const text = question.items[itemIndex];
+    const item = makeElement("li", "quiz-order-item");
+    item.dataset.item = String(itemIndex);
+    item.draggable = true;
+    const position = makeElement("span", "quiz-order-position");
+    position.setAttribute("aria-hidden", "true");
+    item.append(position, makeElement("strong", "", text));
+    [["up", -1, "↑"], ["down", 1, "↓"]].forEach(([direction, offset, arrow]) => {
+      const button = makeElement("button", "quiz-order-move", arrow);
+      button.type = "button";
+      button.dataset.move = direction;
+      button.setAttribute("aria-label", t(`quiz.move${direction === "up" ? "Up" : "Down"}`, { item: text }));
+      button.addEventListener("click", () => move(item, offset, button));
+      item.append(button);
     });
-    group.append(fieldset);
-
-    const feedback = document.createElement("p");
-    feedback.className = "quiz-feedback";
-    feedback.setAttribute("role", "status");
-    feedback.setAttribute("aria-live", "polite");
-    if (lessonQuizResults[questionIndex]) {
-      feedback.classList.add("is-correct");
-      feedback.textContent = `Correct — ${explanation}`;
-    }
-    group.append(feedback);
-    container.append(group);
+    item.addEventListener("dragstart", (event) => {
+      dragged = item;
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData("text/plain", text);
+      item.classList.add("is-dragging");
+    });
+    item.addEventListener("dragend", () => {
+      dragged = null;
+      item.classList.remove("is-dragging");
+      announce(item);
+    });
+    item.addEventListener("dragover", (event) => {
+      if (!dragged || dragged === item) return;
+      event.preventDefault();
+      const { top, height } = item.getBoundingClientRect();
+      if (event.clientY < top + height / 2) item.before(dragged);
+      else item.after(dragged);
+      renumber();
+    });
+    list.append(item);
+  });
+  list.addEventListener("drop", (event) => event.preventDefault());
+  renumber();
+  const controls = makeElement("div", "quiz-order-field");
+  controls.append(makeElement("p", "quiz-hint", t("quiz.orderHint")), list, status);
+  return controls;
+}
+
+function matchControls(question, questionIndex, idPrefix, solved) {
+  const controls = makeElement("div", "quiz-match");
+  const order = presentationOrder(question.pairs.length, question.question);
+  question.pairs.forEach(({ prompt }, pairIndex) => {
+    const id = `quiz-${idPrefix}-${questionIndex}-${pairIndex}`;
+    const label = makeElement("label", "", prompt);
+    label.htmlFor = id;
+    const select = document.createElement("select");
+    select.id = id;
+    select.append(new Option(t("quiz.choose"), ""), ...order.map((answerIndex) => new Option(question.pairs[answerIndex].answer, String(answerIndex))));
+    if (solved) select.value = String(pairIndex);
+    controls.append(label, select);
+  });
+  return controls;
+}
+
+function codeControls(question, solved) {
+  const pre = makeElement("pre", "quiz-code");
+  const code = document.createElement("code");
+  question.code.split("___").forEach((text, index, parts) => {
+    code.append(text);
+    if (index === parts.length - 1) return;
+    const accepted = question.blanks[index];
+    const input = document.createElement("input");
+    input.className = "quiz-blank";
+    input.spellcheck = false;
+    input.autocomplete = "off";
+    input.setAttribute("autocapitalize", "off");
+    input.size = Math.max(6, ...accepted.map((answer) => answer.length + 1));
+    input.setAttribute("aria-label", t("quiz.blank", { number: index + 1, total: parts.length - 1 }));
+    if (solved) input.value = accepted[0];
+    code.append(input);
+  });
+  pre.append(code);
+  return pre;
+}
+
+// `idPrefix` keeps input names and IDs unique wherever the question appears:
+// the lesson dialog uses the lesson ID, review sessions their own prefix.
+// `questionIndex` is the question's place in the lesson's bank.
+function renderQuestion(question, questionIndex, idPrefix, solved, order = shuffled(question.options?.keys() ?? [])) {
+  const group = document.createElement("fieldset");
+  group.className = "quiz-group";
+  group.append(makeElement("legend", "", question.question));
+  if (question.type === "multiple") group.append(makeElement("p", "quiz-hint", t("quiz.selectAll")));
+  if (question.type === "order") group.append(orderControls(question, solved));
+  else if (question.type === "match") group.append(matchControls(question, questionIndex, idPrefix, solved));
+  else if (question.type === "code") group.append(codeControls(question, solved));
+  else group.append(choiceControls(question, questionIndex, idPrefix, solved, order));
+
+  const feedback = document.createElement("p");
+  feedback.className = "quiz-feedback";
+  feedback.setAttribute("role", "status");
+  feedback.setAttribute("aria-live", "polite");
+  if (solved) {
+    feedback.classList.add("is-correct");
+    feedback.textContent = t("quiz.correct", { explanation: question.explanation });
+  }
+  group.append(feedback);
+  return group;
+}
+
+function shuffled(items) {
+  const list = [...items];
+  for (let index = list.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(Math.random() * (index + 1));
+    [list[index], list[swap]] = [list[swap], list[index]];
+  }
+  return list;
+}
+
+// A fresh draw each time a lesson opens: `draw` questions from the lesson's
+// bank (quizDraw unless the lesson sets one), kept in bank order, each with
+// its options in a new order.
+function drawQuiz(guide) {
+  const count = Math.min(guide.draw ?? quizDraw, guide.quiz.length);
+  return shuffled(guide.quiz.keys()).slice(0, count).sort((a, b) => a - b).map((index) => {
+    const question = guide.quiz[index];
+    return { index, question, order: shuffled(question.options?.keys() ?? []) };
+  });
+}
+
+function renderQuiz(lessonId) {
+  const container = lessonDialog.querySelector("[data-quiz-groups]");
+  container.replaceChildren(...lessonQuiz.map(({ index, question, order }, position) => renderQuestion(question, index, lessonId, lessonQuizResults[position], order)));
+}
+
+const normalizeBlank = (value) => value.trim().replace(/\s+/g, " ");
+
+// How many parts of a question the learner has right, out of how many, or null
+// until every part has an answer.
+function gradeQuestion(question, group) {
+  if (question.type === "order") {
+    const order = [...group.querySelectorAll(".quiz-order-item")].map((item) => Number(item.dataset.item));
+    return { right: order.filter((itemIndex, position) => itemIndex === position).length, total: order.length };
+  }
+  if (question.type === "match") {
+    const selects = [...group.querySelectorAll("select")];
+    if (selects.some((select) => !select.value)) return null;
+    return { right: selects.filter((select, pairIndex) => Number(select.value) === pairIndex).length, total: selects.length };
+  }
+  if (question.type === "code") {
+    const inputs = [...group.querySelectorAll(".quiz-blank")];
+    if (inputs.some((input) => !input.value.trim())) return null;
+    const right = inputs.filter((input, index) => question.blanks[index].some((answer) => normalizeBlank(answer) === normalizeBlank(input.value)));
+    return { right: right.length, total: inputs.length };
+  }
+  const checked = [...group.querySelectorAll("input:checked")].map((input) => Number(input.value));
+  if (!checked.length) return null;
+  if (question.type !== "multiple") return { right: Number(checked[0] === question.correctIndex), total: 1 };
+  const right = question.options.filter((_, index) => checked.includes(index) === question.correctIndexes.includes(index));
+  return { right: right.length, total: question.options.length };
+}
+
+// The answer as given, for the attempt history.
+function answerOf(question, group) {
+  if (question.type === "order") return [...group.querySelectorAll(".quiz-order-item")].map((item) => Number(item.dataset.item));
+  if (question.type === "match") return [...group.querySelectorAll("select")].map((select) => Number(select.value));
+  if (question.type === "code") return [...group.querySelectorAll(".quiz-blank")].map((input) => normalizeBlank(input.value).slice(0, 200));
+  const checked = [...group.querySelectorAll("input:checked")].map((input) => Number(input.value));
+  return question.type === "multiple" ? checked : checked[0];
+}
+
+// A wrongly chosen option shows why it is wrong, under its label.
+function showRationales(question, group) {
+  group.querySelectorAll(".quiz-rationale").forEach((node) => node.remove());
+  if (!question.rationales) return;
+  const right = question.type === "multiple" ? question.correctIndexes : [question.correctIndex];
+  group.querySelectorAll("input:checked").forEach((input) => {
+    const index = Number(input.value);
+    if (!right.includes(index)) input.closest("label").append(makeElement("small", "quiz-rationale", question.rationales[index]));
   });
 }
 
-function renderLessonRail(pathId, activeIndex) {
+// Writes a grade into the question's feedback line; true when fully right.
+function showGrade(question, grade, feedback) {
+  const correct = grade.right === grade.total;
+  if (question.options) showRationales(question, feedback.closest(".quiz-group"));
+  feedback.className = `quiz-feedback ${correct ? "is-correct" : "is-incorrect"}`;
+  if (correct) feedback.textContent = t("quiz.correct", { explanation: question.explanation });
+  else feedback.textContent = grade.total > 1 && grade.right > 0 ? t("quiz.partial", grade) : t("quiz.incorrect");
+  return correct;
+}
+
+function activeTrack() {
+  return tracks.find(({ id }) => id === activeTrackId) ?? null;
+}
+
+// The lessons the dialog's rail and pager step through: the track the lesson
+// was opened from, otherwise the lesson's own path.
+function lessonSequence() {
+  const track = activeTrack();
+  if (track) return track.lessons.map(lessonParts);
+  const { pathId } = activeLesson;
+  return pathData[pathId].modules.map((_, index) => ({ pathId, index }));
+}
+
+function activePosition(sequence) {
+  return sequence.findIndex(({ pathId, index }) => pathId === activeLesson.pathId && index === activeLesson.index);
+}
+
+function renderLessonRail() {
   const list = lessonDialog.querySelector(".lesson-rail-list");
   list.replaceChildren();
-  pathData[pathId].modules.forEach(([title], index) => {
+  const sequence = lessonSequence();
+  const current = activePosition(sequence);
+  sequence.forEach(({ pathId, index }, position) => {
     const lessonId = `${pathId}-${index + 1}`;
     const item = document.createElement("li");
     const button = document.createElement("button");
     button.type = "button";
-    button.className = index === activeIndex ? "is-active" : "";
-    button.setAttribute("aria-current", index === activeIndex ? "step" : "false");
+    button.className = position === current ? "is-active" : "";
+    button.setAttribute("aria-current", position === current ? "step" : "false");
     const number = document.createElement("span");
-    number.textContent = progress.has(lessonId) ? "✓" : String(index + 1).padStart(2, "0");
+    number.textContent = progress.has(lessonId) ? "✓" : String(position + 1).padStart(2, "0");
     const text = document.createElement("strong");
-    text.textContent = title;
+    text.textContent = pathData[pathId].modules[index].title;
     button.append(number, text);
     button.addEventListener("click", () => openLesson(pathId, index));
     item.append(button);
@@ -898,14 +2438,16 @@ function renderLessonRail(pathId, activeIndex) {
   });
 }
 
-function renderLessonPager(pathId, index) {
-  const modules = pathData[pathId].modules;
+function renderLessonPager() {
+  const sequence = lessonSequence();
+  const position = activePosition(sequence);
+  const title = (item) => (item ? pathData[item.pathId].modules[item.index].title : "");
   const previous = lessonDialog.querySelector(".lesson-prev");
   const next = lessonDialog.querySelector(".lesson-next");
-  previous.hidden = index === 0;
-  next.hidden = index === modules.length - 1;
-  previous.querySelector("strong").textContent = index > 0 ? modules[index - 1][0] : "";
-  next.querySelector("strong").textContent = index < modules.length - 1 ? modules[index + 1][0] : "";
+  previous.hidden = position === 0;
+  next.hidden = position === sequence.length - 1;
+  previous.querySelector("strong").textContent = title(sequence[position - 1]);
+  next.querySelector("strong").textContent = title(sequence[position + 1]);
 }
 
 function updateLessonGate() {
@@ -915,29 +2457,30 @@ function updateLessonGate() {
   const quizPassed = lessonQuizResults.length > 0 && lessonQuizResults.every(Boolean);
   const button = lessonDialog.querySelector(".complete-lesson");
   button.disabled = !(quizPassed && lessonArtifactSubmitted) || complete;
-  const label = document.createTextNode(complete ? "Lesson complete " : "Complete lesson ");
+  const label = document.createTextNode(`${complete ? t("lesson.completed") : t("lesson.completeAction")} `);
   const icon = document.createElement("span");
   icon.setAttribute("aria-hidden", "true");
   icon.textContent = "✓";
   button.replaceChildren(label, icon);
-  lessonDialog.querySelector(".lesson-state").textContent = complete ? "Complete" : "In progress";
+  lessonDialog.querySelector(".lesson-state").textContent = complete ? t("lesson.complete") : t("lesson.inProgress");
 }
 
 function checkLessonAnswer() {
   if (!activeLesson) return;
-  const guide = lessonGuides[activeLesson.pathId][activeLesson.index];
   const groups = lessonDialog.querySelectorAll(".quiz-group");
-  lessonQuizResults = guide.quiz.map((question, questionIndex) => {
-    const selected = groups[questionIndex]?.querySelector("input:checked");
-    const feedback = groups[questionIndex]?.querySelector(".quiz-feedback");
-    if (!selected || !feedback) return false;
-    const correct = Number(selected.value) === question[2];
-    feedback.className = `quiz-feedback ${correct ? "is-correct" : "is-incorrect"}`;
-    feedback.textContent = correct
-      ? `Correct — ${question[3]}`
-      : "Not quite. Revisit the principle above, then try again.";
+  const lessonId = `${activeLesson.pathId}-${activeLesson.index + 1}`;
+  const passed = lessonQuizResults;
+  lessonQuizResults = lessonQuiz.map(({ index, question }, position) => {
+    const group = groups[position];
+    const feedback = group?.querySelector(".quiz-feedback");
+    const grade = group && gradeQuestion(question, group);
+    if (!grade || !feedback) return false;
+    const correct = showGrade(question, grade, feedback);
+    // Re-checking a question that already passed is not a new attempt.
+    if (!(correct && passed[position])) recordAttempt(lessonId, index, answerOf(question, group), correct);
     return correct;
   });
+  saveAttempts();
   updateLessonGate();
 }
 
@@ -945,14 +2488,19 @@ function completeActiveLesson() {
   if (!activeLesson || !lessonQuizResults.every(Boolean) || !lessonArtifactSubmitted) return;
   const lessonId = `${activeLesson.pathId}-${activeLesson.index + 1}`;
   progress.add(lessonId);
-  trackEvent("lesson_complete", { path: activeLesson.pathId, lesson: lessonId });
+  scheduleLesson(lessonId, reviewIntervals[0]);
+  writeStorage(reviewKey, reviews);
+  // Pack path and lesson IDs are a team's own naming; they stay on the device.
+  if (corePathIds.includes(activeLesson.pathId)) trackEvent("lesson_complete", { path: activeLesson.pathId, lesson: lessonId });
+  else trackEvent("lesson_complete", { path: "pack" });
   updateProgressUI();
-  if (progress.size === canonicalLessonIdList.length && !certificateAwardedAt) {
+  if (hasCoreLessons(progress) && !certificateAwardedAt) {
     const awardedAt = new Date().toISOString();
     if (writeStorage(certificateDateKey, awardedAt)) certificateAwardedAt = awardedAt;
   }
   renderStudio();
-  renderLessonRail(activeLesson.pathId, activeLesson.index);
+  renderTracks();
+  renderLessonRail();
   updateLessonGate();
   lessonDialog.querySelector(".lesson-finish").scrollIntoView({ behavior: reduceMotion.matches ? "auto" : "smooth", block: "center" });
 }
@@ -960,35 +2508,36 @@ function completeActiveLesson() {
 function returnToPath() {
   if (!activeLesson) return;
   const { pathId } = activeLesson;
+  const trackId = activeTrackId;
   flushPendingSaves();
   lessonDialog.close();
   activeLesson = null;
+  if (trackId) {
+    commitNavigation({ type: "home" }, "replace");
+    focusTrack(trackId);
+    return;
+  }
   commitNavigation({ type: "path", pathId }, "replace");
   openPath(pathId, true);
 }
 
 function closeLesson() {
-  if (!activeLesson) return;
-  const { pathId } = activeLesson;
-  flushPendingSaves();
-  lessonDialog.close();
-  activeLesson = null;
-  commitNavigation({ type: "path", pathId }, "replace");
-  openPath(pathId, true);
+  returnToPath();
 }
 
 function moveLesson(offset) {
   if (!activeLesson) return;
-  const nextIndex = activeLesson.index + offset;
-  if (nextIndex >= 0 && nextIndex < pathData[activeLesson.pathId].modules.length) {
-    openLesson(activeLesson.pathId, nextIndex);
-  }
+  const sequence = lessonSequence();
+  const target = sequence[activePosition(sequence) + offset];
+  if (target) openLesson(target.pathId, target.index);
 }
 
 function updateDialogProgress(pathId) {
+  const total = pathData[pathId].modules.length;
   const complete = [...progress].filter((id) => id.startsWith(`${pathId}-`)).length;
   pathDialog.querySelector(".dialog-complete-count").textContent = complete;
-  pathDialog.querySelector(".dialog-progress .meter span").style.width = `${(complete / 6) * 100}%`;
+  pathDialog.querySelector(".dialog-total-count").textContent = total;
+  pathDialog.querySelector(".dialog-progress .meter span").style.width = `${(complete / total) * 100}%`;
 }
 
 function closePath(updateHash = true) {
@@ -1001,11 +2550,11 @@ function buildSearchIndex() {
   Object.entries(pathData).forEach(([pathId, path]) => {
     entries.push({
       title: path.title,
-      type: "Path",
+      type: t("search.typePath"),
       detail: path.description,
       action: () => openPath(pathId)
     });
-    path.modules.forEach(([title, detail], index) => {
+    path.modules.forEach(({ title, detail }, index) => {
       entries.push({
         title,
         type: path.title,
@@ -1033,16 +2582,25 @@ function buildSearchIndex() {
       }
     });
   });
-  Object.entries(pathData).forEach(([pathId, path]) => {
-    path.modules.forEach(([title, detail], index) => {
+  corePathIds.forEach((pathId) => {
+    const path = pathData[pathId];
+    path.modules.forEach(({ title, detail }, index) => {
       entries.push({
         title,
-        type: `${path.title} · article`,
-        detail: `Static lesson page — ${detail}`,
-        action: () => window.open(lessonUrl(pathId, index), "_blank", "noopener")
+        type: t("search.typeArticle", { path: path.title }),
+        detail: t("search.articleDetail", { detail }),
+        action: () => window.open(staticLessonUrl(pathId, index), "_blank", "noopener")
       });
     });
   });
+  glossary.forEach(({ term, definition }) => {
+    entries.push({
+      title: term,
+      type: t("search.typeTerm"),
+      detail: definition,
+      action: () => window.open(glossaryUrl(term), "_blank", "noopener")
+    });
+  });
   return entries;
 }
 
@@ -1059,14 +2617,14 @@ function renderSearchResults(query = "") {
 
   results.replaceChildren();
   if (!matches.length) {
-    count.textContent = normalized ? `No results for “${query.trim()}”.` : "";
+    count.textContent = normalized ? t("search.noResults", { query: query.trim() }) : "";
     const empty = document.createElement("p");
     empty.className = "empty-search";
-    empty.textContent = "No exact match. Try a broader idea or browse a learning path.";
+    empty.textContent = t("search.empty");
     results.append(empty);
     return;
   }
-  count.textContent = `${matches.length} result${matches.length === 1 ? "" : "s"}.`;
+  count.textContent = t("search.count", { count: matches.length });
 
   const template = document.querySelector("#search-result-template");
   matches.forEach((item) => {
@@ -1117,51 +2675,51 @@ function openSearch() {
 
 function initializeCapabilities() {
   const tests = [
-    ["startViewTransition" in document, "View transitions"],
-    [CSS.supports("anchor-name: --learnweb") && CSS.supports("position-anchor: --learnweb") && CSS.supports("position-area: block-start"), "Anchor position"],
-    ["highlights" in CSS, "CSS highlights"],
-    ["navigation" in window, "Navigation API"]
+    ["startViewTransition" in document, t("capability.viewTransitions")],
+    [CSS.supports("anchor-name: --learnweb") && CSS.supports("position-anchor: --learnweb") && CSS.supports("position-area: block-start"), t("capability.anchor")],
+    ["highlights" in CSS, t("capability.highlights")],
+    ["navigation" in window, t("capability.navigation")]
   ];
   document.querySelectorAll("[data-capabilities] div").forEach((row, index) => {
     const [supported, label] = tests[index];
     const output = row.querySelector("strong");
     row.querySelector("span").textContent = label;
-    output.textContent = supported ? "ready" : "fallback";
+    output.textContent = supported ? t("capability.ready") : t("capability.fallback");
     output.dataset.supported = String(supported);
   });
 }
 
 const starterCode = {};
+const playgroundEditors = {};
 
 function setEditorMode(enabled) {
   editorInsertMode = enabled;
   document.querySelectorAll("[data-editor-mode]").forEach((button) => {
     button.setAttribute("aria-pressed", String(enabled));
-    button.textContent = enabled ? "Tab: spaces (Esc exits)" : "Tab: navigate";
+    button.textContent = enabled ? t("editor.modeOn") : t("editor.modeOff");
   });
 }
 
 function initializePlayground() {
   document.querySelectorAll("[data-editor]").forEach((editor) => {
     starterCode[editor.dataset.editor] = editor.value;
+    playgroundEditors[editor.dataset.editor] = createCodeEditor(editor, {
+      language: editor.dataset.editor,
+      tabInserts: () => editorInsertMode,
+      exitInsert: () => setEditorMode(false)
+    });
     editor.addEventListener("keydown", (event) => {
-      if (event.key === "Tab" && editorInsertMode) {
-        event.preventDefault();
-        const start = editor.selectionStart;
-        const end = editor.selectionEnd;
-        editor.setRangeText("  ", start, end, "end");
-      }
-      if (event.key === "Escape" && editorInsertMode) {
-        setEditorMode(false);
-        event.stopPropagation();
-      }
       if ((event.metaKey || event.ctrlKey) && event.key === "Enter") runCode();
     });
   });
-  document.querySelectorAll("[data-editor-mode]").forEach((button) => {
+  document.querySelectorAll(".playground [data-editor-mode]").forEach((button) => {
+    button.title = t("editor.modeHint");
     button.addEventListener("click", () => setEditorMode(button.getAttribute("aria-pressed") !== "true"));
   });
   setEditorMode(false);
+  const frame = document.querySelector(".lab-frame");
+  frame.after(createConsolePanel(frame), createAuditPanel(frame));
+  document.querySelector(".preview-label").after(createPreviewToolbar(frame));
   runCode();
 }
 
@@ -1172,18 +2730,18 @@ function runCode() {
   const frame = document.querySelector(".lab-frame");
   postPreviewState(frame, { html, css, js });
   const status = document.querySelector(".run-status");
-  status.textContent = "Rendered";
-  setTimeout(() => { status.textContent = "Ready"; }, 1200);
+  status.textContent = t("lab.rendered");
+  setTimeout(() => { status.textContent = t("lab.ready"); }, 1200);
 }
 
 function stopCode() {
   clearPreviewState(document.querySelector(".lab-frame"));
-  document.querySelector(".run-status").textContent = "Stopped";
+  document.querySelector(".run-status").textContent = t("lab.stopped");
 }
 
 function resetCode() {
   Object.entries(starterCode).forEach(([name, value]) => {
-    document.querySelector(`[data-editor="${name}"]`).value = value;
+    playgroundEditors[name].setValue(value);
   });
   runCode();
 }
@@ -1208,7 +2766,7 @@ document.querySelectorAll("[data-open-path]").forEach((link) => {
 });
 
 pathDialog.querySelector(".dialog-close").addEventListener("click", closePath);
-["placement-dialog", "changelog-dialog", "certificate-dialog", "about-dialog"].forEach((id) => {
+["placement-dialog", "changelog-dialog", "certificate-dialog", "about-dialog", "review-dialog", "exam-dialog"].forEach((id) => {
   document.querySelector(`#${id} .dialog-close`)?.addEventListener("click", () => document.querySelector(`#${id}`).close());
 });
 pathDialog.addEventListener("click", (event) => {
@@ -1221,6 +2779,10 @@ pathDialog.addEventListener("cancel", (event) => {
 
 document.querySelector(".lesson-back").addEventListener("click", returnToPath);
 document.querySelector(".lesson-close").addEventListener("click", closeLesson);
+lessonDialog.addEventListener("close", () => {
+  activeTrackId = null;
+  workspaceTeardown.abort();
+});
 lessonDialog.addEventListener("cancel", (event) => {
   event.preventDefault();
   returnToPath();
@@ -1234,24 +2796,24 @@ document.querySelector("#lesson-note").addEventListener("input", (event) => {
   const lessonId = `${activeLesson.pathId}-${activeLesson.index + 1}`;
   pendingNoteLessonId = lessonId;
   pendingNoteValue = event.currentTarget.value;
-  lessonDialog.querySelector(".note-status").textContent = "Saving…";
+  lessonDialog.querySelector(".note-status").textContent = t("notes.saving");
   clearTimeout(noteSaveTimer);
   noteSaveTimer = setTimeout(() => {
     lessonNotes[pendingNoteLessonId] = pendingNoteValue;
     pendingNoteLessonId = null;
     pendingNoteValue = null;
     const saved = writeStorage(notesKey, lessonNotes);
-    lessonDialog.querySelector(".note-status").textContent = saved ? "Saved locally" : "Save failed — storage unavailable";
+    lessonDialog.querySelector(".note-status").textContent = saved ? t("notes.saved") : t("notes.failed");
   }, 350);
 });
 document.querySelector(".copy-example").addEventListener("click", async (event) => {
   const code = lessonDialog.querySelector(".lesson-example code").textContent;
   try {
     await navigator.clipboard.writeText(code);
-    event.currentTarget.textContent = "Copied";
-    setTimeout(() => { event.currentTarget.textContent = "Copy"; }, 1200);
+    event.currentTarget.textContent = t("lesson.copied");
+    setTimeout(() => { event.currentTarget.textContent = t("lesson.copy"); }, 1200);
   } catch {
-    event.currentTarget.textContent = "Select code to copy";
+    event.currentTarget.textContent = t("lesson.copySelect");
   }
 });
 
@@ -1279,7 +2841,7 @@ function refreshOpenDialogsAfterReset() {
     if (pathData[pathId]) openPath(pathId, true);
   }
   if (lessonDialog.open && activeLesson) {
-    lessonQuizResults = lessonGuides[activeLesson.pathId][activeLesson.index].quiz.map(() => false);
+    lessonQuizResults = lessonQuiz.map(() => false);
     lessonArtifactSubmitted = false;
     openLesson(activeLesson.pathId, activeLesson.index, true);
   }
@@ -1287,16 +2849,20 @@ function refreshOpenDialogsAfterReset() {
 
 document.querySelector(".reset-progress").addEventListener("click", () => {
   if (progress.size === 0 && !certificateAwardedAt) return;
-  if (!confirm("Reset all lesson progress? Your notes and artifacts stay. You can undo this for the next 10 seconds.")) return;
+  if (!confirm(t("progress.resetConfirm"))) return;
   resetSnapshot = {
     progress: [...progress],
-    certificateAwardedAt
+    certificateAwardedAt,
+    mastery: { ...mastery }
   };
   progress.clear();
   certificateAwardedAt = null;
+  replaceObject(mastery, {});
   writeStorage(certificateDateKey, null);
+  writeStorage(masteryKey, mastery);
   updateProgressUI();
   renderStudio();
+  renderTracks();
   refreshOpenDialogsAfterReset();
   const undo = document.querySelector("[data-undo-reset]");
   if (undo) undo.hidden = false;
@@ -1311,14 +2877,17 @@ document.querySelector("[data-undo-reset]")?.addEventListener("click", () => {
   if (!resetSnapshot) return;
   resetSnapshot.progress.forEach((id) => progress.add(id));
   certificateAwardedAt = resetSnapshot.certificateAwardedAt;
+  replaceObject(mastery, resetSnapshot.mastery);
   writeStorage(storageKey, [...progress]);
   writeStorage(certificateDateKey, certificateAwardedAt);
+  writeStorage(masteryKey, mastery);
   resetSnapshot = null;
   clearTimeout(resetUndoTimer);
   const undo = document.querySelector("[data-undo-reset]");
   if (undo) undo.hidden = true;
   updateProgressUI();
   renderStudio();
+  renderTracks();
   refreshOpenDialogsAfterReset();
 });
 
@@ -1374,14 +2943,6 @@ bindTablist(document.querySelector(".editor-tabs"), (tab) => {
   });
 });
 
-document.querySelectorAll("[data-preview-size]").forEach((button) => {
-  button.addEventListener("click", () => {
-    const size = button.dataset.previewSize;
-    document.querySelector("[data-playground]").dataset.size = size;
-    document.querySelectorAll("[data-preview-size]").forEach((item) => item.setAttribute("aria-pressed", String(item === button)));
-  });
-});
-
 document.querySelector(".run-code").addEventListener("click", runCode);
 document.querySelector(".stop-code").addEventListener("click", stopCode);
 document.querySelector(".reset-code").addEventListener("click", resetCode);
@@ -1431,7 +2992,7 @@ function scorePlacement() {
   if (answered < placementQuiz.length) {
     result.hidden = false;
     result.className = "placement-result";
-    result.textContent = `Answer all ${placementQuiz.length} questions to get a recommendation.`;
+    result.textContent = t("placement.answerAll", { count: placementQuiz.length });
     return;
   }
   const best = [...pathOrder].sort((a, b) => votes[b] - votes[a])[0];
@@ -1440,13 +3001,13 @@ function scorePlacement() {
   result.className = "placement-result is-ready";
   result.replaceChildren();
   result.append(
-    Object.assign(document.createElement("strong"), { textContent: `Start with ${path.title}.` }),
+    Object.assign(document.createElement("strong"), { textContent: t("placement.startWith", { path: path.title }) }),
     document.createTextNode(` ${path.description} `)
   );
   const open = document.createElement("button");
   open.className = "button button-primary";
   open.type = "button";
-  open.textContent = "Open this path ↗";
+  open.textContent = t("placement.open");
   open.addEventListener("click", () => {
     document.querySelector("#placement-dialog").close();
     openPath(best);
@@ -1486,16 +3047,8 @@ function submittedArtifacts() {
   return Object.entries(lessonWorkspaces).filter(([, state]) => state.submitted);
 }
 
-function artifactLesson(lessonId) {
-  const match = lessonId.match(/^([a-z]+)-([1-9])$/);
-  if (!match) return null;
-  const [pathId, index] = [match[1], Number(match[2]) - 1];
-  if (!pathData[pathId]?.modules[index]) return null;
-  return { pathId, index };
-}
-
 function artifactShareText(pathId, index, title) {
-  return `I finished "${title}" on learn.web — a free, project-based field guide to the modern web. Try it: ${siteUrl}${lessonUrl(pathId, index)}`;
+  return t("studio.shareText", { title, url: `${siteUrl}${staticLessonUrl(pathId, index)}` });
 }
 
 function renderStudio() {
@@ -1514,8 +3067,9 @@ function renderStudio() {
     const section = document.createElement("section");
     section.className = "studio-path";
     section.append(Object.assign(document.createElement("h3"), { textContent: path.title }));
+    if (mastery[pathId]) section.append(makeElement("p", "studio-badge", t("exam.badge", { date: masteryDate(mastery[pathId]) })));
     let any = false;
-    path.modules.forEach(([title], index) => {
+    path.modules.forEach(({ title }, index) => {
       const lessonId = `${pathId}-${index + 1}`;
       const state = lessonWorkspaces[lessonId];
       if (!state?.submitted) return;
@@ -1525,21 +3079,21 @@ function renderStudio() {
       row.append(Object.assign(document.createElement("strong"), { textContent: title }));
       const actions = document.createElement("div");
       actions.className = "studio-artifact-actions";
-      const openButton = makeElement("button", "", "Open");
+      const openButton = makeElement("button", "", t("studio.open"));
       openButton.type = "button";
       openButton.addEventListener("click", () => openLesson(pathId, index));
-      const exportButton = makeElement("button", "", "Export");
+      const exportButton = makeElement("button", "", t("studio.export"));
       exportButton.type = "button";
       exportButton.addEventListener("click", () => exportWorkspaceArtifact(lessonId, pathId, index, state));
-      const shareButton = makeElement("button", "", "Copy share text");
+      const shareButton = makeElement("button", "", t("studio.share"));
       shareButton.type = "button";
       shareButton.addEventListener("click", async () => {
         try {
           await navigator.clipboard.writeText(artifactShareText(pathId, index, title));
-          shareButton.textContent = "Copied";
-          setTimeout(() => { shareButton.textContent = "Copy share text"; }, 1200);
+          shareButton.textContent = t("studio.copied");
+          setTimeout(() => { shareButton.textContent = t("studio.share"); }, 1200);
         } catch {
-          shareButton.textContent = "Copy failed";
+          shareButton.textContent = t("studio.copyFailed");
         }
       });
       actions.append(openButton, exportButton, shareButton);
@@ -1547,12 +3101,642 @@ function renderStudio() {
       section.append(row);
     });
     if (!any) {
-      section.append(Object.assign(document.createElement("p"), { className: "studio-empty", textContent: "No artifacts submitted yet in this path." }));
+      section.append(Object.assign(document.createElement("p"), { className: "studio-empty", textContent: t("studio.empty") }));
     }
     list.append(section);
   });
 
-  mount.querySelector("[data-studio-certificate]").hidden = completeCount < total || !certificateAwardedAt;
+  mount.querySelector("[data-studio-certificate]").hidden = !hasCoreLessons(progress) || !certificateAwardedAt;
+  renderReviewSummary();
+  renderWeakSpots();
+}
+
+// ——— Tracks ———
+// Learner-built sequences across paths, e.g. an onboarding plan of
+// accessibility-2, platform-1, accessibility-3, ux-5. They reuse lesson IDs,
+// so progress is shared with the paths; only the order is the track's own.
+function saveTracks() {
+  writeStorage(tracksKey, tracks);
+  renderTracks();
+}
+
+function parseLessonList(text) {
+  const ids = [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+  return { lessons: ids.filter((id) => canonicalLessonIds.has(id)), unknown: ids.filter((id) => !canonicalLessonIds.has(id)) };
+}
+
+function announceTracks(message) {
+  const status = document.querySelector("[data-track-status]");
+  if (!status) return;
+  status.textContent = message;
+  setTimeout(() => { if (status.textContent === message) status.textContent = ""; }, 5000);
+}
+
+function createTrack(form) {
+  const name = form.elements.name.value.trim();
+  const { lessons, unknown } = parseLessonList(form.elements.lessons.value);
+  if (!name) return;
+  if (unknown.length) {
+    announceTracks(t("tracks.unknown", { ids: unknown.join(", "), count: unknown.length }));
+    form.elements.lessons.focus();
+    return;
+  }
+  if (tracks.length >= 50) {
+    announceTracks(t("tracks.limit"));
+    return;
+  }
+  tracks.push({ id: `track-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: name.slice(0, 80), lessons });
+  saveTracks();
+  form.reset();
+  announceTracks(t("tracks.created", { name }));
+}
+
+// The first lesson not yet complete, or the first lesson once all are.
+function followTrack(track) {
+  const lessonId = track.lessons.find((id) => !progress.has(id)) ?? track.lessons[0];
+  if (!lessonId) return;
+  const { pathId, index } = lessonParts(lessonId);
+  activeTrackId = track.id;
+  openLesson(pathId, index);
+}
+
+function focusTrack(trackId) {
+  const card = document.querySelector(`[data-track-id="${trackId}"]`);
+  if (!card) return;
+  card.scrollIntoView({ behavior: reduceMotion.matches ? "auto" : "smooth", block: "center" });
+  card.querySelector(".track-name").focus({ preventScroll: true });
+}
+
+// Re-rendering replaces the card, so focus moves to its counterpart, or to
+// the card's lesson picker when the control is gone.
+function updateTrack(track, change, focusSelector) {
+  change(track);
+  saveTracks();
+  const card = document.querySelector(`[data-track-id="${track.id}"]`);
+  if (focusSelector) (card?.querySelector(focusSelector) ?? card?.querySelector(".track-add select"))?.focus();
+}
+
+function lessonOptions() {
+  return pathOrder.map((pathId) => {
+    const group = document.createElement("optgroup");
+    group.label = pathData[pathId].title;
+    pathData[pathId].modules.forEach(({ title }, index) => group.append(new Option(`${pathId}-${index + 1} · ${title}`, `${pathId}-${index + 1}`)));
+    return group;
+  });
+}
+
+function renderTrackLesson(track, lessonId, position) {
+  const { pathId, index } = lessonParts(lessonId);
+  const { title } = pathData[pathId].modules[index];
+  const item = makeElement("li", progress.has(lessonId) ? "track-lesson is-complete" : "track-lesson");
+  const status = makeElement("span", "track-lesson-status", progress.has(lessonId) ? "✓" : String(position + 1).padStart(2, "0"));
+  status.setAttribute("aria-hidden", "true");
+  const open = makeElement("a", "track-lesson-open", title);
+  open.href = staticLessonUrl(pathId, index);
+  open.append(makeElement("small", "", ` · ${pathData[pathId].title}`));
+  if (progress.has(lessonId)) open.append(makeElement("span", "sr-only", ` ${t("module.prereqDone")}`));
+  open.addEventListener("click", (event) => {
+    if (!plainActivation(event)) return;
+    event.preventDefault();
+    activeTrackId = track.id;
+    openLesson(pathId, index);
+  });
+  const actions = makeElement("span", "track-lesson-actions");
+  const button = (action, label, symbol, disabled, change) => {
+    const control = makeElement("button", "", symbol);
+    control.type = "button";
+    control.dataset.trackAction = `${action}-${lessonId}`;
+    control.setAttribute("aria-label", t(label, { title }));
+    control.disabled = disabled;
+    control.addEventListener("click", () => updateTrack(track, change, `[data-track-action$="-${lessonId}"]:not(:disabled)`));
+    actions.append(control);
+  };
+  const swap = (offset) => (current) => {
+    const lessons = current.lessons;
+    [lessons[position], lessons[position + offset]] = [lessons[position + offset], lessons[position]];
+  };
+  button("up", "tracks.moveUp", "↑", position === 0, swap(-1));
+  button("down", "tracks.moveDown", "↓", position === track.lessons.length - 1, swap(1));
+  button("remove", "tracks.remove", "×", false, (current) => current.lessons.splice(position, 1));
+  item.append(status, open, actions);
+  return item;
+}
+
+function renderTracks() {
+  const list = document.querySelector("[data-track-list]");
+  if (!list) return;
+  list.replaceChildren();
+  document.querySelector("[data-tracks-empty]").hidden = tracks.length > 0;
+  tracks.forEach((track) => {
+    const complete = track.lessons.filter((id) => progress.has(id)).length;
+    const total = track.lessons.length;
+    const card = makeElement("li", "track-card");
+    card.dataset.trackId = track.id;
+
+    const head = makeElement("div", "track-head");
+    const name = makeElement("input", "track-name");
+    name.value = track.name;
+    name.maxLength = 80;
+    name.setAttribute("aria-label", t("tracks.name"));
+    const meter = makeElement("div", "track-progress");
+    const count = makeElement("span", "", t("tracks.progress", { complete, total }));
+    const bar = makeElement("div", "meter");
+    bar.setAttribute("aria-hidden", "true");
+    const fill = document.createElement("span");
+    fill.style.width = `${total ? (complete / total) * 100 : 0}%`;
+    bar.append(fill);
+    meter.append(count, bar);
+    head.append(name, meter);
+
+    const lessons = makeElement("ol", "track-lessons");
+    track.lessons.forEach((lessonId, position) => lessons.append(renderTrackLesson(track, lessonId, position)));
+    if (!total) lessons.append(makeElement("li", "track-empty", t("tracks.noLessons")));
+
+    const add = makeElement("div", "track-add");
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", t("tracks.addLabel", { name: track.name }));
+    select.append(...lessonOptions());
+    const addButton = makeElement("button", "button button-ghost", t("tracks.add"));
+    addButton.type = "button";
+    addButton.addEventListener("click", () => {
+      if (track.lessons.includes(select.value)) {
+        announceTracks(t("tracks.duplicate"));
+        return;
+      }
+      updateTrack(track, (current) => current.lessons.push(select.value), ".track-add select");
+    });
+    add.append(select, addButton);
+    // Renaming saves without re-rendering so focus stays where the learner tabbed.
+    name.addEventListener("change", () => {
+      if (!name.value.trim()) name.value = track.name;
+      track.name = name.value.trim();
+      select.setAttribute("aria-label", t("tracks.addLabel", { name: track.name }));
+      writeStorage(tracksKey, tracks);
+    });
+
+    const actions = makeElement("div", "track-actions");
+    const follow = makeElement("button", "button button-primary", t(!complete ? "tracks.start" : complete === total ? "tracks.review" : "tracks.continue"));
+    follow.type = "button";
+    follow.disabled = !total;
+    follow.addEventListener("click", () => followTrack(track));
+    const remove = makeElement("button", "text-button", t("tracks.delete"));
+    remove.type = "button";
+    remove.addEventListener("click", () => {
+      if (!confirm(t("tracks.deleteConfirm", { name: track.name }))) return;
+      tracks.splice(tracks.indexOf(track), 1);
+      saveTracks();
+      document.querySelector("[data-track-create] input")?.focus();
+    });
+    actions.append(follow, remove);
+
+    card.append(head, lessons, add, actions);
+    list.append(card);
+  });
+}
+
+// ——— Curriculum packs ———
+// A pack is one extra path in a JSON file (see README). Importing validates it
+// with the same schema and path rules as npm run check, then stores it here.
+function announcePacks(message) {
+  const status = document.querySelector("[data-pack-status]");
+  if (!status) return;
+  status.textContent = message;
+  setTimeout(() => { if (status.textContent === message) status.textContent = ""; }, 5000);
+}
+
+// Lessons can disappear when a pack is removed or replaced by a shorter one;
+// their progress, notes, workspaces, and track entries go with them.
+function pruneLessonData() {
+  [...progress].filter((id) => !canonicalLessonIds.has(id)).forEach((id) => progress.delete(id));
+  Object.keys(lessonNotes).filter((id) => !canonicalLessonIds.has(id)).forEach((id) => { delete lessonNotes[id]; });
+  Object.entries(lessonWorkspaces).filter(([id, state]) => !normalizeWorkspaceState(id, state)).forEach(([id]) => { delete lessonWorkspaces[id]; });
+  tracks.forEach((track) => { track.lessons = track.lessons.filter((id) => canonicalLessonIds.has(id)); });
+  replaceObject(reviews, sanitizeReviews(reviews));
+  attempts.splice(0, attempts.length, ...sanitizeAttempts(attempts));
+  replaceObject(mastery, sanitizeMastery(mastery, progress));
+  replaceObject(workspaceHistory, sanitizeWorkspaceHistory(workspaceHistory));
+  writeStorage(notesKey, lessonNotes);
+  writeStorage(workspacesKey, lessonWorkspaces);
+  writeStorage(tracksKey, tracks);
+  writeStorage(attemptsKey, attempts);
+  writeStorage(masteryKey, mastery);
+  writeStorage(workspaceHistoryKey, workspaceHistory);
+}
+
+// Re-renders everything derived from the set of paths.
+function refreshCurriculum() {
+  pruneLessonData();
+  syncReviews();
+  searchIndex.splice(0, searchIndex.length, ...buildSearchIndex());
+  updateProgressUI();
+  renderPacks();
+  renderStudio();
+  renderTracks();
+}
+
+function importPack(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const errorList = document.querySelector("[data-pack-errors]");
+    errorList.replaceChildren();
+    errorList.hidden = true;
+    let pack;
+    try {
+      pack = JSON.parse(reader.result);
+    } catch {
+      announcePacks(t("packs.notJson"));
+      return;
+    }
+    const position = packs.findIndex(({ pathId }) => pathId === pack?.pathId);
+    const errors = validatePack(pack, [...corePathIds, ...packs.filter((_, index) => index !== position).map(({ pathId }) => pathId)]);
+    if (errors.length) {
+      announcePacks(t("packs.invalid", { count: errors.length }));
+      errorList.append(...errors.slice(0, 8).map((error) => makeElement("li", "", error)));
+      if (errors.length > 8) errorList.append(makeElement("li", "", t("packs.moreErrors", { count: errors.length - 8 })));
+      errorList.hidden = false;
+      return;
+    }
+    if (position >= 0 && !confirm(t("packs.replaceConfirm", { title: pack.path.title }))) return;
+    usePacks(position >= 0 ? packs.map((installed, index) => (index === position ? pack : installed)) : [...packs, pack]);
+    const stored = writeStorage(packsKey, packs);
+    refreshCurriculum();
+    announcePacks(t(stored ? "packs.imported" : "packs.importedSession", { title: pack.path.title, count: pack.path.modules.length }));
+  };
+  reader.readAsText(file);
+}
+
+function removePack(pathId) {
+  if (!confirm(t("packs.removeConfirm", { title: pathData[pathId].title }))) return;
+  usePacks(packs.filter((pack) => pack.pathId !== pathId));
+  writeStorage(packsKey, packs);
+  refreshCurriculum();
+  document.querySelector("[data-packs-title]")?.focus();
+}
+
+// Built-in path cards are static HTML; pack cards follow them in the grid.
+function renderPackCards() {
+  const grid = document.querySelector(".path-grid");
+  if (!grid) return;
+  grid.querySelectorAll(".path-pack").forEach((card) => card.remove());
+  packs.forEach(({ pathId }) => {
+    const path = pathData[pathId];
+    const lessonIds = path.modules.map((_, index) => `${pathId}-${index + 1}`);
+    const card = makeElement("article", "path-card path-pack");
+    card.dataset.path = pathId;
+    card.style.setProperty("--path-accent", path.accent);
+    const icon = makeElement("div", "path-icon", path.symbol);
+    icon.setAttribute("aria-hidden", "true");
+    const meta = makeElement("p", "path-meta");
+    meta.append(
+      makeElement("span", "", t("packs.lessons", { count: path.modules.length })),
+      makeElement("span", "", t("packs.progress", { complete: lessonIds.filter((id) => progress.has(id)).length, total: lessonIds.length })),
+      makeElement("span", "", t("packs.badge"))
+    );
+    const open = makeElement("a", "path-open", `${t("packs.explore")} `);
+    open.href = `#path-${pathId}`;
+    const arrow = makeElement("span", "", "↗");
+    arrow.setAttribute("aria-hidden", "true");
+    open.append(arrow);
+    open.addEventListener("click", (event) => {
+      if (!plainActivation(event)) return;
+      event.preventDefault();
+      openPath(pathId);
+    });
+    card.append(makeElement("div", "path-number", String(pathOrder.indexOf(pathId) + 1).padStart(2, "0")), icon, meta, makeElement("h3", "", path.title), makeElement("p", "", path.description), open);
+    grid.append(card);
+  });
+}
+
+function renderPacks() {
+  const list = document.querySelector("[data-pack-list]");
+  if (!list) return;
+  list.replaceChildren(...packs.map(({ pathId }) => {
+    const path = pathData[pathId];
+    const item = makeElement("li", "pack-item");
+    const copy = makeElement("div", "pack-copy");
+    copy.append(makeElement("strong", "", path.title), makeElement("small", "", t("packs.meta", { pathId, count: path.modules.length })));
+    const open = makeElement("button", "button button-ghost", t("packs.open"));
+    open.type = "button";
+    open.addEventListener("click", () => openPath(pathId));
+    const remove = makeElement("button", "text-button", t("packs.remove"));
+    remove.type = "button";
+    remove.setAttribute("aria-label", t("packs.removeLabel", { title: path.title }));
+    remove.addEventListener("click", () => removePack(pathId));
+    item.append(copy, open, remove);
+    return item;
+  }));
+  document.querySelector("[data-packs-empty]").hidden = packs.length > 0;
+}
+
+// ——— Review ———
+// Completed lessons' questions come back on the reviewIntervals schedule.
+// Lessons completed before the schedule existed, or restored from a backup
+// without one, are due at once.
+function localDay(offset = 0) {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, "0")).join("-");
+}
+
+function scheduleLesson(lessonId, offset) {
+  const { pathId, index } = lessonParts(lessonId);
+  reviews[lessonId] = lessonGuides[pathId][index].quiz.map(() => ({ box: 0, due: localDay(offset) }));
+}
+
+function syncReviews() {
+  canonicalLessonIdList.filter((id) => progress.has(id) && !reviews[id]).forEach((id) => scheduleLesson(id, 0));
+  writeStorage(reviewKey, reviews);
+}
+
+// Cards of lessons that are no longer complete stay stored, so undoing a
+// progress reset keeps their schedule, but are never due.
+function reviewCards() {
+  return canonicalLessonIdList.filter((id) => progress.has(id) && reviews[id])
+    .flatMap((lessonId) => reviews[lessonId].map(({ due }, questionIndex) => ({ lessonId, questionIndex, due })));
+}
+
+function dueReviews() {
+  const today = localDay();
+  return reviewCards().filter(({ due }) => due <= today).sort((a, b) => a.due.localeCompare(b.due));
+}
+
+function nextReviewDay() {
+  const today = localDay();
+  return reviewCards().map(({ due }) => due).filter((due) => due > today).sort()[0] ?? null;
+}
+
+function recordReview(lessonId, questionIndex, correct) {
+  const card = reviews[lessonId][questionIndex];
+  card.box = correct ? Math.min(card.box + 1, reviewIntervals.length - 1) : 0;
+  card.due = localDay(reviewIntervals[card.box]);
+  writeStorage(reviewKey, reviews);
+  return card.due;
+}
+
+function renderReviewSummary() {
+  const mount = document.querySelector("[data-review]");
+  if (!mount) return;
+  const due = dueReviews().length;
+  const next = nextReviewDay();
+  mount.querySelector("[data-review-due]").textContent = due;
+  mount.querySelector("[data-review-label]").textContent = t("review.due", { count: due });
+  mount.querySelector("[data-review-next]").textContent = due ? "" : next ? t("review.nextOn", { date: longDate(next) }) : t("review.none");
+  mount.querySelector("[data-open-review]").disabled = due === 0;
+}
+
+let reviewSession = null;
+
+function openReview() {
+  const dialog = document.querySelector("#review-dialog");
+  // Twenty questions at a time; the rest stay due for the next session.
+  const queue = dueReviews().slice(0, 20);
+  if (!dialog || !queue.length) return;
+  reviewSession = { queue, position: 0, right: 0, checked: false };
+  renderReviewQuestion();
+  if (!dialog.open) dialog.showModal();
+}
+
+function reviewQuestion() {
+  const { lessonId, questionIndex } = reviewSession.queue[reviewSession.position];
+  const { pathId, index } = lessonParts(lessonId);
+  return { lessonId, questionIndex, pathId, index, question: lessonGuides[pathId][index].quiz[questionIndex] };
+}
+
+function renderReviewQuestion() {
+  const dialog = document.querySelector("#review-dialog");
+  const { lessonId, questionIndex, pathId, index, question } = reviewQuestion();
+  reviewSession.checked = false;
+  dialog.querySelector("[data-review-meta]").textContent = t("review.progress", {
+    position: reviewSession.position + 1,
+    total: reviewSession.queue.length,
+    lesson: pathData[pathId].modules[index].title
+  });
+  dialog.querySelector("[data-review-question]").replaceChildren(renderQuestion(question, questionIndex, `review-${lessonId}`, false));
+  dialog.querySelector("[data-review-summary]").hidden = true;
+  dialog.querySelector("[data-review-check]").hidden = false;
+  dialog.querySelector("[data-review-next]").hidden = true;
+}
+
+function checkReviewAnswer() {
+  if (!reviewSession || reviewSession.checked) return;
+  const dialog = document.querySelector("#review-dialog");
+  const { lessonId, questionIndex, question } = reviewQuestion();
+  const group = dialog.querySelector("[data-review-question] .quiz-group");
+  const feedback = group.querySelector(".quiz-feedback");
+  const grade = gradeQuestion(question, group);
+  if (!grade) {
+    feedback.className = "quiz-feedback is-incorrect";
+    feedback.textContent = t("review.answerFirst");
+    return;
+  }
+  const correct = grade.right === grade.total;
+  const due = recordReview(lessonId, questionIndex, correct);
+  recordAttempt(lessonId, questionIndex, answerOf(question, group), correct);
+  saveAttempts();
+  reviewSession.checked = true;
+  if (correct) reviewSession.right += 1;
+  group.disabled = true;
+  feedback.className = `quiz-feedback ${correct ? "is-correct" : "is-incorrect"}`;
+  feedback.textContent = t(correct ? "review.correct" : "review.incorrect", { explanation: question.explanation, date: longDate(due) });
+  const last = reviewSession.position === reviewSession.queue.length - 1;
+  const next = dialog.querySelector("[data-review-next]");
+  next.textContent = t(last ? "review.finish" : "review.next");
+  next.hidden = false;
+  dialog.querySelector("[data-review-check]").hidden = true;
+  next.focus();
+}
+
+function nextReviewQuestion() {
+  if (!reviewSession?.checked) return;
+  const dialog = document.querySelector("#review-dialog");
+  reviewSession.position += 1;
+  if (reviewSession.position < reviewSession.queue.length) {
+    renderReviewQuestion();
+    dialog.querySelector("[data-review-question] input, [data-review-question] select, [data-review-question] button")?.focus();
+    return;
+  }
+  const { right, queue } = reviewSession;
+  const next = nextReviewDay();
+  const summary = dialog.querySelector("[data-review-summary]");
+  summary.textContent = `${t("review.done", { count: queue.length, right })} ${next ? t("review.nextOn", { date: longDate(next) }) : ""}`.trim();
+  summary.hidden = false;
+  dialog.querySelector("[data-review-meta]").textContent = "";
+  dialog.querySelector("[data-review-question]").replaceChildren();
+  dialog.querySelector("[data-review-next]").hidden = true;
+  reviewSession = null;
+  renderReviewSummary();
+  summary.focus();
+}
+
+// ——— Weak spots ———
+// A report built from the attempt history: the questions missed most and the
+// lessons they belong to. It reads local data only.
+function recordAttempt(lessonId, questionIndex, answer, correct) {
+  attempts.push({ lesson: lessonId, question: questionIndex, answer, correct, at: new Date().toISOString() });
+  attempts.splice(0, Math.max(0, attempts.length - attemptLimit));
+}
+
+function saveAttempts() {
+  writeStorage(attemptsKey, attempts);
+  renderWeakSpots();
+}
+
+function weakSpotLink(lessonId) {
+  const { pathId, index } = lessonParts(lessonId);
+  const link = makeElement("a", "weak-lesson", pathData[pathId].modules[index].title);
+  link.href = staticLessonUrl(pathId, index);
+  link.append(makeElement("small", "", ` · ${pathData[pathId].title}`));
+  link.addEventListener("click", (event) => {
+    if (!plainActivation(event)) return;
+    event.preventDefault();
+    openLesson(pathId, index);
+  });
+  return link;
+}
+
+function renderWeakSpots() {
+  const mount = document.querySelector("[data-weak-spots]");
+  if (!mount) return;
+  const questions = new Map();
+  attempts.forEach(({ lesson, question, correct, at }) => {
+    const key = `${lesson}:${question}`;
+    const entry = questions.get(key) ?? { lesson, question, misses: 0, total: 0, at };
+    entry.total += 1;
+    if (!correct) entry.misses += 1;
+    entry.at = at;
+    questions.set(key, entry);
+  });
+  const missed = [...questions.values()].filter(({ misses }) => misses > 0)
+    .sort((a, b) => b.misses - a.misses || b.misses / b.total - a.misses / a.total || b.at.localeCompare(a.at));
+  const lessons = new Map();
+  missed.forEach(({ lesson, misses }) => lessons.set(lesson, (lessons.get(lesson) ?? 0) + misses));
+
+  mount.querySelector("[data-weak-questions]").replaceChildren(...missed.slice(0, 5).map(({ lesson, question, misses, total }) => {
+    const { pathId, index } = lessonParts(lesson);
+    const item = makeElement("li", "weak-question");
+    item.append(
+      makeElement("strong", "", lessonGuides[pathId][index].quiz[question].question),
+      makeElement("span", "weak-meta", t("weak.missed", { count: misses, total })),
+      weakSpotLink(lesson)
+    );
+    return item;
+  }));
+  mount.querySelector("[data-weak-lessons]").replaceChildren(...[...lessons].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([lesson, misses]) => {
+    const item = makeElement("li", "weak-lesson-item");
+    item.append(weakSpotLink(lesson), makeElement("span", "weak-meta", t("weak.lessonMisses", { count: misses })));
+    return item;
+  }));
+  mount.querySelector("[data-weak-report]").hidden = missed.length === 0;
+  mount.querySelector("[data-weak-empty]").hidden = missed.length > 0;
+  mount.querySelector("[data-clear-attempts]").hidden = attempts.length === 0;
+}
+
+function clearAttempts() {
+  if (!attempts.length || !confirm(t("weak.clearConfirm"))) return;
+  attempts.splice(0, attempts.length);
+  saveAttempts();
+  document.querySelector("[data-weak-spots] h3")?.focus();
+}
+
+// ——— Mastery exam ———
+// An end-of-path exam: every lesson of the path contributes a draw from its
+// bank, as in the lesson dialog. Passing records a dated badge for the path.
+function pathComplete(pathId, completed = progress) {
+  return pathData[pathId].modules.every((_, index) => completed.has(`${pathId}-${index + 1}`));
+}
+
+function examPassMark(total) {
+  return Math.ceil(total * examPassShare);
+}
+
+function masteryDate({ passedAt }) {
+  return new Date(passedAt).toLocaleDateString(locale, { year: "numeric", month: "long", day: "numeric" });
+}
+
+function renderPathExam(pathId) {
+  const block = pathDialog.querySelector("[data-path-exam]");
+  const record = mastery[pathId];
+  const unlocked = pathComplete(pathId);
+  block.classList.toggle("is-mastered", Boolean(record));
+  block.querySelector("[data-path-exam-status]").textContent = record
+    ? t("exam.passedOn", { date: masteryDate(record), score: record.score, total: record.total })
+    : t(unlocked ? "exam.intro" : "exam.locked", { share: Math.round(examPassShare * 100) });
+  const button = block.querySelector("[data-open-exam]");
+  button.textContent = t(record ? "exam.retake" : "exam.start");
+  button.disabled = !unlocked;
+  button.dataset.pathId = pathId;
+}
+
+let examSession = null;
+
+function openExam(pathId) {
+  const dialog = document.querySelector("#exam-dialog");
+  if (!dialog || !pathData[pathId] || !pathComplete(pathId)) return;
+  const questions = lessonGuides[pathId].flatMap((guide, index) =>
+    drawQuiz(guide).map((drawn) => ({ ...drawn, lessonId: `${pathId}-${index + 1}`, lesson: pathData[pathId].modules[index].title })));
+  examSession = { pathId, questions, submitted: false };
+  dialog.querySelector("#exam-title").textContent = t("exam.title", { path: pathData[pathId].title });
+  dialog.querySelector("[data-exam-meta]").textContent = t("exam.meta", { total: questions.length, pass: examPassMark(questions.length) });
+  dialog.querySelector("[data-exam-questions]").replaceChildren(...questions.map(({ lessonId, lesson, index, question, order }) => {
+    const group = renderQuestion(question, index, `exam-${lessonId}`, false, order);
+    group.querySelector("legend").after(makeElement("p", "exam-source", lesson));
+    return group;
+  }));
+  const result = dialog.querySelector("[data-exam-result]");
+  result.hidden = true;
+  result.textContent = "";
+  dialog.querySelector("[data-exam-submit]").hidden = false;
+  dialog.querySelector("[data-exam-retry]").hidden = true;
+  if (!dialog.open) dialog.showModal();
+  dialog.querySelector("[data-exam-questions] input, [data-exam-questions] select, [data-exam-questions] button")?.focus();
+  // As with lesson_complete, a pack's path ID stays on the device.
+  trackEvent("exam_start", { path: corePathIds.includes(pathId) ? pathId : "pack" });
+}
+
+function submitExam(event) {
+  event.preventDefault();
+  if (!examSession || examSession.submitted) return;
+  const dialog = document.querySelector("#exam-dialog");
+  const groups = [...dialog.querySelectorAll("[data-exam-questions] .quiz-group")];
+  const grades = examSession.questions.map(({ question }, position) => gradeQuestion(question, groups[position]));
+  const result = dialog.querySelector("[data-exam-result]");
+  const unanswered = grades.filter((grade) => !grade).length;
+  if (unanswered) {
+    result.className = "review-summary is-failed";
+    result.textContent = t("exam.unanswered", { count: unanswered });
+    result.hidden = false;
+    result.focus();
+    return;
+  }
+  let score = 0;
+  examSession.questions.forEach(({ lessonId, index, question }, position) => {
+    const group = groups[position];
+    const correct = showGrade(question, grades[position], group.querySelector(".quiz-feedback"));
+    if (correct) score += 1;
+    recordAttempt(lessonId, index, answerOf(question, group), correct);
+    group.disabled = true;
+  });
+  saveAttempts();
+  examSession.submitted = true;
+  const { pathId, questions } = examSession;
+  const total = questions.length;
+  const passed = score >= examPassMark(total);
+  // The first pass dates the badge; retakes are practice.
+  if (passed && !mastery[pathId]) {
+    mastery[pathId] = { passedAt: new Date().toISOString(), score, total };
+    writeStorage(masteryKey, mastery);
+    renderStudio();
+  }
+  trackEvent("exam_complete", { path: corePathIds.includes(pathId) ? pathId : "pack", result: passed ? "passed" : "failed" });
+  result.className = `review-summary${passed ? "" : " is-failed"}`;
+  result.textContent = passed
+    ? t("exam.passed", { score, total, path: pathData[pathId].title })
+    : t("exam.failed", { score, total, pass: examPassMark(total) });
+  result.hidden = false;
+  dialog.querySelector("[data-exam-submit]").hidden = true;
+  dialog.querySelector("[data-exam-retry]").hidden = false;
+  if (pathDialog.open) renderPathExam(pathId);
+  result.focus();
 }
 
 // ——— Backups ———
@@ -1560,12 +3744,18 @@ function exportBackup() {
   flushPendingSaves();
   const payload = {
     app: "learnweb",
-    version: 2,
+    version: 9,
     exportedAt: new Date().toISOString(),
     progress: [...progress],
     notes: lessonNotes,
     workspaces: lessonWorkspaces,
-    certificateAwardedAt
+    workspaceHistory,
+    certificateAwardedAt,
+    tracks,
+    packs,
+    review: reviews,
+    attempts,
+    mastery
   };
   const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
   const link = document.createElement("a");
@@ -1586,24 +3776,47 @@ function importBackup(file, scope) {
         setTimeout(() => { if (status.textContent === message) status.textContent = ""; }, 5000);
       }
     };
+    const installedPacks = [...packs];
     try {
-      const normalized = validateBackupPayload(JSON.parse(reader.result));
+      const payload = JSON.parse(reader.result);
+      // Backups from before version 4 carry no packs and keep the installed
+      // ones. A backup's packs go in first so its lesson IDs can resolve, and
+      // come out again if anything else in it is invalid.
+      let normalized;
+      try {
+        if (isRecord(payload) && payload.packs !== undefined) usePacks(validateBackupPacks(payload.packs));
+        normalized = validateBackupPayload(payload);
+      } catch (error) {
+        usePacks(installedPacks);
+        throw error;
+      }
       progress.clear();
       normalized.progress.forEach((id) => progress.add(id));
       replaceObject(lessonNotes, normalized.notes);
       replaceObject(lessonWorkspaces, normalized.workspaces);
       certificateAwardedAt = normalized.certificateAwardedAt;
+      if (normalized.tracks) tracks.splice(0, tracks.length, ...normalized.tracks);
+      if (normalized.review) replaceObject(reviews, normalized.review);
+      if (normalized.attempts) attempts.splice(0, attempts.length, ...normalized.attempts);
+      // Kept badges still need their path complete under the restored progress.
+      replaceObject(mastery, normalized.mastery ?? sanitizeMastery(mastery, progress));
+      if (normalized.workspaceHistory) replaceObject(workspaceHistory, normalized.workspaceHistory);
       const stored = [
         writeStorage(storageKey, [...progress]),
         writeStorage(notesKey, lessonNotes),
         writeStorage(workspacesKey, lessonWorkspaces),
-        writeStorage(certificateDateKey, certificateAwardedAt)
+        writeStorage(certificateDateKey, certificateAwardedAt),
+        writeStorage(tracksKey, tracks),
+        writeStorage(packsKey, packs),
+        writeStorage(reviewKey, reviews),
+        writeStorage(attemptsKey, attempts),
+        writeStorage(masteryKey, mastery),
+        saveWorkspaceHistory()
       ].every(Boolean);
-      updateProgressUI();
-      renderStudio();
-      announce(stored ? "Backup restored ✓" : "Backup restored for this session; storage is unavailable.");
+      refreshCurriculum();
+      announce(stored ? t("backup.restored") : t("backup.restoredSession"));
     } catch {
-      announce("That file did not look like a learn.web backup.");
+      announce(t("backup.invalid"));
     }
   };
   reader.readAsText(file);
@@ -1622,12 +3835,16 @@ function openCertificate() {
 function renderCertificate(name) {
   const display = document.querySelector("[data-certificate-name]");
   if (!display) return;
-  display.textContent = name.trim() || "Your name";
+  display.textContent = name.trim() || t("certificate.namePlaceholder");
   const date = certificateAwardedAt
-    ? new Date(certificateAwardedAt).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })
-    : "Completion date unavailable";
+    ? new Date(certificateAwardedAt).toLocaleDateString(locale, { year: "numeric", month: "long", day: "numeric" })
+    : t("certificate.noDate");
   document.querySelector("[data-certificate-date]").textContent = date;
-  document.querySelector("[data-certificate-count]").textContent = progress.size;
+  document.querySelector("[data-certificate-count]").textContent = coreLessonIds.filter((id) => progress.has(id)).length;
+  const mastered = corePathIds.filter((pathId) => mastery[pathId]).map((pathId) => pathData[pathId].title);
+  const badges = document.querySelector("[data-certificate-badges]");
+  badges.hidden = !mastered.length;
+  badges.textContent = mastered.length ? t("certificate.mastery", { paths: mastered.join(", ") }) : "";
 }
 
 function saveCertificateName() {
@@ -1649,16 +3866,49 @@ document.querySelectorAll("[data-import-backup]").forEach((input) => {
     event.currentTarget.value = "";
   });
 });
+document.querySelectorAll("[data-next-lesson-link]").forEach((link) => link.addEventListener("click", (event) => {
+  const next = recommendNextLesson(progress);
+  if (!next || !plainActivation(event)) return;
+  event.preventDefault();
+  link.closest("[popover]")?.hidePopover();
+  openLesson(next.pathId, next.index);
+}));
 document.querySelectorAll("[data-open-certificate]").forEach((button) => button.addEventListener("click", openCertificate));
 document.querySelectorAll("[data-print-certificate]").forEach((button) => button.addEventListener("click", () => window.print()));
 document.querySelector("[data-certificate-name-input]")?.addEventListener("input", saveCertificateName);
+document.querySelector("[data-import-pack]")?.addEventListener("change", (event) => {
+  const file = event.currentTarget.files?.[0];
+  if (file) importPack(file);
+  event.currentTarget.value = "";
+});
+document.querySelector("[data-track-create]")?.addEventListener("submit", (event) => {
+  event.preventDefault();
+  createTrack(event.currentTarget);
+});
+document.querySelector("[data-clear-attempts]")?.addEventListener("click", clearAttempts);
+document.querySelectorAll("[data-open-review]").forEach((button) => button.addEventListener("click", openReview));
+document.querySelector("[data-review-check]")?.addEventListener("click", checkReviewAnswer);
+document.querySelector("[data-review-next]")?.addEventListener("click", nextReviewQuestion);
+document.querySelector("[data-open-exam]")?.addEventListener("click", (event) => openExam(event.currentTarget.dataset.pathId));
+document.querySelector("[data-exam-form]")?.addEventListener("submit", submitExam);
+document.querySelector("[data-exam-retry]")?.addEventListener("click", () => { if (examSession) openExam(examSession.pathId); });
+document.querySelector("#exam-dialog")?.addEventListener("close", () => { examSession = null; });
+document.querySelector("#review-dialog")?.addEventListener("close", () => {
+  reviewSession = null;
+  renderReviewSummary();
+});
 
+applyLocale();
+initializeLocaleSwitch();
 initializeTheme();
 initializeCapabilities();
 initializePlayground();
 initializeNavigationState();
 updateProgressUI();
+syncReviews();
+renderPacks();
 renderStudio();
+renderTracks();
 
 let updateBannerDismissed = false;
 let updateRegistration = null;
@@ -9,12 +9,25 @@ const publicFiles = [
   "index.html",
   "styles.css",
   "static.css",
+  "static-quiz.js",
   "lab-runner.htm",
   "offline.html",
   "about.html",
   "404.html",
   "app.js",
   "curriculum.js",
+  "curriculum-schema.js",
+  "curriculum-lessons.js",
+  "curriculum-lessons.es.js",
+  "curriculum-lessons.pt.js",
+  "i18n.js",
+  "code-editor.js",
+  "line-diff.js",
+  "module-syntax.js",
+  "locales/en.js",
+  "locales/es.js",
+  "locales/pt.js",
+  "curriculum.schema.json",
   "manifest.webmanifest",
   "icon.svg",
   "sw.js",
@@ -9,18 +9,33 @@ import {
   hints,
   placementQuiz,
   changelog,
+  changelogVersion,
   lessonSlug,
-  slugify
+  slugify,
+  prerequisites,
+  parseLessonId,
+  staleAfterDays,
+  glossary
 } from "./curriculum.js";
+import { curriculumSchema, validateSchema, checkPathRules } from "./curriculum-schema.js";
+import { COMPILED_FILE, compileLessons, compiledFile, renderLessonsModule, lessonLocation } from "./lesson-markdown.mjs";
+import { defaultLocale, localeOrder, locales } from "./i18n.js";
+import { moduleSyntax } from "./module-syntax.js";
 
-const [html, css, js, runner, sw, curriculum] = await Promise.all([
+const translatedLocales = localeOrder.filter((locale) => locale !== defaultLocale);
+const [html, css, js, runner, sw, curriculum, publishedSchema, compiledSource, generator, catalog] = await Promise.all([
   readFile("index.html", "utf8"),
   readFile("styles.css", "utf8"),
   readFile("app.js", "utf8"),
   readFile("lab-runner.htm", "utf8"),
   readFile("sw.js", "utf8"),
-  readFile("curriculum.js", "utf8")
+  readFile("curriculum.js", "utf8"),
+  readFile("curriculum.schema.json", "utf8").catch(() => ""),
+  readFile(COMPILED_FILE, "utf8").catch(() => ""),
+  readFile("generate.mjs", "utf8"),
+  readFile("locales/en.js", "utf8")
 ]);
+const translatedSources = await Promise.all(translatedLocales.map((locale) => readFile(compiledFile(locale), "utf8").catch(() => "")));
 
 const ids = new Set([...html.matchAll(/\sid="([^"]+)"/g)].map((match) => match[1]));
 const duplicateIds = [...html.matchAll(/\sid="([^"]+)"/g)]
@@ -66,7 +81,7 @@ const required = [
   "globalThis.scheduler",
   "about.html"
 ];
-const corpus = `${html}\n${css}\n${js}\n${runner}\n${sw}\n${curriculum}`;
+const corpus = `${html}\n${css}\n${js}\n${runner}\n${sw}\n${curriculum}\n${compiledSource}\n${catalog}`;
 const missingRequired = required.filter((token) => !corpus.includes(token));
 const forbidden = ["onclick=", "allow-modals"];
 const forbiddenFound = forbidden.filter((token) => corpus.toLowerCase().includes(token));
@@ -77,108 +92,175 @@ const errors = [];
 const isString = (value) => typeof value === "string";
 const isArray = (value) => Array.isArray(value);
 
-// CONTENT-006: the two questions in each lesson must test distinct ideas.
-const STOPWORDS = new Set("a an and are as at be but by for from has have if in is it its of on or that the their then they this to was were when which will with you your".split(" "));
-function questionTokens(text) {
-  return new Set(text.toLocaleLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter((word) => word.length > 2 && !STOPWORDS.has(word)));
+// Lessons are authored in lessons/<pathId>/*.md; point errors at the file and
+// line an author edits rather than at the compiled module.
+const lessonSource = await compileLessons(undefined, translatedLocales);
+errors.push(...lessonSource.errors);
+if (!lessonSource.errors.length && compiledSource !== renderLessonsModule(lessonSource.lessons)) {
+  errors.push(`${COMPILED_FILE} is missing or stale; run npm run generate`);
 }
-function jaccard(a, b) {
-  const union = new Set([...a, ...b]);
-  if (!union.size) return 0;
-  let overlap = 0;
-  for (const token of a) if (b.has(token)) overlap += 1;
-  return overlap / union.size;
+translatedLocales.forEach((locale, index) => {
+  if (!lessonSource.errors.length && translatedSources[index] !== renderLessonsModule(lessonSource.translations[locale].lessons, locale)) {
+    errors.push(`${compiledFile(locale)} is missing or stale; run npm run generate`);
+  }
+});
+const where = (dataPath) => {
+  const location = lessonLocation(lessonSource.sources, dataPath);
+  return location ? `${location}: ` : "";
+};
+
+// Packs may leave rationales out, but every option of a built-in lesson
+// explains why it is right or wrong.
+function checkRationales(guide, dataPath, at, label) {
+  (isArray(guide?.quiz) ? guide.quiz : []).forEach((question, questionIndex) => {
+    if (isArray(question?.options) && !question.rationales) {
+      errors.push(`${at(`${dataPath}.quiz[${questionIndex}].options`)}${label}: question ${questionIndex + 1} needs a why: line under each option`);
+    }
+  });
 }
 
-function checkPath(pathId, index) {
-  const path = pathData[pathId];
-  const guideList = lessonGuides[pathId];
-  const missions = studioMissions[pathId];
+function checkPath(pathId) {
+  errors.push(...checkPathRules({
+    pathId,
+    path: pathData[pathId],
+    guides: lessonGuides[pathId],
+    missions: studioMissions[pathId],
+    starters: codeStarters[pathId],
+    hints: hints[pathId],
+    lenses: workspaceBlueprints[pathId]?.lenses,
+    slugOf: (index) => lessonSlug(pathId, index),
+    where
+  }));
+  lessonGuides[pathId]?.forEach((guide, index) => checkRationales(guide, `lessonGuides.${pathId}[${index}]`, where, `${pathId}-${index + 1}`));
+  // Packs may fall back on the size heuristics; built-in code lessons are
+  // judged by behavior.
+  codeStarters[pathId]?.forEach((starter, index) => {
+    if (starter && !starter.checks) errors.push(`${pathId}-${index + 1}: code lesson needs a checks suite in codeStarters`);
+  });
+}
 
-  if (!isArray(path?.modules) || path.modules.length !== 6) {
-    errors.push(`${pathId}: modules must be exactly 6`);
-  }
-  if (path.symbol && !isString(path.symbol)) errors.push(`${pathId}: symbol missing`);
-  if (path.accent && !/^#[0-9a-f]{6}$/i.test(path.accent)) errors.push(`${pathId}: accent must be a hex color`);
-  if (!isArray(guideList) || guideList.length !== 6) {
-    errors.push(`${pathId}: lessonGuides must be exactly 6`);
-    return;
+// Field shapes (names, types, counts, ranges) come from the published schema;
+// checkPathRules only covers rules that span several exports.
+errors.push(...validateSchema(
+  { pathOrder, pathData, studioMissions, workspaceBlueprints, codeStarters, hints, lessonGuides, prerequisites, glossary },
+  curriculumSchema
+).map((error) => `${where(error.slice(0, error.indexOf(": ")))}${error}`));
+if (publishedSchema !== `${JSON.stringify(curriculumSchema, null, 2)}\n`) {
+  errors.push("curriculum.schema.json is missing or stale; run npm run generate");
+}
+if (!runner.includes(`const moduleSyntax = ${moduleSyntax};`)) {
+  errors.push("lab-runner.htm's copy of moduleSyntax is stale; run npm run generate");
+}
+
+pathOrder.forEach((pathId, index) => {
+  if (!pathData[pathId]) errors.push(`pathOrder[${index}]: "${pathId}" not in pathData`);
+  if (Object.keys(pathData).length !== pathOrder.length) errors.push("pathData and pathOrder disagree");
+  checkPath(pathId);
+});
+
+// Prerequisites must name real lessons and form a graph without cycles, or the
+// next-lesson recommendation could never reach some lessons.
+Object.entries(prerequisites).forEach(([lessonId, required]) => {
+  if (!parseLessonId(lessonId)) errors.push(`prerequisites: unknown lesson "${lessonId}"`);
+  if (!isArray(required)) return;
+  required.forEach((id) => {
+    if (!parseLessonId(id)) errors.push(`prerequisites.${lessonId}: unknown lesson "${id}"`);
+    if (id === lessonId) errors.push(`prerequisites.${lessonId}: a lesson cannot require itself`);
+  });
+  if (new Set(required).size !== required.length) errors.push(`prerequisites.${lessonId}: lists a lesson twice`);
+});
+const visited = new Map();
+function findCycle(lessonId, trail) {
+  if (visited.get(lessonId) === "done") return null;
+  if (visited.get(lessonId) === "open") return [...trail.slice(trail.indexOf(lessonId)), lessonId];
+  visited.set(lessonId, "open");
+  for (const id of isArray(prerequisites[lessonId]) ? prerequisites[lessonId] : []) {
+    const cycle = findCycle(id, [...trail, lessonId]);
+    if (cycle) return cycle;
   }
-  if (!isArray(missions) || missions.length !== 6) {
-    errors.push(`${pathId}: studioMissions must be exactly 6`);
+  visited.set(lessonId, "done");
+  return null;
+}
+for (const lessonId of Object.keys(prerequisites)) {
+  const cycle = findCycle(lessonId, []);
+  if (cycle) {
+    errors.push(`prerequisites: cycle ${cycle.join(" → ")}`);
+    break;
   }
+}
 
-  const hintList = hints[pathId] || [];
-  const slugs = new Set();
-
-  guideList.forEach((guide, lessonIndex) => {
-    const label = `${pathId}-${lessonIndex + 1}`;
-    const slug = lessonSlug(pathId, lessonIndex);
-    if (slugs.has(slug)) errors.push(`${label}: duplicate slug "${slug}"`);
-    slugs.add(slug);
-    const slugByTitle = lessonSlug(pathId, lessonIndex);
-    if (slugByTitle !== slugify(pathData[pathId].modules[lessonIndex][0])) {
-      errors.push(`${label}: title renamed without updating the immutable slug map (expected "${slugify(pathData[pathId].modules[lessonIndex][0])}")`);
-    }
+// Each spelling may link to one term only, and every term needs its own anchor
+// on /learn/glossary/, which a path with the same ID would shadow.
+const glossarySpellings = new Map();
+const glossaryAnchors = new Set();
+(isArray(glossary) ? glossary : []).forEach(({ term, aliases = [] }, index) => {
+  if (!isString(term)) return;
+  if (glossaryAnchors.has(slugify(term))) errors.push(`glossary[${index}]: "${term}" has the same anchor as another term`);
+  glossaryAnchors.add(slugify(term));
+  [term, ...(isArray(aliases) ? aliases : [])].filter(isString).forEach((spelling) => {
+    const key = spelling.toLowerCase();
+    if (glossarySpellings.has(key)) errors.push(`glossary[${index}]: "${spelling}" already links to "${glossarySpellings.get(key)}"`);
+    else glossarySpellings.set(key, term);
+  });
+});
+if (pathData.glossary) errors.push('pathData: "glossary" is reserved for the glossary page at /learn/glossary/');
 
-    const starter = codeStarters[pathId]?.[lessonIndex];
-    const lenses = workspaceBlueprints[pathId]?.lenses?.[lessonIndex];
-    if (starter && lenses) errors.push(`${label}: has both a code starter and record lenses`);
-    if (!starter && !lenses) errors.push(`${label}: missing workspace definition`);
+// ————— freshness —————
 
-    if (!isArray(guide.objectives) || guide.objectives.length !== 3 || !guide.objectives.every(isString)) {
-      errors.push(`${label}: objectives must be 3 strings`);
-    }
-    if (!isArray(guide.understand) || guide.understand.length !== 2 || !isString(guide.understand[0]) || !isArray(guide.understand[1]) || guide.understand[1].length < 2) {
-      errors.push(`${label}: understand must be [title, paragraphs]`);
-    }
-    if (!isString(guide.principle)) errors.push(`${label}: principle missing`);
-    if (!isArray(guide.apply) || guide.apply.length !== 2 || !isString(guide.apply[0]) || !isArray(guide.apply[1]) || guide.apply[1].length < 2) {
-      errors.push(`${label}: apply must be [title, paragraphs]`);
-    }
-    if (!isArray(guide.steps) || guide.steps.length < 4 || !guide.steps.every(isString)) {
-      errors.push(`${label}: steps must be at least 4 strings`);
-    }
-    if (!isArray(guide.quiz) || guide.quiz.length !== 2) {
-      errors.push(`${label}: quiz must contain exactly 2 questions`);
-    } else {
-      guide.quiz.forEach((question, qIndex) => {
-        if (!isArray(question) || question.length !== 4 || !isString(question[0]) || !isArray(question[1]) || question[1].length !== 3 || !isString(question[3])) {
-          errors.push(`${label} q${qIndex + 1}: must be [question, 3 options, correctIndex, explanation]`);
-          return;
-        }
-        if (!Number.isInteger(question[2]) || question[2] < 0 || question[2] > 2) {
-          errors.push(`${label} q${qIndex + 1}: correctIndex out of range`);
-        }
-      });
-      const [first, second] = guide.quiz;
-      if (isArray(first) && isArray(second)) {
-        const similarity = jaccard(questionTokens(first[0]), questionTokens(second[0]));
-        if (similarity >= 0.62) {
-          errors.push(`${label}: quiz questions are near-duplicates (similarity ${similarity.toFixed(2)}); rewrite one to test distinct understanding`);
-        }
-      }
-    }
+// The schema checks the date format; here the dates must be real, not in the
+// future, and in order. Lessons never reviewed or past the review threshold
+// are reported, not failed, so the build does not break on the calendar alone.
+const DAY = 24 * 60 * 60 * 1000;
+const today = new Date().toISOString().slice(0, 10);
+const staleFlag = process.argv.find((arg) => arg.startsWith("--stale-after="));
+const staleAfter = staleFlag ? Number(staleFlag.split("=")[1]) : staleAfterDays;
+if (!Number.isInteger(staleAfter) || staleAfter < 1) errors.push(`--stale-after must be a whole number of days (got "${staleFlag}")`);
+const isDate = (value) => isString(value) && /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+const staleLessons = [];
+const unreviewedLessons = [];
+pathOrder.forEach((pathId) => pathData[pathId]?.modules.forEach((module, index) => {
+  const label = (field) => `${where(`pathData.${pathId}.modules[${index}].${field}`)}${pathId}-${index + 1}`;
+  const { lastReviewed, lastChanged } = module;
+  const invalid = ["lastReviewed", "lastChanged"].filter((field) => isString(module[field]) && !isDate(module[field]));
+  invalid.forEach((field) => errors.push(`${label(field)}: ${field} "${module[field]}" is not a calendar date`));
+  if (invalid.length || !isString(lastChanged)) return;
+  if (lastChanged > today) errors.push(`${label("lastChanged")}: lastChanged cannot be in the future`);
+  if (!isString(lastReviewed)) {
+    unreviewedLessons.push(`${pathId}-${index + 1}`);
+    return;
+  }
+  if (lastReviewed > today) errors.push(`${label("lastReviewed")}: lastReviewed cannot be in the future`);
+  if (lastChanged > lastReviewed) errors.push(`${label("lastChanged")}: lastChanged (${lastChanged}) is after lastReviewed (${lastReviewed}); review the change and update lastReviewed`);
+  const age = Math.round((Date.parse(today) - Date.parse(lastReviewed)) / DAY);
+  if (age > staleAfter) staleLessons.push(`${label("lastReviewed")} (last reviewed ${lastReviewed}, ${age} days ago)`);
+}));
 
-    if (starter) {
-      if (!isString(starter.html) || !isString(starter.css) || !isString(starter.js)) {
-        errors.push(`${label}: code starter missing html/css/js`);
-      } else if (!hintList[lessonIndex]) {
-        errors.push(`${label}: code lesson is missing a hint`);
+// Sources: the schema checks the fields; here each URL must parse as an
+// absolute https address, appear once per lesson, and have a real, past
+// accessed date. Fragments and trailing slashes do not make a URL distinct.
+pathOrder.forEach((pathId) => lessonGuides[pathId]?.forEach((guide, index) => {
+  const seen = new Map();
+  (isArray(guide?.sources) ? guide.sources : []).forEach(({ url, accessed } = {}, sourceIndex) => {
+    const label = (field) => `${where(`lessonGuides.${pathId}[${index}].sources[${sourceIndex}].${field}`)}${pathId}-${index + 1}`;
+    if (isString(url)) {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch {
+        // Reported below.
       }
-    } else {
-      if (!isArray(lenses) || lenses.length !== 6 || !lenses.every(isString)) {
-        errors.push(`${label}: blueprint lenses must be 6 strings`);
+      if (!parsed || parsed.protocol !== "https:" || parsed.href.replace(/\/$/, "") !== url.replace(/\/$/, "")) {
+        errors.push(`${label("url")}: "${url}" is not a well-formed https URL`);
+      } else {
+        const key = `${parsed.origin}${parsed.pathname.replace(/\/$/, "")}${parsed.search}`;
+        if (seen.has(key)) errors.push(`${label("url")}: "${url}" is already cited as source ${seen.get(key) + 1}`);
+        else seen.set(key, sourceIndex);
       }
     }
+    if (isString(accessed) && !isDate(accessed)) errors.push(`${label("accessed")}: accessed "${accessed}" is not a calendar date`);
+    else if (isString(accessed) && accessed > today) errors.push(`${label("accessed")}: accessed date ${accessed} is in the future`);
   });
-}
-
-pathOrder.forEach((pathId, index) => {
-  if (!pathData[pathId]) errors.push(`pathOrder[${index}]: "${pathId}" not in pathData`);
-  if (Object.keys(pathData).length !== pathOrder.length) errors.push("pathData and pathOrder disagree");
-  checkPath(pathId, index);
-});
+}));
 
 if (!isArray(placementQuiz) || placementQuiz.length !== 4) {
   errors.push("placementQuiz must contain 4 questions");
@@ -204,6 +286,96 @@ if (!isArray(changelog) || changelog.length < 1) {
   });
 }
 
+// ————— translations —————
+
+// Translated lessons get the same schema rules as English, keep the English
+// answer key, and keep a hint wherever the English lesson has one.
+const translationReport = [];
+const englishMessages = locales[defaultLocale].messages;
+const placeholders = (message) => [...message.matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort().join(",");
+const englishMessage = (key) => englishMessages[key] ?? englishMessages[`${key.replace(/\.(zero|one|two|few|many|other)$/, "")}.other`];
+// What a translation must keep: the question type and which answers are right.
+// Ordering and matching questions list their answers in solved order, so the
+// count is enough; code answers are not translated.
+const answerKey = (question = {}) => JSON.stringify([question.type, question.correctIndex, question.correctIndexes, question.items?.length, question.pairs?.length, question.blanks]);
+const lessonTotal = pathOrder.reduce((sum, pathId) => sum + (pathData[pathId]?.modules.length ?? 0), 0);
+
+translatedLocales.forEach((locale) => {
+  const { lessons: bundle, sources } = lessonSource.translations[locale];
+  const { messages = {}, paths = {}, changelog: entries = {}, checks: checkLabels = {} } = locales[locale];
+  let translatedLessons = 0;
+  Object.entries(bundle.lessonGuides).forEach(([pathId, list]) => list.forEach((guide, index) => {
+    if (!guide) return;
+    translatedLessons += 1;
+    const at = (dataPath) => {
+      const location = lessonLocation(sources, dataPath);
+      return location ? `${location}: ` : "";
+    };
+    [["pathData", "module", bundle.lessonModules], ["studioMissions", "mission", bundle.studioMissions], ["lessonGuides", "guide", bundle.lessonGuides]].forEach(([group, definition, entries]) => {
+      const dataPath = group === "pathData" ? `pathData.${pathId}.modules[${index}]` : `${group}.${pathId}[${index}]`;
+      errors.push(...validateSchema(entries[pathId][index], { $ref: `#/$defs/${definition}` }, dataPath, curriculumSchema)
+        .map((error) => `${at(error.slice(0, error.indexOf(": ")))}${locale}: ${error}`));
+    });
+    checkRationales(guide, `lessonGuides.${pathId}[${index}]`, at, locale);
+    const english = lessonGuides[pathId]?.[index];
+    if (guide.quiz.length !== english?.quiz.length || guide.draw !== english?.draw) {
+      errors.push(`${at(`lessonGuides.${pathId}[${index}].quiz`)}${locale}: the question bank or its draw differs from the English lesson`);
+    }
+    guide.quiz.forEach((question, questionIndex) => {
+      if (answerKey(question) !== answerKey(english?.quiz[questionIndex])) {
+        errors.push(`${at(`lessonGuides.${pathId}[${index}].quiz[${questionIndex}]`)}${locale}: the correct answer differs from the English lesson`);
+      }
+    });
+    if (hints[pathId]?.[index] && !bundle.hints[pathId]?.[index]) {
+      errors.push(`${at(`hints.${pathId}[${index}]`)}${locale}: code lesson is missing a hint`);
+    }
+  }));
+
+  Object.entries(messages).forEach(([key, message]) => {
+    const english = englishMessage(key);
+    if (english === undefined) errors.push(`locales/${locale}.js: unknown message "${key}"`);
+    else if (placeholders(message) !== placeholders(english)) errors.push(`locales/${locale}.js: "${key}" must use the placeholders {${placeholders(english)}}`);
+  });
+  Object.entries(paths).forEach(([pathId, fields]) => {
+    if (!pathData[pathId]) errors.push(`locales/${locale}.js: paths.${pathId} is not a path`);
+    Object.keys(fields).filter((field) => !["title", "label", "description", "outcome"].includes(field))
+      .forEach((field) => errors.push(`locales/${locale}.js: paths.${pathId}.${field} is not translatable`));
+  });
+  const versions = new Set(changelog.map(changelogVersion));
+  Object.keys(entries).filter((version) => !versions.has(version))
+    .forEach((version) => errors.push(`locales/${locale}.js: changelog "${version}" is not a release`));
+
+  let missingLabels = 0;
+  pathOrder.forEach((pathId) => codeStarters[pathId]?.forEach((starter, index) => {
+    const labels = checkLabels[`${pathId}-${index + 1}`] ?? [];
+    missingLabels += (starter?.checks ?? []).filter((check, checkIndex) => !labels[checkIndex]).length;
+  }));
+  Object.entries(checkLabels).forEach(([lessonId, labels]) => {
+    const { pathId, index } = parseLessonId(lessonId) ?? {};
+    const suite = codeStarters[pathId]?.[index]?.checks;
+    if (!suite) errors.push(`locales/${locale}.js: checks "${lessonId}" is not a lesson with a check suite`);
+    else if (!Array.isArray(labels) || labels.length > suite.length) errors.push(`locales/${locale}.js: checks "${lessonId}" must list at most ${suite.length} labels, in suite order`);
+  });
+
+  const missing = Object.keys(englishMessages).filter((key) => !(key in messages)).length;
+  translationReport.push(`${locale}: ${missing} missing message${missing === 1 ? "" : "s"}, ${missingLabels} missing check label${missingLabels === 1 ? "" : "s"}, ${translatedLessons}/${lessonTotal} lessons`);
+});
+
+// Every key the UI or the static pages ask for must exist in English.
+const usedKeys = [
+  ...[...`${js}\n${generator}`.matchAll(/\b(?:t|translate)\((?:locale, )?(?:[^"\n]*\? )?"([\w.]+)"(?: : "([\w.]+)")?/g)].flatMap((match) => match.slice(1)),
+  ...[...html.matchAll(/data-i18n(?:-label|-placeholder|-title)?="([^"]+)"/g)].map((match) => match[1])
+].filter(Boolean);
+[...new Set(usedKeys)].filter((key) => !(key in englishMessages) && !(`${key}.other` in englishMessages))
+  .forEach((key) => errors.push(`locales/en.js: missing message "${key}"`));
+// index.html is the English rendering, so its text must match the catalog.
+[...html.matchAll(/data-i18n="([^"]+)"[^>]*>([^<]*)</g)].forEach(([, key, text]) => {
+  if (key in englishMessages && text.trim() !== englishMessages[key]) errors.push(`index.html: data-i18n="${key}" text differs from locales/en.js`);
+});
+[...html.matchAll(/aria-label="([^"]*)"[^>]*data-i18n-label="([^"]+)"/g)].forEach(([, label, key]) => {
+  if (key in englishMessages && label !== englishMessages[key]) errors.push(`index.html: data-i18n-label="${key}" differs from locales/en.js`);
+});
+
 const lessonCount = Object.values(pathData).reduce((sum, path) => sum + path.modules.length, 0);
 
 if (duplicateIds.length || missingTargets.length || missingRequired.length || forbiddenFound.length || errors.length) {
@@ -212,3 +384,12 @@ if (duplicateIds.length || missingTargets.length || missingRequired.length || fo
 }
 
 console.log(`Checks passed: ${ids.size} unique IDs, ${localTargets.length} local links, ${lessonCount} lessons across ${pathOrder.length} paths, ${changelog.length} changelog entries, accessibility primitives present.`);
+console.log(`Translations — ${translationReport.join("; ")}.`);
+if (unreviewedLessons.length) {
+  console.warn(`Unreviewed lessons — ${unreviewedLessons.length} with no lastReviewed date: ${unreviewedLessons.join(", ")}`);
+}
+if (staleLessons.length) {
+  console.warn(`Stale lessons — not reviewed in ${staleAfter} days:\n  ${staleLessons.join("\n  ")}`);
+} else if (unreviewedLessons.length < lessonCount) {
+  console.log(`Freshness — every reviewed lesson checked within ${staleAfter} days.`);
+}
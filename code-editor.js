@@ -0,0 +1,263 @@
+// code-editor.js — a small code editor for HTML, CSS, and JavaScript, built
+// over a <textarea>. The textarea stays the input, so labels, `.value`, and
+// input events work as before; a highlighted copy of its text sits behind it,
+// line numbers beside it, and the bracket pair at the caret is marked.
+//
+// Keys: Tab moves focus unless `tabInserts()` says insert mode is on; then Tab
+// and Shift+Tab indent and outdent, and Escape calls `exitInsert()`.
+// Ctrl/Cmd+] and Ctrl/Cmd+[ indent and outdent the selected lines in either
+// mode, and Enter keeps the line's indentation, adding a level after an
+// opening bracket or tag.
+
+const indentUnit = "  ";
+const pairs = { "(": ")", "[": "]", "{": "}" };
+const closers = new Set(Object.values(pairs));
+const voidElements = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+const javascriptKeywords = "async await break case catch class const continue debugger default delete do else export extends finally for function if import in instanceof let new of return static super switch this throw try typeof var void while with yield";
+const javascriptLiterals = "true false null undefined NaN Infinity";
+
+// Each language is a set of states, each a list of [token type, pattern,
+// next state]. Patterns are tried in order at the current position; text no
+// pattern claims is plain. Brackets are their own tokens so a match never
+// pairs a bracket inside a string or comment.
+const grammars = {
+  html: {
+    text: [
+      ["comment", /<!--[\s\S]*?(?:-->|$)/y],
+      ["keyword", /<![a-z][^>]*>?/iy],
+      ["tag", /<\/?[a-z][\w-]*/iy, "tag"],
+      ["entity", /&#?\w+;/y],
+      ["bracket", /[()[\]{}]/y]
+    ],
+    tag: [
+      ["tag", /\/?>/y, "text"],
+      ["string", /"[^"]*"?|'[^']*'?|(?<==\s*)[^\s"'<>=`]+/y],
+      ["attribute", /[^\s"'<>/=]+/y]
+    ]
+  },
+  css: {
+    start: [
+      ["comment", /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ["string", /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/y],
+      ["keyword", /@[\w-]+/y],
+      // A name followed by a colon and a value that ends the declaration;
+      // `a:hover {` is a selector, not a property.
+      ["property", /(?<=[{;]\s*)[\w-]+(?=\s*:[^{};]*(?:[;}]|$))/y],
+      ["plain", /[a-z_-][\w-]*/iy],
+      ["number", /#[\da-f]{3,8}\b|\d*\.?\d+(?:%|[a-z]+)?/iy],
+      ["bracket", /[()[\]{}]/y]
+    ]
+  },
+  text: {
+    start: []
+  },
+  js: {
+    start: [
+      ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+      ["string", /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\.|[^`\\])*`?/y],
+      ["keyword", new RegExp(`\\b(?:${javascriptKeywords.replaceAll(" ", "|")})\\b`, "y")],
+      ["literal", new RegExp(`\\b(?:${javascriptLiterals.replaceAll(" ", "|")})\\b`, "y")],
+      ["function", /[a-z_$][\w$]*(?=\s*\()/iy],
+      ["plain", /[a-z_$][\w$]*/iy],
+      ["number", /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)n?\b/iy],
+      ["bracket", /[()[\]{}]/y]
+    ]
+  }
+};
+
+export function tokenize(text, language) {
+  const grammar = grammars[language] || grammars.text;
+  let state = Object.keys(grammar)[0];
+  const tokens = [];
+  let plainStart = 0;
+  let position = 0;
+  const flushPlain = () => {
+    if (plainStart < position) tokens.push({ type: "plain", start: plainStart, text: text.slice(plainStart, position) });
+  };
+  while (position < text.length) {
+    let matched = false;
+    for (const [type, pattern, next] of grammar[state]) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (!match || !match[0]) continue;
+      flushPlain();
+      tokens.push({ type, start: position, text: match[0] });
+      position += match[0].length;
+      plainStart = position;
+      if (next) state = next;
+      matched = true;
+      break;
+    }
+    if (!matched) position += 1;
+  }
+  flushPlain();
+  return tokens;
+}
+
+// The bracket next to the caret (before it first) and its partner, as
+// positions; the partner is -1 when the bracket is unmatched.
+function bracketPair(tokens, caret) {
+  const brackets = tokens.filter((token) => token.type === "bracket");
+  const beforeCaret = brackets.findIndex((token) => token.start === caret - 1);
+  const index = beforeCaret >= 0 ? beforeCaret : brackets.findIndex((token) => token.start === caret);
+  if (index < 0) return null;
+  const bracket = brackets[index];
+  const opening = bracket.text in pairs;
+  const step = opening ? 1 : -1;
+  const stack = [];
+  for (let cursor = index + step; cursor >= 0 && cursor < brackets.length; cursor += step) {
+    const { text } = brackets[cursor];
+    if (opening ? text in pairs : closers.has(text)) {
+      stack.push(text);
+    } else if (stack.length) {
+      stack.pop();
+    } else {
+      const partner = opening ? pairs[bracket.text] === text : pairs[text] === bracket.text;
+      return [bracket.start, partner ? brackets[cursor].start : -1];
+    }
+  }
+  return [bracket.start, -1];
+}
+
+export const escapeHtml = (text) => text.replace(/[&<>]/g, (character) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[character]);
+
+function highlightMarkup(tokens, pair) {
+  return tokens.map((token) => {
+    if (token.type === "bracket" && pair?.includes(token.start)) {
+      return `<mark class="code-bracket${pair[1] < 0 ? " is-unmatched" : ""}">${escapeHtml(token.text)}</mark>`;
+    }
+    if (token.type === "plain" || token.type === "bracket") return escapeHtml(token.text);
+    return `<span class="code-token-${token.type}">${escapeHtml(token.text)}</span>`;
+  }).join("");
+}
+
+// Wraps `textarea` in place and returns `{ element, textarea, setValue,
+// refresh }`; call setValue (or refresh after setting `.value`) when the text
+// changes without an input event.
+export function createCodeEditor(textarea, { language = "text", tabInserts = () => false, exitInsert = () => {} } = {}) {
+  const field = document.createElement("div");
+  field.className = "code-field";
+  field.dataset.language = language;
+  const gutter = document.createElement("div");
+  gutter.className = "code-gutter";
+  gutter.setAttribute("aria-hidden", "true");
+  const lineNumbers = document.createElement("div");
+  gutter.append(lineNumbers);
+  const surface = document.createElement("div");
+  surface.className = "code-surface";
+  const highlight = document.createElement("pre");
+  highlight.className = "code-highlight";
+  highlight.setAttribute("aria-hidden", "true");
+  textarea.before(field);
+  surface.append(highlight, textarea);
+  field.append(gutter, surface);
+  textarea.wrap = "off";
+  textarea.spellcheck = false;
+  textarea.setAttribute("autocapitalize", "off");
+  textarea.setAttribute("autocomplete", "off");
+
+  let tokens = [];
+  let tokenSource = null;
+  let lineCount = 0;
+  const render = () => {
+    const { value } = textarea;
+    if (value !== tokenSource) {
+      tokens = tokenize(value, language);
+      tokenSource = value;
+    }
+    const caret = textarea.selectionStart === textarea.selectionEnd && document.activeElement === textarea ? textarea.selectionStart : -1;
+    // A trailing newline needs a character after it to take up its line.
+    highlight.innerHTML = highlightMarkup(tokens, caret < 0 ? null : bracketPair(tokens, caret)) + (value.endsWith("\n") || !value ? " " : "");
+    const lines = value.split("\n").length;
+    if (lines !== lineCount) {
+      lineCount = lines;
+      lineNumbers.textContent = Array.from({ length: lines }, (_, line) => line + 1).join("\n");
+    }
+  };
+  const follow = () => {
+    highlight.style.transform = `translate(${-textarea.scrollLeft}px, ${-textarea.scrollTop}px)`;
+    lineNumbers.style.transform = `translateY(${-textarea.scrollTop}px)`;
+  };
+
+  // Edits go through insertText where the browser has it, so undo keeps
+  // working; otherwise the text is set directly and an input event sent.
+  const replace = (from, to, text, selectStart, selectEnd = selectStart) => {
+    textarea.setSelectionRange(from, to);
+    if (!document.execCommand("insertText", false, text)) {
+      textarea.setRangeText(text, from, to, "end");
+      textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+    if (selectStart !== undefined) textarea.setSelectionRange(selectStart, selectEnd);
+  };
+
+  const shiftLines = (direction) => {
+    const { value, selectionStart: start, selectionEnd: end } = textarea;
+    const from = value.lastIndexOf("\n", start - 1) + 1;
+    // A selection that ends at the start of a line leaves that line alone.
+    const last = end > start && value[end - 1] === "\n" ? end - 1 : end;
+    const lineEnd = value.indexOf("\n", last);
+    const to = lineEnd < 0 ? value.length : lineEnd;
+    const lines = value.slice(from, to).split("\n");
+    const shifted = lines.map((line) => (direction > 0 ? (line ? indentUnit + line : line) : line.replace(/^(?: {1,2}|\t)/, "")));
+    const result = shifted.join("\n");
+    if (result === value.slice(from, to)) return;
+    const firstShift = shifted[0].length - lines[0].length;
+    replace(from, to, result, start === from ? from : Math.max(from, start + firstShift), Math.max(from, end + result.length - (to - from)));
+  };
+
+  const newline = () => {
+    const { value, selectionStart: start, selectionEnd: end } = textarea;
+    const lineStart = value.lastIndexOf("\n", start - 1) + 1;
+    const line = value.slice(lineStart, start);
+    const indent = /^[ \t]*/.exec(line)[0];
+    const before = value[start - 1];
+    const openTag = language === "html" ? /<([a-z][\w-]*)\b[^<>]*>$/i.exec(line) : null;
+    const opens = before in pairs || (openTag && !voidElements.has(openTag[1].toLowerCase()) && !line.endsWith("/>"));
+    if (!opens) return replace(start, end, `\n${indent}`);
+    const inner = `\n${indent}${indentUnit}`;
+    const closes = openTag ? value.startsWith(`</${openTag[1]}`, end) : value[end] === pairs[before];
+    return closes
+      ? replace(start, end, `${inner}\n${indent}`, start + inner.length)
+      : replace(start, end, inner);
+  };
+
+  textarea.addEventListener("keydown", (event) => {
+    const command = event.metaKey || event.ctrlKey;
+    if (command && (event.key === "]" || event.key === "[")) {
+      event.preventDefault();
+      shiftLines(event.key === "]" ? 1 : -1);
+    } else if (event.key === "Tab" && !command && !event.altKey && tabInserts()) {
+      event.preventDefault();
+      const { value, selectionStart: start, selectionEnd: end } = textarea;
+      if (event.shiftKey || value.slice(start, end).includes("\n")) shiftLines(event.shiftKey ? -1 : 1);
+      else replace(start, end, indentUnit);
+    } else if (event.key === "Escape" && tabInserts()) {
+      // Escape only leaves insert mode; it must not also close the dialog.
+      event.preventDefault();
+      event.stopPropagation();
+      exitInsert();
+    } else if (event.key === "Enter" && !command && !event.shiftKey && !event.altKey && !event.isComposing) {
+      event.preventDefault();
+      newline();
+    }
+  });
+  ["input", "keyup", "pointerup", "focus", "blur", "select"].forEach((type) => textarea.addEventListener(type, render));
+  textarea.addEventListener("input", follow);
+  textarea.addEventListener("scroll", follow);
+  render();
+
+  return {
+    element: field,
+    textarea,
+    setValue(value) {
+      textarea.value = value;
+      render();
+      follow();
+    },
+    refresh() {
+      render();
+      follow();
+    }
+  };
+}
@@ -0,0 +1,540 @@
+// curriculum-lessons.es.js — generated by generate.mjs from lessons/<pathId>/*.es.md.
+// Do not edit by hand: change the Markdown lesson and run `npm run generate`.
+
+export const lessonModules = {
+  "foundations": [
+    {
+      "title": "Cómo funciona la web",
+      "detail": "Sigue una petición desde la URL hasta los píxeles: DNS, HTTP, servidores y los tres lenguajes de la web.",
+      "time": "45 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Tu navegador es un estudio",
+      "detail": "Edita en vivo, lee errores y mide cualquier página con las herramientas que ya trae tu navegador.",
+      "time": "55 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "HTML: el esqueleto",
+      "detail": "Escribe un marcado con significado para la estructura, los enlaces, las imágenes, las listas y los formularios.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "CSS: la piel",
+      "detail": "Controla la maquetación, el color y la tipografía con la cascada, el modelo de caja y flexbox.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "JavaScript: el comportamiento",
+      "detail": "Haz que las páginas respondan a las personas con variables, funciones, eventos y el DOM.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Proyecto final: tu primer artefacto",
+      "detail": "Combina los tres lenguajes en una página que haga algo real y publícala.",
+      "time": "90 min",
+      "lastChanged": "2026-10-18"
+    }
+  ]
+};
+
+export const studioMissions = {
+  "foundations": [
+    {
+      "mission": "Traza en lenguaje llano el recorrido de una carga de página, de la URL a los píxeles.",
+      "proof": "Tus notas nombran el DNS, una petición y su respuesta, el análisis del HTML y un recurso de red real con su código de estado."
+    },
+    {
+      "mission": "Audita una página real con las herramientas del propio navegador.",
+      "proof": "Tus notas recogen una edición en vivo, un hallazgo en la consola y tres mejoras candidatas que se puedan medir."
+    },
+    {
+      "mission": "Construye desde cero una página de perfil personal semántica.",
+      "proof": "Usa header, nav, main y footer, enlaces reales y una imagen con texto alternativo, y se entiende bien sin CSS."
+    },
+    {
+      "mission": "Da a tu página de perfil una maquetación tranquila y legible.",
+      "proof": "Usa el modelo de caja de forma deliberada, una maquetación flex o grid, un ritmo de espaciado visible y una regla adaptable."
+    },
+    {
+      "mission": "Añade una interacción genuina a tu página.",
+      "proof": "Una persona puede cambiar algo de la página haciendo clic o escribiendo, y el contenido principal sigue funcionando con JavaScript bloqueado."
+    },
+    {
+      "mission": "Publica tu artefacto y pruébalo con una persona real.",
+      "proof": "La página carga a través de la red, y una persona completa la tarea prevista con teclado, con pantalla táctil y sin ayuda."
+    }
+  ]
+};
+
+export const hints = {
+  "foundations": [
+    null,
+    null,
+    "Empieza por el significado: header, nav, main y footer. Cada imagen necesita texto alternativo, cada enlace un href real, y la página debe entenderse sin estilos.",
+    "Construye primero el ritmo: una escala tipográfica, dos o tres colores, padding y margin coherentes. Después una maquetación con flexbox y luego una media query. Pruébala al 200 % de zoom.",
+    "Usa querySelector para encontrar un elemento, addEventListener para escuchar, y textContent o classList para actualizarlo. Comprueba que la página sigue funcionando con JavaScript bloqueado.",
+    "Demuestra primero la tarea principal sin mejoras. Luego añade el estilo, un comportamiento y las comprobaciones de publicación, y pasa la URL a una persona sin darle indicaciones."
+  ]
+};
+
+export const lessonGuides = {
+  "foundations": [
+    {
+      "objectives": [
+        "Describir qué ocurre entre pulsar Enter y ver una página",
+        "Nombrar URL, DNS y HTTP, y el papel de HTML, CSS y JavaScript",
+        "Leer una petición de red y su código de estado"
+      ],
+      "understand": {
+        "title": "Una página es un recorrido, no un archivo",
+        "paragraphs": [
+          "Cuando escribes una URL y pulsas Enter, el navegador pregunta a un sistema de directorio (el DNS) dónde vive el servidor del sitio, abre una conexión, envía una petición HTTP y recibe una respuesta. Después convierte esa respuesta en píxeles.",
+          "La respuesta que pediste suele ser un documento HTML: la estructura. Ese documento puede hacer referencia a hojas de estilo, scripts, imágenes y datos que el navegador descarga en peticiones aparte, guarda en caché y combina en la experiencia final. Saber qué pieza hace cada trabajo es la base para construir en la web."
+        ]
+      },
+      "principle": "Una página web empieza siendo un documento. Puede hacer referencia a estilos, scripts, medios y datos que el navegador descarga, guarda en caché y combina en la experiencia final.",
+      "apply": {
+        "title": "Sigue una petición con tus propios ojos",
+        "paragraphs": [
+          "Abre el panel Network, recarga una página y busca la petición del documento: normalmente la primera fila, con la misma URL que escribiste. Su código de estado te dice qué pasó: 200 es éxito, 301 una redirección, 404 una página que no existe.",
+          "Haz clic en la fila para ver el cuerpo de la respuesta: ahí está el HTML, texto plano que tu navegador interpretó como página. Ese es todo el truco de la web: es abierta e inspeccionable por diseño."
+        ]
+      },
+      "example": "curl -IL https://learnweb.cc\n# tu salida es una evidencia, no una garantía:\n# protocolo, cabeceras y redirecciones varían según el cliente y el despliegue",
+      "steps": [
+        "Escribe una URL y abre DevTools antes de recargar.",
+        "Busca la petición del documento en el panel Network.",
+        "Anota su código de estado, su tamaño y su tiempo de carga.",
+        "Explícale a alguien qué hizo cada paso."
+      ],
+      "quiz": [
+        {
+          "question": "¿Qué hace el DNS cuando introduces una URL?",
+          "options": [
+            "Garantiza que la página cargue más rápido",
+            "Traduce el nombre de dominio a la dirección de un servidor",
+            "Da estilo a la página"
+          ],
+          "rationales": [
+            "La velocidad depende de la caché, la red y el peso de la página; el DNS solo averigua adónde enviar la petición.",
+            "Correcto: la consulta convierte un nombre como example.com en una dirección IP a la que el navegador puede conectarse.",
+            "Dar estilo es tarea del CSS, mucho después de que el servidor se haya encontrado y haya respondido."
+          ],
+          "correctIndex": 1,
+          "explanation": "El DNS convierte un nombre que las personas recuerdan en una dirección que el navegador puede alcanzar."
+        },
+        {
+          "type": "match",
+          "question": "Relaciona cada código de estado con lo que te dice.",
+          "pairs": [
+            {
+              "prompt": "200",
+              "answer": "La petición tuvo éxito"
+            },
+            {
+              "prompt": "301",
+              "answer": "La página se movió a otra dirección"
+            },
+            {
+              "prompt": "404",
+              "answer": "No se encontró la página"
+            }
+          ],
+          "explanation": "Los códigos 2xx indican éxito, los 3xx una redirección y los 4xx un problema con la petición, como una dirección que no existe."
+        }
+      ],
+      "sources": [
+        {
+          "title": "What is DNS?",
+          "url": "https://www.cloudflare.com/learning/dns/what-is-dns/",
+          "publisher": "Cloudflare",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "RFC 9110: HTTP Semantics",
+          "url": "https://www.rfc-editor.org/rfc/rfc9110",
+          "publisher": "IETF",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Inspeccionar y editar en vivo el HTML y el CSS de cualquier página",
+        "Leer errores y mensajes en la consola",
+        "Medir una página con Lighthouse"
+      ],
+      "understand": {
+        "title": "DevTools es el banco de trabajo de quien construye",
+        "paragraphs": [
+          "Todos los navegadores modernos incluyen herramientas profesionales. El panel Elements muestra el DOM vivo: puedes editar texto, mover elementos y cambiar el estilo de cualquier cosa, y el cambio se ve al instante. Nada de lo que hagas ahí se guarda: es un entorno seguro para aprender.",
+          "La consola muestra errores, avisos y mensajes de la página, y acepta los comandos de JavaScript que escribas. El panel Network muestra cada petición. Lighthouse audita rendimiento, accesibilidad y buenas prácticas con un clic."
+        ]
+      },
+      "principle": "El navegador es el ciclo de retroalimentación más rápido que tendrás nunca.",
+      "apply": {
+        "title": "Practica con una página que te guste",
+        "paragraphs": [
+          "Abre DevTools en cualquier sitio, selecciona un elemento y cambia su texto y su color. Recarga para comprobar que el original sigue intacto. Rompe algo a propósito y luego encuentra el error en la consola.",
+          "Después ejecuta Lighthouse sobre tu propia página y lee los resultados como una lista de tareas, no como un veredicto. Cada auditoría fallida nombra el archivo, la regla y, casi siempre, la solución."
+        ]
+      },
+      "example": "document.querySelector(\"h1\").textContent = \"Edité esto en vivo\"; // pruébalo en la consola",
+      "steps": [
+        "Abre un sitio que admires y cambia el texto y un estilo de un elemento.",
+        "Escribe un script de una línea en la consola y ejecútalo.",
+        "Busca y lee un error o aviso en una página real.",
+        "Ejecuta Lighthouse y apunta las tres auditorías con peor puntuación."
+      ],
+      "quiz": [
+        {
+          "question": "¿Qué panel te permite editar en vivo el HTML y el CSS de una página?",
+          "options": [
+            "Network",
+            "Elements",
+            "Application"
+          ],
+          "rationales": [
+            "Network lista peticiones y respuestas; muestra qué se cargó, pero ahí no puedes editar la página.",
+            "Correcto: Elements muestra el DOM vivo y sus estilos, y tus cambios se aplican al momento.",
+            "Application inspecciona el almacenamiento, como cookies y localStorage, no el marcado ni los estilos."
+          ],
+          "correctIndex": 1,
+          "explanation": "El panel Elements muestra el DOM vivo y los estilos calculados, que puedes editar en el sitio."
+        },
+        {
+          "question": "¿Para qué sirve mejor Lighthouse?",
+          "options": [
+            "Para medir rendimiento, accesibilidad y buenas prácticas de una pasada",
+            "Para editar imágenes",
+            "Para gestionar extensiones del navegador"
+          ],
+          "rationales": [
+            "Correcto: una sola pasada audita rendimiento, accesibilidad, buenas prácticas y SEO, con una nota para cada uno.",
+            "Lighthouse lee una página e informa sobre ella; nunca edita imágenes ni ningún otro recurso.",
+            "Las extensiones se gestionan en la configuración del navegador; Lighthouse audita, no gestiona."
+          ],
+          "correctIndex": 0,
+          "explanation": "Lighthouse ejecuta una batería de auditorías y puntúa la página según ellas."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Chrome DevTools",
+          "url": "https://developer.chrome.com/docs/devtools",
+          "publisher": "Chrome for Developers",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Firefox DevTools User Docs",
+          "url": "https://firefox-source-docs.mozilla.org/devtools-user/",
+          "publisher": "Mozilla",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Escribir una estructura semántica con header, nav, main y footer",
+        "Añadir enlaces, imágenes, listas y encabezados que signifiquen algo",
+        "Saber cuándo un elemento es la herramienta adecuada"
+      ],
+      "understand": {
+        "title": "HTML es significado, no apariencia",
+        "paragraphs": [
+          "HTML describe qué es el contenido: un encabezado, una lista, un enlace, una imagen, una zona de navegación. Los navegadores, los lectores de pantalla y los buscadores leen ese significado. Elige los elementos por lo que significan; el estilo puede venir después.",
+          "Un enlace usa href; una imagen necesita src y, para quien no puede verla, un alt que describa su propósito. Las listas estructuran elementos; los encabezados crean un índice. Estos pequeños hábitos hacen que las páginas sirvan a todo el mundo."
+        ]
+      },
+      "principle": "Elige los elementos por lo que significan, no por cómo se ven.",
+      "apply": {
+        "title": "Construye el esqueleto de una página de perfil",
+        "paragraphs": [
+          "Estructura la página con header, nav, main y footer; dale un único h1 y una sección clara para cada tema; enlaza a tus proyectos reales o futuros; añade una imagen con una descripción alternativa útil.",
+          "Luego mira la página sin CSS. Si el significado sigue claro, el esqueleto está bien. Cada lección posterior se apoyará en esta forma."
+        ]
+      },
+      "example": "<header><h1>Tu nombre</h1></header>\n<nav aria-label=\"Principal\">\n  <a href=\"#sobre-mi\">Sobre mí</a> <a href=\"#proyectos\">Proyectos</a>\n</nav>\n<main>\n  <section id=\"sobre-mi\">…</section>\n  <section id=\"proyectos\">…</section>\n</main>\n<footer>…</footer>",
+      "steps": [
+        "Escribe una página de perfil con header, nav, main, secciones y footer.",
+        "Añade un enlace real, una lista y una imagen con texto alternativo.",
+        "Valida el marcado con el validador del W3C.",
+        "Lee la página sin CSS y confirma que el significado se mantiene."
+      ],
+      "quiz": [
+        {
+          "question": "¿Qué elemento es el adecuado para la navegación principal de un sitio?",
+          "options": [
+            "div",
+            "nav",
+            "section"
+          ],
+          "rationales": [
+            "Un div no tiene significado, así que los lectores de pantalla y los puntos de referencia no saben que contiene navegación.",
+            "Correcto: nav crea un punto de referencia de navegación al que se puede saltar o que se puede omitir.",
+            "section agrupa contenido temático bajo un encabezado; no dice que los enlaces sean navegación."
+          ],
+          "correctIndex": 1,
+          "explanation": "nav marca las zonas de navegación para que las personas y las herramientas puedan encontrarlas y saltarlas."
+        },
+        {
+          "question": "¿Para qué sirve el texto alternativo?",
+          "options": [
+            "Para describir una imagen cuando no se puede ver",
+            "Para que las imágenes carguen más rápido",
+            "Para dar estilo a la imagen"
+          ],
+          "rationales": [
+            "Correcto: alt es el equivalente en texto que se lee en voz alta o se muestra cuando la imagen no se ve.",
+            "alt añade texto; no cambia el peso del archivo ni lo rápido que se descarga la imagen.",
+            "La presentación corresponde al CSS; alt describe lo que significa la imagen, no su aspecto."
+          ],
+          "correctIndex": 0,
+          "explanation": "alt da a las imágenes una descripción en texto para quien no puede verlas y para los buscadores."
+        }
+      ],
+      "sources": [
+        {
+          "title": "HTML Living Standard",
+          "url": "https://html.spec.whatwg.org/multipage/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Semantic Structure: Regions, Headings, and Lists",
+          "url": "https://webaim.org/techniques/semanticstructure/",
+          "publisher": "WebAIM",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Usar el modelo de caja para controlar el espaciado",
+        "Escribir selectores teniendo en cuenta la cascada",
+        "Construir una maquetación adaptable sencilla con flexbox"
+      ],
+      "understand": {
+        "title": "CSS es la capa de presentación",
+        "paragraphs": [
+          "CSS convierte el esqueleto en una página diseñada. Cada elemento es una caja con contenido, padding, borde y margen: el modelo de caja. El espaciado, la alineación y el ritmo salen de controlar esas cajas, no de adivinar píxeles.",
+          "La cascada resuelve las reglas en conflicto: ganan las reglas posteriores y los selectores más específicos. Una forma sencilla de mantener la calma: da estilo a los elementos directamente, usa clases para los componentes que se repiten y mantén una única fuente de verdad en tu propia hoja de estilos."
+        ]
+      },
+      "principle": "El estilo sigue a la estructura: CSS cambia la apariencia, nunca el significado.",
+      "apply": {
+        "title": "Dale a tu perfil un diseño tranquilo y legible",
+        "paragraphs": [
+          "Empieza por una escala tipográfica: un tamaño para los encabezados, otro para el texto, con un interlineado cómodo. Elige dos o tres colores y úsalos con intención. Añade padding y margin de forma coherente para que el espaciado se note deliberado.",
+          "Usa flexbox para maquetar la navegación y las filas sencillas. Añade una media query para que la maquetación siga funcionando en un móvil estrecho. Compruébala al 200 % de zoom: el texto debe reajustarse, no romperse."
+        ]
+      },
+      "example": ".profile-card {\n  display: flex;\n  gap: 1rem;\n  padding: 1.25rem;\n  border: 1px solid #ddd;\n  border-radius: .75rem;\n}\n@media (max-width: 40rem) {\n  .profile-card { flex-direction: column; }\n}",
+      "steps": [
+        "Define una escala tipográfica y una paleta de dos o tres colores.",
+        "Añade padding, margin y bordes hasta que el espaciado parezca deliberado.",
+        "Maqueta una sección con flexbox.",
+        "Añade una media query y pruébala al 200 % de zoom."
+      ],
+      "quiz": [
+        {
+          "type": "multiple",
+          "question": "¿Cuáles de estas son capas del modelo de caja?",
+          "options": [
+            "Padding",
+            "Borde",
+            "Tamaño de letra",
+            "Margen",
+            "Selector"
+          ],
+          "rationales": [
+            "El padding es el espacio entre el contenido y el borde, dentro de la caja.",
+            "El borde envuelve el padding y se dibuja como parte de la caja.",
+            "El tamaño de letra cambia el texto del contenido, y con él puede cambiar el tamaño de la caja, pero no es una capa.",
+            "El margen es la capa más externa, el espacio entre esta caja y las vecinas.",
+            "Un selector decide a qué elementos se aplica una regla; no forma parte de la caja de ningún elemento."
+          ],
+          "correctIndexes": [
+            0,
+            1,
+            3
+          ],
+          "explanation": "Cada elemento se dibuja como contenido rodeado de padding, borde y margen; el tamaño de letra y los selectores no forman parte de la caja."
+        },
+        {
+          "type": "order",
+          "question": "Dos reglas apuntan al mismo elemento. Ordena lo que compara la cascada, en el orden en que lo compara.",
+          "items": [
+            "Origen e importancia, como !important",
+            "Especificidad del selector",
+            "Orden de aparición en el código"
+          ],
+          "explanation": "La cascada mira primero el origen y la importancia, luego la especificidad; solo si empatan gana la regla que aparece después."
+        }
+      ],
+      "sources": [
+        {
+          "title": "CSS Cascading and Inheritance Level 5",
+          "url": "https://www.w3.org/TR/css-cascade-5/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Understanding Success Criterion 1.4.10: Reflow",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/reflow.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Seleccionar elementos y cambiarlos con JavaScript",
+        "Responder a clics y a la escritura con eventos",
+        "Mantener la página funcionando cuando JavaScript está bloqueado"
+      ],
+      "understand": {
+        "title": "JavaScript hace que las páginas respondan",
+        "paragraphs": [
+          "JavaScript se ejecuta en el navegador y puede leer y cambiar la página. La receta habitual: selecciona un elemento con querySelector, escucha un evento con addEventListener y actualiza la página con textContent o classList.",
+          "Trata JavaScript como una mejora. Una página cuyos enlaces, formularios y contenido funcionan sin scripts es robusta, y su capa interactiva solo puede mejorarla."
+        ]
+      },
+      "principle": "JavaScript mejora una página que ya funciona sin él.",
+      "apply": {
+        "title": "Añade una interacción real",
+        "paragraphs": [
+          "Elige una interacción pequeña y genuina: un botón que cuenta, un saludo que cambia, una lista a la que añadir elementos, un tema que se alterna. Escribe primero su HTML y luego añade el comportamiento en un script aparte.",
+          "Prueba con JavaScript bloqueado: el contenido debe seguir siendo legible y la página no debe romperse. Después vuelve a activar JavaScript y confirma que la interacción funciona."
+        ]
+      },
+      "example": "const button = document.querySelector(\"button\");\nconst output = document.querySelector(\"output\");\nlet count = 0;\nbutton.addEventListener(\"click\", () => {\n  count += 1;\n  output.textContent = count;\n});",
+      "steps": [
+        "Elige una interacción pequeña y escribe primero su HTML.",
+        "Selecciona los elementos y añade un detector de eventos.",
+        "Actualiza la página y guarda el estado de la interacción en la propia página.",
+        "Comprueba que la página principal funciona con JavaScript bloqueado."
+      ],
+      "quiz": [
+        {
+          "question": "¿Qué método selecciona el primer elemento que coincide con un selector CSS?",
+          "options": [
+            "querySelector",
+            "querySelectorAll",
+            "getElement"
+          ],
+          "rationales": [
+            "Correcto: devuelve el primer elemento que coincide, o null si no hay ninguno.",
+            "querySelectorAll devuelve todas las coincidencias en una NodeList, no solo la primera.",
+            "No existe el método getElement; las búsquedas antiguas son getElementById y getElementsByClassName."
+          ],
+          "correctIndex": 0,
+          "explanation": "querySelector devuelve el primer elemento que coincide; querySelectorAll los devuelve todos."
+        },
+        {
+          "question": "¿Qué evento se dispara cuando una persona hace clic en un elemento?",
+          "options": [
+            "submit",
+            "click",
+            "load"
+          ],
+          "rationales": [
+            "submit se dispara en un formulario al enviarse, sea cual sea el control o la tecla que lo envió.",
+            "Correcto: click se dispara al activar un elemento con ratón, toque o, en botones y enlaces, con el teclado.",
+            "load se dispara cuando termina de cargar una página o un recurso, sin intervención de nadie."
+          ],
+          "correctIndex": 1,
+          "explanation": "click se dispara al activar el elemento; submit es propio de los formularios."
+        }
+      ],
+      "sources": [
+        {
+          "title": "DOM Living Standard",
+          "url": "https://dom.spec.whatwg.org/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "JavaScript",
+          "url": "https://developer.mozilla.org/en-US/docs/Web/JavaScript",
+          "publisher": "MDN Web Docs",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Combinar HTML, CSS y JavaScript en una sola página",
+        "Probar la página como alguien que la usa, no como quien la escribió",
+        "Publicarla en un sitio real"
+      ],
+      "understand": {
+        "title": "Tu primer artefacto es una prueba, no una obra perfecta",
+        "paragraphs": [
+          "El proyecto final lo combina todo: una página con significado, construida con HTML semántico, con un CSS deliberado y con un comportamiento genuino en JavaScript. Su trabajo es funcionar para una persona real, no ganar un premio de diseño.",
+          "Probar como quien la usa significa completar la tarea como lo haría una visita: con teclado, con pantalla táctil, con el texto ampliado y con una red lenta. Fíjate en los momentos en que tú, que la escribiste, sabrías qué hacer, pero una persona desconocida no."
+        ]
+      },
+      "principle": "El primer artefacto es una prueba, no una obra perfecta.",
+      "apply": {
+        "title": "Publícalo",
+        "paragraphs": [
+          "Elige el propósito real más pequeño: presentarte, recoger una nota, comparar dos opciones o compartir una lista de recursos. Construye primero la tarea principal, luego dale estilo y después añade el comportamiento.",
+          "Publícalo en cualquier alojamiento estático gratuito, envía el enlace a una persona y pídele que complete la tarea sin darle indicaciones. Tus notas sobre lo que te sorprendió forman parte del artefacto."
+        ]
+      },
+      "example": "const releaseChecks = [\n  \"La tarea principal funciona sin JavaScript\",\n  \"Se puede completar la tarea con teclado\",\n  \"Con un 200 % de zoom se sigue leyendo bien\",\n  \"Una persona real la completa sin ayuda\"\n];",
+      "steps": [
+        "Elige un propósito pequeño y real para la página.",
+        "Construye primero el núcleo en HTML, luego el CSS y después un comportamiento.",
+        "Pasa las comprobaciones de publicación de arriba.",
+        "Publícala, comparte la URL con una persona y apunta lo que te sorprendió."
+      ],
+      "quiz": [
+        {
+          "question": "¿Qué debería funcionar antes de que cargue JavaScript?",
+          "options": [
+            "El contenido y la tarea principales",
+            "Todas las animaciones",
+            "Nada: la página es un cascarón"
+          ],
+          "rationales": [
+            "Correcto: el contenido y la tarea principal funcionan en HTML simple, y los scripts solo los mejoran.",
+            "Las animaciones son una mejora; la página no debe depender de ellas, y hay quien desactiva el movimiento.",
+            "Un cascarón que no muestra nada hasta que corren los scripts falla con redes lentas, scripts bloqueados y errores."
+          ],
+          "correctIndex": 0,
+          "explanation": "Mejorar progresivamente significa que la experiencia esencial existe sin scripts."
+        },
+        {
+          "question": "¿Cuál es la prueba más sólida para una página pequeña?",
+          "options": [
+            "Otra persona completa la tarea real sin ayuda",
+            "La página coincide con la maqueta",
+            "Usa los frameworks más nuevos"
+          ],
+          "rationales": [
+            "Correcto: que alguien sin ayuda termine la tarea real prueba que la página funciona para alguien que no eres tú.",
+            "Una maqueta es una suposición previa a que nadie use la página; coincidir con ella prueba fidelidad, no utilidad.",
+            "Las herramientas son invisibles para quien usa la página; los frameworks no dicen si la tarea funciona."
+          ],
+          "correctIndex": 0,
+          "explanation": "Que una persona real complete la tarea sin ayuda es la verdadera prueba del artefacto."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Easy Checks – A First Review of Web Accessibility",
+          "url": "https://www.w3.org/WAI/test-evaluate/preliminary/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,3124 @@
+// curriculum-lessons.js — generated by generate.mjs from lessons/<pathId>/*.md.
+// Do not edit by hand: change the Markdown lesson and run `npm run generate`.
+
+export const lessonModules = {
+  "accessibility": [
+    {
+      "title": "People before criteria",
+      "detail": "Understand disability, assistive technology, situational constraints, and the limits of conformance.",
+      "time": "55 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Semantic structure and names",
+      "detail": "Create a reliable accessibility tree with native HTML, useful labels, and disciplined ARIA.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Keyboard and focus systems",
+      "detail": "Design logical order, visible focus, unobscured targets, skip paths, and robust modal behavior.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Visual access and reflow",
+      "detail": "Test contrast, text spacing, zoom, motion, color independence, forced colors, and responsive reflow.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Forms, errors, and authentication",
+      "detail": "Make instructions, validation, recovery, target sizes, and sign-in flows understandable.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Test beyond the scanner",
+      "detail": "Combine axe-style automation, keyboard checks, screen readers, browser zoom, and user testing.",
+      "time": "95 min",
+      "lastChanged": "2026-10-18"
+    }
+  ],
+  "ai": [
+    {
+      "title": "Find the right product seam",
+      "detail": "Choose work where ambiguity is useful, review is possible, and the model improves an existing outcome.",
+      "time": "60 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Context is the interface",
+      "detail": "Design instructions, examples, retrieval, state, structured outputs, and context budgets deliberately.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Streaming and uncertain UX",
+      "detail": "Communicate latency, sources, confidence, interruption, editing, retry, and graceful failure.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Retrieval, tools, and agents",
+      "detail": "Ground answers, constrain actions, design permissions, and separate planning from consequential execution.",
+      "time": "95 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Safety, privacy, and abuse",
+      "detail": "Threat-model prompt injection, data exposure, harmful outputs, overreliance, and irreversible actions.",
+      "time": "85 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Evals before vibes",
+      "detail": "Build representative test sets, graders, traces, red-team cases, and release criteria tied to user outcomes.",
+      "time": "105 min",
+      "lastChanged": "2026-10-18"
+    }
+  ],
+  "foundations": [
+    {
+      "title": "How the web works",
+      "detail": "Follow a request from URL to pixels: DNS, HTTP, servers, and the three languages of the web.",
+      "time": "45 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Your browser is a studio",
+      "detail": "Make live edits, read errors, and measure any page with the tools already in your browser.",
+      "time": "55 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "HTML: the skeleton",
+      "detail": "Write meaningful markup for structure, links, images, lists, and forms.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "CSS: the skin",
+      "detail": "Control layout, color, and typography with the cascade, the box model, and flexbox.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "JavaScript: the behavior",
+      "detail": "Make pages respond to people with variables, functions, events, and the DOM.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Capstone: your first artifact",
+      "detail": "Combine the three languages into one page that does something real, then publish it.",
+      "time": "90 min",
+      "lastChanged": "2026-10-18"
+    }
+  ],
+  "platform": [
+    {
+      "title": "HTML that works harder",
+      "detail": "Use landmarks, forms, dialog, popover, disclosure, and native controls before reaching for custom widgets.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Layout without page breakpoints",
+      "detail": "Compose with Grid, subgrid, container queries, logical properties, and intrinsic sizing.",
+      "time": "85 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "CSS as an interface language",
+      "detail": "Practice cascade layers, nesting, style queries, anchor positioning, color spaces, and resilient fallbacks.",
+      "time": "95 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "JavaScript as enhancement",
+      "detail": "Build with modules, events, workers, the Navigation API, Trusted Types, and capability detection.",
+      "time": "95 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Performance is product design",
+      "detail": "Budget LCP, INP, and CLS; inspect the critical path; make expensive work visible.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Capstone: the resilient interface",
+      "detail": "Ship one useful workflow that works with keyboard, touch, slow networks, and reduced motion.",
+      "time": "120 min",
+      "lastChanged": "2026-10-18"
+    }
+  ],
+  "search": [
+    {
+      "title": "How discovery systems work",
+      "detail": "Map crawling, indexing, retrieval, ranking, grounding, citation, and the user intents behind them.",
+      "time": "60 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Technical foundations",
+      "detail": "Control status codes, canonicals, robots, sitemaps, metadata, rendering, internal links, and performance.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Structure for humans and machines",
+      "detail": "Use headings, entities, tables, schema, media, and source attribution to reduce ambiguity.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Original value beats commodity pages",
+      "detail": "Add first-hand experience, evidence, examples, tools, and judgment that scaled generation cannot fake.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Generative discovery without myths",
+      "detail": "Apply core SEO to AI features; make claims citeable; support shopping, local, image, video, and agent use cases.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Measure outcomes, not folklore",
+      "detail": "Connect Search Console, analytics, conversions, crawl signals, and qualitative feedback to decisions.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    }
+  ],
+  "ux": [
+    {
+      "title": "Frame the outcome",
+      "detail": "Separate the user’s job, the business constraint, and the behavior that would prove the design works.",
+      "time": "55 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Research without theater",
+      "detail": "Plan interviews, observation, surveys, and analytics around decisions you genuinely need to make.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Make information findable",
+      "detail": "Model content, vocabulary, navigation, and search around how people think—not your org chart.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Prototype the risky part",
+      "detail": "Choose fidelity by uncertainty. Prototype decisions and edge cases before decorating screens.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Design systems with judgment",
+      "detail": "Build tokens, components, content rules, states, and escape hatches that support coherent work.",
+      "time": "75 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Test, synthesize, decide",
+      "detail": "Run a five-person usability study, separate signals from anecdotes, and prioritize the next iteration.",
+      "time": "90 min",
+      "lastChanged": "2026-10-18"
+    }
+  ]
+};
+
+export const studioMissions = {
+  "accessibility": [
+    {
+      "mission": "Interview or learn from one person whose access needs differ from yours.",
+      "proof": "Your notes describe barriers and strategies without reducing the person to a persona stereotype."
+    },
+    {
+      "mission": "Inspect and repair the accessibility tree of a real page.",
+      "proof": "Landmarks, headings, control names, relationships, and reading order match the visible experience."
+    },
+    {
+      "mission": "Complete the page’s primary task with only Tab, Shift+Tab, arrows, Enter, Space, and Escape.",
+      "proof": "Focus never disappears, becomes trapped, or lands beneath sticky content."
+    },
+    {
+      "mission": "Test at 200% and 400% zoom, forced colors, increased text spacing, and reduced motion.",
+      "proof": "Nothing essential clips, overlaps, vanishes, or depends on color or animation alone."
+    },
+    {
+      "mission": "Build a form that survives a mistake and supports password managers and paste.",
+      "proof": "Errors identify the field, explain recovery, preserve valid work, and never demand memory puzzles."
+    },
+    {
+      "mission": "Create an audit report with automated results and four manual test passes.",
+      "proof": "The report separates confirmed barriers, tool warnings, false positives, and untested risk."
+    }
+  ],
+  "ai": [
+    {
+      "mission": "Evaluate three candidate AI features and reject at least one.",
+      "proof": "The selected use case tolerates uncertainty, supports review, and improves a measurable outcome."
+    },
+    {
+      "mission": "Create a context contract that lists instructions, evidence, examples, state, tools, and output schema.",
+      "proof": "Every included token has a job, and missing or conflicting context has an explicit policy."
+    },
+    {
+      "mission": "Prototype streaming, stop, retry, edit, citation, and failure states before connecting a model.",
+      "proof": "A user always knows what is happening, what is uncertain, and what control remains theirs."
+    },
+    {
+      "mission": "Design one tool call with a narrow schema, permission boundary, preview, and confirmation step.",
+      "proof": "Untrusted content cannot silently expand authority or trigger an irreversible action."
+    },
+    {
+      "mission": "Threat-model your feature for prompt injection, disclosure, harmful output, and overreliance.",
+      "proof": "Each high-risk path has prevention, detection, containment, and recovery—not only a warning label."
+    },
+    {
+      "mission": "Build a 30-case evaluation set from real tasks, edge cases, and adversarial inputs.",
+      "proof": "Release criteria cover task success, groundedness, safety, latency, cost, and regression."
+    }
+  ],
+  "foundations": [
+    {
+      "mission": "Map one page-load journey in plain language, from URL to pixels.",
+      "proof": "Your notes name DNS, a request and response, HTML parsing, and one real network resource with its status code."
+    },
+    {
+      "mission": "Audit one real page with the browser's own tools.",
+      "proof": "Your notes capture one live edit, one console finding, and three measurable improvement candidates."
+    },
+    {
+      "mission": "Build a semantic personal profile page from scratch.",
+      "proof": "It uses header, nav, main, and footer, real links, an image with alt text, and reads sensibly without CSS."
+    },
+    {
+      "mission": "Style your profile page into a calm, readable layout.",
+      "proof": "It uses the box model deliberately, one flex or grid layout, a visible spacing rhythm, and a responsive rule."
+    },
+    {
+      "mission": "Add one genuine interaction to your page.",
+      "proof": "A person can change something on the page by clicking or typing, and the core content still works with JavaScript blocked."
+    },
+    {
+      "mission": "Publish your artifact and test it with a real person.",
+      "proof": "The page loads over the network, and a person completes the intended task with keyboard, touch, and no coaching."
+    }
+  ],
+  "platform": [
+    {
+      "mission": "Rebuild one custom menu with native disclosure or popover HTML.",
+      "proof": "It remains understandable before JavaScript loads and exposes the right name, role, and state."
+    },
+    {
+      "mission": "Create a card rail that changes composition from its own available width.",
+      "proof": "The component works in a sidebar and a full page without viewport-specific overrides."
+    },
+    {
+      "mission": "Anchor a callout, animate one reveal, and add a deliberate fallback.",
+      "proof": "The core task still works in a browser that ignores every enhancement."
+    },
+    {
+      "mission": "Add client-side navigation or filtering without taking ownership away from links and history.",
+      "proof": "Back, forward, refresh, deep links, and keyboard activation remain reliable."
+    },
+    {
+      "mission": "Measure one slow interaction and remove its largest block of main-thread work.",
+      "proof": "You can explain which user-visible delay changed and why—not only quote a score."
+    },
+    {
+      "mission": "Ship a compact tool for a real person on an old phone and an unstable connection.",
+      "proof": "They can finish the task with keyboard, touch, 200% zoom, and reduced motion."
+    }
+  ],
+  "search": [
+    {
+      "mission": "Diagram how one important question moves from crawl to retrieval to answer or result.",
+      "proof": "The diagram separates what you control, what you can measure, and what remains opaque."
+    },
+    {
+      "mission": "Audit one URL from response code through rendered content, canonicals, links, and sitemap.",
+      "proof": "Every issue includes evidence, user impact, and the smallest safe correction."
+    },
+    {
+      "mission": "Rewrite one dense article around clear entities, questions, claims, sources, and useful media.",
+      "proof": "A reader can scan it, verify it, and extract the right answer without losing context."
+    },
+    {
+      "mission": "Add a first-hand test, original data point, working tool, or expert judgment to a generic page.",
+      "proof": "The contribution is difficult to reproduce through paraphrase alone."
+    },
+    {
+      "mission": "Prepare one guide for AI-assisted discovery without inventing special GEO tricks.",
+      "proof": "It is crawlable, original, well sourced, technically sound, and explicit about who created it."
+    },
+    {
+      "mission": "Define a monthly discovery scorecard tied to a meaningful product outcome.",
+      "proof": "Metrics connect visibility and engagement to decisions instead of rewarding traffic in isolation."
+    }
+  ],
+  "ux": [
+    {
+      "mission": "Write a one-page opportunity brief for a problem you can observe this week.",
+      "proof": "It names a user, situation, desired progress, constraint, and disconfirming signal."
+    },
+    {
+      "mission": "Run three short interviews using behavior-first questions, then affinity-map the evidence.",
+      "proof": "Findings distinguish observed patterns, quotes, assumptions, and unanswered questions."
+    },
+    {
+      "mission": "Card-sort a messy collection of at least 25 items and propose a navigation model.",
+      "proof": "Labels use the audience’s vocabulary and every high-priority item has an obvious home."
+    },
+    {
+      "mission": "Prototype only the least-certain moment in a flow, including loading, empty, and error states.",
+      "proof": "A teammate can test the risky decision without being distracted by visual polish."
+    },
+    {
+      "mission": "Document one component’s anatomy, content rules, states, tokens, and escape hatch.",
+      "proof": "Another maker can use it correctly without copying a screenshot."
+    },
+    {
+      "mission": "Facilitate five task-based sessions and turn observations into ranked changes.",
+      "proof": "Every recommendation points to evidence, severity, frequency, and product intent."
+    }
+  ]
+};
+
+export const hints = {
+  "foundations": [
+    null,
+    null,
+    "Start from meaning: header, nav, main, and footer. Every image needs alt text, every link needs a real href, and the page should read sensibly with styles removed.",
+    "Build rhythm first: a type scale, two or three colors, consistent padding and margin. Then one flexbox layout, then one media query. Test at 200% zoom.",
+    "Use querySelector to find an element, addEventListener to listen, and textContent or classList to update it. Verify the page still works with JavaScript blocked.",
+    "Prove the core task without enhancements first. Then add styling, one behavior, and the release checks—and hand the URL to a person without coaching."
+  ],
+  "platform": [
+    "Start with the native element that matches the task: popover or details/summary. popovertarget gives you focus management and dismissal for free.",
+    "Declare container-type: inline-size on the rail, then write @container (width > …) rules for composition changes. Resize the preview to see it respond.",
+    "Write the plain fallback first (fixed or absolute position), then layer anchor-name and position-anchor inside @supports so older browsers keep the fallback.",
+    "Keep the real link or form in the HTML. Intercept only when 'navigation' in window, and update the URL with history.replaceState so refresh and deep links still work.",
+    "Profile the click in the Performance panel, find the long task, then split, defer, or move it off the main thread while keeping immediate feedback such as a disabled button.",
+    "Write the release checklist before polishing: keyboard task, 400% zoom, slow-network feedback, no-JS core, reduced motion. The boundary conditions are the brief."
+  ]
+};
+
+export const lessonGuides = {
+  "accessibility": [
+    {
+      "objectives": [
+        "Describe disability as an interaction with barriers",
+        "Distinguish conformance from lived usability",
+        "Include disabled people in evaluation"
+      ],
+      "understand": {
+        "title": "Accessibility is a quality of the interaction",
+        "paragraphs": [
+          "A person is not the edge case. Barriers emerge when a product assumes one way of seeing, hearing, moving, understanding, or communicating. The same barrier may affect permanent disability, a temporary injury, or someone using a phone in glare.",
+          "WCAG gives testable requirements and a shared baseline. Conformance is valuable, but it cannot guarantee that every person can use a product. Automated tools find only a subset of problems; human testing supplies context and strategies."
+        ]
+      },
+      "principle": "Design for human variation from the beginning; do not bolt accessibility onto finished screens.",
+      "apply": {
+        "title": "Use standards and lived evidence together",
+        "paragraphs": [
+          "Organize checks around perceivable, operable, understandable, and robust. Then test real tasks with keyboard, screen readers, zoom, voice input, and people whose access needs differ from yours.",
+          "Describe barriers precisely: the control has no accessible name; focus moves behind the dialog; the error is conveyed by color only. Precision makes repair possible."
+        ]
+      },
+      "steps": [
+        "Choose one important task.",
+        "List the sensory, motor, cognitive, and situational assumptions it makes.",
+        "Test the task with two different access methods.",
+        "Document barriers as observable cause and impact."
+      ],
+      "quiz": [
+        {
+          "question": "What does WCAG conformance guarantee?",
+          "options": [
+            "Perfect usability for every disabled person",
+            "Meeting a defined set of testable accessibility requirements",
+            "Passing every automated scanner"
+          ],
+          "rationales": [
+            "Criteria are a shared baseline; people can still struggle with a page that conforms.",
+            "Right: conformance means meeting a defined set of testable requirements, and no more.",
+            "Scanners catch only part of WCAG, and passing them does not mean the page conforms."
+          ],
+          "correctIndex": 1,
+          "explanation": "Conformance is a valuable baseline, but human needs and usability extend beyond any checklist."
+        },
+        {
+          "question": "Which situation is an example of a situational barrier?",
+          "options": [
+            "Using a phone in bright sunlight",
+            "Being unable to speak",
+            "Living without internet"
+          ],
+          "rationales": [
+            "Right: bright sunlight is a temporary condition that creates the barrier, not the person.",
+            "Being unable to speak is a lasting condition, a permanent rather than situational case.",
+            "Lack of access to the internet is an infrastructure barrier, not a momentary situation."
+          ],
+          "correctIndex": 0,
+          "explanation": "Barriers are interactions between people and conditions; glare on a phone is a classic situational case."
+        }
+      ],
+      "sources": [
+        {
+          "title": "How People with Disabilities Use the Web",
+          "url": "https://www.w3.org/WAI/people-use-web/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Web Content Accessibility Guidelines (WCAG) 2.2",
+          "url": "https://www.w3.org/TR/WCAG22/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Read an accessibility tree",
+        "Create useful names and relationships",
+        "Use ARIA only where native semantics are insufficient"
+      ],
+      "understand": {
+        "title": "Assistive technology receives a model",
+        "paragraphs": [
+          "Browsers transform DOM and CSS into an accessibility tree containing roles, names, states, and relationships. A visually clear control can be silent or misleading if that model is wrong.",
+          "Native HTML supplies semantics automatically. Labels connect instructions to form controls. Headings create navigable structure. Landmarks divide regions. ARIA can add missing information, but a role does not add keyboard behavior."
+        ]
+      },
+      "principle": "No ARIA is better than bad ARIA, and native HTML is usually better than equivalent ARIA.",
+      "apply": {
+        "title": "Name things by their purpose",
+        "paragraphs": [
+          "An accessible name should distinguish the control in context: “Remove Maya from project” is more useful than six buttons named “Remove.” Visible text should normally be part of the accessible name.",
+          "Inspect the tree, then navigate by headings and landmarks with a screen reader. Fix the DOM model rather than hiding symptoms with extra announcements."
+        ]
+      },
+      "example": "<label for=\"email\">Work email</label>\n<input id=\"email\" name=\"email\" type=\"email\"\n       autocomplete=\"email\" required>",
+      "steps": [
+        "Open the accessibility tree for one page.",
+        "Check landmark, heading, control name, role, state, and relationship.",
+        "Replace avoidable ARIA with native HTML.",
+        "Navigate the result by headings, landmarks, and form controls."
+      ],
+      "quiz": [
+        {
+          "question": "What does role=\"button\" add to a div by itself?",
+          "options": [
+            "Button semantics only",
+            "Full keyboard and form behavior",
+            "Automatic focus and Space-key handling"
+          ],
+          "rationales": [
+            "Right: the role changes only what assistive technology is told; behaviour is still up to you.",
+            "ARIA adds no behaviour; keyboard activation and form submission must be built by hand.",
+            "A div with a role is still not focusable and ignores Space until you add tabindex and script."
+          ],
+          "correctIndex": 0,
+          "explanation": "ARIA changes the exposed role; the author must still implement focus, keyboard behavior, and state."
+        },
+        {
+          "question": "An input's accessible name should normally…",
+          "options": [
+            "Include its visible label text",
+            "Be hidden from all users",
+            "Match its placeholder exactly"
+          ],
+          "rationales": [
+            "Right: when the name includes the visible label, speech users can say what they see.",
+            "A hidden name leaves sighted speech and screen reader users with nothing to match.",
+            "Placeholders vanish as soon as someone types and are a poor label or name."
+          ],
+          "correctIndex": 0,
+          "explanation": "A visible label is the most reliable source of an accessible name."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Accessible Name and Description Computation 1.2",
+          "url": "https://www.w3.org/TR/accname-1.2/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "ARIA Authoring Practices Guide: Read Me First",
+          "url": "https://www.w3.org/WAI/ARIA/apg/practices/read-me-first/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Complete an interface by keyboard",
+        "Manage focus during dynamic changes",
+        "Keep focused controls visible"
+      ],
+      "understand": {
+        "title": "Keyboard access is interaction architecture",
+        "paragraphs": [
+          "Tab should move through interactive elements in a logical order. Arrow keys often move within composite widgets such as tabs or menus. Enter and Space activate according to native conventions. Avoid positive tabindex values, which create a second fragile reading order.",
+          "Visible focus is location information. It must remain distinguishable and not be hidden under sticky headers, cookie banners, or dialogs. WCAG 2.2 adds explicit focus-not-obscured requirements."
+        ]
+      },
+      "principle": "Focus should follow the user’s task, not the order in which elements happened to be coded.",
+      "apply": {
+        "title": "Move focus only for a reason",
+        "paragraphs": [
+          "When a modal opens, focus moves inside; when it closes, focus returns to the trigger. After deleting an item, focus moves to a sensible neighbor or status. Routine content updates should not steal focus.",
+          "Test forward and backward, at zoom, and after every dynamic action. A keyboard trap is any state a person cannot leave using the same input method."
+        ]
+      },
+      "steps": [
+        "Put the mouse away and complete the primary task.",
+        "Record missing, hidden, illogical, or trapped focus.",
+        "Repair with native controls and deliberate focus movement.",
+        "Repeat backward and at 200% zoom."
+      ],
+      "quiz": [
+        {
+          "question": "After closing a modal dialog, where should focus usually go?",
+          "options": [
+            "The top of the page",
+            "Back to the element that opened it",
+            "The browser address bar"
+          ],
+          "rationales": [
+            "Jumping to the top throws away the person's place and makes them navigate back.",
+            "Right: returning to the trigger keeps context and lets the person carry on.",
+            "Pages cannot move focus to the address bar, and it would strand the person outside the page."
+          ],
+          "correctIndex": 1,
+          "explanation": "Returning to the trigger preserves context and lets the user continue from where they started."
+        },
+        {
+          "question": "A keyboard trap is…",
+          "options": [
+            "A state a person cannot leave using the keyboard",
+            "An element with tabindex",
+            "A page without links"
+          ],
+          "rationales": [
+            "Right: a trap is any state a keyboard user cannot leave with the keyboard.",
+            "tabindex only controls focusability and order; it does not stop anyone leaving.",
+            "A page without links can still be navigated and left; that is not a trap."
+          ],
+          "correctIndex": 0,
+          "explanation": "A trap blocks keyboard escape; every state must be leaveable with the same input method."
+        },
+        {
+          "question": "Why avoid positive tabindex values?",
+          "options": [
+            "They hide elements from screen readers",
+            "They create a second tab order that drifts from the reading order",
+            "Browsers ignore them on buttons"
+          ],
+          "rationales": [
+            "tabindex affects focus order, not what screen readers expose.",
+            "Right: positive values make a separate order that has to be maintained by hand and soon drifts.",
+            "Browsers honour tabindex on buttons; that is exactly why positive values cause trouble."
+          ],
+          "correctIndex": 1,
+          "explanation": "Positive values jump the queue and must be maintained by hand; DOM order with tabindex 0 or -1 stays predictable."
+        },
+        {
+          "question": "A sticky footer covers the focused link. Which criterion does this fail?",
+          "options": [
+            "Keyboard trap",
+            "Bypass blocks",
+            "Focus not obscured"
+          ],
+          "rationales": [
+            "Focus can still move on; the problem is that it is hidden, not trapped.",
+            "Bypass blocks is about skipping repeated content, not about seeing focus.",
+            "Right: content the author added hides the focused component, which this criterion forbids."
+          ],
+          "correctIndex": 2,
+          "explanation": "WCAG 2.2 asks that a focused component is not entirely hidden by author-created content such as sticky headers and footers."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Understanding Success Criterion 2.4.11: Focus Not Obscured (Minimum)",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/focus-not-obscured-minimum.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Developing a Keyboard Interface",
+          "url": "https://www.w3.org/WAI/ARIA/apg/practices/keyboard-interface/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Test contrast without relying on color alone",
+        "Verify reflow at zoom",
+        "Respect forced colors and reduced motion"
+      ],
+      "understand": {
+        "title": "Visual access is more than contrast",
+        "paragraphs": [
+          "Contrast helps text and controls remain distinguishable, but color cannot be the only signal for errors, status, or selection. Pair color with text, shape, iconography, or position.",
+          "At 400% zoom a desktop layout effectively becomes narrow. Content should reflow without two-dimensional scrolling for ordinary reading. Fixed heights, clipped text, and rigid columns often fail first."
+        ]
+      },
+      "principle": "A visual system is resilient when meaning survives changed color, scale, motion, and viewport.",
+      "apply": {
+        "title": "Let user preferences win",
+        "paragraphs": [
+          "Forced-colors mode may replace your palette. Use semantic borders and system colors where needed. Reduced motion should remove effects that imply movement through space or trigger discomfort.",
+          "Test with browser zoom, text-only spacing changes, high contrast, grayscale, and motion reduction. Do not infer accessibility from a design token’s name."
+        ]
+      },
+      "steps": [
+        "Identify every place color communicates meaning.",
+        "Add a non-color cue and test contrast.",
+        "Test 200% and 400% zoom plus text spacing.",
+        "Enable forced colors and reduced motion, then repair lost meaning."
+      ],
+      "quiz": [
+        {
+          "question": "Which error treatment is most robust?",
+          "options": [
+            "A red border only",
+            "A red border, error icon, and specific text linked to the field",
+            "A brief shake animation"
+          ],
+          "rationales": [
+            "Colour alone fails people who cannot tell red apart, and it never says what went wrong.",
+            "Right: several cues plus linked text keep the meaning for every way of perceiving the page.",
+            "Motion is easy to miss, may be switched off, and says nothing about how to fix the error."
+          ],
+          "correctIndex": 1,
+          "explanation": "Multiple cues and an explicit message preserve meaning across visual conditions and assistive technology."
+        },
+        {
+          "question": "At 400% zoom, a well-built page should…",
+          "options": [
+            "Reflow without two-dimensional scrolling for reading",
+            "Hide the navigation",
+            "Remain pixel-identical"
+          ],
+          "rationales": [
+            "Right: content reflows into the narrow width so reading needs scrolling in one direction only.",
+            "Hiding navigation removes functionality; reflow should keep it reachable.",
+            "A pixel-identical layout at 400% forces scrolling in two directions to read each line."
+          ],
+          "correctIndex": 0,
+          "explanation": "At 400% zoom the layout effectively narrows; content must reflow to fit."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Understanding Success Criterion 1.4.10: Reflow",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/reflow.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Understanding Success Criterion 1.4.3: Contrast (Minimum)",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Write clear instructions and errors",
+        "Support autocomplete and password managers",
+        "Design recovery without repeated entry"
+      ],
+      "understand": {
+        "title": "A form is a conversation about recovery",
+        "paragraphs": [
+          "Labels explain what to provide; instructions explain format or constraints before failure; errors identify what went wrong and how to fix it. Placeholder text is not a replacement for a persistent label.",
+          "Validate at a helpful moment. Premature errors punish unfinished input; validation only after submission may create a long recovery loop. Preserve valid values and move focus or provide a summary when submission fails."
+        ]
+      },
+      "principle": "An accessible form helps people recover from mistakes without losing work or proving they are human again.",
+      "apply": {
+        "title": "Authentication should work with tools people rely on",
+        "paragraphs": [
+          "Allow paste, password managers, and autocomplete. Avoid cognitive-function tests unless an accessible alternative exists. Use the correct autocomplete tokens so browsers can assist.",
+          "Touch targets need enough size and spacing. Required state, errors, and success must be available to screen readers without unexpected focus theft."
+        ]
+      },
+      "example": "<input id=\"password\" type=\"password\"\n  autocomplete=\"current-password\"\n  aria-describedby=\"password-help\">\n<p id=\"password-help\">At least 12 characters.</p>",
+      "steps": [
+        "Complete the form with intentional mistakes.",
+        "Rewrite instructions and errors as specific recovery steps.",
+        "Add labels, autocomplete, error relationships, and a summary.",
+        "Test paste, password manager behavior, zoom, keyboard, and touch targets."
+      ],
+      "quiz": [
+        {
+          "question": "Why should a sign-in form allow password paste?",
+          "options": [
+            "It makes the page faster to animate",
+            "It supports password managers and reduces memory burden",
+            "It prevents browser autofill"
+          ],
+          "rationales": [
+            "Paste has nothing to do with animation; it is about how people enter credentials.",
+            "Right: pasting lets people use password managers instead of remembering or retyping secrets.",
+            "Allowing paste does not affect autofill; both help people enter credentials."
+          ],
+          "correctIndex": 1,
+          "explanation": "Paste and password managers support stronger credentials and accessible authentication."
+        },
+        {
+          "question": "The autocomplete attribute helps because…",
+          "options": [
+            "It lets password managers and assistive tools fill fields correctly",
+            "It makes forms prettier",
+            "It disables paste"
+          ],
+          "rationales": [
+            "Right: the tokens tell browsers, password managers, and assistive tools what each field expects.",
+            "autocomplete changes no styling; it describes the purpose of the field.",
+            "autocomplete does not block paste; blocking paste is a separate, harmful script."
+          ],
+          "correctIndex": 0,
+          "explanation": "Correct autocomplete tokens support password managers, paste, and assistive technology."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Forms Tutorial",
+          "url": "https://www.w3.org/WAI/tutorials/forms/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Understanding Success Criterion 3.3.8: Accessible Authentication (Minimum)",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/accessible-authentication-minimum.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Combine automated and manual testing",
+        "Prioritize barriers by user impact",
+        "Write reproducible accessibility findings"
+      ],
+      "understand": {
+        "title": "Automation is a fast first pass",
+        "paragraphs": [
+          "Automated tools are excellent at deterministic checks such as missing names, invalid relationships, and some contrast failures. They cannot decide whether alternative text is useful, focus order makes sense, or a workflow is understandable.",
+          "A credible audit records scope, browser, assistive technology, viewport, tasks, and known limits. Retest fixes instead of treating the report as the end."
+        ]
+      },
+      "principle": "A scanner reports code patterns; an accessibility test evaluates whether people can complete tasks.",
+      "apply": {
+        "title": "Write findings people can reproduce",
+        "paragraphs": [
+          "Include the barrier, affected users, steps, actual result, expected result, standard reference, severity, and a focused recommendation. Separate confirmed failures from risks that need more testing.",
+          "Prioritize blockers in core tasks, then widespread and severe barriers. Cosmetic rule violations with little impact should not outrank an unlabeled payment control."
+        ]
+      },
+      "steps": [
+        "Define three representative tasks and the test environment.",
+        "Run automation, keyboard, zoom, and one screen-reader pass.",
+        "Write each confirmed finding with reproduction and impact.",
+        "Fix the highest-severity issue and retest the original task."
+      ],
+      "quiz": [
+        {
+          "question": "Which problem is an automated scanner least able to judge?",
+          "options": [
+            "A form control has no programmatic label",
+            "Alternative text accurately communicates the image’s purpose",
+            "An ID is duplicated"
+          ],
+          "rationales": [
+            "Scanners reliably detect a control with no programmatic label.",
+            "Right: whether alt text conveys the image's purpose depends on context only a person can judge.",
+            "Duplicate IDs are a mechanical check that tools catch easily."
+          ],
+          "correctIndex": 1,
+          "explanation": "The usefulness of alternative text depends on content and context, which requires human judgment."
+        },
+        {
+          "question": "A reproducible finding includes…",
+          "options": [
+            "Steps to reproduce and the impact on users",
+            "Only a screenshot",
+            "Only the automated tool name"
+          ],
+          "rationales": [
+            "Right: steps and impact let others confirm the problem and judge how severe it is.",
+            "A screenshot shows a moment but not how to reach it or who it harms.",
+            "A tool name says where the finding came from, not how to reproduce or prioritize it."
+          ],
+          "correctIndex": 0,
+          "explanation": "Reproduction and impact let others verify severity and prioritization."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Website Accessibility Conformance Evaluation Methodology (WCAG-EM) 1.0",
+          "url": "https://www.w3.org/TR/WCAG-EM/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Involving Users in Evaluating Web Accessibility",
+          "url": "https://www.w3.org/WAI/test-evaluate/involving-users/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ],
+  "ai": [
+    {
+      "objectives": [
+        "Identify tasks that tolerate uncertainty",
+        "Define human review and failure cost",
+        "Reject weak AI use cases"
+      ],
+      "understand": {
+        "title": "Start with the workflow, not the model",
+        "paragraphs": [
+          "AI is useful where interpretation, generation, classification, or transformation creates value and a person or system can evaluate the result. It is weaker where exactness is mandatory and errors are hard to detect.",
+          "Map the existing workflow, frequency, pain, available context, review point, and cost of failure. Compare the AI concept against a simpler search, rule, template, or interface improvement."
+        ]
+      },
+      "principle": "Use AI where uncertainty is tolerable and review is possible—not where the word AI makes a roadmap sound modern.",
+      "apply": {
+        "title": "Write a value and risk contract",
+        "paragraphs": [
+          "Define the user outcome, baseline, success measure, unacceptable failure, escalation path, and authority boundary. The model should not quietly gain more power than the user intended.",
+          "Prototype the workflow with human-generated outputs before integrating a model. If the interaction is not useful with good outputs, better model quality will not rescue it."
+        ]
+      },
+      "steps": [
+        "List three candidate AI features in an existing workflow.",
+        "Score value, uncertainty tolerance, reviewability, and failure cost.",
+        "Compare the strongest idea with a non-AI alternative.",
+        "Prototype the workflow and reject at least one candidate explicitly."
+      ],
+      "quiz": [
+        {
+          "question": "Which task is the strongest AI candidate?",
+          "options": [
+            "Calculating an exact tax total with no verification",
+            "Drafting a support reply that an agent reviews before sending",
+            "Silently approving medical treatment"
+          ],
+          "rationales": [
+            "Exact arithmetic is better done by deterministic code, and unverified output makes errors costly.",
+            "Right: a person reviews the draft before it is sent, so the model helps without having the final say.",
+            "Silent approval of treatment removes the human check exactly where a mistake does the most harm."
+          ],
+          "correctIndex": 1,
+          "explanation": "Drafting supports judgment while preserving human review before a consequential action."
+        },
+        {
+          "question": "Which AI failure is hardest for a user to detect?",
+          "options": [
+            "A fluent but wrong answer in an expert domain",
+            "A blank screen",
+            "An obvious grammar error"
+          ],
+          "rationales": [
+            "Right: fluent, confident errors look correct, especially to people without expertise.",
+            "A blank screen is an obvious failure that anyone notices at once.",
+            "Obvious grammar errors announce themselves; they are easy to spot."
+          ],
+          "correctIndex": 0,
+          "explanation": "Plausible errors in expert domains are exactly why review and grounding matter."
+        }
+      ],
+      "sources": [
+        {
+          "title": "People + AI Guidebook",
+          "url": "https://pair.withgoogle.com/guidebook/",
+          "publisher": "Google PAIR",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Guidelines for Human-AI Interaction",
+          "url": "https://www.microsoft.com/en-us/haxtoolkit/ai-guidelines/",
+          "publisher": "Microsoft HAX Toolkit",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Design a context contract",
+        "Separate instructions, evidence, and user data",
+        "Use structured outputs for downstream work"
+      ],
+      "understand": {
+        "title": "Context shapes behavior more than clever phrasing",
+        "paragraphs": [
+          "A model sees only the context supplied for the current task: instructions, user input, retrieved evidence, examples, tools, state, and output constraints. Missing or conflicting context creates unstable behavior.",
+          "Place durable policy above task-specific requests. Delimit untrusted content and state that it is data, not instruction. Include only evidence relevant to the decision; more context can add distraction and cost."
+        ]
+      },
+      "principle": "Treat context as product infrastructure: scoped, versioned, observable, and tested.",
+      "apply": {
+        "title": "Make outputs easier to verify",
+        "paragraphs": [
+          "Structured schemas reduce ambiguity when software consumes the result. Require source references, uncertainty, or missing fields where appropriate. Reject invalid output rather than guessing.",
+          "Examples teach format and boundaries, but they can overfit behavior. Test with novel and adversarial cases, not only examples that resemble the prompt."
+        ]
+      },
+      "steps": [
+        "Inventory instructions, user data, retrieved evidence, examples, state, and tools.",
+        "Define precedence and how untrusted text is delimited.",
+        "Specify a structured output with required uncertainty or citations.",
+        "Test missing, conflicting, irrelevant, and adversarial context."
+      ],
+      "quiz": [
+        {
+          "question": "How should retrieved webpage text be treated?",
+          "options": [
+            "As higher-priority instructions",
+            "As untrusted evidence that may contain hostile instructions",
+            "As automatically verified truth"
+          ],
+          "rationales": [
+            "Letting fetched text act as instructions hands control to whoever wrote the page.",
+            "Right: retrieved text is outside the trust boundary and may try to inject instructions.",
+            "Retrieval only fetches text; nothing about it checks that the text is true."
+          ],
+          "correctIndex": 1,
+          "explanation": "Retrieved content is data from outside the trust boundary and may attempt prompt injection."
+        },
+        {
+          "question": "Why delimit untrusted retrieved content?",
+          "options": [
+            "So it is treated as data, not instructions",
+            "To make prompts prettier",
+            "To reduce token cost"
+          ],
+          "rationales": [
+            "Right: delimiters mark where outside text begins and ends, so it is handled as data.",
+            "Delimiters are a safety boundary, not decoration.",
+            "Delimiters add a few tokens rather than saving any; cost is not the reason."
+          ],
+          "correctIndex": 0,
+          "explanation": "Delimiting marks external text as data and reduces prompt-injection risk."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Lost in the Middle: How Language Models Use Long Contexts",
+          "url": "https://arxiv.org/abs/2307.03172",
+          "publisher": "arXiv",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Design streaming and latency feedback",
+        "Keep users in control of generated work",
+        "Communicate uncertainty without false precision"
+      ],
+      "understand": {
+        "title": "Waiting is part of the interface",
+        "paragraphs": [
+          "AI responses may take seconds and can fail after partial output. Show that work started, allow cancellation, preserve the user’s input, and distinguish waiting, streaming, tool use, completion, and failure.",
+          "Streaming improves perceived speed but can expose unverified claims as they arrive. Reserve consequential actions until validation completes and make final status clear."
+        ]
+      },
+      "principle": "An AI interface should never leave the user unsure whether it is waiting, working, finished, or acting.",
+      "apply": {
+        "title": "Generated content needs agency",
+        "paragraphs": [
+          "Support edit, retry, compare, cite, undo, and dismiss. Do not replace a user’s work without preserving the original. Explain sources and limitations close to the output.",
+          "Avoid decorative confidence scores. Communicate what evidence was used, what is missing, and which claims need review."
+        ]
+      },
+      "steps": [
+        "Storyboard idle, submitted, waiting, streaming, validating, success, stopped, and failure states.",
+        "Add stop, retry, edit, and source inspection.",
+        "Preserve the original input and any user edits.",
+        "Test a slow response, partial failure, and unsupported claim."
+      ],
+      "quiz": [
+        {
+          "question": "What should happen if a streamed answer later fails validation?",
+          "options": [
+            "Show it as complete anyway",
+            "Clearly mark the failure and prevent consequential use",
+            "Delete the entire conversation silently"
+          ],
+          "rationales": [
+            "Presenting an invalid answer as complete invites people to act on something known to be wrong.",
+            "Right: mark the failure clearly so no one relies on the partial output.",
+            "Silently erasing the conversation destroys context and hides what went wrong."
+          ],
+          "correctIndex": 1,
+          "explanation": "The interface must distinguish unvalidated partial output from a trustworthy completed result."
+        },
+        {
+          "question": "A decorative confidence score…",
+          "options": [
+            "Communicates false precision",
+            "Improves grounding",
+            "Replaces citations"
+          ],
+          "rationales": [
+            "Right: a number with no evidence behind it implies precision the system does not have.",
+            "A score does not connect the answer to any source, so it adds no grounding.",
+            "Citations let people check claims; a number gives them nothing to check."
+          ],
+          "correctIndex": 0,
+          "explanation": "Without evidence behind it, a percentage implies precision the system does not have."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Streams API",
+          "url": "https://developer.mozilla.org/en-US/docs/Web/API/Streams_API",
+          "publisher": "MDN Web Docs",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Accessible Rich Internet Applications (WAI-ARIA) 1.2: aria-live",
+          "url": "https://www.w3.org/TR/wai-aria-1.2/#aria-live",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Separate retrieval from generation",
+        "Constrain tool authority",
+        "Require confirmation for consequential actions"
+      ],
+      "understand": {
+        "title": "Grounding and action are different systems",
+        "paragraphs": [
+          "Retrieval selects evidence; generation synthesizes an answer. Evaluate both: did retrieval find the right sources, and did the answer stay faithful to them? A fluent answer cannot repair missing evidence.",
+          "Tools let a model read data or perform actions. Each tool needs a narrow purpose, schema, permission check, timeout, error policy, and observable trace."
+        ]
+      },
+      "principle": "The model may propose; trusted application code decides what is allowed and what actually runs.",
+      "apply": {
+        "title": "Design the authority boundary",
+        "paragraphs": [
+          "Use least privilege and separate read from write tools. Show a preview before sending, deleting, purchasing, or publishing. Confirmation must describe the exact action and target.",
+          "Treat tool results as untrusted data. Prevent retrieved text from changing permissions or bypassing confirmation. Idempotency and undo reduce damage from retries."
+        ]
+      },
+      "steps": [
+        "Draw retrieval, generation, tool, permission, and confirmation boundaries.",
+        "Define one narrow tool schema and validation rules.",
+        "Add preview and explicit confirmation for writes.",
+        "Test prompt injection, duplicate calls, timeout, partial failure, and undo."
+      ],
+      "quiz": [
+        {
+          "question": "Who should enforce whether a tool call is authorized?",
+          "options": [
+            "The model’s natural-language promise",
+            "Trusted application code and permission policy",
+            "The retrieved webpage"
+          ],
+          "rationales": [
+            "A model's promise is text it can be talked out of; it cannot enforce permissions.",
+            "Right: deterministic code and policy outside the model decide what is allowed.",
+            "Retrieved content is untrusted input and must never grant authority."
+          ],
+          "correctIndex": 1,
+          "explanation": "Authorization must be deterministic and outside the model’s control."
+        },
+        {
+          "question": "Tool design should…",
+          "options": [
+            "Use narrow schemas and least privilege",
+            "Give the model every permission",
+            "Skip validation for speed"
+          ],
+          "rationales": [
+            "Right: narrow schemas and minimal permissions keep each tool's authority enforceable.",
+            "Broad permissions turn any manipulated response into damage.",
+            "Validation is the boundary that stops malformed or malicious calls."
+          ],
+          "correctIndex": 0,
+          "explanation": "Narrow tools and least privilege keep authority boundaries enforceable."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Retrieval-Augmented Generation for Knowledge-Intensive NLP Tasks",
+          "url": "https://arxiv.org/abs/2005.11401",
+          "publisher": "arXiv",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "OWASP Top 10 for LLM Applications",
+          "url": "https://genai.owasp.org/llm-top-10/",
+          "publisher": "OWASP",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Threat-model prompt injection and data exposure",
+        "Design prevention, detection, and recovery",
+        "Set escalation paths for harmful or uncertain outputs"
+      ],
+      "understand": {
+        "title": "Safety is a system property",
+        "paragraphs": [
+          "Risks include prompt injection, private-data leakage, harmful content, insecure tool use, overreliance, bias, and users misunderstanding capability. A content filter covers only part of this surface.",
+          "Map assets, actors, entry points, trust boundaries, and consequences. Controls can prevent, detect, contain, and recover. Assume some controls will fail."
+        ]
+      },
+      "principle": "Never let untrusted content grant itself authority.",
+      "apply": {
+        "title": "Minimize what can go wrong",
+        "paragraphs": [
+          "Reduce retained data, redact sensitive fields, scope retrieval by user permission, and avoid sending unnecessary information. Log enough to investigate without creating a new privacy risk.",
+          "Provide a safe fallback, human escalation, and a way to report harm. For high-impact domains, narrow scope and require qualified review."
+        ]
+      },
+      "steps": [
+        "Map data, users, external content, tools, and trust boundaries.",
+        "List prompt injection, disclosure, harmful-output, and overreliance scenarios.",
+        "Add prevention, detection, containment, and recovery for high risks.",
+        "Run adversarial cases and record residual risk and release decision."
+      ],
+      "quiz": [
+        {
+          "question": "What is the safest response to instructions found inside retrieved content?",
+          "options": [
+            "Follow them if they sound urgent",
+            "Treat them as data and keep system authority unchanged",
+            "Give them tool access temporarily"
+          ],
+          "rationales": [
+            "Urgency is a classic manipulation tactic; outside text never earns authority.",
+            "Right: instructions inside retrieved content are data and change nothing about permissions.",
+            "Even temporary tool access lets injected text act with your product's authority."
+          ],
+          "correctIndex": 1,
+          "explanation": "External content cannot be trusted to redefine instructions or permissions."
+        },
+        {
+          "question": "Why add detection when prevention exists?",
+          "options": [
+            "Because some controls will fail",
+            "To delete logs",
+            "To avoid testing"
+          ],
+          "rationales": [
+            "Right: no prevention is perfect, so detection catches what gets through.",
+            "Detection relies on logs; deleting them removes the evidence it needs.",
+            "Detection adds a layer on top of testing; it never replaces it."
+          ],
+          "correctIndex": 0,
+          "explanation": "Safety is layered: prevention reduces risk; detection catches what slips through."
+        }
+      ],
+      "sources": [
+        {
+          "title": "OWASP Top 10 for LLM Applications",
+          "url": "https://genai.owasp.org/llm-top-10/",
+          "publisher": "OWASP",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "AI Risk Management Framework",
+          "url": "https://www.nist.gov/itl/ai-risk-management-framework",
+          "publisher": "NIST",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Build a representative evaluation set",
+        "Choose metrics tied to user outcomes",
+        "Use traces to diagnose regressions"
+      ],
+      "understand": {
+        "title": "Evaluation replaces demo-driven development",
+        "paragraphs": [
+          "A few impressive examples reveal possibility, not reliability. Build a dataset from real tasks, common cases, edge cases, failures, and adversarial inputs. Keep a holdout set away from prompt tuning.",
+          "Evaluate the whole system: retrieval, answer quality, groundedness, tool choice, safety, latency, cost, and user task success. Aggregate scores can hide catastrophic failures, so track critical slices separately."
+        ]
+      },
+      "principle": "If you cannot state how a release is evaluated, you do not yet have a release process.",
+      "apply": {
+        "title": "Make failures inspectable",
+        "paragraphs": [
+          "Store traces of inputs, context selection, model and prompt version, tool calls, outputs, validation, and feedback with appropriate privacy controls. A regression should be reproducible.",
+          "Use deterministic checks where possible, model graders with calibration where judgment is needed, and human review for high-impact or ambiguous cases. Define thresholds before seeing the new score."
+        ]
+      },
+      "steps": [
+        "Collect 30 representative cases across normal, edge, and adversarial behavior.",
+        "Define task success, groundedness, safety, latency, and cost measures.",
+        "Create a holdout set and release thresholds.",
+        "Run a change, inspect failed slices and traces, then record the ship decision."
+      ],
+      "quiz": [
+        {
+          "question": "Why keep a holdout evaluation set?",
+          "options": [
+            "To make the dataset larger",
+            "To test generalization on cases not used while tuning",
+            "To avoid reviewing failures"
+          ],
+          "rationales": [
+            "Size is not the goal; held-out cases are kept apart to measure something different.",
+            "Right: cases unseen during tuning show whether improvements generalize.",
+            "A holdout set exists to find failures, not to avoid reviewing them."
+          ],
+          "correctIndex": 1,
+          "explanation": "A holdout set reduces the chance that improvements merely overfit the examples used during development."
+        },
+        {
+          "question": "Aggregate evaluation scores can…",
+          "options": [
+            "Hide failures in important slices",
+            "Replace human review",
+            "Guarantee safety"
+          ],
+          "rationales": [
+            "Right: an average can look healthy while an important group of cases fails badly.",
+            "Scores summarize results; people still need to read failures and judge them.",
+            "No score can guarantee safety; it only measures the cases you thought to include."
+          ],
+          "correctIndex": 0,
+          "explanation": "Averages smooth over catastrophic failures; critical slices need separate tracking."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Holistic Evaluation of Language Models",
+          "url": "https://arxiv.org/abs/2211.09110",
+          "publisher": "arXiv",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "AI Risk Management Framework",
+          "url": "https://www.nist.gov/itl/ai-risk-management-framework",
+          "publisher": "NIST",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ],
+  "foundations": [
+    {
+      "objectives": [
+        "Describe what happens between pressing Enter and seeing a page",
+        "Name URL, DNS, HTTP, and the roles of HTML, CSS, and JavaScript",
+        "Read a network request and its status code"
+      ],
+      "understand": {
+        "title": "A page is a journey, not a file",
+        "paragraphs": [
+          "When you type a URL and press Enter, your browser asks a directory system (DNS) where the site's server lives, opens a connection, sends an HTTP request, and receives a response. The browser then turns that response into pixels.",
+          "The response you requested is normally an HTML document — the structure. That document may then reference stylesheets, scripts, images, and data that the browser fetches as separate requests, caches, and combines into the rendered experience. Knowing which piece does which job is the foundation of building for the web."
+        ]
+      },
+      "principle": "A web page begins as a document. It may reference styles, scripts, media, and data that the browser retrieves, caches, and combines into the rendered experience.",
+      "apply": {
+        "title": "Follow one request with your own eyes",
+        "paragraphs": [
+          "Open the Network panel, reload a page, and find the document request—usually the first row, the same URL you typed. Its status code tells you what happened: 200 means success, 301 a redirect, 404 a missing page.",
+          "Click the row to see the response body: the HTML is right there, plain text your browser interpreted into a page. That is the whole trick of the web—it is open and inspectable by design."
+        ]
+      },
+      "example": "curl -IL https://learnweb.cc\n# your output is evidence, not a guarantee:\n# protocol, headers, and redirects vary by client and deployment",
+      "steps": [
+        "Type a URL and open DevTools before reloading.",
+        "Find the document request in the Network panel.",
+        "Note its status code, size, and load time.",
+        "Explain to someone what each step did."
+      ],
+      "quiz": [
+        {
+          "question": "What does DNS do when you enter a URL?",
+          "options": [
+            "Guarantees the page loads faster",
+            "Resolves the domain name into a server address",
+            "Styles the page"
+          ],
+          "rationales": [
+            "Speed comes from caching, the network, and the page's own weight; DNS only finds where to send the request.",
+            "Right: a lookup turns a name like example.com into an IP address the browser can connect to.",
+            "Styling is CSS's job, long after the server has been found and has answered."
+          ],
+          "correctIndex": 1,
+          "explanation": "DNS translates a name people can remember into an address a browser can reach."
+        },
+        {
+          "type": "match",
+          "question": "Match each status code to what it tells you.",
+          "pairs": [
+            {
+              "prompt": "200",
+              "answer": "The request succeeded"
+            },
+            {
+              "prompt": "301",
+              "answer": "The page moved to a new address"
+            },
+            {
+              "prompt": "404",
+              "answer": "The page was not found"
+            }
+          ],
+          "explanation": "2xx codes mean success, 3xx a redirect, and 4xx a problem with the request, such as an address that does not exist."
+        }
+      ],
+      "sources": [
+        {
+          "title": "What is DNS?",
+          "url": "https://www.cloudflare.com/learning/dns/what-is-dns/",
+          "publisher": "Cloudflare",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "RFC 9110: HTTP Semantics",
+          "url": "https://www.rfc-editor.org/rfc/rfc9110",
+          "publisher": "IETF",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Inspect and edit any page's HTML and CSS live",
+        "Read errors and messages in the console",
+        "Measure a page with Lighthouse"
+      ],
+      "understand": {
+        "title": "DevTools are the maker's workbench",
+        "paragraphs": [
+          "Every modern browser includes professional tools. The Elements panel shows the live DOM: you can edit text, move elements, and restyle anything, and the change is instantly visible. Nothing you do there is saved—it is a safe sandbox for learning.",
+          "The Console shows errors, warnings, and messages from the page, and accepts JavaScript commands you type. The Network panel shows every request. Lighthouse audits performance, accessibility, and best practices in one click."
+        ]
+      },
+      "principle": "The browser is the fastest feedback loop you will ever have.",
+      "apply": {
+        "title": "Practice on a page you like",
+        "paragraphs": [
+          "Open DevTools on any site, select an element, and change its text and color. Refresh to prove the original is untouched. Break something on purpose, then find the error in the console.",
+          "Then run Lighthouse on your own page and read the results as a to-do list, not a verdict. Each failing audit names the file, the rule, and usually the fix."
+        ]
+      },
+      "example": "document.querySelector(\"h1\").textContent = \"I edited this live\"; // try it in the Console",
+      "steps": [
+        "Open a site you admire and change one element's text and one style.",
+        "Type a one-line script into the console and run it.",
+        "Find and read one error or warning on a real page.",
+        "Run Lighthouse and write down the three lowest-scoring audits."
+      ],
+      "quiz": [
+        {
+          "question": "Which panel lets you edit a page's HTML and CSS live?",
+          "options": [
+            "Network",
+            "Elements",
+            "Application"
+          ],
+          "rationales": [
+            "Network lists requests and responses; it shows what loaded, but you cannot edit the page there.",
+            "Right: Elements shows the live DOM and its styles, and your edits apply immediately.",
+            "Application inspects storage such as cookies and localStorage, not the page's markup or styles."
+          ],
+          "correctIndex": 1,
+          "explanation": "The Elements panel shows the live DOM and computed styles you can edit in place."
+        },
+        {
+          "question": "What is Lighthouse best for?",
+          "options": [
+            "Measuring performance, accessibility, and best practices in one pass",
+            "Editing images",
+            "Managing browser extensions"
+          ],
+          "rationales": [
+            "Right: one run audits performance, accessibility, best practices, and SEO, with a score for each.",
+            "Lighthouse reads a page and reports on it; it never edits images or any other asset.",
+            "Extensions are managed in the browser's settings; Lighthouse is an audit tool, not a manager."
+          ],
+          "correctIndex": 0,
+          "explanation": "Lighthouse runs a battery of audits and scores the page against them."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Chrome DevTools",
+          "url": "https://developer.chrome.com/docs/devtools",
+          "publisher": "Chrome for Developers",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Firefox DevTools User Docs",
+          "url": "https://firefox-source-docs.mozilla.org/devtools-user/",
+          "publisher": "Mozilla",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Write semantic structure with header, nav, main, and footer",
+        "Add links, images, lists, and headings that mean something",
+        "Know when an element is the right tool"
+      ],
+      "understand": {
+        "title": "HTML is meaning, not appearance",
+        "paragraphs": [
+          "HTML describes what content is: a heading, a list, a link, an image, a region of navigation. Browsers, screen readers, and search engines read this meaning. Choose elements for what they mean, and styling can follow later.",
+          "A link uses an href; an image needs src and, for people who cannot see it, alt describing its purpose. Lists structure items; headings create an outline. These small habits make pages usable for everyone."
+        ]
+      },
+      "principle": "Choose elements for what they mean, not what they look like.",
+      "apply": {
+        "title": "Build the skeleton of a profile page",
+        "paragraphs": [
+          "Structure a page with header, nav, main, and footer; give it a single h1 and a clear section for each topic; link to your real or future projects; add one image with a useful alt description.",
+          "Then look at the page without CSS. If the meaning is still clear, the skeleton is good. Every later lesson will build on this shape."
+        ]
+      },
+      "example": "<header><h1>Your name</h1></header>\n<nav aria-label=\"Primary\">\n  <a href=\"#about\">About</a> <a href=\"#projects\">Projects</a>\n</nav>\n<main>\n  <section id=\"about\">…</section>\n  <section id=\"projects\">…</section>\n</main>\n<footer>…</footer>",
+      "steps": [
+        "Write a profile page with header, nav, main, sections, and footer.",
+        "Add one real link, one list, and one image with alt text.",
+        "Validate the markup with the W3C validator.",
+        "Read the page without CSS and confirm the meaning survives."
+      ],
+      "quiz": [
+        {
+          "question": "Which element is the right tool for a site's primary navigation?",
+          "options": [
+            "div",
+            "nav",
+            "section"
+          ],
+          "rationales": [
+            "A div carries no meaning, so screen readers and landmarks cannot tell it holds navigation.",
+            "Right: nav creates a navigation landmark people and tools can jump to or skip.",
+            "section groups themed content under a heading; it does not say the links are navigation."
+          ],
+          "correctIndex": 1,
+          "explanation": "nav marks navigation regions so people and tools can find them and skip them."
+        },
+        {
+          "question": "What is alt text for?",
+          "options": [
+            "Describing an image when it cannot be seen",
+            "Making images load faster",
+            "Styling the image"
+          ],
+          "rationales": [
+            "Right: alt is the text equivalent read aloud or shown when the image cannot be seen.",
+            "alt adds text; it does not change file size or how fast the image downloads.",
+            "Presentation belongs in CSS; alt describes what the image means, not how it looks."
+          ],
+          "correctIndex": 0,
+          "explanation": "alt gives images a textual description for people who cannot see them and for search engines."
+        }
+      ],
+      "sources": [
+        {
+          "title": "HTML Living Standard",
+          "url": "https://html.spec.whatwg.org/multipage/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Semantic Structure: Regions, Headings, and Lists",
+          "url": "https://webaim.org/techniques/semanticstructure/",
+          "publisher": "WebAIM",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Use the box model to control spacing",
+        "Write selectors with the cascade in mind",
+        "Build a simple responsive layout with flexbox"
+      ],
+      "understand": {
+        "title": "CSS is the presentation layer",
+        "paragraphs": [
+          "CSS turns the skeleton into a designed page. Every element is a box with content, padding, border, and margin—the box model. Spacing, alignment, and rhythm come from controlling these boxes, not from guessing pixels.",
+          "The cascade resolves conflicting rules: later rules and more specific selectors win. A simple way to keep it calm: style elements directly, use classes for repeated components, and keep one source of truth in your own stylesheet."
+        ]
+      },
+      "principle": "Style follows structure: CSS changes appearance, never meaning.",
+      "apply": {
+        "title": "Give your profile a calm, readable design",
+        "paragraphs": [
+          "Start with a type scale: one size for headings, one for body text, comfortable line height. Choose two or three colors and use them deliberately. Add padding and margin consistently so spacing feels intentional.",
+          "Use flexbox to lay out navigation and simple rows. Add one media query so the layout still works on a narrow phone. Check it at 200% zoom—text should reflow, not break."
+        ]
+      },
+      "example": ".profile-card {\n  display: flex;\n  gap: 1rem;\n  padding: 1.25rem;\n  border: 1px solid #ddd;\n  border-radius: .75rem;\n}\n@media (max-width: 40rem) {\n  .profile-card { flex-direction: column; }\n}",
+      "steps": [
+        "Establish a type scale and a two- or three-color palette.",
+        "Add padding, margin, and borders until spacing feels deliberate.",
+        "Lay out one section with flexbox.",
+        "Add one media query and test at 200% zoom."
+      ],
+      "quiz": [
+        {
+          "type": "multiple",
+          "question": "Which of these are layers of the box model?",
+          "options": [
+            "Padding",
+            "Border",
+            "Font size",
+            "Margin",
+            "Selector"
+          ],
+          "rationales": [
+            "Padding is the space between the content and the border, inside the box.",
+            "The border wraps the padding and is drawn as part of the box.",
+            "Font size changes the content's text, which can change the box's size, but it is not a layer of the box.",
+            "Margin is the outermost layer, the space between this box and its neighbours.",
+            "A selector decides which elements a rule applies to; it is not part of any element's box."
+          ],
+          "correctIndexes": [
+            0,
+            1,
+            3
+          ],
+          "explanation": "Every element renders as content surrounded by padding, border, and margin; font size and selectors are not part of the box."
+        },
+        {
+          "type": "order",
+          "question": "Two rules target the same element. Put what the cascade compares in the order it compares them.",
+          "items": [
+            "Origin and importance, such as !important",
+            "Specificity of the selector",
+            "Order of appearance in the code"
+          ],
+          "explanation": "The cascade checks origin and importance first, then specificity; only when those tie does the later rule win."
+        }
+      ],
+      "sources": [
+        {
+          "title": "CSS Cascading and Inheritance Level 5",
+          "url": "https://www.w3.org/TR/css-cascade-5/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Understanding Success Criterion 1.4.10: Reflow",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/reflow.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Select elements and change them with JavaScript",
+        "Respond to clicks and input with events",
+        "Keep the page working when JavaScript is blocked"
+      ],
+      "understand": {
+        "title": "JavaScript makes pages respond",
+        "paragraphs": [
+          "JavaScript runs in the browser and can read and change the page. The usual recipe: select an element with querySelector, listen for an event with addEventListener, and update the page with textContent or classList.",
+          "Treat JavaScript as an enhancement. A page whose links, forms, and content work without scripts is robust, and its interactive layer can only improve on that."
+        ]
+      },
+      "principle": "JavaScript enhances a page that already works without it.",
+      "apply": {
+        "title": "Add one real interaction",
+        "paragraphs": [
+          "Choose a small, genuine interaction: a button that counts, a greeting that changes, a list you can add to, a theme that toggles. Write the HTML for it first, then attach behavior in a separate script.",
+          "Test with JavaScript blocked: the content must remain readable and the page must not be broken. Then turn JavaScript back on and confirm the interaction works."
+        ]
+      },
+      "example": "const button = document.querySelector(\"button\");\nconst output = document.querySelector(\"output\");\nlet count = 0;\nbutton.addEventListener(\"click\", () => {\n  count += 1;\n  output.textContent = count;\n});",
+      "steps": [
+        "Pick one small interaction and write its HTML first.",
+        "Select the elements and attach an event listener.",
+        "Update the page and keep the interaction state in the page itself.",
+        "Verify the core page works with JavaScript blocked."
+      ],
+      "quiz": [
+        {
+          "question": "Which method selects the first element matching a CSS selector?",
+          "options": [
+            "querySelector",
+            "querySelectorAll",
+            "getElement"
+          ],
+          "rationales": [
+            "Right: it returns the first element that matches, or null when none does.",
+            "querySelectorAll returns every match as a NodeList, not just the first one.",
+            "There is no getElement method; the older lookups are getElementById and getElementsByClassName."
+          ],
+          "correctIndex": 0,
+          "explanation": "querySelector returns the first matching element; querySelectorAll returns all."
+        },
+        {
+          "question": "Which event fires when a person clicks an element?",
+          "options": [
+            "submit",
+            "click",
+            "load"
+          ],
+          "rationales": [
+            "submit fires on a form when it is sent, whatever control or key sent it.",
+            "Right: click fires when an element is activated by mouse, touch, or the keyboard on buttons and links.",
+            "load fires when a page or resource finishes loading, with no person involved."
+          ],
+          "correctIndex": 1,
+          "explanation": "click fires on activation; submit is specific to forms."
+        }
+      ],
+      "sources": [
+        {
+          "title": "DOM Living Standard",
+          "url": "https://dom.spec.whatwg.org/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "JavaScript",
+          "url": "https://developer.mozilla.org/en-US/docs/Web/JavaScript",
+          "publisher": "MDN Web Docs",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Combine HTML, CSS, and JavaScript into one page",
+        "Test the page like a user, not an author",
+        "Publish it somewhere real"
+      ],
+      "understand": {
+        "title": "Your first artifact is proof, not perfection",
+        "paragraphs": [
+          "The capstone combines everything: a meaningful page built from semantic HTML, styled with deliberate CSS, and given one genuine behavior with JavaScript. Its job is to work for a real person, not to win a design award.",
+          "Testing like a user means completing the task the way a visitor would: keyboard, touch, zoomed text, slow network. Watch for moments where you, the author, would know what to do but a stranger would not."
+        ]
+      },
+      "principle": "The first artifact is proof, not perfection.",
+      "apply": {
+        "title": "Ship it",
+        "paragraphs": [
+          "Choose the smallest real purpose: introduce yourself, collect a note, compare two options, or share a resource list. Build the core task first, then style it, then add the behavior.",
+          "Publish on any free static host, send the link to one person, and ask them to complete the task without coaching. Your notes on what surprised you are part of the artifact."
+        ]
+      },
+      "example": "const releaseChecks = [\n  \"Core task works without JavaScript\",\n  \"Keyboard can complete the task\",\n  \"200% zoom still reads well\",\n  \"A real person completes it uncoached\"\n];",
+      "steps": [
+        "Choose one small, real purpose for the page.",
+        "Build the HTML core first, then CSS, then one behavior.",
+        "Run the release checks above.",
+        "Publish, share the URL with one person, and write down what surprised you."
+      ],
+      "quiz": [
+        {
+          "question": "What should work before JavaScript loads?",
+          "options": [
+            "The core content and task",
+            "All animations",
+            "Nothing—the page is a shell"
+          ],
+          "rationales": [
+            "Right: the content and the main task work in plain HTML, and scripts only improve them.",
+            "Animations are enhancements; the page must not depend on them, and some people turn motion off.",
+            "A shell that shows nothing until scripts run fails on slow networks, blocked scripts, and errors."
+          ],
+          "correctIndex": 0,
+          "explanation": "Enhancement means the essential experience exists without scripts."
+        },
+        {
+          "question": "Which is the strongest test of a small page?",
+          "options": [
+            "Another person completes the real task uncoached",
+            "The page matches the mockup",
+            "It uses the newest frameworks"
+          ],
+          "rationales": [
+            "Right: an uncoached person finishing the real task proves the page works for someone who is not you.",
+            "A mockup is a guess made before anyone used the page; matching it proves fidelity, not usefulness.",
+            "Tools are invisible to the person using the page; frameworks say nothing about whether the task works."
+          ],
+          "correctIndex": 0,
+          "explanation": "Uncoached task completion by a real person is the artifact's true test."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Easy Checks – A First Review of Web Accessibility",
+          "url": "https://www.w3.org/WAI/test-evaluate/preliminary/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ],
+  "platform": [
+    {
+      "objectives": [
+        "Choose native HTML before recreating a control",
+        "Explain the accessible name, role, and state of an element",
+        "Use JavaScript as an enhancement instead of a prerequisite"
+      ],
+      "understand": {
+        "title": "Start with behavior, not appearance",
+        "paragraphs": [
+          "HTML is not a collection of neutral boxes. A button already knows how to receive focus, react to keyboard and pointer input, participate in forms, and announce itself to assistive technology. Rebuilding that behavior on a div means accepting responsibility for every interaction the browser previously handled.",
+          "Before choosing an element, write the user action as a sentence: submit information, navigate somewhere, reveal optional content, choose one option, or open a temporary layer. That verb usually points to a native element. Use ARIA to clarify a gap, not to repaint the identity of convenient markup."
+        ]
+      },
+      "principle": "The most robust custom control is often the native control you did not replace.",
+      "apply": {
+        "title": "Progressive enhancement in three layers",
+        "paragraphs": [
+          "Layer one is meaningful HTML that completes the essential task. Layer two is CSS that improves composition without changing meaning. Layer three is JavaScript that adds convenience while preserving links, forms, history, and browser conventions.",
+          "Test the boundary by blocking the script, tabbing through the interface, and inspecting the accessibility tree. A resilient experience may be less polished without enhancement, but it must remain understandable and useful."
+        ]
+      },
+      "example": "<button popovertarget=\"lesson-tip\">Why native?</button>\n<aside id=\"lesson-tip\" popover>\n  Focus, dismissal, and top-layer behavior are built in.\n</aside>",
+      "steps": [
+        "Find one custom menu, disclosure, modal, or clickable div.",
+        "Name the user action and select the closest native element.",
+        "Rebuild the smallest version with HTML first, then style it.",
+        "Disable JavaScript and complete the task with a keyboard."
+      ],
+      "quiz": [
+        {
+          "question": "A card navigates to a detailed page. What should its primary interactive element be?",
+          "options": [
+            "A div with role=\"button\"",
+            "A link with a real href",
+            "A button with a click handler"
+          ],
+          "rationales": [
+            "role=\"button\" promises a button, yet the card navigates; it also needs hand-built keyboard support and loses open-in-new-tab.",
+            "Right: a link with an href announces navigation, supports middle-click and copy-link, and works before JavaScript.",
+            "Buttons perform actions on the page; using one to navigate breaks history, new tabs, and the expectations of screen reader users."
+          ],
+          "correctIndex": 1,
+          "explanation": "Navigation changes location, so a real link communicates intent, supports browser conventions, and works before JavaScript."
+        },
+        {
+          "question": "A “Show more” control reveals optional content. Which element fits best?",
+          "options": [
+            "A span with a click handler",
+            "details with a summary",
+            "A div with tabindex=\"0\""
+          ],
+          "rationales": [
+            "A span is not focusable or announced as a control, so keyboard and screen reader users cannot operate it.",
+            "Right: details and summary give toggling, keyboard support, and an expanded state with no script.",
+            "tabindex makes the div focusable, but it still has no role, no Enter or Space behaviour, and no expanded state."
+          ],
+          "correctIndex": 1,
+          "explanation": "details/summary provides native disclosure: toggle behavior, keyboard support, and semantics for free."
+        }
+      ],
+      "sources": [
+        {
+          "title": "HTML Living Standard: The dialog element",
+          "url": "https://html.spec.whatwg.org/multipage/interactive-elements.html#the-dialog-element",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "HTML Living Standard: The popover attribute",
+          "url": "https://html.spec.whatwg.org/multipage/popover.html",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "HTML Accessibility API Mappings 1.0",
+          "url": "https://www.w3.org/TR/html-aam-1.0/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Distinguish viewport and component responsiveness",
+        "Use intrinsic sizing before adding breakpoints",
+        "Build a component that responds to its container"
+      ],
+      "understand": {
+        "title": "The viewport is not the component",
+        "paragraphs": [
+          "A viewport media query knows the browser width, not the space a component actually receives. The same card may live in a full-width page, a split panel, or a narrow sidebar at the same viewport size. Container queries let the card respond to its own layout context.",
+          "Begin with intrinsic rules: minmax(), min(), max(), clamp(), flex wrapping, and grid auto-placement. They allow content to negotiate space without a list of device guesses. Add a container query only when the component needs a meaningful change in composition."
+        ]
+      },
+      "principle": "Responsive design is a negotiation with available space, not a catalog of popular devices.",
+      "apply": {
+        "title": "A component owns its adaptation",
+        "paragraphs": [
+          "Declare container-type on the component’s parent, then query that container with inline-size. Keep breakpoints local and name them after the design change—stacked card, roomy card—not a device.",
+          "Stress-test with long titles, translated text, 200% zoom, missing images, and a very narrow parent. The useful breakpoint is where the content stops working, not where a framework says tablet begins."
+        ]
+      },
+      "example": ".card-region { container-type: inline-size; }\n.card { display: grid; gap: 1rem; }\n@container (width > 34rem) {\n  .card { grid-template-columns: 12rem 1fr; }\n}",
+      "steps": [
+        "Place the same component in one narrow and one wide parent.",
+        "Use intrinsic sizing to remove avoidable overflow.",
+        "Add one container query for a genuine composition change.",
+        "Test long content, zoom, and a missing optional element."
+      ],
+      "quiz": [
+        {
+          "question": "When is a container query most appropriate?",
+          "options": [
+            "When a component changes because of its own available width",
+            "Whenever the viewport is below 768px",
+            "To replace every flex-wrap rule"
+          ],
+          "rationales": [
+            "Right: a container query responds to the space the component actually has, wherever it is placed.",
+            "A fixed viewport width says nothing about the slot a component sits in; that is a media query's job, and a blunt one.",
+            "flex-wrap already adapts without any query; container queries add component-level decisions, not replace wrapping."
+          ],
+          "correctIndex": 0,
+          "explanation": "Container queries are strongest when reusable components need to adapt independently of the viewport."
+        },
+        {
+          "type": "code",
+          "question": "Fill in the blanks so each card responds to the width of its list.",
+          "code": ".card-list {\n  container-type: ___;\n}\n\n@container (___ > 30rem) {\n  .card { display: grid; }\n}",
+          "blanks": [
+            [
+              "inline-size"
+            ],
+            [
+              "width",
+              "inline-size"
+            ]
+          ],
+          "explanation": "container-type: inline-size opts the list into queries on its inline axis, and the @container condition then tests that width."
+        }
+      ],
+      "sources": [
+        {
+          "title": "CSS Grid Layout Module Level 2",
+          "url": "https://www.w3.org/TR/css-grid-2/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "CSS Conditional Rules Module Level 5",
+          "url": "https://www.w3.org/TR/css-conditional-5/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "CSS Logical Properties and Values Level 1",
+          "url": "https://www.w3.org/TR/css-logical-1/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Layer new CSS behind a working baseline",
+        "Use anchor positioning for relational layout",
+        "Respect user motion preferences"
+      ],
+      "understand": {
+        "title": "Modern CSS is a capability ladder",
+        "paragraphs": [
+          "New CSS does not require an all-or-nothing browser target. Write the dependable layout first, then add a sharper behavior inside @supports. Browsers that understand the feature get the enhancement; the rest ignore it without breaking the task.",
+          "Anchor positioning is a good example. A popover can have a normal fixed or absolute fallback, then position itself relative to its trigger when anchor-name and position-area are supported. The relationship lives in CSS instead of JavaScript coordinates."
+        ]
+      },
+      "principle": "Progressive enhancement turns browser diversity from a blocker into a design constraint.",
+      "apply": {
+        "title": "Motion should explain change",
+        "paragraphs": [
+          "View transitions and scroll-driven animations can communicate continuity, hierarchy, and progress. They become noise when they animate everything or delay control. Define the information the motion carries before choosing an effect.",
+          "Use prefers-reduced-motion to remove nonessential movement, not merely shorten it. Verify that content order, focus, and task completion make sense with all animation disabled."
+        ]
+      },
+      "example": ".trigger { anchor-name: --tip; }\n.tip { position: absolute; }\n@supports (position-area: block-start) {\n  .tip {\n    position-anchor: --tip;\n    position-area: block-start;\n  }\n}",
+      "steps": [
+        "Choose one tooltip or callout with brittle JavaScript coordinates.",
+        "Create a simple non-anchored fallback.",
+        "Enhance it with anchor positioning and a position fallback.",
+        "Disable the feature and reduced-motion animations to verify the task."
+      ],
+      "quiz": [
+        {
+          "question": "What belongs inside @supports?",
+          "options": [
+            "The only version of essential content",
+            "An enhancement whose fallback already works",
+            "All design tokens"
+          ],
+          "rationales": [
+            "Browsers without the feature skip the whole block, so essential content inside it would vanish for them.",
+            "Right: the baseline already works, and @supports layers the enhancement only where it can render.",
+            "Tokens are plain custom properties every browser understands; hiding them behind a feature query breaks the baseline."
+          ],
+          "correctIndex": 1,
+          "explanation": "Feature queries are ideal for enhancements layered over a complete baseline."
+        },
+        {
+          "question": "In a browser without position-area support, what happens?",
+          "options": [
+            "The rule is ignored and the fallback stays",
+            "The page fails to load",
+            "The browser downloads a polyfill"
+          ],
+          "rationales": [
+            "Right: CSS skips declarations it does not understand, so the fallback declared earlier stays in effect.",
+            "CSS errors never stop a page from loading; unknown properties are dropped one by one.",
+            "Browsers do not fetch polyfills on their own; any polyfill is something you choose to ship."
+          ],
+          "correctIndex": 0,
+          "explanation": "Unsupported declarations are ignored, which is exactly what makes progressive enhancement work."
+        }
+      ],
+      "sources": [
+        {
+          "title": "CSS Cascading and Inheritance Level 5",
+          "url": "https://www.w3.org/TR/css-cascade-5/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "CSS Anchor Positioning",
+          "url": "https://www.w3.org/TR/css-anchor-position-1/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "CSS View Transitions Module Level 1",
+          "url": "https://www.w3.org/TR/css-view-transitions-1/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Preserve browser navigation semantics",
+        "Detect capabilities instead of browser brands",
+        "Recognize dangerous DOM injection boundaries"
+      ],
+      "understand": {
+        "title": "Enhancement must not erase the browser",
+        "paragraphs": [
+          "JavaScript can make an interaction faster while accidentally breaking deep links, Back and Forward, refresh, focus, or open-in-new-tab. Start with real URLs and form submissions. Intercept only when the enhanced path is available, and update history in a way the browser can restore.",
+          "Capability detection asks whether the needed API exists. Browser sniffing guesses from a name and version, then becomes stale. A small feature test and a working fallback are easier to reason about."
+        ]
+      },
+      "principle": "If JavaScript improves navigation, the browser’s own navigation must remain the source of truth.",
+      "apply": {
+        "title": "Treat HTML injection as a security boundary",
+        "paragraphs": [
+          "innerHTML and similar sinks interpret strings as markup. If an attacker can influence the string, they may create executable or misleading content. Prefer textContent and DOM construction. When an application genuinely needs HTML, sanitize it and consider enforcing Trusted Types.",
+          "Security is not a final audit. The safest interface makes the dangerous path difficult to call and the ordinary path safe by default."
+        ]
+      },
+      "example": "const update = () => {\n  document.querySelector(\"output\").textContent = userValue;\n};\n\nif (\"navigation\" in window) {\n  navigation.addEventListener(\"navigate\", enhanceNavigation);\n}",
+      "steps": [
+        "Find one interaction that changes URL or page content.",
+        "Confirm the unenhanced link or form works.",
+        "Add the enhancement using capability detection.",
+        "Test Back, Forward, refresh, focus restoration, and an untrusted string."
+      ],
+      "quiz": [
+        {
+          "question": "Which assignment is safest for displaying untrusted plain text?",
+          "options": [
+            "element.innerHTML = value",
+            "element.outerHTML = value",
+            "element.textContent = value"
+          ],
+          "rationales": [
+            "innerHTML parses the value as markup, so untrusted text can inject elements and run script through event attributes.",
+            "outerHTML parses markup too, and replaces the element itself, which is even more destructive.",
+            "Right: textContent treats the value as plain text and never parses it."
+          ],
+          "correctIndex": 2,
+          "explanation": "textContent displays text without parsing it as markup."
+        },
+        {
+          "question": "What is the safest way to show untrusted plain text?",
+          "options": [
+            "element.textContent = value",
+            "element.innerHTML = value",
+            "document.write(value)"
+          ],
+          "rationales": [
+            "Right: textContent inserts the value as text, so markup in it is shown, not run.",
+            "innerHTML turns the value into live markup, which is how cross-site scripting gets in.",
+            "document.write parses markup as well and, after the page has loaded, wipes the whole document."
+          ],
+          "correctIndex": 0,
+          "explanation": "textContent renders the value as text; innerHTML and document.write parse it as markup."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Trusted Types",
+          "url": "https://www.w3.org/TR/trusted-types/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "HTML Living Standard: Navigation API",
+          "url": "https://html.spec.whatwg.org/multipage/nav-history-apis.html",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Baseline",
+          "url": "https://web.dev/baseline",
+          "publisher": "web.dev",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Connect performance metrics to human experience",
+        "Identify the critical rendering path",
+        "Reduce main-thread work behind a slow interaction"
+      ],
+      "understand": {
+        "title": "Performance is what waiting feels like",
+        "paragraphs": [
+          "Largest Contentful Paint describes when the main content becomes visible. Interaction to Next Paint describes how quickly the page responds after a person acts. Cumulative Layout Shift describes visual stability. They are proxies for experiences—arrival, response, and trust—not trophies.",
+          "Field data matters because real devices, networks, caches, and interactions differ from a lab run. Use lab tools to diagnose a problem and real-user measurement to understand its prevalence."
+        ]
+      },
+      "principle": "Optimize the delay a person can feel, then use metrics to verify the improvement.",
+      "apply": {
+        "title": "Protect the main thread",
+        "paragraphs": [
+          "A slow interaction often contains input delay, JavaScript execution, style and layout, then paint. Break up long tasks, avoid rendering work the user cannot see, defer noncritical scripts, and keep DOM changes focused.",
+          "Performance budgets turn intent into a constraint. Set budgets for page weight, third-party work, image dimensions, and interaction latency before the page grows expensive."
+        ]
+      },
+      "example": "const yieldToMain = () =>\n  globalThis.scheduler?.yield\n    ? scheduler.yield()\n    : new Promise((resolve) => setTimeout(resolve, 0));\n\nbutton.addEventListener(\"click\", async () => {\n  button.disabled = true;\n  await yieldToMain();\n  renderOnlyWhatChanged();\n  button.disabled = false;\n});",
+      "steps": [
+        "Record one noticeably slow interaction.",
+        "Name the largest blocking task and the user-visible delay it causes.",
+        "Remove, defer, split, or reduce that work.",
+        "Measure again under the same conditions and document the tradeoff."
+      ],
+      "quiz": [
+        {
+          "question": "Which metric focuses on responsiveness after user interaction?",
+          "options": [
+            "LCP",
+            "INP",
+            "CLS"
+          ],
+          "rationales": [
+            "LCP measures how soon the main content appears, which happens before anyone interacts.",
+            "Right: INP measures how long the page takes to respond visually to clicks, taps, and key presses.",
+            "CLS measures unexpected layout movement, not how quickly the page responds."
+          ],
+          "correctIndex": 1,
+          "explanation": "INP summarizes interaction responsiveness by measuring the latency of user interactions."
+        },
+        {
+          "question": "A long main-thread task most directly harms which experience?",
+          "options": [
+            "Interaction responsiveness",
+            "First paint",
+            "Page weight"
+          ],
+          "rationales": [
+            "Right: while a long task runs, input waits, so clicks and key presses feel delayed.",
+            "First paint happens early, often before long tasks start; those tasks mostly delay what comes after.",
+            "Page weight is the bytes transferred; a long task is time spent running code, whatever its size."
+          ],
+          "correctIndex": 0,
+          "explanation": "Long tasks block the main thread and delay responses to user interaction, the INP experience."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Web Vitals",
+          "url": "https://web.dev/articles/vitals",
+          "publisher": "web.dev",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Interaction to Next Paint (INP)",
+          "url": "https://web.dev/articles/inp",
+          "publisher": "web.dev",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Largest Contentful Paint (LCP)",
+          "url": "https://web.dev/articles/lcp",
+          "publisher": "web.dev",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Define resilience across input, network, and browser conditions",
+        "Create a small release checklist",
+        "Ship and learn from a real user"
+      ],
+      "understand": {
+        "title": "A capstone is a system, not a screenshot",
+        "paragraphs": [
+          "Choose one narrow workflow: compare two options, calculate a result, submit a request, or organize a small set of information. Make the essential path obvious and complete before adding visual ambition.",
+          "Write failure states early. What happens offline, during a slow request, with empty data, after invalid input, at 400% zoom, or when storage is unavailable? A resilient interface makes uncertainty visible and recovery possible."
+        ]
+      },
+      "principle": "The quality of an interface is revealed at its boundaries, not in its ideal screenshot.",
+      "apply": {
+        "title": "Ship a testable claim",
+        "paragraphs": [
+          "Define success as a behavior another person can demonstrate. Give them the URL and a task without coaching. Observe where the design’s assumptions collide with their behavior.",
+          "After shipping, write a short changelog: what you expected, what happened, what you changed, and what remains uncertain. That explanation is part of the artifact."
+        ]
+      },
+      "example": "const releaseChecks = [\n  \"Keyboard task complete\",\n  \"400% zoom reflows\",\n  \"Slow network has feedback\",\n  \"No-JS core path works\",\n  \"Reduced motion respected\"\n];",
+      "steps": [
+        "Choose one useful workflow and write its definition of done.",
+        "Implement the semantic baseline and one meaningful enhancement.",
+        "Test the five boundary conditions in the release checklist.",
+        "Give the task to another person, observe, revise, and publish your notes."
+      ],
+      "quiz": [
+        {
+          "question": "What is the strongest capstone success criterion?",
+          "options": [
+            "It matches the mockup exactly",
+            "A real person can complete the intended task under stated constraints",
+            "It uses the largest number of new APIs"
+          ],
+          "rationales": [
+            "A pixel match proves fidelity to a picture, not that anyone can use the interface.",
+            "Right: a real person completing the task under the constraints you designed for is evidence of capability.",
+            "API count measures novelty; more features add risk without showing the task works."
+          ],
+          "correctIndex": 1,
+          "explanation": "A capstone proves capability through a usable outcome, including the constraints you designed for."
+        },
+        {
+          "question": "Which check belongs in every release list?",
+          "options": [
+            "Reduced motion is respected and the keyboard completes the core task",
+            "The page uses the newest APIs",
+            "Every element has a shadow"
+          ],
+          "rationales": [
+            "Right: reduced motion and keyboard completion protect people every release can break.",
+            "Newer APIs are not a quality bar; resilience checks are about people completing the task.",
+            "Shadows are decoration; a release list checks what keeps the interface usable."
+          ],
+          "correctIndex": 0,
+          "explanation": "Resilience checks—keyboard, motion, zoom, no-JS—protect real users in real conditions."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Baseline",
+          "url": "https://web.dev/baseline",
+          "publisher": "web.dev",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Web Content Accessibility Guidelines (WCAG) 2.2",
+          "url": "https://www.w3.org/TR/WCAG22/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ],
+  "search": [
+    {
+      "objectives": [
+        "Explain crawl, index, retrieve, and rank",
+        "Map search intent to content purpose",
+        "Separate controllable signals from myths"
+      ],
+      "understand": {
+        "title": "Discovery is a sequence of gates",
+        "paragraphs": [
+          "A system must discover a URL, fetch it, understand and index its content, retrieve it for a relevant query, then decide how to present it. A failure at an early gate cannot be repaired by polishing a later one.",
+          "Generative search still relies on retrieval and quality systems. Answers may combine multiple passages and queries, but crawlability, clear content, reputation, and original value remain foundational."
+        ]
+      },
+      "principle": "Make useful information accessible to people and machines before trying to influence how it ranks.",
+      "apply": {
+        "title": "Intent is the job behind the query",
+        "paragraphs": [
+          "Queries may seek an explanation, comparison, action, location, product, or reassurance. Analyze the result landscape and the decisions a reader must make, then choose a format that serves them.",
+          "Do not confuse correlation with control. Document what the platform states, what your data shows, and what remains a hypothesis."
+        ]
+      },
+      "steps": [
+        "Choose one important audience question.",
+        "Map discovery, crawl, index, retrieval, presentation, and conversion.",
+        "Identify the likely task and required evidence.",
+        "Mark every assumption as documented, observed, or unknown."
+      ],
+      "quiz": [
+        {
+          "question": "If a useful page is blocked from crawling, what should you fix first?",
+          "options": [
+            "Add more keywords",
+            "Restore crawler access",
+            "Increase the word count"
+          ],
+          "rationales": [
+            "Keywords on a page nothing can fetch are never read; access comes first.",
+            "Right: until crawlers can fetch the page, no later stage can see it.",
+            "Length does not matter while the page is blocked; nothing reads any of it."
+          ],
+          "correctIndex": 1,
+          "explanation": "The content cannot enter later discovery stages until the system can fetch it."
+        },
+        {
+          "question": "Which discovery gate comes first?",
+          "options": [
+            "Crawling",
+            "Ranking",
+            "Citation"
+          ],
+          "rationales": [
+            "Right: the system has to find and fetch a URL before anything else can happen.",
+            "Ranking orders pages already crawled and indexed, so it comes later.",
+            "Citation draws on pages already found and understood; it is a late gate."
+          ],
+          "correctIndex": 0,
+          "explanation": "A system must first find and fetch the URL before any later gate matters."
+        }
+      ],
+      "sources": [
+        {
+          "title": "In-depth guide to how Google Search works",
+          "url": "https://developers.google.com/search/docs/fundamentals/how-search-works",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Trace one URL through technical signals",
+        "Use canonical and robots controls correctly",
+        "Protect rendering and performance"
+      ],
+      "understand": {
+        "title": "Technical SEO removes ambiguity",
+        "paragraphs": [
+          "A successful URL returns the intended status, is crawlable, renders meaningful content, declares a consistent canonical, appears in internal links, and avoids accidental duplication. Sitemaps help discovery but do not replace links or guarantee indexing.",
+          "Robots.txt controls crawling, not reliable removal from search. noindex controls indexing only when the crawler can fetch the page. Canonicals are hints that work best when redirects, links, and sitemaps agree."
+        ]
+      },
+      "principle": "Technical signals are strongest when status, links, canonicals, and sitemaps tell the same story.",
+      "apply": {
+        "title": "Render the answer early",
+        "paragraphs": [
+          "Critical content should not depend on a fragile client-only chain. Server-rendered or static HTML improves resilience for people, crawlers, link unfurlers, and slow devices.",
+          "Performance supports both experience and discovery. Optimize the primary content, response path, and interaction rather than hiding useful text behind decorative loading states."
+        ]
+      },
+      "steps": [
+        "Inspect status, robots, noindex, canonical, rendered HTML, and internal links for one URL.",
+        "Compare the URL against sitemap and redirect signals.",
+        "Check the page’s main content without client JavaScript.",
+        "Document conflicts and make the smallest consistent correction."
+      ],
+      "quiz": [
+        {
+          "question": "What does a canonical link primarily communicate?",
+          "options": [
+            "A guaranteed ranking boost",
+            "The preferred representative among similar URLs",
+            "A command that blocks crawling"
+          ],
+          "rationales": [
+            "Canonicals consolidate signals among duplicates; they promise no ranking gain.",
+            "Right: it names the representative URL among pages that are the same or very similar.",
+            "Crawling is controlled by robots.txt; a canonical is a hint, not a block."
+          ],
+          "correctIndex": 1,
+          "explanation": "Canonicalization helps consolidate duplicate or similar URLs around a preferred representative."
+        },
+        {
+          "question": "robots.txt can…",
+          "options": [
+            "Block crawling of a URL",
+            "Guarantee removal from search",
+            "Boost rankings"
+          ],
+          "rationales": [
+            "Right: robots.txt tells crawlers which URLs they may fetch.",
+            "A blocked URL can still be indexed from links; removal needs noindex or a removal request.",
+            "robots.txt only governs crawling and has no effect on how pages rank."
+          ],
+          "correctIndex": 0,
+          "explanation": "robots.txt controls crawling; removal from the index is a separate process."
+        }
+      ],
+      "sources": [
+        {
+          "title": "How to specify a canonical URL with rel=\"canonical\" and other methods",
+          "url": "https://developers.google.com/search/docs/crawling-indexing/consolidate-duplicate-urls",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Robots meta tag, data-nosnippet, and X-Robots-Tag specifications",
+          "url": "https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Structure claims for scanning and verification",
+        "Use structured data as description, not decoration",
+        "Connect entities with unambiguous language"
+      ],
+      "understand": {
+        "title": "Structure reduces interpretation cost",
+        "paragraphs": [
+          "Descriptive titles, a clear heading hierarchy, direct answers, tables, definitions, and examples help readers locate meaning. They also help systems identify passages and relationships.",
+          "Structured data describes visible content in a machine-readable vocabulary. It should match the page, use the most specific relevant type, and never invent ratings, authorship, or facts."
+        ]
+      },
+      "principle": "Structure makes truth easier to find; it does not compensate for weak or unsupported claims.",
+      "apply": {
+        "title": "Write citeable units without fragmenting thought",
+        "paragraphs": [
+          "State the claim, scope, evidence, date, and source near one another. Define entities before using ambiguous pronouns. Use tables for genuine comparisons, not layout.",
+          "Media should add evidence or explanation and include useful alternatives. Captions, transcripts, and surrounding context improve access and comprehension."
+        ]
+      },
+      "steps": [
+        "Choose one dense article and outline the reader’s questions.",
+        "Rewrite headings and opening answers for clear information scent.",
+        "Place evidence, dates, and sources beside important claims.",
+        "Add only structured data that accurately describes visible content."
+      ],
+      "quiz": [
+        {
+          "question": "When should structured data be added?",
+          "options": [
+            "Whenever a schema type might attract clicks",
+            "When it accurately describes relevant visible page content",
+            "Only after the page ranks"
+          ],
+          "rationales": [
+            "Markup chosen for clicks rather than truth misleads and can break search guidelines.",
+            "Right: structured data should describe what people can actually see on the page.",
+            "Structured data helps systems understand the page from the start; it is not a reward for ranking."
+          ],
+          "correctIndex": 1,
+          "explanation": "Structured data should be truthful, relevant, and consistent with what people can see."
+        },
+        {
+          "question": "Where should the evidence for a claim live?",
+          "options": [
+            "Far from the claim, to encourage reading",
+            "Close enough to verify without leaving the page",
+            "In a separate document linked at the bottom"
+          ],
+          "rationales": [
+            "Distance makes verification costly, so most readers never check the claim.",
+            "Right: evidence near the claim lets a reader verify it without leaving the page.",
+            "A separate document adds a step that most readers and systems will not take."
+          ],
+          "correctIndex": 1,
+          "explanation": "Claims, scope, evidence, and dates near one another make verification cheap."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Introduction to structured data markup in Google Search",
+          "url": "https://developers.google.com/search/docs/appearance/structured-data/intro-structured-data",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Getting started with schema.org using Microdata",
+          "url": "https://schema.org/docs/gs.html",
+          "publisher": "schema.org",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Identify commodity content",
+        "Add first-hand evidence or utility",
+        "Make authorship and method transparent"
+      ],
+      "understand": {
+        "title": "Original value is the defensible advantage",
+        "paragraphs": [
+          "A summary of existing summaries is easy to reproduce. Strong pages contribute a test, dataset, tool, demonstration, firsthand experience, expert analysis, or unusually clear synthesis.",
+          "AI can assist research and structure, but scaled generation without editorial value creates pages that are interchangeable and difficult to trust. Review claims, sources, and usefulness before publishing."
+        ]
+      },
+      "principle": "Do not ask how to make generic content rank; ask what the page contributes that did not exist before.",
+      "apply": {
+        "title": "Show how you know",
+        "paragraphs": [
+          "Name the author, method, date, limitations, and update policy when they matter. Link to primary evidence. Correct errors visibly. Trust grows from accountable process, not badges.",
+          "A useful tool or worked example can outperform another thousand words. Match the contribution to the decision the reader needs to make."
+        ]
+      },
+      "steps": [
+        "Audit a page for claims anyone could paraphrase.",
+        "Choose one original contribution: test, data, tool, example, or expert judgment.",
+        "Document method, author, date, sources, and limitations.",
+        "Ask a target reader what decision the new contribution helps them make."
+      ],
+      "quiz": [
+        {
+          "question": "Which addition creates the strongest original value?",
+          "options": [
+            "Rewriting ten competing articles",
+            "Publishing your repeatable test method and results",
+            "Adding more generic FAQs"
+          ],
+          "rationales": [
+            "Rewriting others' articles repeats what already exists and adds no new evidence.",
+            "Right: a repeatable method and its results are evidence no one else has published.",
+            "Generic FAQs repeat what every similar page says and give no reason to choose yours."
+          ],
+          "correctIndex": 1,
+          "explanation": "A transparent original test contributes evidence that readers and other sources can evaluate."
+        },
+        {
+          "question": "A page becomes interchangeable when…",
+          "options": [
+            "It only paraphrases other summaries",
+            "It is short",
+            "It has images"
+          ],
+          "rationales": [
+            "Right: paraphrase adds nothing, so any other summary could replace the page.",
+            "A short page can still be the only source of an original finding.",
+            "Images can carry original evidence; having them does not make a page interchangeable."
+          ],
+          "correctIndex": 0,
+          "explanation": "Without original contribution, content offers no reason to be chosen over the others."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Creating helpful, reliable, people-first content",
+          "url": "https://developers.google.com/search/docs/fundamentals/creating-helpful-content",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Apply SEO fundamentals to generative discovery",
+        "Reject unsupported GEO shortcuts",
+        "Prepare content for grounded answers and agents"
+      ],
+      "understand": {
+        "title": "There is no separate magic layer",
+        "paragraphs": [
+          "Google’s current guidance says core SEO practices remain relevant to generative features. Systems retrieve from indexed content, evaluate quality, and combine sources. There is no special file or markup that guarantees citation.",
+          "Clear claims, original evidence, accessible pages, strong media, and accurate structured data make information easier to retrieve and verify. They are good publishing practices regardless of interface."
+        ]
+      },
+      "principle": "Optimize for being useful, retrievable, and verifiable—not for a guessed citation formula.",
+      "apply": {
+        "title": "Support the next action",
+        "paragraphs": [
+          "For local, shopping, image, and video experiences, keep business, product, media, and availability data accurate. For agents, expose clear task paths and avoid blocking legitimate user-controlled access.",
+          "Track AI-feature traffic and conversions where platforms expose them, but do not invent precision the data cannot support."
+        ]
+      },
+      "steps": [
+        "Choose one page likely to answer a complex question.",
+        "Verify crawlability, originality, evidence, authorship, and current facts.",
+        "Improve passage clarity and media or structured data where relevant.",
+        "Record what is documented guidance versus your experiment."
+      ],
+      "quiz": [
+        {
+          "question": "According to current Google guidance, what remains foundational for AI search features?",
+          "options": [
+            "A special GEO meta tag",
+            "Core SEO and valuable original content",
+            "Publishing the largest number of pages"
+          ],
+          "rationales": [
+            "No special GEO meta tag exists in Google's guidance for AI features.",
+            "Right: AI features build on core search systems, so SEO basics and original content still matter most.",
+            "Volume without value produces commodity pages that give systems no reason to choose them."
+          ],
+          "correctIndex": 1,
+          "explanation": "Generative features are rooted in core search systems; established SEO and content quality remain foundational."
+        },
+        {
+          "question": "For AI-assisted search features, current Google guidance says…",
+          "options": [
+            "Core SEO and original value remain foundational",
+            "A special GEO tag guarantees citations",
+            "Meta keywords decide answers"
+          ],
+          "rationales": [
+            "Right: generative features rely on the same retrieval and quality systems as search.",
+            "No tag guarantees citations; that claim is folklore.",
+            "Search engines have ignored the meta keywords tag for years."
+          ],
+          "correctIndex": 0,
+          "explanation": "Generative features build on core retrieval and quality systems."
+        }
+      ],
+      "sources": [
+        {
+          "title": "AI features and your website",
+          "url": "https://developers.google.com/search/docs/appearance/ai-features",
+          "publisher": "Google Search Central",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Connect visibility to meaningful outcomes",
+        "Use field and search data together",
+        "Design an experiment with a decision rule"
+      ],
+      "understand": {
+        "title": "Measurement needs a causal story",
+        "paragraphs": [
+          "Impressions, clicks, position, engaged sessions, conversions, and retention describe different stages. A traffic increase is not success if the audience cannot finish the intended task.",
+          "Search Console reports search visibility; analytics reports behavior after arrival; crawl logs reveal fetching; qualitative research explains confusion and trust. No single dashboard supplies the whole story."
+        ]
+      },
+      "principle": "A metric is useful when a change in it would lead to a specific decision.",
+      "apply": {
+        "title": "Run smaller, accountable experiments",
+        "paragraphs": [
+          "State the page, audience, change, expected mechanism, primary metric, guardrails, time window, and decision threshold. Annotate launches and external events.",
+          "Avoid changing many variables and then claiming one caused the result. When certainty is impossible, label the result as directional."
+        ]
+      },
+      "steps": [
+        "Draw a measurement chain from impression to meaningful outcome.",
+        "Choose one primary metric and two guardrails.",
+        "Write a content or technical experiment with a decision threshold.",
+        "Schedule a review that records result, confidence, and next action."
+      ],
+      "quiz": [
+        {
+          "question": "Which is the best primary metric for a guide meant to generate qualified consultations?",
+          "options": [
+            "Total page views",
+            "Consultation requests from readers who viewed the guide",
+            "Average word count"
+          ],
+          "rationales": [
+            "Views count visits, including the many that never lead to a consultation.",
+            "Right: it ties readers of the guide to the outcome the guide exists to produce.",
+            "Word count describes the page, not what readers do after reading it."
+          ],
+          "correctIndex": 1,
+          "explanation": "The metric connects discovery and content engagement to the intended product outcome."
+        },
+        {
+          "question": "A metric is most useful when…",
+          "options": [
+            "A change in it triggers a specific decision",
+            "It is the largest number on the dashboard",
+            "It has been reported for years"
+          ],
+          "rationales": [
+            "Right: a metric earns its place when its movement tells you what to do next.",
+            "Size on a dashboard is not relevance; big numbers can be vanity metrics.",
+            "A long history shows habit, not whether the metric still drives any decision."
+          ],
+          "correctIndex": 0,
+          "explanation": "A useful metric is connected to a decision, per the lesson's own test."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Performance report (Search results)",
+          "url": "https://support.google.com/webmasters/answer/7576553",
+          "publisher": "Search Console Help",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ],
+  "ux": [
+    {
+      "objectives": [
+        "Separate outcomes from requested features",
+        "Write a falsifiable problem frame",
+        "Choose evidence that could change the plan"
+      ],
+      "understand": {
+        "title": "Requests are clues, not requirements",
+        "paragraphs": [
+          "“Add a dashboard” describes a solution. Ask what decision the dashboard should improve, who makes it, what they do today, and what cost or risk exists. The answer may still be a dashboard, but now the team can judge whether it works.",
+          "A useful problem frame names the person, situation, desired progress, constraints, and evidence of success. It also names what would disprove the opportunity. Without a disconfirming signal, research becomes a search for agreement."
+        ]
+      },
+      "principle": "Frame the change in human behavior before choosing the shape of the interface.",
+      "apply": {
+        "title": "Turn ambiguity into a learning plan",
+        "paragraphs": [
+          "List assumptions about value, usability, feasibility, and viability. Rank them by uncertainty and consequence. The riskiest assumption determines what to learn first.",
+          "Match evidence to the decision: interviews for motives and language, observation for actual behavior, analytics for patterns at scale, and prototypes for comprehension and usability."
+        ]
+      },
+      "steps": [
+        "Rewrite a feature request as an outcome.",
+        "List five assumptions and rank them by uncertainty and consequence.",
+        "Choose one method that could disprove the riskiest assumption.",
+        "Define the behavior or evidence that would change your decision."
+      ],
+      "quiz": [
+        {
+          "question": "Which problem statement is most useful?",
+          "options": [
+            "Users need an AI dashboard",
+            "Support agents need to find verified policy answers during a call without switching tools",
+            "We should modernize the interface"
+          ],
+          "rationales": [
+            "It names a solution, not a person or a problem, so it cannot tell the team whether anything worked.",
+            "Right: it names who, in what situation, the progress they need, and the constraint, without prescribing a design.",
+            "Modernizing describes the team's wish; no one's progress or situation is in the statement."
+          ],
+          "correctIndex": 1,
+          "explanation": "It names a person, situation, desired progress, and constraint without locking the team into one solution."
+        },
+        {
+          "question": "Which statement is a useful disconfirming signal?",
+          "options": [
+            "“Even after three attempts, support agents still switch tools to answer a policy question”",
+            "“Users say the dashboard looks modern”",
+            "“The team is excited about the roadmap”"
+          ],
+          "rationales": [
+            "Right: it describes evidence that, if seen, would show the opportunity is not real.",
+            "Compliments on looks confirm taste, not whether the problem exists or was solved.",
+            "Team excitement says nothing about users; it cannot disprove anything about the opportunity."
+          ],
+          "correctIndex": 0,
+          "explanation": "A disconfirming signal describes evidence that would disprove the opportunity."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Start by learning user needs",
+          "url": "https://www.gov.uk/service-manual/user-research/start-by-learning-user-needs",
+          "publisher": "GOV.UK Service Manual",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Ask for behavior rather than predictions",
+        "Select a method that fits the decision",
+        "Separate evidence from interpretation"
+      ],
+      "understand": {
+        "title": "Memory beats speculation",
+        "paragraphs": [
+          "People are poor predictors of what they will do, especially when they want to be helpful. Ask for the last real occasion: what triggered it, what happened next, what tools were involved, and where the work became difficult.",
+          "An interview reveals meaning and language. Observation reveals workarounds and context. A survey estimates a known pattern. Analytics show what happened but rarely why. Combine methods only when each closes a real evidence gap."
+        ]
+      },
+      "principle": "Ask about a specific past behavior before asking for a future preference.",
+      "apply": {
+        "title": "Synthesis is disciplined compression",
+        "paragraphs": [
+          "Keep raw observations, participant words, interpretations, and recommendations distinct. Affinity mapping helps reveal repeated behavior, but frequency alone does not determine importance.",
+          "A finding should connect evidence to an implication: what was observed, why it matters, who it affects, and what decision it informs. Preserve contradictions instead of smoothing them away."
+        ]
+      },
+      "steps": [
+        "Write five behavior-first interview questions.",
+        "Run three short conversations or observations.",
+        "Capture facts and quotes separately from interpretations.",
+        "Create three findings, each with evidence and a decision implication."
+      ],
+      "quiz": [
+        {
+          "question": "Which question is least leading?",
+          "options": [
+            "Would you use a faster dashboard?",
+            "Tell me about the last time you prepared this report",
+            "Do you agree the current flow is confusing?"
+          ],
+          "rationales": [
+            "It is hypothetical and already proposes the answer; almost anyone says yes to faster.",
+            "Right: asking about a recent real event draws out concrete, reliable detail.",
+            "It tells the participant the flow is confusing and asks them to agree."
+          ],
+          "correctIndex": 1,
+          "explanation": "A recent concrete event produces more reliable detail than a hypothetical preference."
+        },
+        {
+          "question": "Which question is most leading?",
+          "options": [
+            "Tell me about the last time you prepared this report",
+            "Don't you agree the current flow is confusing?",
+            "What tools did you use last week?"
+          ],
+          "rationales": [
+            "Asking about a recent real event is open and neutral; it does not suggest an answer.",
+            "Right: \"Don't you agree\" signals the expected answer and invites polite agreement.",
+            "Asking which tools were used is a neutral factual question about recent behaviour."
+          ],
+          "correctIndex": 1,
+          "explanation": "Leading questions suggest the expected answer; “Don't you agree…” invites agreement."
+        }
+      ],
+      "sources": [
+        {
+          "title": "When to Use Which User-Experience Research Methods",
+          "url": "https://www.nngroup.com/articles/which-ux-research-methods/",
+          "publisher": "Nielsen Norman Group",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "User research",
+          "url": "https://www.gov.uk/service-manual/user-research",
+          "publisher": "GOV.UK Service Manual",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Model content before drawing navigation",
+        "Use audience language for labels",
+        "Evaluate findability with representative tasks"
+      ],
+      "understand": {
+        "title": "Information architecture is a prediction",
+        "paragraphs": [
+          "Every category and navigation label predicts where a person will look. Start by inventorying the content and identifying entities, tasks, relationships, and lifecycle. An org chart is rarely a useful model for people outside the organization.",
+          "Labels carry more weight than icons. Use familiar, specific language and avoid forcing one item into several ambiguous categories. Search and navigation complement each other; neither repairs unclear content."
+        ]
+      },
+      "principle": "Good information architecture makes the next place feel obvious before a person clicks.",
+      "apply": {
+        "title": "Test the structure without visual design",
+        "paragraphs": [
+          "Open card sorting reveals how participants group information. Closed sorting tests an existing structure. Tree testing asks where people would look for specific items without interface decoration.",
+          "Measure first-click confidence, success, directness, and the language participants use. A wrong but popular location may signal that the model—not the user—needs to change."
+        ]
+      },
+      "steps": [
+        "Inventory at least 25 content items.",
+        "Identify the top tasks and vocabulary used by your audience.",
+        "Run a small card sort or tree test.",
+        "Revise labels and structure based on failed paths and hesitation."
+      ],
+      "quiz": [
+        {
+          "question": "What should primarily determine a navigation label?",
+          "options": [
+            "Internal department names",
+            "Words the intended audience expects for the task or content",
+            "The shortest possible abbreviation"
+          ],
+          "rationales": [
+            "Department names mirror the org chart, which visitors neither know nor care about.",
+            "Right: labels in the audience's own words give them the scent they follow to the content.",
+            "Abbreviations save space but hide meaning; people cannot follow a label they do not understand."
+          ],
+          "correctIndex": 1,
+          "explanation": "Labels work when they match the audience’s information scent and vocabulary."
+        },
+        {
+          "question": "A “wrong but popular” location in a tree test most likely means…",
+          "options": [
+            "The participant is wrong",
+            "The information model, not the user, needs to change",
+            "The test is broken"
+          ],
+          "rationales": [
+            "When many people choose the same place, the pattern is evidence, not individual error.",
+            "Right: a popular wrong answer shows where people expect the content, so the model should move.",
+            "The test worked: it revealed a consistent expectation the structure does not meet."
+          ],
+          "correctIndex": 1,
+          "explanation": "Repeated expected-looking placement is a signal about the model, and the model is the thing to revise."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Card Sorting: Uncover Users' Mental Models",
+          "url": "https://www.nngroup.com/articles/card-sorting-definition/",
+          "publisher": "Nielsen Norman Group",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Tree Testing: Fast, Iterative Evaluation of Menu Labels and Categories",
+          "url": "https://www.nngroup.com/articles/tree-testing/",
+          "publisher": "Nielsen Norman Group",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Match prototype fidelity to uncertainty",
+        "Include states beyond the happy path",
+        "Write a task that tests behavior rather than opinion"
+      ],
+      "understand": {
+        "title": "Prototype the question",
+        "paragraphs": [
+          "A prototype is an instrument for learning. If the uncertainty is whether people understand the sequence, paper may be enough. If the uncertainty is keyboard behavior or perceived latency, a coded prototype may be necessary.",
+          "High visual polish can make a weak concept feel finished and discourage honest critique. Spend fidelity only where it helps answer the current question."
+        ]
+      },
+      "principle": "The right prototype is the cheapest artifact that can answer the riskiest question.",
+      "apply": {
+        "title": "States are part of the design",
+        "paragraphs": [
+          "Include loading, empty, partial, invalid, permission-denied, offline, and success states when they affect the decision. A single golden path hides the moments where trust is won or lost.",
+          "Give participants a goal and context, not click instructions. Observe where they start, what they expect, and how they recover. Ask them to explain what they think happened after acting."
+        ]
+      },
+      "steps": [
+        "Name one uncertain product decision.",
+        "Choose the minimum fidelity required to test it.",
+        "Prototype the core path plus two risky states.",
+        "Run a task without coaching and record expectations, errors, and recovery."
+      ],
+      "quiz": [
+        {
+          "question": "When is a high-fidelity prototype justified?",
+          "options": [
+            "Whenever presenting to leadership",
+            "When the research question depends on realistic interaction or visual perception",
+            "At the start of every project"
+          ],
+          "rationales": [
+            "The audience does not change the research question; polish for a presentation is not learning.",
+            "Right: choose high fidelity only when realistic interaction or visuals are what you need to learn about.",
+            "Early on, cheap low-fidelity sketches answer more questions faster."
+          ],
+          "correctIndex": 1,
+          "explanation": "Fidelity should serve the learning question, not status or habit."
+        },
+        {
+          "question": "Which state should a prototype include before testing?",
+          "options": [
+            "Loading and empty states",
+            "Only the perfect first-run flow",
+            "Every marketing asset"
+          ],
+          "rationales": [
+            "Right: loading and empty states are where trust is won or lost, so they need testing too.",
+            "The perfect path hides the moments where real people get stuck or lose trust.",
+            "Marketing assets do not help answer whether people can complete the task."
+          ],
+          "correctIndex": 0,
+          "explanation": "The moments where trust is won or lost are loading, empty, error, and recovery states."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Making prototypes",
+          "url": "https://www.gov.uk/service-manual/design/making-prototypes",
+          "publisher": "GOV.UK Service Manual",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Distinguish tokens, components, and patterns",
+        "Document behavior and content rules",
+        "Design exceptions deliberately"
+      ],
+      "understand": {
+        "title": "A system is shared reasoning",
+        "paragraphs": [
+          "A component library stores reusable interface pieces. A design system also stores principles, tokens, content guidance, accessibility behavior, contribution rules, and decisions. Its value is faster coherent judgment, not identical screens.",
+          "Tokens give names to repeated choices such as color, spacing, type, and motion. Components combine those choices with structure and states. Patterns explain how components work together to solve recurring tasks."
+        ]
+      },
+      "principle": "A design system succeeds when it improves decisions, not when it maximizes reuse.",
+      "apply": {
+        "title": "Document the invisible parts",
+        "paragraphs": [
+          "Show anatomy, required and optional content, states, responsive behavior, keyboard interaction, accessible names, and examples of misuse. A screenshot documents appearance but not behavior.",
+          "Create an escape hatch for valid exceptions and a path for improvements to return to the system. Teams bypass systems that cannot represent real needs."
+        ]
+      },
+      "steps": [
+        "Select one repeated component.",
+        "Document anatomy, tokens, content rules, states, and keyboard behavior.",
+        "Add one misuse example and one valid exception.",
+        "Ask another maker to use the documentation without your help."
+      ],
+      "quiz": [
+        {
+          "question": "Which item is a design token?",
+          "options": [
+            "A checkout flow",
+            "The named spacing value space-4",
+            "A modal dialog component"
+          ],
+          "rationales": [
+            "A checkout flow is a pattern built from many components, not a single named decision.",
+            "Right: space-4 names one reusable decision that components consume.",
+            "A modal dialog is a component; it uses tokens rather than being one."
+          ],
+          "correctIndex": 1,
+          "explanation": "A token names a reusable design decision; components and patterns consume tokens."
+        },
+        {
+          "question": "What is an escape hatch for?",
+          "options": [
+            "Allowing a sanctioned exception when the component cannot represent the need",
+            "Letting anyone write any CSS",
+            "Hiding documentation"
+          ],
+          "rationales": [
+            "Right: a sanctioned exception records a valid need the component cannot yet express.",
+            "Unlimited custom CSS erodes the system; an escape hatch is explicit and bounded.",
+            "Escape hatches are documented so exceptions stay visible, not hidden."
+          ],
+          "correctIndex": 0,
+          "explanation": "Escape hatches keep the system honest by representing valid exceptions explicitly."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Design Tokens Format Module",
+          "url": "https://tr.designtokens.org/format/",
+          "publisher": "W3C Design Tokens Community Group",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Accessible Name and Description Computation 1.2",
+          "url": "https://www.w3.org/TR/accname-1.2/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Write neutral usability tasks",
+        "Identify severity using impact and frequency",
+        "Turn observations into prioritized changes"
+      ],
+      "understand": {
+        "title": "A usability test evaluates the design",
+        "paragraphs": [
+          "Five thoughtful sessions can reveal many severe interaction problems, but the number is not a universal law. Recruit people who resemble the intended audience and test representative tasks.",
+          "Avoid teaching the interface through the task. “Find out whether this plan supports guests” is better than “Click Pricing, then compare plans.” Ask participants to think aloud without turning the session into an interview."
+        ]
+      },
+      "principle": "When a participant struggles, investigate the design before explaining it.",
+      "apply": {
+        "title": "Findings need a decision",
+        "paragraphs": [
+          "Record observable behavior: path taken, hesitation, error, recovery, and outcome. A participant saying “I like it” is feedback; failing to find the save action is usability evidence.",
+          "Prioritize by severity, frequency, reach, and confidence. Recommend the smallest change that addresses the cause, then retest. Do not convert every comment into a feature."
+        ]
+      },
+      "steps": [
+        "Write three realistic, neutral tasks.",
+        "Run sessions with five representative participants where practical.",
+        "Log observable behavior and quotes separately.",
+        "Rank findings, revise the highest-severity issue, and retest it."
+      ],
+      "quiz": [
+        {
+          "question": "Which observation is strongest usability evidence?",
+          "options": [
+            "Three participants could not find how to save and abandoned the task",
+            "One participant preferred blue",
+            "A stakeholder called the page clean"
+          ],
+          "rationales": [
+            "Right: repeated failure at a task ties interface behaviour directly to a missed outcome.",
+            "A single colour preference is opinion about taste, not evidence about task success.",
+            "A stakeholder's verdict is not observed behaviour from the people the page is for."
+          ],
+          "correctIndex": 0,
+          "explanation": "Repeated task failure directly connects interface behavior to an intended outcome."
+        },
+        {
+          "question": "When is a usability finding strongest?",
+          "options": [
+            "Several participants fail the same task and it blocks the intended outcome",
+            "One participant calls the page clean",
+            "A stakeholder prefers a different color"
+          ],
+          "rationales": [
+            "Right: repeated, observable failure that blocks the outcome is the strongest evidence.",
+            "One person's compliment is an opinion, not an observation of task success.",
+            "A stakeholder's colour preference is taste, not evidence from people using the page."
+          ],
+          "correctIndex": 0,
+          "explanation": "Repeated, observable task failure tied to an intended outcome is the strongest evidence."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Why You Only Need to Test with 5 Users",
+          "url": "https://www.nngroup.com/articles/why-you-only-need-to-test-with-5-users/",
+          "publisher": "Nielsen Norman Group",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Affinity Diagramming: Collaboratively Sort UX Findings and Design Ideas",
+          "url": "https://www.nngroup.com/articles/affinity-diagram/",
+          "publisher": "Nielsen Norman Group",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,540 @@
+// curriculum-lessons.pt.js — generated by generate.mjs from lessons/<pathId>/*.pt.md.
+// Do not edit by hand: change the Markdown lesson and run `npm run generate`.
+
+export const lessonModules = {
+  "foundations": [
+    {
+      "title": "Como a web funciona",
+      "detail": "Acompanhe uma requisição da URL até os pixels: DNS, HTTP, servidores e as três linguagens da web.",
+      "time": "45 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Seu navegador é um estúdio",
+      "detail": "Edite ao vivo, leia erros e meça qualquer página com as ferramentas que já vêm no seu navegador.",
+      "time": "55 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "HTML: o esqueleto",
+      "detail": "Escreva uma marcação com significado para estrutura, links, imagens, listas e formulários.",
+      "time": "70 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "CSS: a pele",
+      "detail": "Controle layout, cores e tipografia com a cascata, o modelo de caixa e o flexbox.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "JavaScript: o comportamento",
+      "detail": "Faça as páginas responderem às pessoas com variáveis, funções, eventos e o DOM.",
+      "time": "80 min",
+      "lastChanged": "2026-10-18"
+    },
+    {
+      "title": "Projeto final: seu primeiro artefato",
+      "detail": "Combine as três linguagens em uma página que faça algo real e publique.",
+      "time": "90 min",
+      "lastChanged": "2026-10-18"
+    }
+  ]
+};
+
+export const studioMissions = {
+  "foundations": [
+    {
+      "mission": "Descreva em linguagem simples o percurso de um carregamento de página, da URL aos pixels.",
+      "proof": "Suas anotações citam o DNS, uma requisição e sua resposta, a análise do HTML e um recurso de rede real com o seu código de status."
+    },
+    {
+      "mission": "Audite uma página real com as ferramentas do próprio navegador.",
+      "proof": "Suas anotações registram uma edição ao vivo, uma descoberta no console e três melhorias candidatas que possam ser medidas."
+    },
+    {
+      "mission": "Construa do zero uma página de perfil pessoal semântica.",
+      "proof": "Ela usa header, nav, main e footer, links reais e uma imagem com texto alternativo, e faz sentido sem CSS."
+    },
+    {
+      "mission": "Transforme sua página de perfil em um layout calmo e fácil de ler.",
+      "proof": "Ela usa o modelo de caixa de forma deliberada, um layout flex ou grid, um ritmo de espaçamento visível e uma regra responsiva."
+    },
+    {
+      "mission": "Adicione uma interação genuína à sua página.",
+      "proof": "Uma pessoa consegue mudar algo na página clicando ou digitando, e o conteúdo principal continua funcionando com o JavaScript bloqueado."
+    },
+    {
+      "mission": "Publique seu artefato e teste com uma pessoa real.",
+      "proof": "A página carrega pela rede, e uma pessoa conclui a tarefa prevista com teclado, com toque e sem orientação."
+    }
+  ]
+};
+
+export const hints = {
+  "foundations": [
+    null,
+    null,
+    "Comece pelo significado: header, nav, main e footer. Toda imagem precisa de texto alternativo, todo link de um href real, e a página deve fazer sentido sem estilos.",
+    "Construa o ritmo primeiro: uma escala tipográfica, duas ou três cores, padding e margin consistentes. Depois um layout com flexbox e então uma media query. Teste com 200% de zoom.",
+    "Use querySelector para encontrar um elemento, addEventListener para ouvir, e textContent ou classList para atualizá-lo. Confirme que a página continua funcionando com o JavaScript bloqueado.",
+    "Prove primeiro a tarefa principal sem melhorias. Depois adicione o estilo, um comportamento e as verificações de publicação, e entregue a URL a uma pessoa sem dar orientações."
+  ]
+};
+
+export const lessonGuides = {
+  "foundations": [
+    {
+      "objectives": [
+        "Descrever o que acontece entre apertar Enter e ver uma página",
+        "Nomear URL, DNS e HTTP, e o papel de HTML, CSS e JavaScript",
+        "Ler uma requisição de rede e o seu código de status"
+      ],
+      "understand": {
+        "title": "Uma página é um percurso, não um arquivo",
+        "paragraphs": [
+          "Quando você digita uma URL e aperta Enter, o navegador pergunta a um sistema de diretório (o DNS) onde fica o servidor do site, abre uma conexão, envia uma requisição HTTP e recebe uma resposta. Depois, transforma essa resposta em pixels.",
+          "A resposta que você pediu normalmente é um documento HTML: a estrutura. Esse documento pode fazer referência a folhas de estilo, scripts, imagens e dados que o navegador busca em requisições separadas, guarda em cache e combina na experiência final. Saber qual peça faz cada trabalho é a base para construir na web."
+        ]
+      },
+      "principle": "Uma página web começa como um documento. Ela pode fazer referência a estilos, scripts, mídia e dados que o navegador busca, guarda em cache e combina na experiência final.",
+      "apply": {
+        "title": "Acompanhe uma requisição com os próprios olhos",
+        "paragraphs": [
+          "Abra o painel Network, recarregue uma página e encontre a requisição do documento: geralmente a primeira linha, com a mesma URL que você digitou. O código de status conta o que aconteceu: 200 é sucesso, 301 um redirecionamento, 404 uma página inexistente.",
+          "Clique na linha para ver o corpo da resposta: o HTML está ali, texto puro que o navegador interpretou como página. Esse é todo o truque da web: ela é aberta e inspecionável por natureza."
+        ]
+      },
+      "example": "curl -IL https://learnweb.cc\n# sua saída é evidência, não garantia:\n# protocolo, cabeçalhos e redirecionamentos variam conforme o cliente e a implantação",
+      "steps": [
+        "Digite uma URL e abra o DevTools antes de recarregar.",
+        "Encontre a requisição do documento no painel Network.",
+        "Anote o código de status, o tamanho e o tempo de carregamento.",
+        "Explique para alguém o que cada etapa fez."
+      ],
+      "quiz": [
+        {
+          "question": "O que o DNS faz quando você digita uma URL?",
+          "options": [
+            "Garante que a página carregue mais rápido",
+            "Traduz o nome de domínio para o endereço de um servidor",
+            "Aplica estilo à página"
+          ],
+          "rationales": [
+            "A velocidade depende do cache, da rede e do peso da página; o DNS só descobre para onde enviar a requisição.",
+            "Certo: a consulta transforma um nome como example.com em um endereço IP ao qual o navegador pode se conectar.",
+            "Aplicar estilo é trabalho do CSS, bem depois de o servidor ser encontrado e responder."
+          ],
+          "correctIndex": 1,
+          "explanation": "O DNS transforma um nome fácil de lembrar em um endereço que o navegador consegue alcançar."
+        },
+        {
+          "type": "match",
+          "question": "Associe cada código de status ao que ele informa.",
+          "pairs": [
+            {
+              "prompt": "200",
+              "answer": "A requisição deu certo"
+            },
+            {
+              "prompt": "301",
+              "answer": "A página mudou para outro endereço"
+            },
+            {
+              "prompt": "404",
+              "answer": "A página não foi encontrada"
+            }
+          ],
+          "explanation": "Códigos 2xx indicam sucesso, 3xx um redirecionamento e 4xx um problema com a requisição, como um endereço que não existe."
+        }
+      ],
+      "sources": [
+        {
+          "title": "What is DNS?",
+          "url": "https://www.cloudflare.com/learning/dns/what-is-dns/",
+          "publisher": "Cloudflare",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "RFC 9110: HTTP Semantics",
+          "url": "https://www.rfc-editor.org/rfc/rfc9110",
+          "publisher": "IETF",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Inspecionar e editar ao vivo o HTML e o CSS de qualquer página",
+        "Ler erros e mensagens no console",
+        "Medir uma página com o Lighthouse"
+      ],
+      "understand": {
+        "title": "O DevTools é a bancada de quem constrói",
+        "paragraphs": [
+          "Todo navegador moderno traz ferramentas profissionais. O painel Elements mostra o DOM vivo: você pode editar textos, mover elementos e mudar o estilo de qualquer coisa, e a mudança aparece na hora. Nada do que você faz ali é salvo: é um ambiente seguro para aprender.",
+          "O console mostra erros, avisos e mensagens da página, e aceita os comandos de JavaScript que você digitar. O painel Network mostra cada requisição. O Lighthouse audita desempenho, acessibilidade e boas práticas com um clique."
+        ]
+      },
+      "principle": "O navegador é o ciclo de feedback mais rápido que você vai ter.",
+      "apply": {
+        "title": "Pratique em uma página de que você gosta",
+        "paragraphs": [
+          "Abra o DevTools em qualquer site, selecione um elemento e mude o texto e a cor dele. Recarregue para provar que o original continua intacto. Quebre algo de propósito e depois encontre o erro no console.",
+          "Em seguida, rode o Lighthouse na sua própria página e leia os resultados como uma lista de tarefas, não como um veredito. Cada auditoria reprovada indica o arquivo, a regra e, quase sempre, a correção."
+        ]
+      },
+      "example": "document.querySelector(\"h1\").textContent = \"Editei isto ao vivo\"; // teste no console",
+      "steps": [
+        "Abra um site que você admira e mude o texto e um estilo de um elemento.",
+        "Digite um script de uma linha no console e execute.",
+        "Encontre e leia um erro ou aviso em uma página real.",
+        "Rode o Lighthouse e anote as três auditorias com as piores notas."
+      ],
+      "quiz": [
+        {
+          "question": "Qual painel permite editar ao vivo o HTML e o CSS de uma página?",
+          "options": [
+            "Network",
+            "Elements",
+            "Application"
+          ],
+          "rationales": [
+            "Network lista requisições e respostas; mostra o que carregou, mas ali não dá para editar a página.",
+            "Certo: Elements mostra o DOM vivo e seus estilos, e suas edições valem na hora.",
+            "Application inspeciona o armazenamento, como cookies e localStorage, não a marcação nem os estilos."
+          ],
+          "correctIndex": 1,
+          "explanation": "O painel Elements mostra o DOM vivo e os estilos calculados, que você pode editar no lugar."
+        },
+        {
+          "question": "Para que o Lighthouse serve melhor?",
+          "options": [
+            "Medir desempenho, acessibilidade e boas práticas de uma só vez",
+            "Editar imagens",
+            "Gerenciar extensões do navegador"
+          ],
+          "rationales": [
+            "Certo: uma só execução audita desempenho, acessibilidade, boas práticas e SEO, com uma nota para cada.",
+            "O Lighthouse lê uma página e faz um relatório; nunca edita imagens nem outros recursos.",
+            "Extensões são gerenciadas nas configurações do navegador; o Lighthouse audita, não gerencia."
+          ],
+          "correctIndex": 0,
+          "explanation": "O Lighthouse executa uma bateria de auditorias e dá uma nota à página com base nelas."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Chrome DevTools",
+          "url": "https://developer.chrome.com/docs/devtools",
+          "publisher": "Chrome for Developers",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Firefox DevTools User Docs",
+          "url": "https://firefox-source-docs.mozilla.org/devtools-user/",
+          "publisher": "Mozilla",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Escrever uma estrutura semântica com header, nav, main e footer",
+        "Adicionar links, imagens, listas e títulos que signifiquem algo",
+        "Saber quando um elemento é a ferramenta certa"
+      ],
+      "understand": {
+        "title": "HTML é significado, não aparência",
+        "paragraphs": [
+          "O HTML descreve o que o conteúdo é: um título, uma lista, um link, uma imagem, uma área de navegação. Navegadores, leitores de tela e mecanismos de busca leem esse significado. Escolha os elementos pelo que eles significam; o estilo pode vir depois.",
+          "Um link usa href; uma imagem precisa de src e, para quem não pode vê-la, de um alt que descreva o seu propósito. Listas estruturam itens; títulos criam um sumário. Esses pequenos hábitos tornam as páginas úteis para todo mundo."
+        ]
+      },
+      "principle": "Escolha os elementos pelo que eles significam, não pela aparência.",
+      "apply": {
+        "title": "Construa o esqueleto de uma página de perfil",
+        "paragraphs": [
+          "Estruture a página com header, nav, main e footer; dê a ela um único h1 e uma seção clara para cada assunto; crie links para os seus projetos reais ou futuros; adicione uma imagem com uma descrição alternativa útil.",
+          "Depois, veja a página sem CSS. Se o significado continuar claro, o esqueleto está bom. Todas as próximas lições vão partir dessa forma."
+        ]
+      },
+      "example": "<header><h1>Seu nome</h1></header>\n<nav aria-label=\"Principal\">\n  <a href=\"#sobre\">Sobre</a> <a href=\"#projetos\">Projetos</a>\n</nav>\n<main>\n  <section id=\"sobre\">…</section>\n  <section id=\"projetos\">…</section>\n</main>\n<footer>…</footer>",
+      "steps": [
+        "Escreva uma página de perfil com header, nav, main, seções e footer.",
+        "Adicione um link real, uma lista e uma imagem com texto alternativo.",
+        "Valide a marcação com o validador do W3C.",
+        "Leia a página sem CSS e confirme que o significado se mantém."
+      ],
+      "quiz": [
+        {
+          "question": "Qual elemento é o certo para a navegação principal de um site?",
+          "options": [
+            "div",
+            "nav",
+            "section"
+          ],
+          "rationales": [
+            "Uma div não tem significado, então leitores de tela e pontos de referência não sabem que ela contém navegação.",
+            "Certo: nav cria um ponto de referência de navegação para onde se pode pular ou que se pode ignorar.",
+            "section agrupa conteúdo temático sob um título; não diz que os links são navegação."
+          ],
+          "correctIndex": 1,
+          "explanation": "nav marca as áreas de navegação para que pessoas e ferramentas possam encontrá-las e pulá-las."
+        },
+        {
+          "question": "Para que serve o texto alternativo?",
+          "options": [
+            "Descrever uma imagem quando ela não pode ser vista",
+            "Fazer as imagens carregarem mais rápido",
+            "Aplicar estilo à imagem"
+          ],
+          "rationales": [
+            "Certo: alt é o equivalente em texto lido em voz alta ou exibido quando a imagem não pode ser vista.",
+            "alt acrescenta texto; não muda o tamanho do arquivo nem a velocidade do download.",
+            "A apresentação é papel do CSS; alt descreve o que a imagem significa, não sua aparência."
+          ],
+          "correctIndex": 0,
+          "explanation": "alt dá às imagens uma descrição em texto para quem não pode vê-las e para os mecanismos de busca."
+        }
+      ],
+      "sources": [
+        {
+          "title": "HTML Living Standard",
+          "url": "https://html.spec.whatwg.org/multipage/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Semantic Structure: Regions, Headings, and Lists",
+          "url": "https://webaim.org/techniques/semanticstructure/",
+          "publisher": "WebAIM",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Usar o modelo de caixa para controlar o espaçamento",
+        "Escrever seletores pensando na cascata",
+        "Construir um layout responsivo simples com flexbox"
+      ],
+      "understand": {
+        "title": "CSS é a camada de apresentação",
+        "paragraphs": [
+          "O CSS transforma o esqueleto em uma página desenhada. Todo elemento é uma caixa com conteúdo, padding, borda e margem: o modelo de caixa. Espaçamento, alinhamento e ritmo vêm do controle dessas caixas, não de chutar pixels.",
+          "A cascata resolve regras em conflito: vencem as regras posteriores e os seletores mais específicos. Um jeito simples de manter a calma: estilize os elementos diretamente, use classes para componentes que se repetem e mantenha uma única fonte de verdade na sua própria folha de estilo."
+        ]
+      },
+      "principle": "O estilo segue a estrutura: o CSS muda a aparência, nunca o significado.",
+      "apply": {
+        "title": "Dê ao seu perfil um design calmo e legível",
+        "paragraphs": [
+          "Comece por uma escala tipográfica: um tamanho para títulos, outro para o texto, com uma altura de linha confortável. Escolha duas ou três cores e use-as com intenção. Aplique padding e margin de forma consistente para que o espaçamento pareça proposital.",
+          "Use flexbox para organizar a navegação e linhas simples. Adicione uma media query para que o layout continue funcionando em um celular estreito. Confira com 200% de zoom: o texto deve se reorganizar, não quebrar."
+        ]
+      },
+      "example": ".profile-card {\n  display: flex;\n  gap: 1rem;\n  padding: 1.25rem;\n  border: 1px solid #ddd;\n  border-radius: .75rem;\n}\n@media (max-width: 40rem) {\n  .profile-card { flex-direction: column; }\n}",
+      "steps": [
+        "Defina uma escala tipográfica e uma paleta de duas ou três cores.",
+        "Adicione padding, margin e bordas até o espaçamento parecer proposital.",
+        "Organize uma seção com flexbox.",
+        "Adicione uma media query e teste com 200% de zoom."
+      ],
+      "quiz": [
+        {
+          "type": "multiple",
+          "question": "Quais destas são camadas do modelo de caixa?",
+          "options": [
+            "Padding",
+            "Borda",
+            "Tamanho da fonte",
+            "Margem",
+            "Seletor"
+          ],
+          "rationales": [
+            "O padding é o espaço entre o conteúdo e a borda, dentro da caixa.",
+            "A borda envolve o padding e é desenhada como parte da caixa.",
+            "O tamanho da fonte muda o texto do conteúdo, o que pode mudar o tamanho da caixa, mas não é uma camada.",
+            "A margem é a camada mais externa, o espaço entre esta caixa e as vizinhas.",
+            "Um seletor decide a quais elementos uma regra se aplica; não faz parte da caixa de nenhum elemento."
+          ],
+          "correctIndexes": [
+            0,
+            1,
+            3
+          ],
+          "explanation": "Todo elemento é desenhado como um conteúdo cercado por padding, borda e margem; tamanho da fonte e seletores não fazem parte da caixa."
+        },
+        {
+          "type": "order",
+          "question": "Duas regras apontam para o mesmo elemento. Ordene o que a cascata compara, na ordem em que ela compara.",
+          "items": [
+            "Origem e importância, como !important",
+            "Especificidade do seletor",
+            "Ordem de aparição no código"
+          ],
+          "explanation": "A cascata olha primeiro a origem e a importância, depois a especificidade; só quando empatam vence a regra que aparece depois."
+        }
+      ],
+      "sources": [
+        {
+          "title": "CSS Cascading and Inheritance Level 5",
+          "url": "https://www.w3.org/TR/css-cascade-5/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "Understanding Success Criterion 1.4.10: Reflow",
+          "url": "https://www.w3.org/WAI/WCAG22/Understanding/reflow.html",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Selecionar elementos e alterá-los com JavaScript",
+        "Responder a cliques e digitação com eventos",
+        "Manter a página funcionando quando o JavaScript está bloqueado"
+      ],
+      "understand": {
+        "title": "JavaScript faz as páginas responderem",
+        "paragraphs": [
+          "O JavaScript roda no navegador e pode ler e alterar a página. A receita de sempre: selecione um elemento com querySelector, ouça um evento com addEventListener e atualize a página com textContent ou classList.",
+          "Trate o JavaScript como uma melhoria. Uma página cujos links, formulários e conteúdo funcionam sem scripts é robusta, e a camada interativa só pode melhorá-la."
+        ]
+      },
+      "principle": "O JavaScript melhora uma página que já funciona sem ele.",
+      "apply": {
+        "title": "Adicione uma interação real",
+        "paragraphs": [
+          "Escolha uma interação pequena e genuína: um botão que conta, uma saudação que muda, uma lista à qual dá para adicionar itens, um tema que alterna. Escreva o HTML primeiro e depois adicione o comportamento em um script separado.",
+          "Teste com o JavaScript bloqueado: o conteúdo precisa continuar legível e a página não pode quebrar. Depois reative o JavaScript e confirme que a interação funciona."
+        ]
+      },
+      "example": "const button = document.querySelector(\"button\");\nconst output = document.querySelector(\"output\");\nlet count = 0;\nbutton.addEventListener(\"click\", () => {\n  count += 1;\n  output.textContent = count;\n});",
+      "steps": [
+        "Escolha uma interação pequena e escreva o HTML dela primeiro.",
+        "Selecione os elementos e adicione um ouvinte de eventos.",
+        "Atualize a página e mantenha o estado da interação na própria página.",
+        "Confirme que a página principal funciona com o JavaScript bloqueado."
+      ],
+      "quiz": [
+        {
+          "question": "Qual método seleciona o primeiro elemento que corresponde a um seletor CSS?",
+          "options": [
+            "querySelector",
+            "querySelectorAll",
+            "getElement"
+          ],
+          "rationales": [
+            "Certo: retorna o primeiro elemento correspondente, ou null quando não há nenhum.",
+            "querySelectorAll retorna todas as correspondências em uma NodeList, não só a primeira.",
+            "Não existe o método getElement; as buscas antigas são getElementById e getElementsByClassName."
+          ],
+          "correctIndex": 0,
+          "explanation": "querySelector retorna o primeiro elemento correspondente; querySelectorAll retorna todos."
+        },
+        {
+          "question": "Qual evento dispara quando uma pessoa clica em um elemento?",
+          "options": [
+            "submit",
+            "click",
+            "load"
+          ],
+          "rationales": [
+            "submit dispara em um formulário quando ele é enviado, seja qual for o controle ou a tecla que o enviou.",
+            "Certo: click dispara quando um elemento é ativado por mouse, toque ou, em botões e links, pelo teclado.",
+            "load dispara quando uma página ou recurso termina de carregar, sem ninguém agir."
+          ],
+          "correctIndex": 1,
+          "explanation": "click dispara na ativação; submit é específico de formulários."
+        }
+      ],
+      "sources": [
+        {
+          "title": "DOM Living Standard",
+          "url": "https://dom.spec.whatwg.org/",
+          "publisher": "WHATWG",
+          "accessed": "2026-08-14"
+        },
+        {
+          "title": "JavaScript",
+          "url": "https://developer.mozilla.org/en-US/docs/Web/JavaScript",
+          "publisher": "MDN Web Docs",
+          "accessed": "2026-08-14"
+        }
+      ]
+    },
+    {
+      "objectives": [
+        "Combinar HTML, CSS e JavaScript em uma única página",
+        "Testar a página como quem usa, não como quem escreveu",
+        "Publicá-la em um lugar real"
+      ],
+      "understand": {
+        "title": "Seu primeiro artefato é uma prova, não uma obra perfeita",
+        "paragraphs": [
+          "O projeto final junta tudo: uma página com significado, construída com HTML semântico, com um CSS deliberado e um comportamento genuíno em JavaScript. O trabalho dela é funcionar para uma pessoa real, não ganhar um prêmio de design.",
+          "Testar como quem usa significa concluir a tarefa como uma visita faria: com teclado, com toque, com o texto ampliado e com uma rede lenta. Observe os momentos em que você, que escreveu a página, saberia o que fazer, mas uma pessoa desconhecida não."
+        ]
+      },
+      "principle": "O primeiro artefato é uma prova, não uma obra perfeita.",
+      "apply": {
+        "title": "Publique",
+        "paragraphs": [
+          "Escolha o menor propósito real: se apresentar, coletar uma anotação, comparar duas opções ou compartilhar uma lista de recursos. Construa primeiro a tarefa principal, depois o estilo e então o comportamento.",
+          "Publique em qualquer hospedagem estática gratuita, envie o link para uma pessoa e peça que ela conclua a tarefa sem orientação. Suas anotações sobre o que surpreendeu você fazem parte do artefato."
+        ]
+      },
+      "example": "const releaseChecks = [\n  \"A tarefa principal funciona sem JavaScript\",\n  \"Dá para concluir a tarefa pelo teclado\",\n  \"Com 200% de zoom a leitura continua boa\",\n  \"Uma pessoa real conclui sem orientação\"\n];",
+      "steps": [
+        "Escolha um propósito pequeno e real para a página.",
+        "Construa primeiro o núcleo em HTML, depois o CSS e então um comportamento.",
+        "Passe pelas verificações de publicação acima.",
+        "Publique, compartilhe a URL com uma pessoa e anote o que surpreendeu você."
+      ],
+      "quiz": [
+        {
+          "question": "O que deveria funcionar antes de o JavaScript carregar?",
+          "options": [
+            "O conteúdo e a tarefa principais",
+            "Todas as animações",
+            "Nada: a página é só uma casca"
+          ],
+          "rationales": [
+            "Certo: o conteúdo e a tarefa principal funcionam em HTML simples, e os scripts só os melhoram.",
+            "Animações são melhorias; a página não deve depender delas, e há quem desative o movimento.",
+            "Uma casca que não mostra nada até os scripts rodarem falha em redes lentas, com scripts bloqueados e com erros."
+          ],
+          "correctIndex": 0,
+          "explanation": "Melhoria progressiva significa que a experiência essencial existe sem scripts."
+        },
+        {
+          "question": "Qual é o teste mais forte para uma página pequena?",
+          "options": [
+            "Outra pessoa conclui a tarefa real sem orientação",
+            "A página é igual ao mockup",
+            "Ela usa os frameworks mais novos"
+          ],
+          "rationales": [
+            "Certo: alguém sem orientação concluir a tarefa real prova que a página funciona para quem não é você.",
+            "Um mockup é um palpite feito antes de alguém usar a página; igualá-lo prova fidelidade, não utilidade.",
+            "Ferramentas são invisíveis para quem usa a página; frameworks não dizem se a tarefa funciona."
+          ],
+          "correctIndex": 0,
+          "explanation": "Uma pessoa real concluindo a tarefa sem orientação é o verdadeiro teste do artefato."
+        }
+      ],
+      "sources": [
+        {
+          "title": "Easy Checks – A First Review of Web Accessibility",
+          "url": "https://www.w3.org/WAI/test-evaluate/preliminary/",
+          "publisher": "W3C",
+          "accessed": "2026-08-14"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,484 @@
+// curriculum-schema.js — the named-field shape of curriculum.js as JSON Schema,
+// plus the small dependency-free validator check.mjs runs it with. The same
+// schema and path rules validate curriculum packs imported in the app.
+// generate.mjs publishes the schema as /curriculum.schema.json so editors and
+// external tools can validate content without running the site.
+
+import { siteUrl, slugify, quizDraw } from "./curriculum.js";
+
+const text = { type: "string", minLength: 1 };
+const paragraphs = { type: "array", items: text, minItems: 2 };
+const rationales = { type: "array", items: text, description: "Why each option is right or wrong, in option order; a wrong choice shows its rationale." };
+const perPath = (items) => ({
+  type: "object",
+  propertyNames: { $ref: "#/$defs/pathId" },
+  additionalProperties: { type: "array", items }
+});
+
+export const curriculumSchema = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `${siteUrl}/curriculum.schema.json`,
+  title: "learn.web curriculum",
+  description: "Paths, lessons, studio missions, workspaces, knowledge checks, and the glossary. Every list is indexed by lesson position within its path; lesson IDs are `<pathId>-<position>`.",
+  type: "object",
+  required: ["pathOrder", "pathData", "studioMissions", "workspaceBlueprints", "codeStarters", "hints", "lessonGuides", "prerequisites", "glossary"],
+  additionalProperties: false,
+  properties: {
+    pathOrder: { type: "array", items: { $ref: "#/$defs/pathId" }, minItems: 1 },
+    pathData: {
+      type: "object",
+      propertyNames: { $ref: "#/$defs/pathId" },
+      additionalProperties: { $ref: "#/$defs/path" }
+    },
+    studioMissions: perPath({ $ref: "#/$defs/mission" }),
+    workspaceBlueprints: {
+      type: "object",
+      propertyNames: { $ref: "#/$defs/pathId" },
+      additionalProperties: { $ref: "#/$defs/blueprint" }
+    },
+    codeStarters: perPath({ anyOf: [{ $ref: "#/$defs/codeStarter" }, { type: "null" }] }),
+    hints: perPath({ anyOf: [text, { type: "null" }] }),
+    lessonGuides: perPath({ $ref: "#/$defs/guide" }),
+    prerequisites: {
+      description: "Lessons to finish first, keyed by lesson ID. List direct prerequisites only; the graph must not contain cycles.",
+      type: "object",
+      propertyNames: { $ref: "#/$defs/lessonId" },
+      additionalProperties: { type: "array", items: { $ref: "#/$defs/lessonId" }, minItems: 1 }
+    },
+    glossary: { type: "array", items: { $ref: "#/$defs/glossaryTerm" }, minItems: 1 }
+  },
+  $defs: {
+    pathId: { type: "string", pattern: "^[a-z]+$" },
+    lessonId: { type: "string", pattern: "^[a-z]+-[1-9]\\d*$" },
+    date: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+    module: {
+      type: "object",
+      required: ["title", "detail", "time", "lastChanged"],
+      additionalProperties: false,
+      properties: {
+        title: text,
+        detail: text,
+        time: { type: "string", pattern: "^\\d+ min$" },
+        lastReviewed: { $ref: "#/$defs/date", description: "When someone last checked the lesson against current browsers and standards; absent until the first review." },
+        lastChanged: { $ref: "#/$defs/date", description: "When the lesson content last changed (for built-in lessons, the last commit to the lesson file); drives sitemap lastmod and JSON-LD dateModified." }
+      }
+    },
+    path: {
+      type: "object",
+      required: ["title", "label", "description", "outcome", "modules"],
+      additionalProperties: false,
+      properties: {
+        title: text,
+        label: text,
+        symbol: text,
+        accent: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+        description: text,
+        outcome: text,
+        modules: { type: "array", items: { $ref: "#/$defs/module" }, minItems: 1 }
+      }
+    },
+    mission: {
+      type: "object",
+      required: ["mission", "proof"],
+      additionalProperties: false,
+      properties: { mission: text, proof: text }
+    },
+    lens: {
+      type: "object",
+      required: ["title", "prompt"],
+      additionalProperties: false,
+      properties: { title: text, prompt: text }
+    },
+    blueprint: {
+      type: "object",
+      required: ["artifact", "lenses"],
+      additionalProperties: false,
+      properties: {
+        artifact: text,
+        lenses: {
+          type: "array",
+          items: {
+            anyOf: [
+              { type: "array", items: { $ref: "#/$defs/lens" }, minItems: 3, maxItems: 3 },
+              { type: "null" }
+            ]
+          }
+        }
+      }
+    },
+    codeStarter: {
+      type: "object",
+      required: ["html", "css", "js"],
+      additionalProperties: false,
+      properties: {
+        html: { type: "string" },
+        css: { type: "string" },
+        js: { type: "string" },
+        checks: { type: "array", items: { $ref: "#/$defs/codeCheck" }, minItems: 1, maxItems: 8, description: "Assertions lab-runner.htm runs against the learner's code, in order; all must pass before the artifact can be submitted." }
+      }
+    },
+    // One assertion per check, named by the field that holds its selector.
+    codeCheck: {
+      anyOf: [
+        ...["exists", "absent", "named"].map((kind) => ({
+          type: "object",
+          required: ["label", kind],
+          additionalProperties: false,
+          properties: { label: text, [kind]: text }
+        })),
+        {
+          type: "object",
+          required: ["label", "every", "has"],
+          additionalProperties: false,
+          properties: { label: text, every: text, has: { ...text, description: "An attribute every match must carry." } }
+        },
+        {
+          type: "object",
+          required: ["label", "rule"],
+          additionalProperties: false,
+          properties: { label: text, rule: { type: "string", pattern: "^@[a-z-]+", description: "The start of a CSS at-rule, e.g. \"@container\" or \"@media (prefers-reduced-motion\"." } }
+        },
+        ...["values", "not"].map((list) => ({
+          type: "object",
+          required: ["label", "style", "property", list],
+          additionalProperties: false,
+          properties: { label: text, style: text, property: text, [list]: { type: "array", items: { type: "string" }, minItems: 1 } }
+        })),
+        ...["click", "submit"].map((action) => ({
+          type: "object",
+          required: ["label", action, "changes"],
+          additionalProperties: false,
+          properties: {
+            label: text,
+            [action]: text,
+            ...(action === "submit" ? { fill: { type: "object", additionalProperties: { type: "string" }, description: "Field selectors within the form and the values to type into them." } } : {}),
+            changes: { ...text, description: "The element whose markup, popover state, or display must change." },
+            attribute: { ...text, description: "An attribute that must change as well." },
+            text: { ...text, description: "Text the changed element must then contain." },
+            within: { type: "integer", minimum: 1, description: "Milliseconds the event handlers may block the main thread." }
+          }
+        }))
+      ]
+    },
+    section: {
+      type: "object",
+      required: ["title", "paragraphs"],
+      additionalProperties: false,
+      properties: { title: text, paragraphs }
+    },
+    question: {
+      type: "object",
+      required: ["question", "options", "correctIndex", "explanation"],
+      additionalProperties: false,
+      properties: {
+        question: text,
+        options: { type: "array", items: text, minItems: 3, maxItems: 3 },
+        rationales,
+        correctIndex: { type: "integer", minimum: 0, maximum: 2 },
+        explanation: text
+      }
+    },
+    multipleQuestion: {
+      type: "object",
+      required: ["type", "question", "options", "correctIndexes", "explanation"],
+      additionalProperties: false,
+      properties: {
+        type: { type: "string", pattern: "^multiple$" },
+        question: text,
+        options: { type: "array", items: text, minItems: 3, maxItems: 6 },
+        rationales,
+        correctIndexes: { type: "array", items: { type: "integer", minimum: 0, maximum: 5 }, minItems: 1, description: "Every option that must be selected; the others must not be." },
+        explanation: text
+      }
+    },
+    orderQuestion: {
+      type: "object",
+      required: ["type", "question", "items", "explanation"],
+      additionalProperties: false,
+      properties: {
+        type: { type: "string", pattern: "^order$" },
+        question: text,
+        items: { type: "array", items: text, minItems: 3, maxItems: 6, description: "In the correct order; learners see them shuffled." },
+        explanation: text
+      }
+    },
+    matchQuestion: {
+      type: "object",
+      required: ["type", "question", "pairs", "explanation"],
+      additionalProperties: false,
+      properties: {
+        type: { type: "string", pattern: "^match$" },
+        question: text,
+        pairs: {
+          type: "array",
+          minItems: 3,
+          maxItems: 6,
+          items: { type: "object", required: ["prompt", "answer"], additionalProperties: false, properties: { prompt: text, answer: text } }
+        },
+        explanation: text
+      }
+    },
+    codeQuestion: {
+      type: "object",
+      required: ["type", "question", "code", "blanks", "explanation"],
+      additionalProperties: false,
+      properties: {
+        type: { type: "string", pattern: "^code$" },
+        question: text,
+        code: { type: "string", minLength: 1, description: "The snippet, with ___ where each blank goes." },
+        blanks: { type: "array", items: { type: "array", items: text, minItems: 1 }, minItems: 1, maxItems: 5, description: "Accepted answers for each blank, in order." },
+        explanation: text
+      }
+    },
+    glossaryTerm: {
+      type: "object",
+      required: ["term", "definition"],
+      additionalProperties: false,
+      properties: {
+        term: text,
+        aliases: { type: "array", items: text, minItems: 1, description: "Other spellings that link to this term, such as an expansion of an acronym." },
+        definition: text
+      }
+    },
+    guide: {
+      type: "object",
+      required: ["objectives", "understand", "principle", "apply", "steps", "quiz"],
+      additionalProperties: false,
+      properties: {
+        objectives: { type: "array", items: text, minItems: 3, maxItems: 3 },
+        understand: { $ref: "#/$defs/section" },
+        principle: text,
+        apply: { $ref: "#/$defs/section" },
+        example: { type: "string" },
+        steps: { type: "array", items: text, minItems: 4 },
+        quiz: {
+          type: "array",
+          items: { anyOf: ["question", "multipleQuestion", "orderQuestion", "matchQuestion", "codeQuestion"].map((name) => ({ $ref: `#/$defs/${name}` })) },
+          minItems: 2,
+          maxItems: 12,
+          description: "The lesson's question bank; each attempt draws `draw` of them."
+        },
+        draw: { type: "integer", minimum: 1, maximum: 6, description: `Questions per attempt; ${quizDraw} when omitted.` },
+        sources: { type: "array", items: { $ref: "#/$defs/source" }, minItems: 1 }
+      }
+    },
+    source: {
+      type: "object",
+      required: ["title", "url", "publisher", "accessed"],
+      additionalProperties: false,
+      properties: {
+        title: text,
+        url: { type: "string", pattern: "^https://", description: "An absolute https URL, cited once per lesson." },
+        publisher: text,
+        accessed: { $ref: "#/$defs/date", description: "When the source was last read to support the lesson." }
+      }
+    }
+  }
+};
+
+// A curriculum pack is one extra path in a local JSON file: a pathData entry
+// plus the per-lesson lists the built-in paths keep in separate exports.
+export const packSchema = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "learn.web curriculum pack",
+  description: "One path and its lessons, imported on a learner's device. Lesson IDs are `<pathId>-<position>`.",
+  type: "object",
+  required: ["format", "version", "pathId", "path", "lessonGuides", "studioMissions"],
+  additionalProperties: false,
+  properties: {
+    format: { type: "string", pattern: "^learnweb-pack$" },
+    version: { type: "integer", minimum: 1, maximum: 1 },
+    pathId: { $ref: "#/$defs/pathId" },
+    path: { $ref: "#/$defs/path" },
+    lessonGuides: { type: "array", items: { $ref: "#/$defs/guide" } },
+    studioMissions: { type: "array", items: { $ref: "#/$defs/mission" } },
+    workspaceBlueprint: { $ref: "#/$defs/blueprint" },
+    codeStarters: { type: "array", items: { anyOf: [{ $ref: "#/$defs/codeStarter" }, { type: "null" }] } },
+    hints: { type: "array", items: { anyOf: [text, { type: "null" }] } }
+  },
+  $defs: curriculumSchema.$defs
+};
+
+// CONTENT-006: the two questions in each lesson must test distinct ideas.
+const STOPWORDS = new Set("a an and are as at be but by for from has have if in is it its of on or that the their then they this to was were when which will with you your".split(" "));
+function questionTokens(text) {
+  return new Set(text.toLocaleLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter((word) => word.length > 2 && !STOPWORDS.has(word)));
+}
+function jaccard(a, b) {
+  const union = new Set([...a, ...b]);
+  if (!union.size) return 0;
+  let overlap = 0;
+  for (const token of a) if (b.has(token)) overlap += 1;
+  return overlap / union.size;
+}
+
+// Per-type question rules the schema cannot express: answers must be distinct
+// and in range, so exactly one response is right, and a code question needs
+// one ___ in its snippet per blank.
+function questionProblems({ type, options, rationales, correctIndexes, items, pairs, code, blanks } = {}) {
+  const problems = [];
+  const distinct = (list) => new Set(list).size === list.length;
+  if (Array.isArray(options) && !distinct(options)) problems.push("repeats an option");
+  if (Array.isArray(options) && Array.isArray(rationales) && rationales.length !== options.length) problems.push(`gives ${rationales.length} rationales for ${options.length} options`);
+  if (type === "multiple" && Array.isArray(options) && Array.isArray(correctIndexes)) {
+    if (!distinct(correctIndexes) || correctIndexes.some((index) => index >= options.length)) problems.push("marks an option twice or one that does not exist");
+    else if (correctIndexes.length === options.length) problems.push("marks every option; leave at least one unmarked");
+  }
+  if (type === "order" && Array.isArray(items) && !distinct(items)) problems.push("repeats an item, so more than one order is right");
+  if (type === "match" && Array.isArray(pairs) && (!distinct(pairs.map((pair) => pair?.prompt)) || !distinct(pairs.map((pair) => pair?.answer)))) {
+    problems.push("repeats a prompt or an answer, so more than one matching is right");
+  }
+  if (type === "code" && typeof code === "string" && Array.isArray(blanks)) {
+    const count = code.split("___").length - 1;
+    if (count !== blanks.length) problems.push(`has ${count} ___ in its code but answers for ${blanks.length} blank${blanks.length === 1 ? "" : "s"}`);
+  }
+  return problems;
+}
+
+// Rules that span a path's separate lists, which the schema cannot express.
+// `slugOf` gives a lesson's URL slug and `where` a source location prefix for
+// a data path such as `lessonGuides.ux[2]`; both default to plain values.
+export function checkPathRules({ pathId, path, guides, missions, starters, hints = [], lenses, slugOf = (index) => slugify(path.modules[index]?.title ?? ""), where = () => "" }) {
+  const errors = [];
+  const isString = (value) => typeof value === "string";
+  const isArray = (value) => Array.isArray(value);
+
+  if (!isArray(path?.modules) || !path.modules.length) {
+    errors.push(`${pathId}: modules must list at least one lesson`);
+    return errors;
+  }
+  // Paths may hold any number of lessons, but every per-lesson list must line
+  // up with modules so lesson IDs resolve the same everywhere.
+  const lessonCount = path.modules.length;
+  if (!isArray(guides) || guides.length !== lessonCount) {
+    errors.push(`${pathId}: lessonGuides must have one entry per module (${lessonCount})`);
+    return errors;
+  }
+  if (!isArray(missions) || missions.length !== lessonCount) {
+    errors.push(`${pathId}: studioMissions must have one entry per module (${lessonCount})`);
+  }
+  [["codeStarters", starters], ["hints", hints], ["workspaceBlueprints lenses", lenses]].forEach(([name, list]) => {
+    if (isArray(list) && list.length > lessonCount) errors.push(`${pathId}: ${name} has entries beyond lesson ${lessonCount}`);
+  });
+
+  const hintList = hints || [];
+  const slugs = new Set();
+
+  guides.forEach((guide, lessonIndex) => {
+    const label = `${where(`lessonGuides.${pathId}[${lessonIndex}]`)}${pathId}-${lessonIndex + 1}`;
+    const slug = slugOf(lessonIndex);
+    if (slugs.has(slug)) errors.push(`${label}: duplicate slug "${slug}"`);
+    slugs.add(slug);
+    const title = path.modules[lessonIndex]?.title;
+    if (isString(title) && slug !== slugify(title)) {
+      errors.push(`${label}: title renamed without updating the immutable slug map (expected "${slugify(title)}")`);
+    }
+
+    const starter = starters?.[lessonIndex];
+    const lessonLenses = lenses?.[lessonIndex];
+    if (starter && lessonLenses) errors.push(`${label}: has both a code starter and record lenses`);
+    if (!starter && !lessonLenses) errors.push(`${label}: missing workspace definition`);
+    if (starter && !hintList[lessonIndex]) errors.push(`${label}: code lesson is missing a hint`);
+
+    (isArray(guide?.quiz) ? guide.quiz : []).forEach((question, questionIndex) => {
+      questionProblems(question ?? undefined).forEach((problem) => {
+        errors.push(`${where(`lessonGuides.${pathId}[${lessonIndex}].quiz[${questionIndex}]`)}${pathId}-${lessonIndex + 1}: question ${questionIndex + 1} ${problem}`);
+      });
+    });
+
+    // A bank must cover its draw, and any two of its questions may be drawn
+    // together, so every pair has to test something distinct.
+    const bank = isArray(guide?.quiz) ? guide.quiz : [];
+    const draw = guide?.draw ?? quizDraw;
+    if (bank.length && bank.length < draw) errors.push(`${where(`lessonGuides.${pathId}[${lessonIndex}].${guide.draw ? "draw" : "quiz"}`)}${pathId}-${lessonIndex + 1}: draws ${draw} questions from a bank of ${bank.length}`);
+    bank.forEach((second, secondIndex) => bank.slice(0, secondIndex).forEach((first, firstIndex) => {
+      if (!isString(first?.question) || !isString(second?.question)) return;
+      const similarity = jaccard(questionTokens(first.question), questionTokens(second.question));
+      if (similarity >= 0.62) {
+        errors.push(`${where(`lessonGuides.${pathId}[${lessonIndex}].quiz[${secondIndex}]`)}${pathId}-${lessonIndex + 1}: quiz questions ${firstIndex + 1} and ${secondIndex + 1} are near-duplicates (similarity ${similarity.toFixed(2)}); rewrite one to test distinct understanding`);
+      }
+    }));
+  });
+  return errors;
+}
+
+// Everything wrong with a pack, as readable lines; empty when it can be
+// installed. `takenIds` are path IDs the pack must not reuse.
+export function validatePack(pack, takenIds = []) {
+  const errors = validateSchema(pack, packSchema);
+  if (errors.length) return errors;
+  if (takenIds.includes(pack.pathId)) return [`pathId: "${pack.pathId}" is already used by another path`];
+  return checkPathRules({
+    pathId: pack.pathId,
+    path: pack.path,
+    guides: pack.lessonGuides,
+    missions: pack.studioMissions,
+    starters: pack.codeStarters,
+    hints: pack.hints,
+    lenses: pack.workspaceBlueprint?.lenses
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function resolve(schema, root) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace("#/$defs/", "");
+  if (!root.$defs?.[name]) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return root.$defs[name];
+}
+
+// Validates the subset of JSON Schema that curriculumSchema uses and returns
+// readable errors such as `lessonGuides.ux[2].quiz[0].correctIndex: must be <= 2`.
+export function validateSchema(value, schema, location = "", root = schema) {
+  const rule = resolve(schema, root);
+  const here = location || "(root)";
+  const errors = [];
+
+  if (rule.anyOf) {
+    // Report the closest branch (fewest errors) so messages stay specific.
+    const attempts = rule.anyOf.map((option) => validateSchema(value, option, location, root));
+    return attempts.some((attempt) => attempt.length === 0) ? [] : attempts.sort((a, b) => a.length - b.length)[0];
+  }
+
+  if (rule.type) {
+    const actual = typeOf(value);
+    const matches = actual === rule.type || (rule.type === "number" && actual === "integer");
+    if (!matches) return [`${here}: must be of type ${rule.type}`];
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) errors.push(`${here}: must not be empty`);
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) errors.push(`${here}: must match ${rule.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (rule.minimum !== undefined && value < rule.minimum) errors.push(`${here}: must be >= ${rule.minimum}`);
+    if (rule.maximum !== undefined && value > rule.maximum) errors.push(`${here}: must be <= ${rule.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) errors.push(`${here}: needs at least ${rule.minItems} item${rule.minItems === 1 ? "" : "s"}`);
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) errors.push(`${here}: allows at most ${rule.maxItems} item${rule.maxItems === 1 ? "" : "s"}`);
+    if (rule.items) value.forEach((item, index) => errors.push(...validateSchema(item, rule.items, `${location}[${index}]`, root)));
+  }
+  if (typeOf(value) === "object") {
+    (rule.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${here}: missing "${key}"`);
+    });
+    Object.entries(value).forEach(([key, item]) => {
+      const child = location ? `${location}.${key}` : key;
+      if (rule.propertyNames) {
+        const keyErrors = validateSchema(key, rule.propertyNames, child, root);
+        if (keyErrors.length) errors.push(`${child}: "${key}" is not a valid key`);
+      }
+      if (rule.properties?.[key]) errors.push(...validateSchema(item, rule.properties[key], child, root));
+      else if (rule.additionalProperties === false) errors.push(`${child}: unknown field "${key}"`);
+      else if (rule.additionalProperties) errors.push(...validateSchema(item, rule.additionalProperties, child, root));
+    });
+  }
+  return errors;
+}
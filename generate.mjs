@@ -1,10 +1,38 @@
-// generate.mjs — emits static lesson/path/hub pages, sitemap, feed, and OG images
-// from the shared curriculum module. Run via `npm run generate` (pre-step of dev/build).
+// generate.mjs — compiles the Markdown lessons, then emits static lesson/path/hub
+// pages, the glossary, sitemap, feed, OG images, and the published curriculum JSON Schema
+// from the shared curriculum module — once per locale in i18n.js, with
+// translated pages under /<locale>/.
+// Run via `npm run generate` (pre-step of dev/build).
 
-import { mkdir, writeFile } from "node:fs/promises";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
 import { deflateSync } from "node:zlib";
 import path from "node:path";
-import {
+import { COMPILED_FILE, compileLessons, compiledFile, renderLessonsModule } from "./lesson-markdown.mjs";
+import { defaultLocale, localeOrder, locales, translate, localePath } from "./i18n.js";
+import { moduleSyntax } from "./module-syntax.js";
+
+const ROOT = process.cwd();
+
+// Lessons compile first: curriculum.js imports the compiled module, so it has
+// to be current before the curriculum (and the schema built on it) loads.
+const translatedLocales = localeOrder.filter((locale) => locale !== defaultLocale);
+const compiled = await compileLessons(ROOT, translatedLocales);
+if (compiled.errors.length) {
+  console.error(`Lesson errors:\n${compiled.errors.join("\n")}`);
+  process.exit(1);
+}
+await writeFile(path.join(ROOT, COMPILED_FILE), renderLessonsModule(compiled.lessons));
+for (const locale of translatedLocales) {
+  await writeFile(path.join(ROOT, compiledFile(locale)), renderLessonsModule(compiled.translations[locale].lessons, locale));
+}
+
+// The runner is sandboxed to an opaque origin, where importing a module would
+// be a cross-origin fetch, so it carries its own copy of the shared test.
+const runnerFile = path.join(ROOT, "lab-runner.htm");
+const runnerSource = await readFile(runnerFile, "utf8");
+await writeFile(runnerFile, runnerSource.replace(/^(\s*)const moduleSyntax = .*;$/m, `$1const moduleSyntax = ${moduleSyntax};`));
+
+const {
   siteUrl,
   releaseDate,
   authorName,
@@ -17,10 +45,25 @@ import {
   slugify,
   lessonSlug,
   lessonUrl,
-  pathUrl
-} from "./curriculum.js";
+  pathUrl,
+  totalLessonCount,
+  prerequisites,
+  parseLessonId,
+  localizeContent,
+  changelogVersion,
+  glossary,
+  glossaryUrl,
+  glossarySegments,
+  presentationOrder,
+  quizDraw
+} = await import("./curriculum.js");
+const { curriculumSchema } = await import("./curriculum-schema.js");
+
+// Curriculum content per locale; untranslated lessons fall back to English.
+const content = Object.fromEntries(localeOrder.map((locale) => [locale, locale === defaultLocale
+  ? { pathData, lessonGuides, studioMissions, changelog, isTranslated: () => true }
+  : localizeContent({ bundle: compiled.translations[locale].lessons, ...locales[locale] })]));
 
-const ROOT = process.cwd();
 const OUT = path.join(ROOT, "public");
 const IMG_W = 1200;
 const IMG_H = 630;
@@ -368,9 +411,52 @@ function esc(text) {
   return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
-function pageShell({ title, description, url, accent, ogImage, body, jsonLd }) {
+// Every locale publishes the hub and path pages; a lesson page exists in a
+// locale once that lesson is translated. Alternates always include English,
+// which is also the x-default.
+function lessonLocales(pathId, index) {
+  return localeOrder.filter((locale) => content[locale].isTranslated(pathId, index));
+}
+
+function hreflangLinks(url, available) {
+  return [
+    ...available.map((locale) => ({ hreflang: locale, href: `${siteUrl}${localePath(locale, url)}` })),
+    { hreflang: "x-default", href: `${siteUrl}${url}` }
+  ];
+}
+
+// Links into the interactive app carry ?lang= so it opens in the same locale.
+function appUrl(locale, hash) {
+  return locale === defaultLocale ? `/${hash}` : `/?lang=${locale}${hash}`;
+}
+
+// A translated page links to the English page for lessons not yet translated,
+// and says so.
+function localLessonUrl(locale, pathId, index) {
+  return content[locale].isTranslated(pathId, index) ? localePath(locale, lessonUrl(pathId, index)) : lessonUrl(pathId, index);
+}
+
+function englishOnly(locale, pathId, index) {
+  if (content[locale].isTranslated(pathId, index)) return { link: "", text: "", note: "" };
+  return {
+    link: ' hreflang="en"',
+    text: ' lang="en"',
+    note: ` <small class="locale-note" lang="${locale}">${translate(locale, "page.englishOnly")}</small>`
+  };
+}
+
+function pageShell({ locale = defaultLocale, available = [defaultLocale], title, description, url, accent, ogImage, body, jsonLd, scripts = [] }) {
+  const t = (key, values) => translate(locale, key, values);
+  const alternates = available.length > 1
+    ? hreflangLinks(url, available).map(({ hreflang, href }) => `\n    <link rel="alternate" hreflang="${hreflang}" href="${href}">`).join("")
+    : "";
+  const otherLocales = available.filter((code) => code !== locale);
+  const localeLinks = otherLocales.length
+    ? `\n      <nav class="static-locales" aria-label="${t("page.languages")}">${otherLocales.map((code) =>
+      `<a href="${localePath(code, url)}" hreflang="${code}" lang="${code}">${locales[code].name}</a>`).join(" · ")}</nav>`
+    : "";
   return `<!doctype html>
-<html lang="en" data-theme="ink">
+<html lang="${locale}" data-theme="ink">
   <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -378,15 +464,15 @@ function pageShell({ title, description, url, accent, ogImage, body, jsonLd }) {
     <meta name="color-scheme" content="dark light">
     <meta name="description" content="${esc(description)}">
     <meta property="og:type" content="article">
-    <meta property="og:url" content="${siteUrl}${url}">
+    <meta property="og:url" content="${siteUrl}${localePath(locale, url)}">
     <meta property="og:title" content="${esc(title)}">
     <meta property="og:description" content="${esc(description)}">
     <meta property="og:image" content="${siteUrl}${ogImage}">
     <meta property="og:image:width" content="${IMG_W}">
     <meta property="og:image:height" content="${IMG_H}">
     <meta name="twitter:card" content="summary_large_image">
-    <link rel="canonical" href="${siteUrl}${url}">
-    <link rel="alternate" type="application/atom+xml" title="learn.web updates" href="/feed.xml">
+    <link rel="canonical" href="${siteUrl}${localePath(locale, url)}">${alternates}
+    <link rel="alternate" type="application/atom+xml" title="${t("page.feedTitle")}" href="${localePath(locale, "/feed.xml")}">
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=DM+Mono:wght@300;400;500&family=Manrope:wght@400;500;600;700;800&display=swap" rel="stylesheet">
@@ -396,23 +482,43 @@ function pageShell({ title, description, url, accent, ogImage, body, jsonLd }) {
     <script type="application/ld+json">${jsonLd}</script>
     <script>
       if ("serviceWorker" in navigator) addEventListener("load", () => navigator.serviceWorker.register("/sw.js").catch(() => {}));
-    </script>
+    </script>${scripts.map((src) => `\n    <script type="module" src="${src}"></script>`).join("")}
   </head>
   <body>
-    <a class="skip-link" href="#content">Skip to content</a>
+    <a class="skip-link" href="#content">${t("page.skip")}</a>
     <header class="static-header">
-      <a class="wordmark" href="/">learn<span>.</span>web</a>
-      <a href="/#paths">Back to the curriculum ↗</a>
+      <a class="wordmark" href="${appUrl(locale, "")}">learn<span>.</span>web</a>
+      <a href="${appUrl(locale, "#paths")}">${t("page.backToCurriculum")}</a>
     </header>
     <main id="content" class="static-main">${body}</main>
     <footer class="static-footer">
-      <span>By ${authorName} · Content © 2026 · <a href="https://creativecommons.org/licenses/by/4.0/" target="_blank" rel="noopener">CC BY 4.0</a></span>
-      <span><a href="/">Home</a> · <a href="/learn/">All lessons</a> · <a href="/about.html">About & privacy</a> · <a href="/feed.xml">Updates feed</a></span>
+      <span>${t("page.footerBy", { author: authorName })} <a href="https://creativecommons.org/licenses/by/4.0/" target="_blank" rel="noopener">CC BY 4.0</a></span>
+      <span><a href="${appUrl(locale, "")}">${t("page.home")}</a> · <a href="${localePath(locale, "/learn/")}">${t("page.allLessons")}</a> · <a href="/learn/glossary/"${locale === defaultLocale ? "" : ' hreflang="en"'}>${t("page.glossary")}</a> · <a href="/about.html">${t("page.about")}</a> · <a href="${localePath(locale, "/feed.xml")}">${t("page.feed")}</a></span>${localeLinks}
     </footer>
   </body>
 </html>`;
 }
 
+function timeTag(locale, date) {
+  const label = new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+  return `<time datetime="${date}">${label}</time>`;
+}
+
+// Lesson paragraphs with each glossary term linked at its first use in the
+// lesson; the glossary is English, so other locales mark the link.
+function linkedParagraphs(locale, paragraphs, linked) {
+  const hreflang = locale === defaultLocale ? "" : ' hreflang="en"';
+  return paragraphs.map((text) => `<p>${glossarySegments(text, linked).map(({ text: run, entry }) => (entry
+    ? `<a class="glossary-term" href="${glossaryUrl(entry.term)}" title="${esc(entry.definition)}"${hreflang}>${esc(run)}</a>`
+    : esc(run))).join("")}</p>`).join("");
+}
+
+// Pages change when their lessons do: a lesson's own lastChanged, and the
+// latest of them for a path or the hub.
+function lastChangedOf(lessons) {
+  return lessons.reduce((latest, { lastChanged }) => (lastChanged > latest ? lastChanged : latest), "");
+}
+
 function timeToISO(minutes) {
   return `PT${Math.round(minutes)}M`;
 }
@@ -422,6 +528,36 @@ function parseMinutes(time) {
   return match ? Number(match[1]) : 60;
 }
 
+// Counts in page copy follow the curriculum, so a path can hold any number of
+// lessons without hand-editing templates.
+const NUMBER_WORDS = "zero one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen".split(" ");
+const TENS_WORDS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+function spellCount(count) {
+  if (count < 20) return NUMBER_WORDS[count];
+  if (count < 100) return `${TENS_WORDS[Math.floor(count / 10)]}${count % 10 ? `-${NUMBER_WORDS[count % 10]}` : ""}`;
+  return String(count);
+}
+
+// English copy spells counts out ("Thirty-six"); other locales use digits.
+function countWord(locale, count) {
+  return locale === defaultLocale ? spellCount(count) : String(count);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function curriculumSummary(locale) {
+  const paths = content[locale].pathData;
+  const titles = new Intl.ListFormat(locale, { style: "long", type: "conjunction" }).format(pathOrder.map((pathId) => paths[pathId].title));
+  return translate(locale, "page.summary", {
+    lessons: capitalize(countWord(locale, totalLessonCount())),
+    paths: countWord(locale, pathOrder.length),
+    titles
+  });
+}
+
 const educationLevel = {
   foundations: "beginner",
   platform: "intermediate",
@@ -431,149 +567,230 @@ const educationLevel = {
   ai: "advanced"
 };
 
-function lessonPage(pathId, index) {
-  const path = pathData[pathId];
-  const guide = lessonGuides[pathId][index];
-  const [title, detail, time] = path.modules[index];
-  const slug = lessonSlug(pathId, index);
+function lessonPage(locale, pathId, index) {
+  const t = (key, values) => translate(locale, key, values);
+  const path = content[locale].pathData[pathId];
+  const guide = content[locale].lessonGuides[pathId][index];
+  const { title, detail, time, lastReviewed, lastChanged } = path.modules[index];
   const url = lessonUrl(pathId, index);
   const lessonId = `${pathId}-${index + 1}`;
-  const [mission, proof] = studioMissions[pathId][index];
+  const { mission, proof } = content[locale].studioMissions[pathId][index];
   const minutes = parseMinutes(time);
   const accent = path.accent;
+  const pathHref = localePath(locale, pathUrl(pathId));
+  const provenance = lastReviewed
+    ? t("page.provenance", { author: authorName, reviewed: timeTag(locale, lastReviewed), changed: timeTag(locale, lastChanged) })
+    : t("page.provenanceUnreviewed", { author: authorName, changed: timeTag(locale, lastChanged) });
 
   const objectives = guide.objectives.map((text) => `<li>${esc(text)}</li>`).join("");
-  const understand = guide.understand[1].map((text) => `<p>${esc(text)}</p>`).join("");
-  const apply = guide.apply[1].map((text) => `<p>${esc(text)}</p>`).join("");
+  const linkedTerms = new Set();
+  const understand = linkedParagraphs(locale, guide.understand.paragraphs, linkedTerms);
+  const apply = linkedParagraphs(locale, guide.apply.paragraphs, linkedTerms);
   const steps = guide.steps.map((text) => `<li>${esc(text)}</li>`).join("");
-  const quiz = guide.quiz.map(([question, options, , explanation], qIndex) => {
-    const optionList = options.map((text) => `<li>${esc(text)}</li>`).join("");
-    const correct = String.fromCharCode(65 + guide.quiz[qIndex][2]);
-    return `<fieldset>
-  <legend>${esc(question)}</legend>
-  <ol>${optionList}</ol>
-  <details><summary>Reveal answer</summary><p>The correct answer is ${correct}. ${esc(explanation)}</p></details>
+  const sources = guide.sources || [];
+  const sourceList = sources.map(({ title: name, url: sourceUrl, publisher, accessed }) =>
+    `<li><a href="${esc(sourceUrl)}" rel="noopener">${esc(name)}</a><small>${t("lesson.sourceMeta", { publisher: esc(publisher), date: timeTag(locale, accessed) })}</small></li>`).join("");
+  const quiz = guide.quiz.map((item) => {
+    const letter = (optionIndex) => String.fromCharCode(65 + optionIndex);
+    // Rationales sit under their options and show once the answer is revealed.
+    const lettered = (texts, rationales = []) => `<ol type="A">${texts.map((text, textIndex) =>
+      `<li>${esc(text)}${rationales[textIndex] ? `<small class="static-rationale">${esc(rationales[textIndex])}</small>` : ""}</li>`).join("")}</ol>`;
+    let body;
+    let answer;
+    // `key` is the answer in the page's lettering, for static-quiz.js.
+    let key;
+    if (item.type === "multiple") {
+      body = `<p class="static-quiz-note">${t("page.selectAll")}</p>${lettered(item.options, item.rationales)}`;
+      answer = t("page.correctAnswers", { letters: item.correctIndexes.map(letter).join(", ") });
+      key = item.correctIndexes;
+    } else if (item.type === "order") {
+      const order = presentationOrder(item.items.length, item.question);
+      body = lettered(order.map((itemIndex) => item.items[itemIndex]));
+      key = item.items.map((_, itemIndex) => order.indexOf(itemIndex));
+      answer = t("page.correctOrder", { letters: key.map(letter).join(", ") });
+    } else if (item.type === "match") {
+      const order = presentationOrder(item.pairs.length, item.question);
+      body = `<div class="static-match"><ol>${item.pairs.map(({ prompt }) => `<li>${esc(prompt)}</li>`).join("")}</ol>${lettered(order.map((pairIndex) => item.pairs[pairIndex].answer))}</div>`;
+      key = item.pairs.map((_, pairIndex) => order.indexOf(pairIndex));
+      answer = t("page.correctMatches", { matches: key.map((letterIndex, pairIndex) => `${pairIndex + 1}–${letter(letterIndex)}`).join(", ") });
+    } else if (item.type === "code") {
+      body = `<pre class="static-code"><code>${esc(item.code)}</code></pre>`;
+      answer = t("page.correctBlanks", { answers: item.blanks.map((accepted) => `<code>${esc(accepted[0])}</code>`).join(", ") });
+      key = item.blanks;
+    } else {
+      body = lettered(item.options, item.rationales);
+      answer = t("page.correctAnswer", { letter: letter(item.correctIndex) });
+      key = [item.correctIndex];
+    }
+    return `<fieldset data-quiz-type="${item.type ?? "single"}" data-answer="${esc(JSON.stringify(key))}">
+  <legend>${esc(item.question)}</legend>
+  ${body}
+  <details><summary>${t("page.revealAnswer")}</summary><p>${answer} <span data-explanation>${esc(item.explanation)}</span></p></details>
 </fieldset>`;
   }).join("");
-
+  // Messages for static-quiz.js, with their {placeholders} left to fill.
+  const quizMessages = Object.fromEntries(["review.check", "review.answerFirst", "quiz.correct", "quiz.incorrect", "quiz.partial", "quiz.choose", "quiz.blank", "page.position"]
+    .map((messageKey) => [messageKey.split(".")[1], t(messageKey)]));
+  const draw = Math.min(guide.draw ?? quizDraw, guide.quiz.length);
+  const bankNote = draw < guide.quiz.length ? `<p class="static-quiz-note">${t("page.quizDraw", { draw, total: guide.quiz.length })}</p>` : "";
+
+  const neighbour = (neighbourIndex) => {
+    const mark = englishOnly(locale, pathId, neighbourIndex);
+    return `href="${localLessonUrl(locale, pathId, neighbourIndex)}"${mark.link}>`;
+  };
   const previous = index > 0
-    ? `<a class="prev" href="${lessonUrl(pathId, index - 1)}"><small>← Previous</small><strong>${esc(path.modules[index - 1][0])}</strong></a>`
-    : `<a class="prev" href="${pathUrl(pathId)}"><small>← Path</small><strong>${esc(path.title)}</strong></a>`;
+    ? `<a class="prev" ${neighbour(index - 1)}<small>${t("page.previous")}</small><strong>${esc(path.modules[index - 1].title)}</strong></a>`
+    : `<a class="prev" href="${pathHref}"><small>${t("page.pathBack")}</small><strong>${esc(path.title)}</strong></a>`;
   const next = index < path.modules.length - 1
-    ? `<a class="next" href="${lessonUrl(pathId, index + 1)}"><small>Next →</small><strong>${esc(path.modules[index + 1][0])}</strong></a>`
-    : `<a class="next" href="${pathUrl(pathId)}"><small>Path →</small><strong>${esc(path.title)}</strong></a>`;
+    ? `<a class="next" ${neighbour(index + 1)}<small>${t("page.next")}</small><strong>${esc(path.modules[index + 1].title)}</strong></a>`
+    : `<a class="next" href="${pathHref}"><small>${t("page.pathNext")}</small><strong>${esc(path.title)}</strong></a>`;
 
   const jsonLd = JSON.stringify({
     "@context": "https://schema.org",
     "@type": "LearningResource",
     name: title,
     description: detail,
-    url: `${siteUrl}${url}`,
+    url: `${siteUrl}${localePath(locale, url)}`,
+    inLanguage: locale,
     image: `${siteUrl}/og-${pathId}.png`,
     learningResourceType: "lesson",
     educationalLevel: educationLevel[pathId],
     timeRequired: timeToISO(minutes),
-    dateModified: releaseDate,
+    dateModified: lastChanged,
     author: { "@type": "Person", name: authorName, url: authorUrl },
     teaches: guide.objectives,
+    ...(sources.length ? {
+      citation: sources.map(({ title: name, url: sourceUrl, publisher }) => ({
+        "@type": "CreativeWork",
+        name,
+        url: sourceUrl,
+        publisher: { "@type": "Organization", name: publisher }
+      }))
+    } : {}),
     isPartOf: {
       "@type": "Course",
       name: path.title,
-      url: `${siteUrl}${pathUrl(pathId)}`
+      url: `${siteUrl}${pathHref}`
     }
   });
 
   const body = `
-    <nav class="breadcrumbs" aria-label="Breadcrumb">
-      <a href="/">learn.web</a><span>/</span>
-      <a href="/learn/">Lessons</a><span>/</span>
-      <a href="${pathUrl(pathId)}">${esc(path.title)}</a><span>/</span>
+    <nav class="breadcrumbs" aria-label="${t("page.breadcrumb")}">
+      <a href="${appUrl(locale, "")}">learn.web</a><span>/</span>
+      <a href="${localePath(locale, "/learn/")}">${t("page.lessons")}</a><span>/</span>
+      <a href="${pathHref}">${esc(path.title)}</a><span>/</span>
       <span>${esc(title)}</span>
     </nav>
 
     <p class="lesson-kicker">${esc(path.label)} / ${String(index + 1).padStart(2, "0")}</p>
     <h1>${esc(title)}</h1>
     <p class="lesson-dek">${esc(detail)}</p>
-    <p class="lesson-provenance">By ${authorName} · last verified ${releaseDate} · <a href="/about.html">about this field guide</a></p>
+    <p class="lesson-provenance">${provenance} <a href="/about.html">${t("page.aboutGuide")}</a></p>
     <dl class="lesson-meta">
-      <div><dt>Time</dt><dd>${esc(time)}</dd></div>
-      <div><dt>Mode</dt><dd>Learn → Make → Check</dd></div>
-      <div><dt>Path</dt><dd>${esc(path.title)}</dd></div>
+      <div><dt>${t("lesson.time")}</dt><dd>${esc(time)}</dd></div>
+      <div><dt>${t("lesson.mode")}</dt><dd>${t("lesson.modeValue")}</dd></div>
+      <div><dt>${t("page.path")}</dt><dd>${esc(path.title)}</dd></div>
     </dl>
 
     <section class="static-section" aria-labelledby="objectives-${lessonId}">
-      <p class="static-section-label">Before you begin</p>
-      <h2 id="objectives-${lessonId}">By the end, you can…</h2>
+      <p class="static-section-label">${t("lesson.beforeYouBegin")}</p>
+      <h2 id="objectives-${lessonId}">${t("lesson.objectives")}</h2>
       <ul class="static-objectives">${objectives}</ul>
     </section>
 
     <section class="static-section" aria-labelledby="understand-${lessonId}">
-      <p class="static-section-label">01 / Understand</p>
-      <h2 id="understand-${lessonId}">${esc(guide.understand[0])}</h2>
+      <p class="static-section-label">${t("lesson.understand")}</p>
+      <h2 id="understand-${lessonId}">${esc(guide.understand.title)}</h2>
       ${understand}
     </section>
 
     <aside class="static-principle">
-      <p class="static-section-label">Keep this</p>
+      <p class="static-section-label">${t("lesson.keepThis")}</p>
       <strong>${esc(guide.principle)}</strong>
     </aside>
 
     <section class="static-section" aria-labelledby="apply-${lessonId}">
-      <p class="static-section-label">02 / Apply</p>
-      <h2 id="apply-${lessonId}">${esc(guide.apply[0])}</h2>
+      <p class="static-section-label">${t("lesson.apply")}</p>
+      <h2 id="apply-${lessonId}">${esc(guide.apply.title)}</h2>
       ${apply}
       ${guide.example ? `
       <div class="static-example">
-        <div class="static-example-bar"><span>Working example</span></div>
+        <div class="static-example-bar"><span>${t("lesson.example")}</span></div>
         <pre><code>${esc(guide.example)}</code></pre>
       </div>` : ""}
     </section>
 
     <section class="static-section" aria-labelledby="make-${lessonId}">
-      <p class="static-section-label">03 / Make</p>
-      <h2 id="make-${lessonId}">Your studio task</h2>
-      <p class="static-make"><strong>Make — </strong>${esc(mission)}</p>
+      <p class="static-section-label">${t("lesson.make")}</p>
+      <h2 id="make-${lessonId}">${t("lesson.studioTask")}</h2>
+      <p class="static-make"><strong>${t("module.make")}</strong>${esc(mission)}</p>
       <ol class="static-steps">${steps}</ol>
       <div class="static-done">
-        <strong>Definition of done</strong>
+        <strong>${t("lesson.definitionOfDone")}</strong>
         <p>${esc(proof)}</p>
       </div>
-      <a class="static-lab-link" href="/#lesson-${lessonId}">Open the interactive lesson with its workspace ↗</a>
+      <a class="static-lab-link" href="${appUrl(locale, `#lesson-${lessonId}`)}">${t("page.openInteractive")}</a>
     </section>
 
     <section class="static-section" aria-labelledby="check-${lessonId}">
-      <p class="static-section-label">04 / Check</p>
-      <h2 id="check-${lessonId}">Knowledge check</h2>
-      <div class="static-quiz">${quiz}</div>
+      <p class="static-section-label">${t("lesson.check")}</p>
+      <h2 id="check-${lessonId}">${t("lesson.knowledgeCheck")}</h2>
+      ${bankNote}<div class="static-quiz" data-messages="${esc(JSON.stringify(quizMessages))}">${quiz}</div>
     </section>
-
-    <nav class="static-pager" aria-label="Lesson navigation">
+${sources.length ? `
+    <section class="static-section static-sources" aria-labelledby="sources-${lessonId}">
+      <h2 id="sources-${lessonId}">${t("lesson.sources")}</h2>
+      <ol>${sourceList}</ol>
+    </section>
+` : ""}
+    <nav class="static-pager" aria-label="${t("lesson.navigation")}">
       ${previous}
       ${next}
     </nav>`;
 
   return pageShell({
-    title: `${title} — learn.web`,
-    description: `${detail} A free, project-based lesson from the ${path.title} path.`,
+    locale,
+    available: lessonLocales(pathId, index),
+    title: t("page.lessonTitle", { title }),
+    description: t("page.lessonDescription", { detail, path: path.title }),
     url,
     accent,
     ogImage: `/og-${pathId}.png`,
     body,
-    jsonLd
+    jsonLd,
+    scripts: ["/static-quiz.js"]
   });
 }
 
-function pathPage(pathId) {
-  const path = pathData[pathId];
+// The path page doubles as its dependency map: each lesson lists the lessons
+// it builds on, naming the path when it lies outside this one.
+function prerequisiteLine(locale, pathId, index) {
+  const required = prerequisites[`${pathId}-${index + 1}`] || [];
+  if (!required.length) return "";
+  const paths = content[locale].pathData;
+  const links = required.map((lessonId) => {
+    const { pathId: requiredPath, index: requiredIndex } = parseLessonId(lessonId);
+    const mark = englishOnly(locale, requiredPath, requiredIndex);
+    const where = requiredPath === pathId ? "" : ` <small>· ${esc(paths[requiredPath].title)}</small>`;
+    return `<a href="${localLessonUrl(locale, requiredPath, requiredIndex)}"${mark.link}><span${mark.text}>${esc(paths[requiredPath].modules[requiredIndex].title)}</span>${where}</a>`;
+  });
+  return `
+  <p class="learn-prereqs">${translate(locale, "module.buildsOn")} ${links.join(", ")}</p>`;
+}
+
+function pathPage(locale, pathId) {
+  const t = (key, values) => translate(locale, key, values);
+  const path = content[locale].pathData[pathId];
   const url = pathUrl(pathId);
-  const lessons = path.modules.map(([title, detail, time], index) => {
-    const [mission] = studioMissions[pathId][index];
+  const count = path.modules.length;
+  const lessons = path.modules.map(({ title, detail, time }, index) => {
+    const mark = englishOnly(locale, pathId, index);
     return `<li>
-  <a href="${lessonUrl(pathId, index)}">
+  <a href="${localLessonUrl(locale, pathId, index)}"${mark.link}>
     <span class="num">${String(index + 1).padStart(2, "0")}</span>
-    <span><strong>${esc(title)}</strong><br><small>${esc(detail)}</small></span>
+    <span${mark.text}><strong>${esc(title)}</strong>${mark.note}<br><small>${esc(detail)}</small></span>
     <span class="time">${esc(time)}</span>
-  </a>
+  </a>${prerequisiteLine(locale, pathId, index)}
 </li>`;
   }).join("");
 
@@ -582,38 +799,41 @@ function pathPage(pathId) {
     "@type": "Course",
     name: path.title,
     description: path.description,
-    url: `${siteUrl}${url}`,
+    url: `${siteUrl}${localePath(locale, url)}`,
+    inLanguage: locale,
     image: `${siteUrl}/og-${pathId}.png`,
     provider: { "@type": "Person", "name": "Mark Lee" },
     isAccessibleForFree: true,
     learningResourceType: "course",
     educationalLevel: educationLevel[pathId],
-    hasPart: path.modules.map(([title], index) => ({
+    hasPart: path.modules.map(({ title }, index) => ({
       "@type": "LearningResource",
       name: title,
-      url: `${siteUrl}${lessonUrl(pathId, index)}`
+      url: `${siteUrl}${localLessonUrl(locale, pathId, index)}`
     }))
   });
 
   const body = `
-    <nav class="breadcrumbs" aria-label="Breadcrumb">
-      <a href="/">learn.web</a><span>/</span>
-      <a href="/learn/">Lessons</a><span>/</span>
+    <nav class="breadcrumbs" aria-label="${t("page.breadcrumb")}">
+      <a href="${appUrl(locale, "")}">learn.web</a><span>/</span>
+      <a href="${localePath(locale, "/learn/")}">${t("page.lessons")}</a><span>/</span>
       <span>${esc(path.title)}</span>
     </nav>
     <p class="lesson-kicker">${esc(path.label)}</p>
     <h1>${esc(path.title)}</h1>
     <p>${esc(path.description)}</p>
-    <div class="path-outcome"><strong>By the end of this path</strong><p>${esc(path.outcome)}</p></div>
+    <div class="path-outcome"><strong>${t("page.pathOutcome")}</strong><p>${esc(path.outcome)}</p></div>
     <section class="static-section" aria-labelledby="modules-${pathId}">
-      <p class="static-section-label">Lessons</p>
-      <h2 id="modules-${pathId}">Six studio lessons</h2>
+      <p class="static-section-label">${t("page.lessons")}</p>
+      <h2 id="modules-${pathId}">${t("page.studioLessons", { count, countWords: capitalize(countWord(locale, count)) })}</h2>
       <ul class="learn-lessons">${lessons}</ul>
     </section>`;
 
   return pageShell({
-    title: `${path.title} path — learn.web`,
-    description: `${path.description} Six project-based lessons.`,
+    locale,
+    available: localeOrder,
+    title: t("page.pathTitle", { path: path.title }),
+    description: `${path.description} ${t("page.projectLessons", { count, countWords: capitalize(countWord(locale, count)) })}`,
     url,
     accent: path.accent,
     ogImage: `/og-${pathId}.png`,
@@ -622,17 +842,20 @@ function pathPage(pathId) {
   });
 }
 
-function hubPage() {
+function hubPage(locale) {
+  const t = (key, values) => translate(locale, key, values);
+  const paths = content[locale].pathData;
   const pathSections = pathOrder.map((pathId) => {
-    const path = pathData[pathId];
-    const lessons = path.modules.map(([title, detail, time], index) =>
-      `<li><a href="${lessonUrl(pathId, index)}"><span class="num">${String(index + 1).padStart(2, "0")}</span><span>${esc(title)}</span><span class="time">${esc(time)}</span></a></li>`
-    ).join("");
+    const path = paths[pathId];
+    const lessons = path.modules.map(({ title, time }, index) => {
+      const mark = englishOnly(locale, pathId, index);
+      return `<li><a href="${localLessonUrl(locale, pathId, index)}"${mark.link}><span class="num">${String(index + 1).padStart(2, "0")}</span><span${mark.text}>${esc(title)}${mark.note}</span><span class="time">${esc(time)}</span></a></li>`;
+    }).join("");
     return `<section class="learn-path">
   <div class="learn-path-head">
     <span class="symbol" aria-hidden="true">${path.symbol}</span>
     <h2>${esc(path.title)}</h2>
-    <a href="${pathUrl(pathId)}">Path overview ↗</a>
+    <a href="${localePath(locale, pathUrl(pathId))}">${t("page.pathOverview")}</a>
   </div>
   <p>${esc(path.description)}</p>
   <ul class="learn-lessons">${lessons}</ul>
@@ -642,33 +865,37 @@ function hubPage() {
   const jsonLd = JSON.stringify({
     "@context": "https://schema.org",
     "@type": "LearningResource",
-    name: "learn.web — all lessons",
-    description: "Thirty-six project-based lessons across six paths: Web Foundations, Modern Web Platform, UX & Product Design, Accessibility, Search & AI Discovery, and AI Product Engineering.",
-    url: `${siteUrl}/learn/`,
+    name: t("page.hubName"),
+    description: curriculumSummary(locale),
+    url: `${siteUrl}${localePath(locale, "/learn/")}`,
+    inLanguage: locale,
     learningResourceType: "course",
     educationalLevel: ["beginner", "intermediate", "advanced"],
     hasPart: pathOrder.map((pathId) => ({
       "@type": "Course",
-      name: pathData[pathId].title,
-      url: `${siteUrl}${pathUrl(pathId)}`
+      name: paths[pathId].title,
+      url: `${siteUrl}${localePath(locale, pathUrl(pathId))}`
     }))
   });
 
+  const intro = t("page.hubIntro", { lessons: capitalize(countWord(locale, totalLessonCount())), paths: countWord(locale, pathOrder.length) });
   const body = `
-    <nav class="breadcrumbs" aria-label="Breadcrumb">
-      <a href="/">learn.web</a><span>/</span>
-      <span>Lessons</span>
+    <nav class="breadcrumbs" aria-label="${t("page.breadcrumb")}">
+      <a href="${appUrl(locale, "")}">learn.web</a><span>/</span>
+      <span>${t("page.lessons")}</span>
     </nav>
     <div class="learn-hub">
-      <p class="lesson-kicker">The full curriculum</p>
-      <h1>All lessons</h1>
-      <p>Thirty-six project-based lessons across six paths. Each lesson stands alone, and every one ends in an artifact you can point to. Prefer the interactive version? <a href="/#paths" style="color:var(--accent)">Open the studio</a>.</p>
+      <p class="lesson-kicker">${t("page.hubKicker")}</p>
+      <h1>${t("page.hubHeading")}</h1>
+      <p>${intro} <a href="${appUrl(locale, "#paths")}" style="color:var(--accent)">${t("page.hubStudio")}</a>.</p>
       <div class="learn-path-list">${pathSections}</div>
     </div>`;
 
   return pageShell({
-    title: "All lessons — learn.web",
-    description: "Thirty-six project-based lessons across six paths: Web Foundations, Modern Web Platform, UX & Product Design, Accessibility, Search & AI Discovery, and AI Product Engineering.",
+    locale,
+    available: localeOrder,
+    title: t("page.hubTitle"),
+    description: curriculumSummary(locale),
     url: "/learn/",
     accent: "#d9ff43",
     ogImage: "/og.png",
@@ -677,6 +904,53 @@ function hubPage() {
   });
 }
 
+// One English page for every locale: each term is a <dfn> with its anchor,
+// and the whole list is published as a schema.org DefinedTermSet.
+function glossaryPage() {
+  const url = "/learn/glossary/";
+  const terms = [...glossary].sort((a, b) => a.term.localeCompare(b.term, "en"));
+  const entries = terms.map(({ term, definition }) =>
+    `<div id="${slugify(term)}"><dt><dfn>${esc(term)}</dfn></dt><dd>${esc(definition)}</dd></div>`).join("\n        ");
+
+  const jsonLd = JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "DefinedTermSet",
+    name: "learn.web glossary",
+    url: `${siteUrl}${url}`,
+    inLanguage: defaultLocale,
+    hasDefinedTerm: terms.map(({ term, aliases = [], definition }) => ({
+      "@type": "DefinedTerm",
+      name: term,
+      ...(aliases.length ? { alternateName: aliases } : {}),
+      description: definition,
+      url: `${siteUrl}${glossaryUrl(term)}`
+    }))
+  });
+
+  const body = `
+    <nav class="breadcrumbs" aria-label="Breadcrumb">
+      <a href="/">learn.web</a><span>/</span>
+      <a href="/learn/">Lessons</a><span>/</span>
+      <span>Glossary</span>
+    </nav>
+    <p class="lesson-kicker">Glossary</p>
+    <h1>Terms the lessons use</h1>
+    <p>${capitalize(spellCount(terms.length))} terms from across the lessons. In lesson text, each one links here the first time it appears.</p>
+    <dl class="glossary-list">
+        ${entries}
+    </dl>`;
+
+  return pageShell({
+    title: "Glossary — learn.web",
+    description: "Plain definitions of the web, accessibility, search, and AI product terms used across the learn.web lessons.",
+    url,
+    accent: "#d9ff43",
+    ogImage: "/og.png",
+    body,
+    jsonLd
+  });
+}
+
 function aboutPage() {
   const body = `
     <nav class="breadcrumbs" aria-label="Breadcrumb">
@@ -697,7 +971,7 @@ function aboutPage() {
       </section>
       <section>
         <h2>Privacy and analytics</h2>
-        <p>Your progress, field notes, and studio artifacts are stored only in your browser (localStorage) and never leave your device — unless you export a backup yourself. Nothing you type in notes, code, or artifacts is sent to any server.</p>
+        <p>Your progress, field notes, quiz answers, and studio artifacts are stored only in your browser (localStorage) and never leave your device — unless you export a backup yourself. Nothing you type in notes, code, or artifacts is sent to any server.</p>
         <p>This site runs Google Analytics 4 for anonymous page-view statistics and loads display fonts from Google Fonts. Both involve third-party requests from your browser; no learner-created content is included in them. The interactive code preview runs in a sandboxed frame loaded from a public static CDN; code is passed between browser frames and is not uploaded by learn.web.</p>
       </section>
       <section>
@@ -726,36 +1000,52 @@ function aboutPage() {
   });
 }
 
+
 // ————— sitemap + feed —————
 
+// Each locale version is its own <url>, listing every version (itself
+// included) as an hreflang alternate. The app shell and about page are English.
 function sitemap() {
-  const urls = ["/", "/about.html", "/learn/", ...pathOrder.flatMap((pathId) => [
-    pathUrl(pathId),
-    ...pathData[pathId].modules.map((_, index) => lessonUrl(pathId, index))
-  ])];
-  const body = urls.map((url) => `  <url>\n    <loc>${siteUrl}${url}</loc>\n    <lastmod>${releaseDate}</lastmod>\n  </url>`).join("\n");
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+  const allLessons = pathOrder.flatMap((pathId) => pathData[pathId].modules);
+  const pages = [
+    { url: "/", available: [defaultLocale], lastmod: releaseDate },
+    { url: "/about.html", available: [defaultLocale], lastmod: releaseDate },
+    { url: "/learn/glossary/", available: [defaultLocale], lastmod: releaseDate },
+    { url: "/learn/", available: localeOrder, lastmod: lastChangedOf(allLessons) },
+    ...pathOrder.flatMap((pathId) => [
+      { url: pathUrl(pathId), available: localeOrder, lastmod: lastChangedOf(pathData[pathId].modules) },
+      ...pathData[pathId].modules.map(({ lastChanged }, index) => ({ url: lessonUrl(pathId, index), available: lessonLocales(pathId, index), lastmod: lastChanged }))
+    ])
+  ];
+  const body = pages.flatMap(({ url, available, lastmod }) => available.map((locale) => {
+    const alternates = available.length > 1
+      ? hreflangLinks(url, available).map(({ hreflang, href }) => `\n    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`).join("")
+      : "";
+    return `  <url>\n    <loc>${siteUrl}${localePath(locale, url)}</loc>\n    <lastmod>${lastmod}</lastmod>${alternates}\n  </url>`;
+  })).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n${body}\n</urlset>\n`;
 }
 
-function feed() {
-  const entries = changelog.map((entry) => {
+function feed(locale) {
+  const suffix = locale === defaultLocale ? "" : `-${locale}`;
+  const entries = content[locale].changelog.map((entry) => {
     const iso = new Date(`${entry.date}T00:00:00Z`);
     return `  <entry>
     <title>${esc(entry.title)}</title>
-    <link href="${siteUrl}/#now"/>
-    <id>tag:learnweb.cc,${entry.date}:${esc(entry.title.split(" ")[0].toLowerCase())}</id>
+    <link href="${siteUrl}${appUrl(locale, "#now")}"/>
+    <id>tag:learnweb.cc,${entry.date}:${esc(changelogVersion(entry).toLowerCase())}${suffix}</id>
     <updated>${iso.toISOString()}</updated>
     <published>${iso.toISOString()}</published>
     <summary>${esc(entry.body)}</summary>
   </entry>`;
   }).join("\n");
   return `<?xml version="1.0" encoding="utf-8"?>
-<feed xmlns="http://www.w3.org/2005/Atom">
-  <title>learn.web — updates</title>
-  <subtitle>A free, project-based field guide to the modern web. What changed, when, and why.</subtitle>
-  <link href="${siteUrl}/feed.xml" rel="self"/>
-  <link href="${siteUrl}/"/>
-  <id>tag:learnweb.cc,2026:feed</id>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${locale}">
+  <title>${esc(translate(locale, "feed.title"))}</title>
+  <subtitle>${esc(translate(locale, "feed.subtitle"))}</subtitle>
+  <link href="${siteUrl}${localePath(locale, "/feed.xml")}" rel="self"/>
+  <link href="${siteUrl}${appUrl(locale, "")}"/>
+  <id>tag:learnweb.cc,2026:feed${suffix}</id>
   <updated>${new Date(`${changelog[0].date}T00:00:00Z`).toISOString()}</updated>
   <author><name>Mark Lee</name><uri>https://themarklee.com/</uri></author>
 ${entries}
@@ -769,20 +1059,29 @@ async function main() {
   // GitHub Pages serves the repo root; the OpenAI-style dist build consumes public/.
   // Write deployable assets to both so either pipeline works.
   const targets = [ROOT, OUT];
+  let pageCount = 0;
 
   for (const target of targets) {
-    const learnDir = path.join(target, "learn");
-    for (const pathId of pathOrder) {
-      const pathDir = path.join(learnDir, pathId);
-      await mkdir(pathDir, { recursive: true });
-      await writeFile(path.join(pathDir, "index.html"), pathPage(pathId));
-      for (let index = 0; index < pathData[pathId].modules.length; index += 1) {
-        const lessonDir = path.join(pathDir, lessonSlug(pathId, index));
-        await mkdir(lessonDir, { recursive: true });
-        await writeFile(path.join(lessonDir, "index.html"), lessonPage(pathId, index));
+    pageCount = 0;
+    for (const locale of localeOrder) {
+      const learnDir = path.join(target, ...localePath(locale, "/learn/").split("/").filter(Boolean));
+      for (const pathId of pathOrder) {
+        const pathDir = path.join(learnDir, pathId);
+        await mkdir(pathDir, { recursive: true });
+        await writeFile(path.join(pathDir, "index.html"), pathPage(locale, pathId));
+        for (let index = 0; index < pathData[pathId].modules.length; index += 1) {
+          if (!content[locale].isTranslated(pathId, index)) continue;
+          const lessonDir = path.join(pathDir, lessonSlug(pathId, index));
+          await mkdir(lessonDir, { recursive: true });
+          await writeFile(path.join(lessonDir, "index.html"), lessonPage(locale, pathId, index));
+          pageCount += 1;
+        }
       }
+      await writeFile(path.join(learnDir, "index.html"), hubPage(locale));
+      if (locale !== defaultLocale) await writeFile(path.join(target, locale, "feed.xml"), feed(locale));
     }
-    await writeFile(path.join(learnDir, "index.html"), hubPage());
+    await mkdir(path.join(target, "learn", "glossary"), { recursive: true });
+    await writeFile(path.join(target, "learn", "glossary", "index.html"), glossaryPage());
     await writeFile(path.join(target, "about.html"), aboutPage());
     await writeFile(path.join(target, "og.png"), makeHomeOG());
     for (const pathId of pathOrder) {
@@ -791,15 +1090,15 @@ async function main() {
   }
 
   await writeFile(path.join(ROOT, "sitemap.xml"), sitemap());
-  await writeFile(path.join(ROOT, "feed.xml"), feed());
+  await writeFile(path.join(ROOT, "feed.xml"), feed(defaultLocale));
+  await writeFile(path.join(ROOT, "curriculum.schema.json"), `${JSON.stringify(curriculumSchema, null, 2)}\n`);
 
-  const lessonCount = Object.values(pathData).reduce((sum, path) => sum + path.modules.length, 0);
   const { stat } = await import("node:fs/promises");
   const sizes = [];
   for (const file of ["og.png", ...pathOrder.map((id) => `og-${id}.png`)]) {
     sizes.push(`${file}: ${(await stat(path.join(ROOT, file))).size} B`);
   }
-  console.log(`Generated ${lessonCount} lesson pages, ${pathOrder.length} path pages, hub, sitemap, feed, and ${sizes.length} OG images (root + public).`);
+  console.log(`Generated ${pageCount} lesson pages, ${pathOrder.length} path pages, hub, and feed in ${localeOrder.length} locales (${localeOrder.join(", ")}), plus sitemap and ${sizes.length} OG images (root + public).`);
   console.log(sizes.join("\n"));
 }
 
@@ -0,0 +1,42 @@
+// i18n.js — locales and UI message lookup, shared by app.js (runtime),
+// generate.mjs (static pages), and check.mjs (missing-translation report).
+// Catalogs live in locales/<locale>.js; English is the source and the fallback.
+
+import * as en from "./locales/en.js";
+import * as es from "./locales/es.js";
+import * as pt from "./locales/pt.js";
+
+export const defaultLocale = "en";
+export const localeOrder = ["en", "es", "pt"];
+
+// `paths`, `changelog`, and `checks` (code lesson check labels) hold translated
+// curriculum metadata; lesson text is translated in
+// lessons/<pathId>/NN-slug.<locale>.md instead.
+export const locales = {
+  en: { name: "English", messages: en.messages, paths: {}, changelog: {}, checks: {} },
+  es: { name: "Español", ...es },
+  pt: { name: "Português", ...pt }
+};
+
+export function isLocale(value) {
+  return localeOrder.includes(value);
+}
+
+// Looks a key up in the locale, then in English. A numeric `count` selects the
+// plural form (`key.one`, `key.other`, …) and `{name}` placeholders are filled
+// from `values`.
+export function translate(locale, key, values = {}) {
+  let id = key;
+  if (typeof values.count === "number") {
+    const form = `${key}.${new Intl.PluralRules(locale).select(values.count)}`;
+    id = form in (locales[locale]?.messages ?? {}) || form in en.messages ? form : `${key}.other`;
+  }
+  const message = locales[locale]?.messages[id] ?? en.messages[id] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+// Static pages for a locale live under /<locale>/, so /learn/ux/ becomes
+// /es/learn/ux/; English keeps the root.
+export function localePath(locale, url) {
+  return locale === defaultLocale ? url : `/${locale}${url}`;
+}
@@ -0,0 +1,411 @@
+// lesson-markdown.mjs — reads the Markdown lessons in lessons/<pathId>/ and
+// compiles them into curriculum-lessons.js, which curriculum.js re-exports.
+// generate.mjs writes the compiled module; check.mjs recompiles it to report
+// authoring mistakes by file and line and to catch a stale compiled copy.
+
+import { execFile } from "node:child_process";
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+
+export const LESSON_DIR = "lessons";
+export const COMPILED_FILE = "curriculum-lessons.js";
+
+const FILE_PATTERN = /^(\d{2,})-([a-z0-9-]+?)(?:\.([a-z]{2}))?\.md$/;
+const SECTIONS = ["Understand", "Keep this", "Apply", "Steps"];
+
+class LessonError extends Error {
+  constructor(line, message) {
+    super(message);
+    this.line = line;
+  }
+}
+
+// ————— frontmatter: the small YAML subset lessons use —————
+// `key: value` scalars, `key:` followed by an indented `- item` list, and list
+// items that are themselves `key: value` maps (quiz questions). A plain list
+// item may carry indented `key: value` lines of its own (an option's `why`),
+// and then reads as `{ text, ...fields }`. A value wrapped in double quotes
+// is read as a JSON string.
+
+function scalar(raw, line) {
+  const value = raw.trim();
+  if (!value.startsWith("\"")) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new LessonError(line, `unterminated or invalid quoted value ${value}`);
+  }
+}
+
+function parseBlock(rows, start, indent, key, lines) {
+  if (rows[start]?.text.startsWith("- ")) {
+    const list = [];
+    let index = start;
+    while (index < rows.length && rows[index].indent === indent && rows[index].text.startsWith("- ")) {
+      const row = rows[index];
+      const itemKey = `${key}[${list.length}]`;
+      const text = row.text.slice(2);
+      lines[itemKey] = row.line;
+      if (/^[a-z][A-Za-z]*:(\s|$)/.test(text)) {
+        // A map item: its first field shares the dash line; the rest sit two
+        // spaces deeper.
+        const nested = [{ ...row, indent: indent + 2, text }];
+        let end = index + 1;
+        while (end < rows.length && rows[end].indent > indent) nested.push(rows[end++]);
+        const [value] = parseBlock(nested, 0, indent + 2, itemKey, lines);
+        list.push(value);
+        index = end;
+      } else {
+        let end = index + 1;
+        while (end < rows.length && rows[end].indent > indent) end += 1;
+        if (end > index + 1) {
+          const [fields] = parseBlock(rows.slice(index + 1, end), 0, rows[index + 1].indent, itemKey, lines);
+          if (Array.isArray(fields)) throw new LessonError(rows[index + 1].line, "unexpected indentation");
+          list.push({ text: scalar(text, row.line), ...fields });
+        } else {
+          list.push(scalar(text, row.line));
+        }
+        index = end;
+      }
+    }
+    return [list, index];
+  }
+
+  const map = {};
+  let index = start;
+  while (index < rows.length && rows[index].indent === indent) {
+    const row = rows[index];
+    const match = row.text.match(/^([a-z][A-Za-z]*):(?:\s+(.*))?$/);
+    if (!match) throw new LessonError(row.line, `expected "name: value", found "${row.text}"`);
+    const [, name, value] = match;
+    const field = key ? `${key}.${name}` : name;
+    if (name in map) throw new LessonError(row.line, `"${name}" is set twice`);
+    lines[field] = row.line;
+    if (value !== undefined && value.trim()) {
+      map[name] = scalar(value, row.line);
+      index += 1;
+    } else {
+      const child = rows[index + 1];
+      if (!child || child.indent <= indent) throw new LessonError(row.line, `"${name}" needs a value or an indented list`);
+      [map[name], index] = parseBlock(rows, index + 1, child.indent, field, lines);
+    }
+  }
+  if (index < rows.length && rows[index].indent > indent) {
+    throw new LessonError(rows[index].line, "unexpected indentation");
+  }
+  return [map, index];
+}
+
+function parseFrontmatter(sourceLines, lines) {
+  if (sourceLines[0]?.trim() !== "---") throw new LessonError(1, "lesson must start with a --- frontmatter block");
+  const close = sourceLines.findIndex((text, index) => index > 0 && text.trim() === "---");
+  if (close === -1) throw new LessonError(1, "frontmatter is missing its closing ---");
+  const rows = [];
+  for (let index = 1; index < close; index += 1) {
+    const text = sourceLines[index];
+    if (!text.trim() || text.trimStart().startsWith("#")) continue;
+    if (text.includes("\t")) throw new LessonError(index + 1, "indent with spaces, not tabs");
+    rows.push({ line: index + 1, indent: text.length - text.trimStart().length, text: text.trim() });
+  }
+  if (!rows.length) return [{}, close + 1];
+  const [data, end] = parseBlock(rows, 0, rows[0].indent, "", lines);
+  if (end < rows.length) throw new LessonError(rows[end].line, "unexpected indentation");
+  return [data, close + 1];
+}
+
+// ————— body: ## sections of plain paragraphs —————
+// Paragraph text is used verbatim (no inline formatting); lines that wrap
+// are joined with a space. Apply may hold one ``` fenced example; Steps is a
+// numbered list.
+
+function parseBody(sourceLines, start, lines) {
+  const sections = {};
+  let current = null;
+  let paragraph = null;
+  const flush = () => {
+    if (paragraph && current) current.paragraphs.push(paragraph.join(" "));
+    paragraph = null;
+  };
+
+  for (let index = start; index < sourceLines.length; index += 1) {
+    const text = sourceLines[index];
+    const line = index + 1;
+    const heading = text.match(/^##\s+([^:]+?)(?::\s*(.*))?\s*$/);
+    if (heading) {
+      flush();
+      const [, name, title = ""] = heading;
+      if (!SECTIONS.includes(name)) throw new LessonError(line, `unknown section "${name}"; use ${SECTIONS.map((section) => `"## ${section}"`).join(", ")}`);
+      if (sections[name]) throw new LessonError(line, `"## ${name}" appears twice`);
+      current = sections[name] = { line, title: title.trim(), paragraphs: [], steps: [], example: undefined };
+      continue;
+    }
+    if (text.startsWith("```")) {
+      flush();
+      if (current !== sections.Apply) throw new LessonError(line, "code examples belong in the Apply section");
+      if (current.example !== undefined) throw new LessonError(line, "Apply holds at most one code example");
+      const close = sourceLines.findIndex((row, rowIndex) => rowIndex > index && row.startsWith("```"));
+      if (close === -1) throw new LessonError(line, "code example is missing its closing ```");
+      current.example = sourceLines.slice(index + 1, close).join("\n");
+      lines.example = line;
+      index = close;
+      continue;
+    }
+    if (!text.trim()) {
+      flush();
+      continue;
+    }
+    if (!current) throw new LessonError(line, "text before the first ## section");
+    const step = text.match(/^\d+\.\s+(.*)$/);
+    if (step) {
+      flush();
+      if (current !== sections.Steps) throw new LessonError(line, "numbered lists belong in the Steps section");
+      lines[`steps[${current.steps.length}]`] = line;
+      current.steps.push(step[1].trim());
+      continue;
+    }
+    if (current === sections.Steps) throw new LessonError(line, "Steps holds only a numbered list");
+    if (!paragraph) {
+      const key = current === sections.Understand ? "understand" : current === sections.Apply ? "apply" : "principle";
+      lines[`${key}.paragraphs[${current.paragraphs.length}]`] = line;
+      paragraph = [];
+    }
+    paragraph.push(text.trim());
+  }
+  flush();
+
+  const missing = SECTIONS.filter((name) => !sections[name]);
+  if (missing.length) throw new LessonError(sourceLines.length, `missing section${missing.length === 1 ? "" : "s"} ${missing.map((name) => `"## ${name}"`).join(", ")}`);
+  for (const name of ["Understand", "Apply"]) {
+    if (!sections[name].title) throw new LessonError(sections[name].line, `write the section title after "## ${name}:"`);
+  }
+  if (sections["Keep this"].paragraphs.length !== 1) throw new LessonError(sections["Keep this"].line, "Keep this holds exactly one paragraph");
+  lines.understand = lines["understand.title"] = sections.Understand.line;
+  lines.apply = lines["apply.title"] = sections.Apply.line;
+  lines.principle = sections["Keep this"].line;
+  lines.steps = sections.Steps.line;
+  return sections;
+}
+
+// Options are written `- [x] correct answer` / `- [ ] distractor` so authors
+// never count indexes by hand. A question without a `type` has one answer;
+// `type: multiple` marks several, `type: order` lists `items` first to last,
+// `type: match` lists `pairs` of `prompt` and `answer`, and `type: code` puts
+// ___ in `code` for each of its `blanks`, writing accepted alternatives for
+// one blank as `a | b`.
+const QUESTION_TYPES = ["single", "multiple", "order", "match", "code"];
+
+function compileQuestion(item, index, lines) {
+  const key = `quiz[${index}]`;
+  if (!item || typeof item !== "object" || Array.isArray(item)) throw new LessonError(lines[key] || 1, `${key} must be a question with options`);
+  const { type = "single", question, options, blanks, explanation, ...rest } = item;
+  if (!QUESTION_TYPES.includes(type)) throw new LessonError(lines[`${key}.type`], `unknown question type "${type}"; use ${QUESTION_TYPES.join(", ")}`);
+  if (type === "order" || type === "match") return { type, question, ...rest, explanation };
+  if (type === "code") {
+    if (!Array.isArray(blanks)) throw new LessonError(lines[key], `${key} needs a blanks list`);
+    const accepted = blanks.map((blank) => (typeof blank === "string" ? blank.split("|").map((answer) => answer.trim()) : blank));
+    return { type, question, ...rest, blanks: accepted, explanation };
+  }
+
+  if (!Array.isArray(options)) throw new LessonError(lines[key], `${key} needs an options list`);
+  // An option may carry a `why:` line, the rationale shown when it is chosen
+  // wrongly; every option of a question has one, or none does.
+  const whys = [];
+  const marks = options.map((option, optionIndex) => {
+    const optionKey = `${key}.options[${optionIndex}]`;
+    const { text, why, ...extra } = typeof option === "string" ? { text: option } : option;
+    const unknown = Object.keys(extra)[0];
+    if (unknown) throw new LessonError(lines[`${optionKey}.${unknown}`], `unknown option field "${unknown}"; use why`);
+    const match = typeof text === "string" && text.match(/^\[( |x)\]\s+(.*)$/);
+    if (!match) throw new LessonError(lines[optionKey], "start each option with [x] for the answer or [ ] otherwise");
+    whys.push(why);
+    return match;
+  });
+  const missing = whys.findIndex((why) => why === undefined);
+  if (missing !== -1 && whys.some((why) => why !== undefined)) {
+    throw new LessonError(lines[`${key}.options[${missing}]`], "give every option a why: line, or none");
+  }
+  const rationales = missing === -1 ? { rationales: whys } : {};
+  if (missing === -1) lines[`${key}.rationales`] = lines[`${key}.options`];
+  const texts = marks.map(([, , text]) => text);
+  const correct = marks.flatMap(([, mark], optionIndex) => (mark === "x" ? [optionIndex] : []));
+  if (type === "multiple") {
+    if (!correct.length) throw new LessonError(lines[`${key}.options`], "mark each correct option [x]");
+    lines[`${key}.correctIndexes`] = lines[`${key}.options`];
+    return { type, question, options: texts, ...rationales, correctIndexes: correct, explanation, ...rest };
+  }
+  if (correct.length !== 1) throw new LessonError(lines[`${key}.options`], `mark exactly one option [x] (found ${correct.length}), or set type: multiple`);
+  lines[`${key}.correctIndex`] = lines[`${key}.options[${correct[0]}]`];
+  return { question, options: texts, ...rationales, correctIndex: correct[0], explanation, ...rest };
+}
+
+// Parses one lesson file. Returns the pieces curriculum.js needs plus a map
+// from data paths (`title`, `quiz[1].options`, …) to source lines.
+export function parseLesson(source) {
+  const lines = {};
+  const sourceLines = source.replace(/\r\n?/g, "\n").split("\n");
+  const [front, bodyStart] = parseFrontmatter(sourceLines, lines);
+  const sections = parseBody(sourceLines, bodyStart, lines);
+  const { title, detail, time, lastReviewed, mission, proof, hint, objectives, quiz, draw, sources, ...extra } = front;
+  if (extra.lastChanged !== undefined) throw new LessonError(lines.lastChanged, "remove lastChanged; it comes from the file's git history");
+  const unknown = Object.keys(extra)[0];
+  if (unknown) throw new LessonError(lines[unknown], `unknown field "${unknown}"`);
+  if (!Array.isArray(quiz)) throw new LessonError(lines.quiz || 1, "quiz must be a list of questions");
+  if (draw !== undefined && !/^[1-9]\d*$/.test(draw)) throw new LessonError(lines.draw, "draw must be a whole number of questions");
+
+  const guide = {
+    objectives,
+    understand: { title: sections.Understand.title, paragraphs: sections.Understand.paragraphs },
+    principle: sections["Keep this"].paragraphs[0],
+    apply: { title: sections.Apply.title, paragraphs: sections.Apply.paragraphs },
+    ...(sections.Apply.example === undefined ? {} : { example: sections.Apply.example }),
+    steps: sections.Steps.steps,
+    quiz: quiz.map((item, index) => compileQuestion(item, index, lines)),
+    ...(draw === undefined ? {} : { draw: Number(draw) }),
+    ...(sources === undefined ? {} : { sources })
+  };
+  const module = { title, detail, time, ...(lastReviewed === undefined ? {} : { lastReviewed }) };
+  return { module, mission: { mission, proof }, hint: hint ?? null, guide, lines };
+}
+
+// A lesson's lastChanged is the date of the last commit that touched its
+// file, or today while the file has changes not yet committed. A shallow clone
+// cuts the history short and would date every lesson to its one commit, so it
+// is refused.
+const runGit = promisify(execFile);
+
+async function changeDates(root) {
+  const git = async (...args) => (await runGit("git", ["-c", "core.quotepath=off", ...args], { cwd: root, maxBuffer: 64 * 1024 * 1024 })).stdout;
+  if ((await git("rev-parse", "--is-shallow-repository")).trim() === "true") {
+    throw new Error("Lesson dates come from git history, which this clone lacks; run `git fetch --unshallow` first.");
+  }
+  const dates = new Map();
+  let date;
+  for (const line of (await git("log", "--format=%x00%cs", "--name-only", "--", LESSON_DIR)).split("\n")) {
+    if (line.startsWith("\0")) date = line.slice(1);
+    else if (line && !dates.has(line)) dates.set(line, date);
+  }
+  const status = await git("status", "--porcelain", "--untracked-files=all", "--", LESSON_DIR);
+  status.split("\n").filter(Boolean).forEach((line) => dates.delete(line.slice(3).split(" -> ").pop()));
+  return dates;
+}
+
+const emptyBundle = () => ({ lessonModules: {}, studioMissions: {}, hints: {}, lessonGuides: {} });
+
+// Reads every lessons/<pathId>/NN-slug.md. Files are ordered by their number,
+// which must run 01, 02, … without gaps. A translation sits beside its lesson
+// as NN-slug.<locale>.md and compiles into that locale's bundle, with null for
+// lessons not yet translated; `locales` lists the ones the site ships. Errors
+// are `file:line: message`.
+export async function compileLessons(root = process.cwd(), locales = []) {
+  const errors = [];
+  const sources = {};
+  const lessons = emptyBundle();
+  const translations = Object.fromEntries(locales.map((locale) => [locale, { lessons: emptyBundle(), sources: {} }]));
+  const dates = await changeDates(root);
+  const today = new Date().toISOString().slice(0, 10);
+  const dir = path.join(root, LESSON_DIR);
+  const pathIds = (await readdir(dir, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+
+  const read = async (file) => {
+    try {
+      return { file, ...parseLesson(await readFile(path.join(root, file), "utf8")) };
+    } catch (error) {
+      if (!(error instanceof LessonError)) throw error;
+      errors.push(`${file}:${error.line}: ${error.message}`);
+      return null;
+    }
+  };
+
+  for (const pathId of pathIds) {
+    const files = (await readdir(path.join(dir, pathId))).filter((name) => name.endsWith(".md")).sort();
+    const parsed = [];
+    const translated = [];
+    for (const name of files) {
+      const file = `${LESSON_DIR}/${pathId}/${name}`;
+      const match = name.match(FILE_PATTERN);
+      if (!match) {
+        errors.push(`${file}:1: name lesson files NN-slug.md, e.g. 01-how-the-web-works.md, or NN-slug.<locale>.md for a translation`);
+        continue;
+      }
+      const [, number, slug, locale] = match;
+      if (locale && !translations[locale]) {
+        errors.push(`${file}:1: unknown locale "${locale}"; add it to localeOrder in i18n.js first`);
+        continue;
+      }
+      if (locale) {
+        translated.push({ file, number, slug, locale });
+        continue;
+      }
+      const position = Number(number);
+      if (position !== parsed.length + 1) {
+        errors.push(`${file}:1: expected lesson ${String(parsed.length + 1).padStart(2, "0")} next; numbers must run without gaps`);
+        continue;
+      }
+      const lesson = await read(file);
+      if (lesson) lesson.module.lastChanged = dates.get(file) ?? today;
+      parsed.push({ ...lesson, name: `${number}-${slug}` });
+    }
+    if (parsed.some((lesson) => !lesson.file)) continue;
+    sources[pathId] = parsed.map(({ file, lines }) => ({ file, lines }));
+    lessons.lessonModules[pathId] = parsed.map((lesson) => lesson.module);
+    lessons.studioMissions[pathId] = parsed.map((lesson) => lesson.mission);
+    if (parsed.some((lesson) => lesson.hint !== null)) lessons.hints[pathId] = parsed.map((lesson) => lesson.hint);
+    lessons.lessonGuides[pathId] = parsed.map((lesson) => lesson.guide);
+
+    for (const { file, number, slug, locale } of translated) {
+      const index = parsed.findIndex((lesson) => lesson.name === `${number}-${slug}`);
+      if (index === -1) {
+        errors.push(`${file}:1: no English lesson ${number}-${slug}.md to translate`);
+        continue;
+      }
+      const lesson = await read(file);
+      if (!lesson) continue;
+      const { lessons: bundle, sources: bundleSources } = translations[locale];
+      const slot = (group) => (group[pathId] ??= parsed.map(() => null));
+      // Review dates and sources track the English content, which a
+      // translation follows.
+      const { lastReviewed, lastChanged } = parsed[index].module;
+      const { sources } = parsed[index].guide;
+      slot(bundle.lessonModules)[index] = { ...lesson.module, ...(lastReviewed === undefined ? {} : { lastReviewed }), lastChanged };
+      slot(bundle.studioMissions)[index] = lesson.mission;
+      slot(bundle.hints)[index] = lesson.hint;
+      slot(bundle.lessonGuides)[index] = { ...lesson.guide, ...(sources === undefined ? {} : { sources }) };
+      slot(bundleSources)[index] = { file, lines: lesson.lines };
+    }
+  }
+  return { lessons, sources, translations, errors };
+}
+
+// Maps a data path reported against curriculum.js — such as
+// `lessonGuides.ux[2].quiz[0].correctIndex` — back to `file:line`, or null
+// when it does not point into a lesson file.
+export function lessonLocation(sources, dataPath) {
+  const match = dataPath.match(/^(?:lessonGuides|studioMissions|hints)\.([a-z]+)\[(\d+)\]\.?(.*)$/)
+    || dataPath.match(/^pathData\.([a-z]+)\.modules\[(\d+)\]\.?(.*)$/);
+  const source = match && sources[match[1]]?.[Number(match[2])];
+  if (!source) return null;
+  let key = dataPath.startsWith("hints.") ? "hint" : match[3];
+  while (key && !(key in source.lines)) {
+    const parent = key.replace(/(\.[^.[]*|\[\d+\])$/, "");
+    key = parent === key ? "" : parent;
+  }
+  return `${source.file}:${key ? source.lines[key] : 1}`;
+}
+
+export function compiledFile(locale) {
+  return locale ? COMPILED_FILE.replace(/\.js$/, `.${locale}.js`) : COMPILED_FILE;
+}
+
+export function renderLessonsModule(lessons, locale) {
+  const exports = Object.entries(lessons)
+    .map(([name, value]) => `export const ${name} = ${JSON.stringify(value, null, 2)};\n`)
+    .join("\n");
+  return `// ${compiledFile(locale)} — generated by generate.mjs from ${LESSON_DIR}/<pathId>/*.${locale ? `${locale}.` : ""}md.
+// Do not edit by hand: change the Markdown lesson and run \`npm run generate\`.
+
+${exports}`;
+}
@@ -0,0 +1,147 @@
+// line-diff.js — a line diff for comparing drafts, using Myers' algorithm
+// (the one behind `git diff`): checkpoints against the current workspace, and
+// a learner's code against its starter.
+
+// Past this many changed lines the diff stops aligning and shows the rest as
+// removed then added, so pasting over a large file cannot stall the page.
+const maxEdits = 2000;
+
+const splitLines = (text) => (text === "" ? [] : text.split("\n"));
+
+// The shortest edit script from `a` to `b` as "same", "removed", and "added"
+// steps, or null past maxEdits. Each round keeps only the diagonals it can
+// reach, so memory grows with the square of the edits, not of the lines.
+function editScript(a, b) {
+  const trace = [];
+  let reach = null;
+  for (let d = 0; d <= Math.min(maxEdits, a.length + b.length); d += 1) {
+    const next = new Int32Array(2 * d + 1);
+    for (let k = -d; k <= d; k += 2) {
+      const down = d > 0 && (k === -d || (k !== d && reach[k - 1 + d - 1] < reach[k + 1 + d - 1]));
+      let x = d === 0 ? 0 : down ? reach[k + 1 + d - 1] : reach[k - 1 + d - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      next[k + d] = x;
+      if (x >= a.length && y >= b.length) {
+        trace.push(next);
+        return backtrack(trace, a.length, b.length);
+      }
+    }
+    trace.push(next);
+    reach = next;
+  }
+  return null;
+}
+
+function backtrack(trace, n, m) {
+  const steps = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d -= 1) {
+    const reach = trace[d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && reach[k - 1 + d - 1] < reach[k + 1 + d - 1]);
+    const previousK = down ? k + 1 : k - 1;
+    const previousX = reach[previousK + d - 1];
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      steps.push("same");
+      x -= 1;
+      y -= 1;
+    }
+    steps.push(down ? "added" : "removed");
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0) {
+    steps.push("same");
+    x -= 1;
+  }
+  return steps.reverse();
+}
+
+// One entry per line, in order: `{ type, text, before, after }`, where type is
+// "same", "removed", or "added", and before and after are 1-based line
+// numbers on each side (absent on the side the line is not in).
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = editScript(middleA, middleB)
+    ?? [...middleA.map(() => "removed"), ...middleB.map(() => "added")];
+  const steps = [...Array(start).fill("same"), ...middle, ...Array(a.length - endA).fill("same")];
+  let lineA = 0;
+  let lineB = 0;
+  return steps.map((type) => {
+    if (type === "added") {
+      lineB += 1;
+      return { type, text: b[lineB - 1], after: lineB };
+    }
+    lineA += 1;
+    if (type === "removed") return { type, text: a[lineA - 1], before: lineA };
+    lineB += 1;
+    return { type, text: a[lineA - 1], before: lineA, after: lineB };
+  });
+}
+
+// Splits a diff into hunks: runs of changes with up to `context` unchanged
+// lines around them. Returns `{ hunks, trailing }`; each hunk is `{ skipped,
+// before, after, lines }`, where skipped counts the unchanged lines left out
+// before it, before and after are the line numbers it starts at on each side,
+// and trailing counts the lines left out after the last hunk. No changes gives
+// no hunks.
+export function diffHunks(lines, context = 3) {
+  const keep = lines.map(() => false);
+  lines.forEach((line, index) => {
+    if (line.type === "same") return;
+    for (let near = Math.max(0, index - context); near <= Math.min(lines.length - 1, index + context); near += 1) keep[near] = true;
+  });
+  const hunks = [];
+  let skipped = 0;
+  let lineA = 1;
+  let lineB = 1;
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (index === 0 || !keep[index - 1]) {
+        hunks.push({ skipped, before: lineA, after: lineB, lines: [] });
+        skipped = 0;
+      }
+      hunks.at(-1).lines.push(line);
+    } else {
+      skipped += 1;
+    }
+    if (line.type !== "added") lineA += 1;
+    if (line.type !== "removed") lineB += 1;
+  });
+  return { hunks, trailing: hunks.length ? skipped : 0 };
+}
+
+// The diff as text in the unified format of `diff -u` and `git diff`, with the
+// file under a/ and b/; empty when nothing changed.
+export function unifiedDiff(name, before, after, context = 3) {
+  const { hunks } = diffHunks(diffLines(before, after), context);
+  if (!hunks.length) return "";
+  const signs = { same: " ", removed: "-", added: "+" };
+  // An empty range is written as starting at the line before it.
+  const range = (start, count) => `${count ? start : start - 1},${count}`;
+  return [
+    `--- a/${name}`,
+    `+++ b/${name}`,
+    ...hunks.flatMap(({ before, after, lines }) => [
+      `@@ -${range(before, lines.filter((line) => line.type !== "added").length)} +${range(after, lines.filter((line) => line.type !== "removed").length)} @@`,
+      ...lines.map((line) => signs[line.type] + line.text)
+    ])
+  ].join("\n") + "\n";
+}
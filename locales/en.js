@@ -0,0 +1,440 @@
+// locales/en.js — the source message catalog. Every key used by app.js,
+// index.html (data-i18n), and generate.mjs lives here first; other locales
+// translate these keys and check.mjs reports the ones they are missing.
+// `{name}` marks a placeholder; `.one` / `.other` pairs are plural forms.
+
+export const messages = {
+  // Site chrome (index.html)
+  "locale.label": "Language",
+  "nav.menu": "Menu",
+  "nav.primary": "Primary navigation",
+  "nav.paths": "Paths",
+  "nav.now": "What’s new",
+  "nav.lab": "Live lab",
+  "nav.studio": "My studio",
+  "header.search": "Search lessons",
+  "header.progress": "Your progress",
+  "progress.eyebrow": "Your local progress",
+  "progress.lessonsComplete": "lessons complete",
+  "progress.local": "Progress stays on this device. No account needed.",
+  "progress.reset": "Reset progress",
+  "progress.undo": "Undo reset",
+  "progress.export": "Export progress",
+  "progress.import": "Import progress",
+  "progress.resetConfirm": "Reset all lesson progress? Your notes and artifacts stay. You can undo this for the next 10 seconds.",
+  "storage.unavailable": "Local changes may not persist on this device.",
+  "theme.toDark": "Switch to dark theme",
+  "theme.toLight": "Switch to light theme",
+  "update.available": "A new version of learn.web is available.",
+  "update.reload": "Reload",
+  "update.dismiss": "Not now",
+
+  // Path dialog
+  "path.close": "Close path",
+  "path.eyebrow": "Learning path",
+  "path.progress": "Progress",
+  "path.overline.one": "{count} studio lesson · project based",
+  "path.overline.other": "{count} studio lessons · project based",
+  "module.completed": "{title} completed",
+  "module.notCompleted": "{title} not completed",
+  "module.start": "Start lesson →",
+  "module.review": "Review lesson →",
+  "module.brief": "Open studio brief",
+  "module.make": "Make — ",
+  "module.doneWhen": "Done when — ",
+  "module.buildsOn": "Builds on",
+  "module.prereqDone": "(completed)",
+  "module.recommended": "Next up",
+  "module.untranslated": "In English",
+  "next.eyebrow": "What to do next",
+  "next.continue": "Continues {path}.",
+  "next.start": "Starts {path}.",
+  "next.done": "Every lesson is complete.",
+
+  // Lesson dialog
+  "lesson.back": "Return to learning path",
+  "lesson.pathOverview": "Path overview",
+  "lesson.backToTrack": "Return to your track",
+  "lesson.trackOverview": "Track overview",
+  "lesson.close": "Close lesson",
+  "lesson.navigation": "Lesson navigation",
+  "lesson.position": "Lesson {number} of {total}",
+  "lesson.time": "Time",
+  "lesson.mode": "Mode",
+  "lesson.modeValue": "Learn → Make → Check",
+  "lesson.reviewed": "Reviewed",
+  "lesson.notReviewed": "Not yet",
+  "lesson.progress": "Progress",
+  "lesson.notStarted": "Not started",
+  "lesson.inProgress": "In progress",
+  "lesson.complete": "Complete",
+  "lesson.untranslated": "This lesson is not translated yet, so it appears in English.",
+  "lesson.beforeYouBegin": "Before you begin",
+  "lesson.objectives": "By the end, you can…",
+  "lesson.understand": "01 / Understand",
+  "lesson.keepThis": "Keep this",
+  "lesson.apply": "02 / Apply",
+  "lesson.example": "Working example",
+  "lesson.sources": "Sources",
+  "lesson.sourceMeta": "{publisher} · accessed {date}",
+  "lesson.copy": "Copy",
+  "lesson.copied": "Copied",
+  "lesson.copySelect": "Select code to copy",
+  "lesson.make": "03 / Make",
+  "lesson.studioTask": "Your studio task",
+  "lesson.definitionOfDone": "Definition of done",
+  "lesson.preparingWorkspace": "Preparing your workspace…",
+  "lesson.notesLabel": "Private field notes",
+  "lesson.notesTitle": "What changed in your thinking?",
+  "lesson.notesLocal": "Saved only in this browser.",
+  "lesson.notesField": "Lesson notes",
+  "lesson.notesPlaceholder": "Capture a decision, question, surprise, or link to what you made…",
+  "lesson.check": "04 / Check",
+  "lesson.knowledgeCheck": "Knowledge check",
+  "lesson.checkAnswers": "Check answers",
+  "lesson.finishLabel": "Finish lesson",
+  "lesson.finishTitle": "Turn understanding into progress.",
+  "lesson.finishBody": "Submit your studio artifact and pass the knowledge check to finish this lesson.",
+  "lesson.completeAction": "Complete lesson",
+  "lesson.completed": "Lesson complete",
+  "lesson.pagination": "Lesson pagination",
+  "lesson.previous": "Previous",
+  "lesson.next": "Next",
+  "notes.ready": "Ready",
+  "notes.saving": "Saving…",
+  "notes.saved": "Saved locally",
+  "notes.failed": "Save failed — storage unavailable",
+  "quiz.correct": "Correct — {explanation}",
+  "quiz.incorrect": "Not quite. Revisit the principle above, then try again.",
+  "quiz.partial": "Not quite — {right} of {total} right. Revisit the principle above, then try again.",
+  "quiz.selectAll": "Select all that apply.",
+  "quiz.orderHint": "Put the items in order with the arrow buttons, or drag them.",
+  "quiz.moveUp": "Move up: {item}",
+  "quiz.moveDown": "Move down: {item}",
+  "quiz.moved": "{item}, position {position} of {total}",
+  "quiz.choose": "Choose…",
+  "quiz.blank": "Blank {number} of {total}",
+
+  // Spaced review
+  "review.due.one": "question due for review",
+  "review.due.other": "questions due for review",
+  "review.nextOn": "Next review {date}.",
+  "review.none": "Complete a lesson and its questions come back here for review.",
+  "review.start": "Start review",
+  "review.close": "Close review",
+  "review.overline": "SPACED REVIEW",
+  "review.title": "Keep what you learned",
+  "review.progress": "Question {position} of {total} · {lesson}",
+  "review.check": "Check answer",
+  "review.next": "Next question",
+  "review.finish": "See results",
+  "review.answerFirst": "Answer the question first.",
+  "review.correct": "Correct — {explanation} It comes back on {date}.",
+  "review.incorrect": "Not this time. {explanation} It comes back on {date}.",
+  "review.done.one": "You reviewed {count} question and got {right} right.",
+  "review.done.other": "You reviewed {count} questions and got {right} right.",
+
+  // Weak spots
+  "weak.title": "Weak spots",
+  "weak.intro": "The questions you miss most, from the answers you check in lessons and reviews. Your answers stay on this device.",
+  "weak.empty": "No missed questions yet.",
+  "weak.questions": "Most-missed questions",
+  "weak.lessons": "Lessons to revisit",
+  "weak.missed.one": "Missed {count} time in {total} tries",
+  "weak.missed.other": "Missed {count} times in {total} tries",
+  "weak.lessonMisses.one": "{count} missed answer",
+  "weak.lessonMisses.other": "{count} missed answers",
+  "weak.clear": "Clear answer history",
+  "weak.clearConfirm": "Clear every saved quiz answer on this device? The weak-spot report starts over.",
+
+  // Mastery exam
+  "exam.heading": "Mastery exam",
+  "exam.locked": "Complete every lesson in this path to unlock its mastery exam.",
+  "exam.intro": "Questions from every lesson in the path, drawn fresh for each attempt. Get {share}% right to earn the path badge.",
+  "exam.passedOn": "Path mastered on {date} with {score} of {total} right.",
+  "exam.start": "Take the mastery exam",
+  "exam.retake": "Retake the exam",
+  "exam.close": "Close exam",
+  "exam.overline": "MASTERY EXAM",
+  "exam.title": "{path} mastery exam",
+  "exam.meta": "{total} questions · pass with {pass} right",
+  "exam.submit": "Submit exam",
+  "exam.tryAgain": "Try again",
+  "exam.unanswered.one": "{count} question is still unanswered.",
+  "exam.unanswered.other": "{count} questions are still unanswered.",
+  "exam.passed": "Passed — {score} of {total} right. The {path} badge is yours.",
+  "exam.failed": "{score} of {total} right; passing takes {pass}. Read the explanations, revisit those lessons, and try again.",
+  "exam.badge": "★ Mastered {date}",
+
+  // Studio workspace
+  "workspace.codeEyebrow": "Live implementation lab",
+  "workspace.codeTitle": "Build and test it here.",
+  "workspace.recordTitle": "Build the evidence here.",
+  "workspace.run": "Run preview",
+  "workspace.stop": "Stop",
+  "workspace.stopLabel": "Stop the preview",
+  "workspace.autoOn": "Auto-run: on",
+  "workspace.autoOff": "Auto-run: off",
+  "workspace.autoHint": "When on, the preview re-runs as you type; when off, press Run preview.",
+  "workspace.previewTitle": "Studio task preview",
+  "workspace.previewReset": "The preview stopped responding, so it was reset.",
+  "workspace.previewStopped": "Preview stopped.",
+  "workspace.editor": "{language} editor",
+  "workspace.files.add": "+ File",
+  "workspace.files.name": "New file",
+  "workspace.files.create": "Create",
+  "workspace.files.upload": "Or upload an image",
+  "workspace.files.hint": "The HTML, CSS, and JS tabs are index.html, style.css, and app.js. Refer to other files by relative path, such as ./utils.js or data.json.",
+  "workspace.files.invalidName": "Name the file with its extension, such as utils.js, data/items.json, or logo.png.",
+  "workspace.files.taken": "There is already a file called {name}.",
+  "workspace.files.limit": "A workspace holds up to {count} extra files.",
+  "workspace.files.tooLarge": "Images can be up to {size} KB.",
+  "workspace.files.image": "Image · {size} KB",
+  "workspace.files.delete": "Delete {name}",
+  "workspace.files.deleteConfirm": "Delete {name}? This cannot be undone.",
+  "workspace.recordPlaceholder": "Write concrete evidence, a decision, and enough context for someone else to review it…",
+  "workspace.checkHtml": "A working HTML foundation is present",
+  "workspace.checkChanged": "You made a meaningful change to the starter",
+  "workspace.checkEnough": "The artifact contains enough implementation to review",
+  "workspace.checkEvidence": "{title} has specific evidence",
+  "workspace.ready": "Ready to submit",
+  "workspace.signals": "{complete} of {total} quality signals met",
+  "workspace.checks.stale": "Run the preview to test your latest changes.",
+  "workspace.checks.running": "Testing your code…",
+  "workspace.checks.timeout": "The checks did not finish. Look for an endless loop, then run the preview again.",
+  "workspace.submit": "Submit studio artifact",
+  "workspace.submitted": "Artifact submitted ✓",
+  "workspace.submittedSaved": "Submitted · saved on this device",
+  "workspace.submittedSession": "Submitted for this session · storage unavailable",
+  "workspace.reset": "Reset workspace",
+  "workspace.resetConfirm": "Reset this workspace? Your current draft is kept in its version history.",
+  "workspace.export": "Export artifact",
+  "workspace.hint": "Need a hint?",
+  "export.studioTask": "Studio task",
+  "export.notAnswered": "Not answered",
+
+  // Search
+  "search.title": "Search the curriculum",
+  "search.close": "Close search",
+  "search.typePath": "Path",
+  "search.typeArticle": "{path} · article",
+  "search.typeTerm": "Glossary",
+  "search.articleDetail": "Static lesson page — {detail}",
+  "search.count.one": "{count} result.",
+  "search.count.other": "{count} results.",
+  "search.noResults": "No results for “{query}”.",
+  "search.empty": "No exact match. Try a broader idea or browse a learning path.",
+
+  // Live lab
+  "capability.viewTransitions": "View transitions",
+  "capability.anchor": "Anchor position",
+  "capability.highlights": "CSS highlights",
+  "capability.navigation": "Navigation API",
+  "capability.ready": "ready",
+  "capability.fallback": "fallback",
+  "editor.modeOn": "Tab: spaces (Esc exits)",
+  "editor.modeOff": "Tab: navigate",
+  "editor.modeHint": "When on, Tab inserts two spaces and indents selected lines; press Escape to exit",
+  "lab.rendered": "Rendered",
+  "lab.ready": "Ready",
+  "lab.stopped": "Stopped",
+  "preview.toolbar": "Preview settings",
+  "preview.width": "Width",
+  "preview.fit": "Fit",
+  "preview.custom": "Custom",
+  "preview.customWidth": "Custom width in pixels",
+  "preview.zoom": "Zoom",
+  "preview.colorScheme": "Color scheme",
+  "preview.system": "System",
+  "preview.light": "Light",
+  "preview.dark": "Dark",
+  "preview.motion": "Motion",
+  "preview.reduce": "Reduce",
+  "preview.noPreference": "No preference",
+  "preview.forcedColors": "Forced colors",
+  "preview.compare": "Compare widths",
+  "preview.compareFrame": "Live code result at {width}px",
+  "preview.viewport": "Page sees {width} CSS px",
+  "console.title": "Console",
+  "console.output": "Console output",
+  "console.filter": "Show messages",
+  "console.show.all": "All",
+  "console.show.log": "Logs",
+  "console.show.warn": "Warnings",
+  "console.show.error": "Errors",
+  "console.clear": "Clear",
+  "console.empty": "Nothing logged yet. Output from console.log() appears here.",
+  "console.truncated": "Too many messages; the rest are only in the browser’s developer console.",
+  "console.level.log": "log",
+  "console.level.info": "info",
+  "console.level.warn": "warn",
+  "console.level.error": "error",
+  "audit.title": "Accessibility",
+  "audit.run": "Check accessibility",
+  "audit.idle": "Checks the preview for missing alt text, unlabeled controls, empty links, heading order, duplicate IDs, contrast, and lang.",
+  "audit.running": "Checking the preview…",
+  "audit.notReady": "Run the preview first, then check it.",
+  "audit.noAnswer": "The preview did not answer. Run it again and retry.",
+  "audit.count.one": "{count} issue. Select it to outline its element in the preview.",
+  "audit.count.other": "{count} issues. Select one to outline its element in the preview.",
+  "audit.clean": "No issues found by the automated rules. Still test with a keyboard, zoom, and a screen reader.",
+  "audit.report": "Accessibility check, {date}",
+  "audit.rule.alt": "Image without alt text",
+  "audit.rule.label": "Button or form control without a label",
+  "audit.rule.link": "Link without text",
+  "audit.rule.heading": "Heading level skips from h{from} to h{to}",
+  "audit.rule.duplicateId": "ID “{id}” is used more than once",
+  "audit.rule.contrast": "Text contrast {ratio}:1 is below {required}:1",
+  "audit.rule.langMissing": "The page has no lang attribute",
+  "audit.rule.langInvalid": "lang=“{value}” is not a valid language tag",
+  "history.summary.one": "Version history · {count} checkpoint",
+  "history.summary.other": "Version history · {count} checkpoints",
+  "history.name": "Checkpoint name",
+  "history.namePlaceholder": "Before the layout rewrite",
+  "history.nameMissing": "Name the checkpoint first.",
+  "history.save": "Save checkpoint",
+  "history.saved": "Saved checkpoint “{name}”.",
+  "history.retention": "Checkpoints are saved automatically every few minutes of editing and before a reset or restore. Each lesson keeps its latest {auto} automatic and {named} named checkpoints.",
+  "history.empty": "No checkpoints yet.",
+  "history.kind.auto": "Automatic checkpoint",
+  "history.kind.beforeRestore": "Before a restore",
+  "history.kind.beforeReset": "Before a reset",
+  "history.preview": "Preview",
+  "history.compare": "Compare",
+  "history.restore": "Restore",
+  "history.close": "Close",
+  "history.previewTitle": "Checkpoint from {date}",
+  "history.compareTitle": "From the checkpoint of {date} to your current draft",
+  "history.emptyPart": "Empty.",
+  "history.restoreConfirm": "Restore the checkpoint from {date}? Your current draft is saved as a checkpoint first.",
+  "history.restored": "Restored the checkpoint from {date}.",
+  "diff.noChanges": "No changes.",
+  "diff.skipped.one": "{count} unchanged line",
+  "diff.skipped.other": "{count} unchanged lines",
+  "changes.title": "Changes from the starter",
+  "changes.hint": "Lines you added or removed in index.html, style.css, and app.js, compared with the lesson's starter code.",
+  "changes.layout": "Diff layout",
+  "changes.unified": "Unified",
+  "changes.split": "Side by side",
+  "changes.stat": "+{added} −{removed}",
+  "changes.export": "Include changes from the starter",
+  "changes.report": "Changes from the lesson starter (unified diff)",
+  "changes.none": "No changes from the starter.",
+
+  // Placement, studio, backups, certificate
+  "placement.answerAll": "Answer all {count} questions to get a recommendation.",
+  "placement.startWith": "Start with {path}.",
+  "placement.open": "Open this path ↗",
+  "studio.open": "Open",
+  "studio.export": "Export",
+  "studio.share": "Copy share text",
+  "studio.copied": "Copied",
+  "studio.copyFailed": "Copy failed",
+  "studio.empty": "No artifacts submitted yet in this path.",
+  "studio.shareText": "I finished \"{title}\" on learn.web — a free, project-based field guide to the modern web. Try it: {url}",
+  "backup.restored": "Backup restored ✓",
+  "backup.restoredSession": "Backup restored for this session; storage is unavailable.",
+  "backup.invalid": "That file did not look like a learn.web backup.",
+  "tracks.title": "Your tracks",
+  "tracks.intro": "Put lessons from any path in the order you need them — an onboarding plan, a reading list for a team. Progress is shared with the paths.",
+  "tracks.name": "Track name",
+  "tracks.lessons": "Lesson IDs (optional)",
+  "tracks.create": "Create track",
+  "tracks.created": "Created “{name}”.",
+  "tracks.unknown.one": "No lesson has the ID {ids}.",
+  "tracks.unknown.other": "No lessons have the IDs {ids}.",
+  "tracks.limit": "You can keep up to 50 tracks.",
+  "tracks.empty": "No tracks yet.",
+  "tracks.noLessons": "No lessons yet — add one below.",
+  "tracks.progress": "{complete} of {total} complete",
+  "tracks.start": "Start track",
+  "tracks.continue": "Continue track",
+  "tracks.review": "Review track",
+  "tracks.delete": "Delete track",
+  "tracks.deleteConfirm": "Delete the track “{name}”? Your lesson progress stays.",
+  "tracks.add": "Add lesson",
+  "tracks.addLabel": "Lesson to add to {name}",
+  "tracks.duplicate": "That lesson is already in this track.",
+  "tracks.moveUp": "Move {title} up",
+  "tracks.moveDown": "Move {title} down",
+  "tracks.remove": "Remove {title} from the track",
+  "packs.title": "Curriculum packs",
+  "packs.intro": "Add a path your team wrote from a pack file (JSON). It is checked with the same rules as the built-in paths and stays on this device.",
+  "packs.import": "Import pack",
+  "packs.empty": "No packs installed.",
+  "packs.notJson": "That file is not valid JSON.",
+  "packs.invalid.one": "The pack was not added: 1 problem.",
+  "packs.invalid.other": "The pack was not added: {count} problems.",
+  "packs.moreErrors.one": "…and 1 more.",
+  "packs.moreErrors.other": "…and {count} more.",
+  "packs.replaceConfirm": "Replace the installed “{title}” pack? Progress on lessons it no longer has is removed.",
+  "packs.imported.one": "Added “{title}” (1 lesson).",
+  "packs.imported.other": "Added “{title}” ({count} lessons).",
+  "packs.importedSession.one": "Added “{title}” (1 lesson) for this session; storage is unavailable.",
+  "packs.importedSession.other": "Added “{title}” ({count} lessons) for this session; storage is unavailable.",
+  "packs.removeConfirm": "Remove the “{title}” pack? Progress, notes, and work on its lessons are removed from this device.",
+  "packs.remove": "Remove",
+  "packs.removeLabel": "Remove the {title} pack",
+  "packs.open": "Open path",
+  "packs.meta.one": "{pathId} · 1 lesson",
+  "packs.meta.other": "{pathId} · {count} lessons",
+  "packs.lessons.one": "1 lesson",
+  "packs.lessons.other": "{count} lessons",
+  "packs.progress": "{complete}/{total} complete",
+  "packs.badge": "Local pack",
+  "packs.explore": "Explore path",
+  "certificate.namePlaceholder": "Your name",
+  "certificate.noDate": "Completion date unavailable",
+  "certificate.mastery": "Mastery exams passed: {paths}.",
+
+  // Static pages (generate.mjs)
+  "page.skip": "Skip to content",
+  "page.backToCurriculum": "Back to the curriculum ↗",
+  "page.breadcrumb": "Breadcrumb",
+  "page.lessons": "Lessons",
+  "page.footerBy": "By {author} · Content © 2026 ·",
+  "page.home": "Home",
+  "page.allLessons": "All lessons",
+  "page.glossary": "Glossary",
+  "page.about": "About & privacy",
+  "page.feed": "Updates feed",
+  "page.feedTitle": "learn.web updates",
+  "page.languages": "This page in other languages",
+  "page.lessonTitle": "{title} — learn.web",
+  "page.lessonDescription": "{detail} A free, project-based lesson from the {path} path.",
+  "page.provenance": "By {author} · last verified {reviewed} · updated {changed} ·",
+  "page.provenanceUnreviewed": "By {author} · not yet verified · updated {changed} ·",
+  "page.aboutGuide": "about this field guide",
+  "page.path": "Path",
+  "page.openInteractive": "Open the interactive lesson with its workspace ↗",
+  "page.revealAnswer": "Reveal answer",
+  "page.correctAnswer": "The correct answer is {letter}.",
+  "page.selectAll": "Select all that apply.",
+  "page.correctAnswers": "The correct answers are {letters}.",
+  "page.correctOrder": "The correct order is {letters}.",
+  "page.correctMatches": "The matches are {matches}.",
+  "page.correctBlanks": "The blanks are, in order, {answers}.",
+  "page.quizDraw": "The interactive lesson draws {draw} of these {total} questions for each attempt.",
+  "page.position": "Position {number}",
+  "page.previous": "← Previous",
+  "page.next": "Next →",
+  "page.pathBack": "← Path",
+  "page.pathNext": "Path →",
+  "page.pathTitle": "{path} path — learn.web",
+  "page.pathOutcome": "By the end of this path",
+  "page.pathOverview": "Path overview ↗",
+  "page.englishOnly": "English",
+  "page.studioLessons.one": "{countWords} studio lesson",
+  "page.studioLessons.other": "{countWords} studio lessons",
+  "page.projectLessons.one": "{countWords} project-based lesson.",
+  "page.projectLessons.other": "{countWords} project-based lessons.",
+  "page.hubTitle": "All lessons — learn.web",
+  "page.hubKicker": "The full curriculum",
+  "page.hubHeading": "All lessons",
+  "page.hubName": "learn.web — all lessons",
+  "page.hubIntro": "{lessons} project-based lessons across {paths} paths. Each lesson stands alone, and every one ends in an artifact you can point to. Prefer the interactive version?",
+  "page.hubStudio": "Open the studio",
+  "page.summary": "{lessons} project-based lessons across {paths} paths: {titles}.",
+  "feed.title": "learn.web — updates",
+  "feed.subtitle": "A free, project-based field guide to the modern web. What changed, when, and why."
+};
@@ -0,0 +1,554 @@
+// locales/es.js — Spanish. Keys mirror locales/en.js; anything missing falls
+// back to English and shows up in the `npm run check` translation report.
+
+export const messages = {
+  // Site chrome (index.html)
+  "locale.label": "Idioma",
+  "nav.menu": "Menú",
+  "nav.primary": "Navegación principal",
+  "nav.paths": "Rutas",
+  "nav.now": "Novedades",
+  "nav.lab": "Laboratorio",
+  "nav.studio": "Mi estudio",
+  "header.search": "Buscar lecciones",
+  "header.progress": "Tu progreso",
+  "progress.eyebrow": "Tu progreso local",
+  "progress.lessonsComplete": "lecciones completadas",
+  "progress.local": "El progreso se queda en este dispositivo. No necesitas cuenta.",
+  "progress.reset": "Reiniciar progreso",
+  "progress.undo": "Deshacer reinicio",
+  "progress.export": "Exportar progreso",
+  "progress.import": "Importar progreso",
+  "progress.resetConfirm": "¿Reiniciar el progreso de todas las lecciones? Tus notas y artefactos se conservan. Puedes deshacerlo durante los próximos 10 segundos.",
+  "storage.unavailable": "Es posible que los cambios locales no se guarden en este dispositivo.",
+  "theme.toDark": "Cambiar al tema oscuro",
+  "theme.toLight": "Cambiar al tema claro",
+  "update.available": "Hay una nueva versión de learn.web disponible.",
+  "update.reload": "Recargar",
+  "update.dismiss": "Ahora no",
+
+  // Path dialog
+  "path.close": "Cerrar ruta",
+  "path.eyebrow": "Ruta de aprendizaje",
+  "path.progress": "Progreso",
+  "path.overline.one": "{count} lección de estudio · basada en proyectos",
+  "path.overline.other": "{count} lecciones de estudio · basadas en proyectos",
+  "module.completed": "{title}: completada",
+  "module.notCompleted": "{title}: sin completar",
+  "module.start": "Empezar lección →",
+  "module.review": "Repasar lección →",
+  "module.brief": "Abrir el encargo",
+  "module.make": "Crea — ",
+  "module.doneWhen": "Terminado cuando — ",
+  "module.buildsOn": "Se apoya en",
+  "module.prereqDone": "(completada)",
+  "module.recommended": "Siguiente",
+  "module.untranslated": "En inglés",
+  "next.eyebrow": "Qué hacer ahora",
+  "next.continue": "Continúa {path}.",
+  "next.start": "Empieza {path}.",
+  "next.done": "Completaste todas las lecciones.",
+
+  // Lesson dialog
+  "lesson.back": "Volver a la ruta de aprendizaje",
+  "lesson.pathOverview": "Resumen de la ruta",
+  "lesson.backToTrack": "Volver a tu itinerario",
+  "lesson.trackOverview": "Resumen del itinerario",
+  "lesson.close": "Cerrar lección",
+  "lesson.navigation": "Navegación de la lección",
+  "lesson.position": "Lección {number} de {total}",
+  "lesson.time": "Tiempo",
+  "lesson.mode": "Modo",
+  "lesson.modeValue": "Aprende → Crea → Comprueba",
+  "lesson.reviewed": "Revisada",
+  "lesson.notReviewed": "Aún no",
+  "lesson.progress": "Progreso",
+  "lesson.notStarted": "Sin empezar",
+  "lesson.inProgress": "En curso",
+  "lesson.complete": "Completada",
+  "lesson.untranslated": "Esta lección todavía no está traducida, así que aparece en inglés.",
+  "lesson.beforeYouBegin": "Antes de empezar",
+  "lesson.objectives": "Al terminar, podrás…",
+  "lesson.understand": "01 / Entiende",
+  "lesson.keepThis": "Quédate con esto",
+  "lesson.apply": "02 / Aplica",
+  "lesson.example": "Ejemplo práctico",
+  "lesson.sources": "Fuentes",
+  "lesson.sourceMeta": "{publisher} · consultado el {date}",
+  "lesson.copy": "Copiar",
+  "lesson.copied": "Copiado",
+  "lesson.copySelect": "Selecciona el código para copiarlo",
+  "lesson.make": "03 / Crea",
+  "lesson.studioTask": "Tu tarea de estudio",
+  "lesson.definitionOfDone": "Definición de terminado",
+  "lesson.preparingWorkspace": "Preparando tu espacio de trabajo…",
+  "lesson.notesLabel": "Notas de campo privadas",
+  "lesson.notesTitle": "¿Qué cambió en tu forma de pensar?",
+  "lesson.notesLocal": "Se guardan solo en este navegador.",
+  "lesson.notesField": "Notas de la lección",
+  "lesson.notesPlaceholder": "Anota una decisión, una pregunta, una sorpresa o un enlace a lo que hiciste…",
+  "lesson.check": "04 / Comprueba",
+  "lesson.knowledgeCheck": "Comprobación de conocimientos",
+  "lesson.checkAnswers": "Comprobar respuestas",
+  "lesson.finishLabel": "Terminar la lección",
+  "lesson.finishTitle": "Convierte lo que entiendes en progreso.",
+  "lesson.finishBody": "Entrega tu artefacto de estudio y supera la comprobación de conocimientos para terminar esta lección.",
+  "lesson.completeAction": "Completar lección",
+  "lesson.completed": "Lección completada",
+  "lesson.pagination": "Paginación de lecciones",
+  "lesson.previous": "Anterior",
+  "lesson.next": "Siguiente",
+  "notes.ready": "Listo",
+  "notes.saving": "Guardando…",
+  "notes.saved": "Guardado localmente",
+  "notes.failed": "No se pudo guardar: almacenamiento no disponible",
+  "quiz.correct": "Correcto — {explanation}",
+  "quiz.incorrect": "Todavía no. Repasa el principio de arriba y vuelve a intentarlo.",
+  "quiz.partial": "Todavía no: {right} de {total} bien. Repasa el principio de arriba y vuelve a intentarlo.",
+  "quiz.selectAll": "Marca todas las que correspondan.",
+  "quiz.orderHint": "Ordena los elementos con los botones de flecha o arrastrándolos.",
+  "quiz.moveUp": "Subir: {item}",
+  "quiz.moveDown": "Bajar: {item}",
+  "quiz.moved": "{item}, posición {position} de {total}",
+  "quiz.choose": "Elige…",
+  "quiz.blank": "Hueco {number} de {total}",
+
+  // Spaced review
+  "review.due.one": "pregunta pendiente de repaso",
+  "review.due.other": "preguntas pendientes de repaso",
+  "review.nextOn": "Próximo repaso: {date}.",
+  "review.none": "Completa una lección y sus preguntas volverán aquí para repasarlas.",
+  "review.start": "Empezar repaso",
+  "review.close": "Cerrar repaso",
+  "review.overline": "REPASO ESPACIADO",
+  "review.title": "Conserva lo que aprendiste",
+  "review.progress": "Pregunta {position} de {total} · {lesson}",
+  "review.check": "Comprobar respuesta",
+  "review.next": "Siguiente pregunta",
+  "review.finish": "Ver resultados",
+  "review.answerFirst": "Responde primero la pregunta.",
+  "review.correct": "Correcto — {explanation} Volverá el {date}.",
+  "review.incorrect": "Esta vez no. {explanation} Volverá el {date}.",
+  "review.done.one": "Repasaste {count} pregunta y acertaste {right}.",
+  "review.done.other": "Repasaste {count} preguntas y acertaste {right}.",
+
+  // Weak spots
+  "weak.title": "Puntos débiles",
+  "weak.intro": "Las preguntas que más fallas, según las respuestas que compruebas en lecciones y repasos. Tus respuestas se quedan en este dispositivo.",
+  "weak.empty": "Todavía no has fallado ninguna pregunta.",
+  "weak.questions": "Preguntas más falladas",
+  "weak.lessons": "Lecciones para repasar",
+  "weak.missed.one": "Fallada {count} vez en {total} intentos",
+  "weak.missed.other": "Fallada {count} veces en {total} intentos",
+  "weak.lessonMisses.one": "{count} respuesta fallada",
+  "weak.lessonMisses.other": "{count} respuestas falladas",
+  "weak.clear": "Borrar historial de respuestas",
+  "weak.clearConfirm": "¿Borrar todas las respuestas guardadas en este dispositivo? El informe de puntos débiles empezará de cero.",
+
+  // Mastery exam
+  "exam.heading": "Examen de dominio",
+  "exam.locked": "Completa todas las lecciones de esta ruta para desbloquear su examen de dominio.",
+  "exam.intro": "Preguntas de todas las lecciones de la ruta, elegidas de nuevo en cada intento. Acierta el {share}% para ganar la insignia de la ruta.",
+  "exam.passedOn": "Ruta dominada el {date} con {score} de {total} aciertos.",
+  "exam.start": "Hacer el examen de dominio",
+  "exam.retake": "Repetir el examen",
+  "exam.close": "Cerrar examen",
+  "exam.overline": "EXAMEN DE DOMINIO",
+  "exam.title": "Examen de dominio: {path}",
+  "exam.meta": "{total} preguntas · se aprueba con {pass} aciertos",
+  "exam.submit": "Entregar examen",
+  "exam.tryAgain": "Intentar de nuevo",
+  "exam.unanswered.one": "Queda {count} pregunta sin responder.",
+  "exam.unanswered.other": "Quedan {count} preguntas sin responder.",
+  "exam.passed": "Aprobado: {score} de {total} aciertos. La insignia de {path} es tuya.",
+  "exam.failed": "{score} de {total} aciertos; para aprobar hacen falta {pass}. Lee las explicaciones, repasa esas lecciones e inténtalo de nuevo.",
+  "exam.badge": "★ Dominada el {date}",
+
+  // Studio workspace
+  "workspace.codeEyebrow": "Laboratorio de implementación en vivo",
+  "workspace.codeTitle": "Constrúyelo y pruébalo aquí.",
+  "workspace.recordTitle": "Reúne aquí la evidencia.",
+  "workspace.run": "Ejecutar vista previa",
+  "workspace.stop": "Detener",
+  "workspace.stopLabel": "Detener la vista previa",
+  "workspace.autoOn": "Ejecución automática: sí",
+  "workspace.autoOff": "Ejecución automática: no",
+  "workspace.autoHint": "Si está activada, la vista previa se actualiza mientras escribes; si no, pulsa Ejecutar vista previa.",
+  "workspace.previewTitle": "Vista previa de la tarea de estudio",
+  "workspace.previewReset": "La vista previa dejó de responder, así que se reinició.",
+  "workspace.previewStopped": "Vista previa detenida.",
+  "workspace.editor": "Editor de {language}",
+  "workspace.files.add": "+ Archivo",
+  "workspace.files.name": "Archivo nuevo",
+  "workspace.files.create": "Crear",
+  "workspace.files.upload": "O sube una imagen",
+  "workspace.files.hint": "Las pestañas HTML, CSS y JS son index.html, style.css y app.js. Enlaza otros archivos por ruta relativa, como ./utils.js o data.json.",
+  "workspace.files.invalidName": "Pon al archivo un nombre con extensión, como utils.js, data/items.json o logo.png.",
+  "workspace.files.taken": "Ya hay un archivo llamado {name}.",
+  "workspace.files.limit": "Un espacio de trabajo admite hasta {count} archivos adicionales.",
+  "workspace.files.tooLarge": "Las imágenes pueden ocupar hasta {size} KB.",
+  "workspace.files.image": "Imagen · {size} KB",
+  "workspace.files.delete": "Eliminar {name}",
+  "workspace.files.deleteConfirm": "¿Eliminar {name}? No se puede deshacer.",
+  "workspace.recordPlaceholder": "Escribe evidencia concreta, una decisión y suficiente contexto para que otra persona pueda revisarlo…",
+  "workspace.checkHtml": "Hay una base HTML que funciona",
+  "workspace.checkChanged": "Hiciste un cambio significativo al código inicial",
+  "workspace.checkEnough": "El artefacto tiene suficiente implementación para revisarlo",
+  "workspace.checkEvidence": "{title} tiene evidencia específica",
+  "workspace.ready": "Listo para entregar",
+  "workspace.signals": "{complete} de {total} señales de calidad cumplidas",
+  "workspace.checks.stale": "Ejecuta la vista previa para probar tus últimos cambios.",
+  "workspace.checks.running": "Probando tu código…",
+  "workspace.checks.timeout": "Las comprobaciones no terminaron. Busca un bucle infinito y vuelve a ejecutar la vista previa.",
+  "workspace.submit": "Entregar artefacto de estudio",
+  "workspace.submitted": "Artefacto entregado ✓",
+  "workspace.submittedSaved": "Entregado · guardado en este dispositivo",
+  "workspace.submittedSession": "Entregado para esta sesión · almacenamiento no disponible",
+  "workspace.reset": "Reiniciar espacio de trabajo",
+  "workspace.resetConfirm": "¿Reiniciar este espacio de trabajo? Tu borrador actual se guarda en su historial de versiones.",
+  "workspace.export": "Exportar artefacto",
+  "workspace.hint": "¿Necesitas una pista?",
+  "export.studioTask": "Tarea de estudio",
+  "export.notAnswered": "Sin responder",
+
+  // Search
+  "search.title": "Buscar en el plan de estudios",
+  "search.close": "Cerrar búsqueda",
+  "search.typePath": "Ruta",
+  "search.typeArticle": "{path} · artículo",
+  "search.typeTerm": "Glosario",
+  "search.articleDetail": "Página estática de la lección — {detail}",
+  "search.count.one": "{count} resultado.",
+  "search.count.other": "{count} resultados.",
+  "search.noResults": "No hay resultados para «{query}».",
+  "search.empty": "No hay coincidencias exactas. Prueba con una idea más amplia o explora una ruta de aprendizaje.",
+
+  // Live lab
+  "capability.viewTransitions": "Transiciones de vista",
+  "capability.anchor": "Posición de anclaje",
+  "capability.highlights": "Resaltados CSS",
+  "capability.navigation": "API de navegación",
+  "capability.ready": "disponible",
+  "capability.fallback": "alternativa",
+  "editor.modeOn": "Tab: espacios (Esc para salir)",
+  "editor.modeOff": "Tab: navegar",
+  "editor.modeHint": "Activado, Tab inserta dos espacios y sangra las líneas seleccionadas; pulsa Escape para salir",
+  "lab.rendered": "Renderizado",
+  "lab.ready": "Listo",
+  "lab.stopped": "Detenido",
+  "preview.toolbar": "Ajustes de la vista previa",
+  "preview.width": "Ancho",
+  "preview.fit": "Ajustar",
+  "preview.custom": "Personalizado",
+  "preview.customWidth": "Ancho personalizado en píxeles",
+  "preview.zoom": "Zoom",
+  "preview.colorScheme": "Esquema de color",
+  "preview.system": "Sistema",
+  "preview.light": "Claro",
+  "preview.dark": "Oscuro",
+  "preview.motion": "Movimiento",
+  "preview.reduce": "Reducir",
+  "preview.noPreference": "Sin preferencia",
+  "preview.forcedColors": "Colores forzados",
+  "preview.compare": "Comparar anchos",
+  "preview.compareFrame": "Resultado del código a {width}px",
+  "preview.viewport": "La página ve {width} px CSS",
+  "console.title": "Consola",
+  "console.output": "Salida de la consola",
+  "console.filter": "Mostrar mensajes",
+  "console.show.all": "Todo",
+  "console.show.log": "Registros",
+  "console.show.warn": "Avisos",
+  "console.show.error": "Errores",
+  "console.clear": "Borrar",
+  "console.empty": "Aún no hay nada registrado. Aquí aparece lo que escribas con console.log().",
+  "console.truncated": "Demasiados mensajes; el resto solo está en la consola de desarrollo del navegador.",
+  "console.level.log": "log",
+  "console.level.info": "info",
+  "console.level.warn": "aviso",
+  "console.level.error": "error",
+  "audit.title": "Accesibilidad",
+  "audit.run": "Revisar accesibilidad",
+  "audit.idle": "Revisa la vista previa en busca de imágenes sin alt, controles sin etiqueta, enlaces vacíos, orden de encabezados, IDs duplicados, contraste y lang.",
+  "audit.running": "Revisando la vista previa…",
+  "audit.notReady": "Ejecuta primero la vista previa y luego revísala.",
+  "audit.noAnswer": "La vista previa no respondió. Vuelve a ejecutarla e inténtalo de nuevo.",
+  "audit.count.one": "{count} problema. Selecciónalo para resaltar su elemento en la vista previa.",
+  "audit.count.other": "{count} problemas. Selecciona uno para resaltar su elemento en la vista previa.",
+  "audit.clean": "Las reglas automáticas no encontraron problemas. Prueba también con teclado, zoom y un lector de pantalla.",
+  "audit.report": "Revisión de accesibilidad, {date}",
+  "audit.rule.alt": "Imagen sin texto alternativo",
+  "audit.rule.label": "Botón o control de formulario sin etiqueta",
+  "audit.rule.link": "Enlace sin texto",
+  "audit.rule.heading": "El nivel de encabezado salta de h{from} a h{to}",
+  "audit.rule.duplicateId": "El ID “{id}” se usa más de una vez",
+  "audit.rule.contrast": "El contraste del texto, {ratio}:1, es menor que {required}:1",
+  "audit.rule.langMissing": "La página no tiene atributo lang",
+  "audit.rule.langInvalid": "lang=“{value}” no es una etiqueta de idioma válida",
+  "history.summary.one": "Historial de versiones · {count} punto de control",
+  "history.summary.other": "Historial de versiones · {count} puntos de control",
+  "history.name": "Nombre del punto de control",
+  "history.namePlaceholder": "Antes de rehacer el diseño",
+  "history.nameMissing": "Primero ponle nombre al punto de control.",
+  "history.save": "Guardar punto de control",
+  "history.saved": "Punto de control «{name}» guardado.",
+  "history.retention": "Los puntos de control se guardan solos cada pocos minutos de edición y antes de reiniciar o restaurar. Cada lección conserva sus últimos {auto} automáticos y {named} con nombre.",
+  "history.empty": "Aún no hay puntos de control.",
+  "history.kind.auto": "Punto de control automático",
+  "history.kind.beforeRestore": "Antes de restaurar",
+  "history.kind.beforeReset": "Antes de reiniciar",
+  "history.preview": "Ver",
+  "history.compare": "Comparar",
+  "history.restore": "Restaurar",
+  "history.close": "Cerrar",
+  "history.previewTitle": "Punto de control del {date}",
+  "history.compareTitle": "Del punto de control del {date} a tu borrador actual",
+  "history.emptyPart": "Vacío.",
+  "history.restoreConfirm": "¿Restaurar el punto de control del {date}? Antes se guarda tu borrador actual como punto de control.",
+  "history.restored": "Se restauró el punto de control del {date}.",
+  "diff.noChanges": "Sin cambios.",
+  "diff.skipped.one": "{count} línea sin cambios",
+  "diff.skipped.other": "{count} líneas sin cambios",
+  "changes.title": "Cambios respecto al código inicial",
+  "changes.hint": "Líneas que agregaste o quitaste en index.html, style.css y app.js, comparadas con el código inicial de la lección.",
+  "changes.layout": "Formato de las diferencias",
+  "changes.unified": "Unificado",
+  "changes.split": "Lado a lado",
+  "changes.stat": "+{added} −{removed}",
+  "changes.export": "Incluir los cambios respecto al código inicial",
+  "changes.report": "Cambios respecto al código inicial de la lección (diff unificado)",
+  "changes.none": "Sin cambios respecto al código inicial.",
+
+  // Placement, studio, backups, certificate
+  "placement.answerAll": "Responde las {count} preguntas para recibir una recomendación.",
+  "placement.startWith": "Empieza por {path}.",
+  "placement.open": "Abrir esta ruta ↗",
+  "studio.open": "Abrir",
+  "studio.export": "Exportar",
+  "studio.share": "Copiar texto para compartir",
+  "studio.copied": "Copiado",
+  "studio.copyFailed": "No se pudo copiar",
+  "studio.empty": "Todavía no has entregado artefactos en esta ruta.",
+  "studio.shareText": "Terminé «{title}» en learn.web, una guía de campo gratuita y basada en proyectos sobre la web moderna. Pruébala: {url}",
+  "backup.restored": "Copia de seguridad restaurada ✓",
+  "backup.restoredSession": "Copia restaurada para esta sesión; el almacenamiento no está disponible.",
+  "backup.invalid": "Ese archivo no parece una copia de seguridad de learn.web.",
+  "tracks.title": "Tus itinerarios",
+  "tracks.intro": "Ordena lecciones de cualquier ruta como las necesites: un plan de incorporación, una lista de lectura para un equipo. El progreso se comparte con las rutas.",
+  "tracks.name": "Nombre del itinerario",
+  "tracks.lessons": "ID de lecciones (opcional)",
+  "tracks.create": "Crear itinerario",
+  "tracks.created": "Se creó «{name}».",
+  "tracks.unknown.one": "Ninguna lección tiene el ID {ids}.",
+  "tracks.unknown.other": "Ninguna lección tiene los ID {ids}.",
+  "tracks.limit": "Puedes guardar hasta 50 itinerarios.",
+  "tracks.empty": "Aún no tienes itinerarios.",
+  "tracks.noLessons": "Aún no hay lecciones; añade una abajo.",
+  "tracks.progress": "{complete} de {total} completadas",
+  "tracks.start": "Empezar itinerario",
+  "tracks.continue": "Continuar itinerario",
+  "tracks.review": "Repasar itinerario",
+  "tracks.delete": "Eliminar itinerario",
+  "tracks.deleteConfirm": "¿Eliminar el itinerario «{name}»? Tu progreso en las lecciones se conserva.",
+  "tracks.add": "Añadir lección",
+  "tracks.addLabel": "Lección para añadir a {name}",
+  "tracks.duplicate": "Esa lección ya está en este itinerario.",
+  "tracks.moveUp": "Subir {title}",
+  "tracks.moveDown": "Bajar {title}",
+  "tracks.remove": "Quitar {title} del itinerario",
+  "packs.title": "Paquetes de currículo",
+  "packs.intro": "Añade una ruta escrita por tu equipo desde un archivo de paquete (JSON). Se comprueba con las mismas reglas que las rutas incluidas y se queda en este dispositivo.",
+  "packs.import": "Importar paquete",
+  "packs.empty": "No hay paquetes instalados.",
+  "packs.notJson": "Ese archivo no es JSON válido.",
+  "packs.invalid.one": "No se añadió el paquete: 1 problema.",
+  "packs.invalid.other": "No se añadió el paquete: {count} problemas.",
+  "packs.moreErrors.one": "…y 1 más.",
+  "packs.moreErrors.other": "…y {count} más.",
+  "packs.replaceConfirm": "¿Reemplazar el paquete «{title}» instalado? Se elimina el progreso de las lecciones que ya no incluya.",
+  "packs.imported.one": "Se añadió «{title}» (1 lección).",
+  "packs.imported.other": "Se añadió «{title}» ({count} lecciones).",
+  "packs.importedSession.one": "Se añadió «{title}» (1 lección) solo para esta sesión; el almacenamiento no está disponible.",
+  "packs.importedSession.other": "Se añadió «{title}» ({count} lecciones) solo para esta sesión; el almacenamiento no está disponible.",
+  "packs.removeConfirm": "¿Quitar el paquete «{title}»? El progreso, las notas y el trabajo de sus lecciones se eliminan de este dispositivo.",
+  "packs.remove": "Quitar",
+  "packs.removeLabel": "Quitar el paquete {title}",
+  "packs.open": "Abrir ruta",
+  "packs.meta.one": "{pathId} · 1 lección",
+  "packs.meta.other": "{pathId} · {count} lecciones",
+  "packs.lessons.one": "1 lección",
+  "packs.lessons.other": "{count} lecciones",
+  "packs.progress": "{complete}/{total} completadas",
+  "packs.badge": "Paquete local",
+  "packs.explore": "Explorar ruta",
+  "certificate.namePlaceholder": "Tu nombre",
+  "certificate.noDate": "Fecha de finalización no disponible",
+  "certificate.mastery": "Exámenes de dominio aprobados: {paths}.",
+
+  // Static pages (generate.mjs)
+  "page.skip": "Saltar al contenido",
+  "page.backToCurriculum": "Volver al plan de estudios ↗",
+  "page.breadcrumb": "Ruta de navegación",
+  "page.lessons": "Lecciones",
+  "page.footerBy": "Por {author} · Contenido © 2026 ·",
+  "page.home": "Inicio",
+  "page.allLessons": "Todas las lecciones",
+  "page.glossary": "Glosario (en inglés)",
+  "page.about": "Acerca de y privacidad",
+  "page.feed": "Feed de novedades",
+  "page.feedTitle": "Novedades de learn.web",
+  "page.languages": "Esta página en otros idiomas",
+  "page.lessonTitle": "{title} — learn.web",
+  "page.lessonDescription": "{detail} Una lección gratuita y basada en proyectos de la ruta {path}.",
+  "page.provenance": "Por {author} · verificada por última vez el {reviewed} · actualizada el {changed} ·",
+  "page.provenanceUnreviewed": "Por {author} · aún sin verificar · actualizada el {changed} ·",
+  "page.aboutGuide": "sobre esta guía",
+  "page.path": "Ruta",
+  "page.openInteractive": "Abrir la lección interactiva con su espacio de trabajo ↗",
+  "page.revealAnswer": "Mostrar respuesta",
+  "page.correctAnswer": "La respuesta correcta es la {letter}.",
+  "page.selectAll": "Marca todas las que correspondan.",
+  "page.correctAnswers": "Las respuestas correctas son {letters}.",
+  "page.correctOrder": "El orden correcto es {letters}.",
+  "page.correctMatches": "Las parejas son {matches}.",
+  "page.correctBlanks": "Los huecos son, en orden, {answers}.",
+  "page.quizDraw": "La lección interactiva elige {draw} de estas {total} preguntas en cada intento.",
+  "page.position": "Posición {number}",
+  "page.previous": "← Anterior",
+  "page.next": "Siguiente →",
+  "page.pathBack": "← Ruta",
+  "page.pathNext": "Ruta →",
+  "page.pathTitle": "Ruta {path} — learn.web",
+  "page.pathOutcome": "Al terminar esta ruta",
+  "page.pathOverview": "Resumen de la ruta ↗",
+  "page.englishOnly": "En inglés",
+  "page.studioLessons.one": "{countWords} lección de estudio",
+  "page.studioLessons.other": "{countWords} lecciones de estudio",
+  "page.projectLessons.one": "{countWords} lección basada en proyectos.",
+  "page.projectLessons.other": "{countWords} lecciones basadas en proyectos.",
+  "page.hubTitle": "Todas las lecciones — learn.web",
+  "page.hubKicker": "El plan de estudios completo",
+  "page.hubHeading": "Todas las lecciones",
+  "page.hubName": "learn.web — todas las lecciones",
+  "page.hubIntro": "{lessons} lecciones basadas en proyectos en {paths} rutas. Cada lección se sostiene por sí sola y todas terminan en un artefacto que puedes mostrar. ¿Prefieres la versión interactiva?",
+  "page.hubStudio": "Abrir el estudio",
+  "page.summary": "{lessons} lecciones basadas en proyectos en {paths} rutas: {titles}.",
+  "feed.title": "learn.web — novedades",
+  "feed.subtitle": "Una guía de campo gratuita y basada en proyectos sobre la web moderna. Qué cambió, cuándo y por qué."
+};
+
+export const paths = {
+  foundations: {
+    title: "Fundamentos de la web",
+    label: "Primeros pasos en la web",
+    description: "El punto de partida honesto: cómo funciona la web, cómo usar el navegador como estudio, y el HTML, CSS y JavaScript que necesitas para construir tu primera página real.",
+    outcome: "Construye y publica una página personal que funcione para una persona real, usando solo las herramientas de la propia plataforma."
+  },
+  platform: {
+    title: "La plataforma web moderna",
+    description: "El núcleo duradero: marcado semántico, estilos resilientes, mejora progresiva, APIs del navegador, rendimiento y publicación.",
+    outcome: "Publica una interfaz rápida y accesible que use primero la plataforma y siga siendo útil cuando las capacidades más nuevas no estén disponibles."
+  },
+  ux: {
+    title: "UX y diseño de producto",
+    label: "Investigación / Estructura / Validación",
+    description: "Una ruta práctica de diseño de producto basada en evidencia, información clara, interacción honesta y validación en el mundo real.",
+    outcome: "Convierte un problema ambiguo en un flujo de producto que se pueda probar y mejóralo con evidencia en lugar de opiniones."
+  },
+  accessibility: {
+    title: "Accesibilidad",
+    label: "WCAG 2.2 / Diseño inclusivo",
+    description: "La accesibilidad como práctica de diseño e ingeniería, no como una lista de comprobación añadida después del lanzamiento.",
+    outcome: "Audita y repara una interfaz real con comprobaciones automáticas, uso con teclado, pruebas con lector de pantalla, zoom y evaluación humana."
+  },
+  search: {
+    title: "Búsqueda y descubrimiento con IA",
+    label: "SEO / GEO / Calidad de la información",
+    description: "Crea información que se pueda descubrir técnicamente, que sea genuinamente original, fácil de verificar y que merezca ser recomendada.",
+    outcome: "Publica una guía rica en evidencia con una arquitectura de información sólida, bases técnicas, datos estructurados y un plan de medición."
+  },
+  ai: {
+    title: "Ingeniería de productos con IA",
+    label: "Contexto / Herramientas / Evaluaciones / Seguridad",
+    description: "Diseña funciones de IA como sistemas probabilísticos con un valor explícito, un comportamiento observable y un control humano significativo.",
+    outcome: "Crea un prototipo de un flujo de trabajo asistido por IA y evalúalo, con respuestas en streaming, contexto fundamentado, límites para las herramientas y un modo de fallo seguro."
+  }
+};
+
+// Keyed by the version that opens each changelog title in curriculum.js.
+export const changelog = {
+  "v3.0.1": {
+    title: "v3.0.1 — Fiabilidad y avisos de privacidad",
+    body: "Los controles duplicados ahora funcionan en todas sus ubicaciones, las notas de las lecciones se guardan de forma segura, quienes usan el teclado pueden salir del editor de código, se bloquean los modales en la vista previa, las vistas previas descontroladas se pueden detener o reiniciar, y el diálogo Acerca de y privacidad explica GA4, Google Fonts, los datos locales del estudiante, las licencias y las correcciones."
+  },
+  "v3.0": {
+    title: "v3.0 — Lecciones indexables, una rampa de entrada para principiantes y Mi estudio",
+    body: "Cada lección tiene ahora su propia URL, que puedes compartir y que los buscadores pueden indexar. Fundamentos de la web se suma al plan de estudios (treinta y seis lecciones en seis rutas), las comprobaciones de conocimientos pasan a tener dos preguntas, los espacios de código ganan pistas, y Mi estudio guarda tus artefactos, tus copias de seguridad y un certificado imprimible."
+  },
+  "v2.0": {
+    title: "v2.0 — El plan de estudios de julio de 2026",
+    body: "Se añadió la ruta de la plataforma web moderna junto a UX, accesibilidad, búsqueda y descubrimiento con IA, e ingeniería de productos con IA. Las treinta lecciones se replantearon en torno a un artefacto y una definición de terminado, y se añadieron el laboratorio en vivo, la búsqueda tipo paleta de comandos, la detección de capacidades y el progreso local."
+  },
+  "v1.0": {
+    title: "v1.0 — Lanzamiento",
+    body: "La guía de campo se lanzó como una ruta gratuita y basada en proyectos por la web moderna: accesible, consciente de la búsqueda, guiada por la evidencia y honesta sobre lo que cambia."
+  }
+};
+
+// Labels of the code lessons' checks, keyed by lesson ID, in the order of each
+// suite in codeStarters (curriculum.js).
+export const checks = {
+  "foundations-3": [
+    "Un <header> presenta la página",
+    "Los enlaces a tus secciones están en un <nav> con nombre accesible",
+    "Un <footer> cierra la página",
+    "Cada imagen tiene texto alternativo",
+    "Cada enlace tiene un href real"
+  ],
+  "foundations-4": [
+    "Un diseño flex o grid organiza el contenido",
+    "La longitud de las líneas está limitada para leer bien",
+    "Una media query adapta el diseño"
+  ],
+  "foundations-5": [
+    "Al hacer clic en el botón se actualiza la salida",
+    "La salida se anuncia cuando cambia",
+    "El comportamiento vive en el script, no en atributos onclick"
+  ],
+  "foundations-6": [
+    "Al enviar el formulario se saluda a la persona por su nombre",
+    "Cada campo del formulario tiene una etiqueta",
+    "La página tiene un encabezado"
+  ],
+  "platform-1": [
+    "El menú se abre con popover o con details y summary",
+    "Abrir el menú no necesita un script propio",
+    "La navegación del menú tiene un nombre accesible",
+    "Ningún div ni span se disfraza de botón con ARIA"
+  ],
+  "platform-2": [
+    "El carril es un contenedor de tamaño",
+    "Una regla @container adapta las tarjetas",
+    "El grupo de tarjetas tiene un nombre accesible"
+  ],
+  "platform-3": [
+    "El anclaje va dentro de @supports",
+    "La aparición respeta el movimiento reducido",
+    "El aviso es un popover que se abre desde su activador"
+  ],
+  "platform-4": [
+    "El filtro es un formulario real con action",
+    "Al enviar el filtro se acota la lista",
+    "Cada proyecto es un enlace real"
+  ],
+  "platform-5": [
+    "El clic da respuesta sin una tarea larga (menos de 50 ms)",
+    "El resultado se anuncia cuando cambia"
+  ],
+  "platform-6": [
+    "Guardar una observación la añade a la lista",
+    "Cada campo del formulario tiene una etiqueta",
+    "El guardado se anuncia",
+    "El movimiento se reduce cuando se pide"
+  ]
+};
@@ -0,0 +1,554 @@
+// locales/pt.js — Portuguese (Brazil). Keys mirror locales/en.js; anything
+// missing falls back to English and shows up in the `npm run check` report.
+
+export const messages = {
+  // Site chrome (index.html)
+  "locale.label": "Idioma",
+  "nav.menu": "Menu",
+  "nav.primary": "Navegação principal",
+  "nav.paths": "Trilhas",
+  "nav.now": "Novidades",
+  "nav.lab": "Laboratório",
+  "nav.studio": "Meu estúdio",
+  "header.search": "Buscar lições",
+  "header.progress": "Seu progresso",
+  "progress.eyebrow": "Seu progresso local",
+  "progress.lessonsComplete": "lições concluídas",
+  "progress.local": "O progresso fica neste dispositivo. Não precisa de conta.",
+  "progress.reset": "Reiniciar progresso",
+  "progress.undo": "Desfazer reinício",
+  "progress.export": "Exportar progresso",
+  "progress.import": "Importar progresso",
+  "progress.resetConfirm": "Reiniciar o progresso de todas as lições? Suas notas e artefatos continuam salvos. Você pode desfazer isso nos próximos 10 segundos.",
+  "storage.unavailable": "As alterações locais podem não ser salvas neste dispositivo.",
+  "theme.toDark": "Mudar para o tema escuro",
+  "theme.toLight": "Mudar para o tema claro",
+  "update.available": "Uma nova versão do learn.web está disponível.",
+  "update.reload": "Recarregar",
+  "update.dismiss": "Agora não",
+
+  // Path dialog
+  "path.close": "Fechar trilha",
+  "path.eyebrow": "Trilha de aprendizagem",
+  "path.progress": "Progresso",
+  "path.overline.one": "{count} lição de estúdio · baseada em projetos",
+  "path.overline.other": "{count} lições de estúdio · baseadas em projetos",
+  "module.completed": "{title}: concluída",
+  "module.notCompleted": "{title}: não concluída",
+  "module.start": "Começar lição →",
+  "module.review": "Revisar lição →",
+  "module.brief": "Abrir o briefing",
+  "module.make": "Crie — ",
+  "module.doneWhen": "Pronto quando — ",
+  "module.buildsOn": "Parte de",
+  "module.prereqDone": "(concluída)",
+  "module.recommended": "Próxima",
+  "module.untranslated": "Em inglês",
+  "next.eyebrow": "O que fazer agora",
+  "next.continue": "Continua {path}.",
+  "next.start": "Começa {path}.",
+  "next.done": "Você concluiu todas as lições.",
+
+  // Lesson dialog
+  "lesson.back": "Voltar para a trilha de aprendizagem",
+  "lesson.pathOverview": "Visão geral da trilha",
+  "lesson.backToTrack": "Voltar para o seu roteiro",
+  "lesson.trackOverview": "Visão geral do roteiro",
+  "lesson.close": "Fechar lição",
+  "lesson.navigation": "Navegação da lição",
+  "lesson.position": "Lição {number} de {total}",
+  "lesson.time": "Tempo",
+  "lesson.mode": "Modo",
+  "lesson.modeValue": "Aprenda → Crie → Confira",
+  "lesson.reviewed": "Revisada",
+  "lesson.notReviewed": "Ainda não",
+  "lesson.progress": "Progresso",
+  "lesson.notStarted": "Não iniciada",
+  "lesson.inProgress": "Em andamento",
+  "lesson.complete": "Concluída",
+  "lesson.untranslated": "Esta lição ainda não foi traduzida, então aparece em inglês.",
+  "lesson.beforeYouBegin": "Antes de começar",
+  "lesson.objectives": "Ao final, você será capaz de…",
+  "lesson.understand": "01 / Entenda",
+  "lesson.keepThis": "Guarde isto",
+  "lesson.apply": "02 / Aplique",
+  "lesson.example": "Exemplo prático",
+  "lesson.sources": "Fontes",
+  "lesson.sourceMeta": "{publisher} · acessado em {date}",
+  "lesson.copy": "Copiar",
+  "lesson.copied": "Copiado",
+  "lesson.copySelect": "Selecione o código para copiar",
+  "lesson.make": "03 / Crie",
+  "lesson.studioTask": "Sua tarefa de estúdio",
+  "lesson.definitionOfDone": "Definição de pronto",
+  "lesson.preparingWorkspace": "Preparando seu espaço de trabalho…",
+  "lesson.notesLabel": "Notas de campo privadas",
+  "lesson.notesTitle": "O que mudou no seu jeito de pensar?",
+  "lesson.notesLocal": "Salvas apenas neste navegador.",
+  "lesson.notesField": "Notas da lição",
+  "lesson.notesPlaceholder": "Registre uma decisão, uma pergunta, uma surpresa ou um link para o que você fez…",
+  "lesson.check": "04 / Confira",
+  "lesson.knowledgeCheck": "Verificação de conhecimento",
+  "lesson.checkAnswers": "Verificar respostas",
+  "lesson.finishLabel": "Concluir a lição",
+  "lesson.finishTitle": "Transforme entendimento em progresso.",
+  "lesson.finishBody": "Envie seu artefato de estúdio e passe na verificação de conhecimento para concluir esta lição.",
+  "lesson.completeAction": "Concluir lição",
+  "lesson.completed": "Lição concluída",
+  "lesson.pagination": "Paginação das lições",
+  "lesson.previous": "Anterior",
+  "lesson.next": "Próxima",
+  "notes.ready": "Pronto",
+  "notes.saving": "Salvando…",
+  "notes.saved": "Salvo localmente",
+  "notes.failed": "Falha ao salvar: armazenamento indisponível",
+  "quiz.correct": "Correto — {explanation}",
+  "quiz.incorrect": "Ainda não. Revise o princípio acima e tente de novo.",
+  "quiz.partial": "Ainda não: {right} de {total} certos. Revise o princípio acima e tente de novo.",
+  "quiz.selectAll": "Marque todas as que se aplicam.",
+  "quiz.orderHint": "Coloque os itens em ordem com os botões de seta ou arrastando-os.",
+  "quiz.moveUp": "Subir: {item}",
+  "quiz.moveDown": "Descer: {item}",
+  "quiz.moved": "{item}, posição {position} de {total}",
+  "quiz.choose": "Escolha…",
+  "quiz.blank": "Lacuna {number} de {total}",
+
+  // Spaced review
+  "review.due.one": "pergunta para revisar",
+  "review.due.other": "perguntas para revisar",
+  "review.nextOn": "Próxima revisão: {date}.",
+  "review.none": "Conclua uma lição e as perguntas dela voltam aqui para revisão.",
+  "review.start": "Começar revisão",
+  "review.close": "Fechar revisão",
+  "review.overline": "REVISÃO ESPAÇADA",
+  "review.title": "Guarde o que você aprendeu",
+  "review.progress": "Pergunta {position} de {total} · {lesson}",
+  "review.check": "Verificar resposta",
+  "review.next": "Próxima pergunta",
+  "review.finish": "Ver resultados",
+  "review.answerFirst": "Responda a pergunta primeiro.",
+  "review.correct": "Correto — {explanation} Ela volta em {date}.",
+  "review.incorrect": "Desta vez não. {explanation} Ela volta em {date}.",
+  "review.done.one": "Você revisou {count} pergunta e acertou {right}.",
+  "review.done.other": "Você revisou {count} perguntas e acertou {right}.",
+
+  // Weak spots
+  "weak.title": "Pontos fracos",
+  "weak.intro": "As perguntas que você mais erra, a partir das respostas que verifica nas lições e revisões. Suas respostas ficam neste dispositivo.",
+  "weak.empty": "Nenhuma pergunta errada ainda.",
+  "weak.questions": "Perguntas mais erradas",
+  "weak.lessons": "Lições para revisitar",
+  "weak.missed.one": "Errada {count} vez em {total} tentativas",
+  "weak.missed.other": "Errada {count} vezes em {total} tentativas",
+  "weak.lessonMisses.one": "{count} resposta errada",
+  "weak.lessonMisses.other": "{count} respostas erradas",
+  "weak.clear": "Limpar histórico de respostas",
+  "weak.clearConfirm": "Limpar todas as respostas salvas neste dispositivo? O relatório de pontos fracos recomeça do zero.",
+
+  // Mastery exam
+  "exam.heading": "Exame de domínio",
+  "exam.locked": "Conclua todas as lições desta trilha para desbloquear o exame de domínio.",
+  "exam.intro": "Perguntas de todas as lições da trilha, sorteadas de novo a cada tentativa. Acerte {share}% para ganhar o selo da trilha.",
+  "exam.passedOn": "Trilha dominada em {date} com {score} de {total} acertos.",
+  "exam.start": "Fazer o exame de domínio",
+  "exam.retake": "Refazer o exame",
+  "exam.close": "Fechar exame",
+  "exam.overline": "EXAME DE DOMÍNIO",
+  "exam.title": "Exame de domínio: {path}",
+  "exam.meta": "{total} perguntas · aprovação com {pass} acertos",
+  "exam.submit": "Enviar exame",
+  "exam.tryAgain": "Tentar de novo",
+  "exam.unanswered.one": "Falta responder {count} pergunta.",
+  "exam.unanswered.other": "Faltam responder {count} perguntas.",
+  "exam.passed": "Aprovado: {score} de {total} acertos. O selo de {path} é seu.",
+  "exam.failed": "{score} de {total} acertos; a aprovação exige {pass}. Leia as explicações, revise essas lições e tente de novo.",
+  "exam.badge": "★ Dominada em {date}",
+
+  // Studio workspace
+  "workspace.codeEyebrow": "Laboratório de implementação ao vivo",
+  "workspace.codeTitle": "Construa e teste aqui.",
+  "workspace.recordTitle": "Reúna as evidências aqui.",
+  "workspace.run": "Executar prévia",
+  "workspace.stop": "Parar",
+  "workspace.stopLabel": "Parar a prévia",
+  "workspace.autoOn": "Execução automática: ligada",
+  "workspace.autoOff": "Execução automática: desligada",
+  "workspace.autoHint": "Quando ligada, a prévia é atualizada enquanto você digita; quando desligada, clique em Executar prévia.",
+  "workspace.previewTitle": "Prévia da tarefa de estúdio",
+  "workspace.previewReset": "A prévia parou de responder, então foi reiniciada.",
+  "workspace.previewStopped": "Prévia parada.",
+  "workspace.editor": "Editor de {language}",
+  "workspace.files.add": "+ Arquivo",
+  "workspace.files.name": "Novo arquivo",
+  "workspace.files.create": "Criar",
+  "workspace.files.upload": "Ou envie uma imagem",
+  "workspace.files.hint": "As abas HTML, CSS e JS são index.html, style.css e app.js. Referencie outros arquivos por caminho relativo, como ./utils.js ou data.json.",
+  "workspace.files.invalidName": "Dê ao arquivo um nome com extensão, como utils.js, data/items.json ou logo.png.",
+  "workspace.files.taken": "Já existe um arquivo chamado {name}.",
+  "workspace.files.limit": "Um espaço de trabalho comporta até {count} arquivos extras.",
+  "workspace.files.tooLarge": "Imagens podem ter até {size} KB.",
+  "workspace.files.image": "Imagem · {size} KB",
+  "workspace.files.delete": "Excluir {name}",
+  "workspace.files.deleteConfirm": "Excluir {name}? Não dá para desfazer.",
+  "workspace.recordPlaceholder": "Escreva evidências concretas, uma decisão e contexto suficiente para que outra pessoa possa revisar…",
+  "workspace.checkHtml": "Existe uma base HTML funcionando",
+  "workspace.checkChanged": "Você fez uma mudança significativa no código inicial",
+  "workspace.checkEnough": "O artefato tem implementação suficiente para ser revisado",
+  "workspace.checkEvidence": "{title} tem evidências específicas",
+  "workspace.ready": "Pronto para enviar",
+  "workspace.signals": "{complete} de {total} sinais de qualidade atendidos",
+  "workspace.checks.stale": "Execute a prévia para testar suas últimas mudanças.",
+  "workspace.checks.running": "Testando seu código…",
+  "workspace.checks.timeout": "As verificações não terminaram. Procure um loop infinito e execute a prévia de novo.",
+  "workspace.submit": "Enviar artefato de estúdio",
+  "workspace.submitted": "Artefato enviado ✓",
+  "workspace.submittedSaved": "Enviado · salvo neste dispositivo",
+  "workspace.submittedSession": "Enviado nesta sessão · armazenamento indisponível",
+  "workspace.reset": "Reiniciar espaço de trabalho",
+  "workspace.resetConfirm": "Reiniciar este espaço de trabalho? O rascunho atual fica guardado no histórico de versões.",
+  "workspace.export": "Exportar artefato",
+  "workspace.hint": "Precisa de uma dica?",
+  "export.studioTask": "Tarefa de estúdio",
+  "export.notAnswered": "Sem resposta",
+
+  // Search
+  "search.title": "Buscar no currículo",
+  "search.close": "Fechar busca",
+  "search.typePath": "Trilha",
+  "search.typeArticle": "{path} · artigo",
+  "search.typeTerm": "Glossário",
+  "search.articleDetail": "Página estática da lição — {detail}",
+  "search.count.one": "{count} resultado.",
+  "search.count.other": "{count} resultados.",
+  "search.noResults": "Nenhum resultado para “{query}”.",
+  "search.empty": "Nenhuma correspondência exata. Tente uma ideia mais ampla ou explore uma trilha de aprendizagem.",
+
+  // Live lab
+  "capability.viewTransitions": "Transições de visualização",
+  "capability.anchor": "Posicionamento por âncora",
+  "capability.highlights": "Destaques CSS",
+  "capability.navigation": "API de navegação",
+  "capability.ready": "disponível",
+  "capability.fallback": "alternativa",
+  "editor.modeOn": "Tab: espaços (Esc para sair)",
+  "editor.modeOff": "Tab: navegar",
+  "editor.modeHint": "Ativado, Tab insere dois espaços e recua as linhas selecionadas; pressione Esc para sair",
+  "lab.rendered": "Renderizado",
+  "lab.ready": "Pronto",
+  "lab.stopped": "Parado",
+  "preview.toolbar": "Ajustes da prévia",
+  "preview.width": "Largura",
+  "preview.fit": "Ajustar",
+  "preview.custom": "Personalizada",
+  "preview.customWidth": "Largura personalizada em pixels",
+  "preview.zoom": "Zoom",
+  "preview.colorScheme": "Esquema de cores",
+  "preview.system": "Sistema",
+  "preview.light": "Claro",
+  "preview.dark": "Escuro",
+  "preview.motion": "Movimento",
+  "preview.reduce": "Reduzir",
+  "preview.noPreference": "Sem preferência",
+  "preview.forcedColors": "Cores forçadas",
+  "preview.compare": "Comparar larguras",
+  "preview.compareFrame": "Resultado do código a {width}px",
+  "preview.viewport": "A página vê {width} px CSS",
+  "console.title": "Console",
+  "console.output": "Saída do console",
+  "console.filter": "Mostrar mensagens",
+  "console.show.all": "Tudo",
+  "console.show.log": "Registros",
+  "console.show.warn": "Avisos",
+  "console.show.error": "Erros",
+  "console.clear": "Limpar",
+  "console.empty": "Nada registrado ainda. O que você escrever com console.log() aparece aqui.",
+  "console.truncated": "Mensagens demais; o restante só está no console de desenvolvedor do navegador.",
+  "console.level.log": "log",
+  "console.level.info": "info",
+  "console.level.warn": "aviso",
+  "console.level.error": "erro",
+  "audit.title": "Acessibilidade",
+  "audit.run": "Verificar acessibilidade",
+  "audit.idle": "Verifica a prévia em busca de imagens sem alt, controles sem rótulo, links vazios, ordem dos títulos, IDs duplicados, contraste e lang.",
+  "audit.running": "Verificando a prévia…",
+  "audit.notReady": "Execute a prévia primeiro e depois verifique.",
+  "audit.noAnswer": "A prévia não respondeu. Execute de novo e tente outra vez.",
+  "audit.count.one": "{count} problema. Selecione-o para destacar o elemento na prévia.",
+  "audit.count.other": "{count} problemas. Selecione um para destacar o elemento na prévia.",
+  "audit.clean": "As regras automáticas não encontraram problemas. Teste também com teclado, zoom e um leitor de tela.",
+  "audit.report": "Verificação de acessibilidade, {date}",
+  "audit.rule.alt": "Imagem sem texto alternativo",
+  "audit.rule.label": "Botão ou controle de formulário sem rótulo",
+  "audit.rule.link": "Link sem texto",
+  "audit.rule.heading": "O nível de título pula de h{from} para h{to}",
+  "audit.rule.duplicateId": "O ID “{id}” é usado mais de uma vez",
+  "audit.rule.contrast": "O contraste do texto, {ratio}:1, é menor que {required}:1",
+  "audit.rule.langMissing": "A página não tem atributo lang",
+  "audit.rule.langInvalid": "lang=“{value}” não é uma etiqueta de idioma válida",
+  "history.summary.one": "Histórico de versões · {count} ponto de restauração",
+  "history.summary.other": "Histórico de versões · {count} pontos de restauração",
+  "history.name": "Nome do ponto de restauração",
+  "history.namePlaceholder": "Antes de refazer o layout",
+  "history.nameMissing": "Dê um nome ao ponto de restauração primeiro.",
+  "history.save": "Salvar ponto de restauração",
+  "history.saved": "Ponto de restauração “{name}” salvo.",
+  "history.retention": "Pontos de restauração são salvos automaticamente a cada poucos minutos de edição e antes de reiniciar ou restaurar. Cada lição guarda os últimos {auto} automáticos e {named} com nome.",
+  "history.empty": "Ainda não há pontos de restauração.",
+  "history.kind.auto": "Ponto de restauração automático",
+  "history.kind.beforeRestore": "Antes de restaurar",
+  "history.kind.beforeReset": "Antes de reiniciar",
+  "history.preview": "Ver",
+  "history.compare": "Comparar",
+  "history.restore": "Restaurar",
+  "history.close": "Fechar",
+  "history.previewTitle": "Ponto de restauração de {date}",
+  "history.compareTitle": "Do ponto de restauração de {date} ao rascunho atual",
+  "history.emptyPart": "Vazio.",
+  "history.restoreConfirm": "Restaurar o ponto de restauração de {date}? O rascunho atual é salvo como ponto de restauração antes.",
+  "history.restored": "Ponto de restauração de {date} restaurado.",
+  "diff.noChanges": "Sem alterações.",
+  "diff.skipped.one": "{count} linha sem alterações",
+  "diff.skipped.other": "{count} linhas sem alterações",
+  "changes.title": "Alterações em relação ao código inicial",
+  "changes.hint": "Linhas que você adicionou ou removeu em index.html, style.css e app.js, comparadas com o código inicial da lição.",
+  "changes.layout": "Formato das diferenças",
+  "changes.unified": "Unificado",
+  "changes.split": "Lado a lado",
+  "changes.stat": "+{added} −{removed}",
+  "changes.export": "Incluir as alterações em relação ao código inicial",
+  "changes.report": "Alterações em relação ao código inicial da lição (diff unificado)",
+  "changes.none": "Sem alterações em relação ao código inicial.",
+
+  // Placement, studio, backups, certificate
+  "placement.answerAll": "Responda às {count} perguntas para receber uma recomendação.",
+  "placement.startWith": "Comece por {path}.",
+  "placement.open": "Abrir esta trilha ↗",
+  "studio.open": "Abrir",
+  "studio.export": "Exportar",
+  "studio.share": "Copiar texto para compartilhar",
+  "studio.copied": "Copiado",
+  "studio.copyFailed": "Falha ao copiar",
+  "studio.empty": "Nenhum artefato enviado nesta trilha ainda.",
+  "studio.shareText": "Concluí “{title}” no learn.web, um guia de campo gratuito e baseado em projetos sobre a web moderna. Experimente: {url}",
+  "backup.restored": "Backup restaurado ✓",
+  "backup.restoredSession": "Backup restaurado nesta sessão; o armazenamento está indisponível.",
+  "backup.invalid": "Esse arquivo não parece ser um backup do learn.web.",
+  "tracks.title": "Seus roteiros",
+  "tracks.intro": "Organize lições de qualquer trilha na ordem de que você precisa: um plano de integração, uma lista de leitura para a equipe. O progresso é compartilhado com as trilhas.",
+  "tracks.name": "Nome do roteiro",
+  "tracks.lessons": "IDs das lições (opcional)",
+  "tracks.create": "Criar roteiro",
+  "tracks.created": "“{name}” criado.",
+  "tracks.unknown.one": "Nenhuma lição tem o ID {ids}.",
+  "tracks.unknown.other": "Nenhuma lição tem os IDs {ids}.",
+  "tracks.limit": "Você pode manter até 50 roteiros.",
+  "tracks.empty": "Nenhum roteiro ainda.",
+  "tracks.noLessons": "Nenhuma lição ainda; adicione uma abaixo.",
+  "tracks.progress": "{complete} de {total} concluídas",
+  "tracks.start": "Começar roteiro",
+  "tracks.continue": "Continuar roteiro",
+  "tracks.review": "Revisar roteiro",
+  "tracks.delete": "Excluir roteiro",
+  "tracks.deleteConfirm": "Excluir o roteiro “{name}”? Seu progresso nas lições continua salvo.",
+  "tracks.add": "Adicionar lição",
+  "tracks.addLabel": "Lição para adicionar a {name}",
+  "tracks.duplicate": "Essa lição já está neste roteiro.",
+  "tracks.moveUp": "Mover {title} para cima",
+  "tracks.moveDown": "Mover {title} para baixo",
+  "tracks.remove": "Remover {title} do roteiro",
+  "packs.title": "Pacotes de currículo",
+  "packs.intro": "Adicione uma trilha escrita pela sua equipe a partir de um arquivo de pacote (JSON). Ele é verificado com as mesmas regras das trilhas incluídas e fica neste dispositivo.",
+  "packs.import": "Importar pacote",
+  "packs.empty": "Nenhum pacote instalado.",
+  "packs.notJson": "Esse arquivo não é um JSON válido.",
+  "packs.invalid.one": "O pacote não foi adicionado: 1 problema.",
+  "packs.invalid.other": "O pacote não foi adicionado: {count} problemas.",
+  "packs.moreErrors.one": "…e mais 1.",
+  "packs.moreErrors.other": "…e mais {count}.",
+  "packs.replaceConfirm": "Substituir o pacote “{title}” instalado? O progresso das lições que ele não tiver mais é removido.",
+  "packs.imported.one": "“{title}” adicionado (1 lição).",
+  "packs.imported.other": "“{title}” adicionado ({count} lições).",
+  "packs.importedSession.one": "“{title}” adicionado (1 lição) só nesta sessão; o armazenamento não está disponível.",
+  "packs.importedSession.other": "“{title}” adicionado ({count} lições) só nesta sessão; o armazenamento não está disponível.",
+  "packs.removeConfirm": "Remover o pacote “{title}”? O progresso, as notas e o trabalho das lições dele são removidos deste dispositivo.",
+  "packs.remove": "Remover",
+  "packs.removeLabel": "Remover o pacote {title}",
+  "packs.open": "Abrir trilha",
+  "packs.meta.one": "{pathId} · 1 lição",
+  "packs.meta.other": "{pathId} · {count} lições",
+  "packs.lessons.one": "1 lição",
+  "packs.lessons.other": "{count} lições",
+  "packs.progress": "{complete}/{total} concluídas",
+  "packs.badge": "Pacote local",
+  "packs.explore": "Explorar trilha",
+  "certificate.namePlaceholder": "Seu nome",
+  "certificate.noDate": "Data de conclusão indisponível",
+  "certificate.mastery": "Exames de domínio aprovados: {paths}.",
+
+  // Static pages (generate.mjs)
+  "page.skip": "Pular para o conteúdo",
+  "page.backToCurriculum": "Voltar ao currículo ↗",
+  "page.breadcrumb": "Trilha de navegação",
+  "page.lessons": "Lições",
+  "page.footerBy": "Por {author} · Conteúdo © 2026 ·",
+  "page.home": "Início",
+  "page.allLessons": "Todas as lições",
+  "page.glossary": "Glossário (em inglês)",
+  "page.about": "Sobre e privacidade",
+  "page.feed": "Feed de novidades",
+  "page.feedTitle": "Novidades do learn.web",
+  "page.languages": "Esta página em outros idiomas",
+  "page.lessonTitle": "{title} — learn.web",
+  "page.lessonDescription": "{detail} Uma lição gratuita e baseada em projetos da trilha {path}.",
+  "page.provenance": "Por {author} · verificada pela última vez em {reviewed} · atualizada em {changed} ·",
+  "page.provenanceUnreviewed": "Por {author} · ainda não verificada · atualizada em {changed} ·",
+  "page.aboutGuide": "sobre este guia",
+  "page.path": "Trilha",
+  "page.openInteractive": "Abrir a lição interativa com seu espaço de trabalho ↗",
+  "page.revealAnswer": "Mostrar resposta",
+  "page.correctAnswer": "A resposta correta é a {letter}.",
+  "page.selectAll": "Marque todas as que se aplicam.",
+  "page.correctAnswers": "As respostas corretas são {letters}.",
+  "page.correctOrder": "A ordem correta é {letters}.",
+  "page.correctMatches": "Os pares são {matches}.",
+  "page.correctBlanks": "As lacunas são, em ordem, {answers}.",
+  "page.quizDraw": "A lição interativa sorteia {draw} destas {total} perguntas a cada tentativa.",
+  "page.position": "Posição {number}",
+  "page.previous": "← Anterior",
+  "page.next": "Próxima →",
+  "page.pathBack": "← Trilha",
+  "page.pathNext": "Trilha →",
+  "page.pathTitle": "Trilha {path} — learn.web",
+  "page.pathOutcome": "Ao final desta trilha",
+  "page.pathOverview": "Visão geral da trilha ↗",
+  "page.englishOnly": "Em inglês",
+  "page.studioLessons.one": "{countWords} lição de estúdio",
+  "page.studioLessons.other": "{countWords} lições de estúdio",
+  "page.projectLessons.one": "{countWords} lição baseada em projetos.",
+  "page.projectLessons.other": "{countWords} lições baseadas em projetos.",
+  "page.hubTitle": "Todas as lições — learn.web",
+  "page.hubKicker": "O currículo completo",
+  "page.hubHeading": "Todas as lições",
+  "page.hubName": "learn.web — todas as lições",
+  "page.hubIntro": "{lessons} lições baseadas em projetos em {paths} trilhas. Cada lição se sustenta sozinha, e todas terminam em um artefato que você pode mostrar. Prefere a versão interativa?",
+  "page.hubStudio": "Abrir o estúdio",
+  "page.summary": "{lessons} lições baseadas em projetos em {paths} trilhas: {titles}.",
+  "feed.title": "learn.web — novidades",
+  "feed.subtitle": "Um guia de campo gratuito e baseado em projetos sobre a web moderna. O que mudou, quando e por quê."
+};
+
+export const paths = {
+  foundations: {
+    title: "Fundamentos da web",
+    label: "Primeiros passos na web",
+    description: "O ponto de partida honesto: como a web funciona, como usar o navegador como estúdio, e o HTML, CSS e JavaScript de que você precisa para construir sua primeira página de verdade.",
+    outcome: "Construa e publique uma página pessoal que funcione para uma pessoa real, usando apenas as ferramentas da própria plataforma."
+  },
+  platform: {
+    title: "A plataforma web moderna",
+    description: "O núcleo duradouro: marcação semântica, estilos resilientes, aprimoramento progressivo, APIs do navegador, desempenho e publicação.",
+    outcome: "Publique uma interface rápida e acessível que use a plataforma primeiro e continue útil quando recursos mais novos não estiverem disponíveis."
+  },
+  ux: {
+    title: "UX e design de produto",
+    label: "Pesquisa / Estrutura / Validação",
+    description: "Uma trilha prática de design de produto baseada em evidências, informação clara, interação honesta e validação no mundo real.",
+    outcome: "Transforme um problema ambíguo em um fluxo de produto testável e melhore-o com evidências em vez de opiniões."
+  },
+  accessibility: {
+    title: "Acessibilidade",
+    label: "WCAG 2.2 / Design inclusivo",
+    description: "Acessibilidade como prática de design e engenharia, não como uma lista de verificação adicionada depois do lançamento.",
+    outcome: "Audite e corrija uma interface real com verificações automáticas, uso por teclado, testes com leitor de tela, zoom e avaliação humana."
+  },
+  search: {
+    title: "Busca e descoberta com IA",
+    label: "SEO / GEO / Qualidade da informação",
+    description: "Crie informação que seja tecnicamente encontrável, genuinamente original, fácil de verificar e digna de ser recomendada.",
+    outcome: "Publique um guia rico em evidências, com arquitetura de informação sólida, bases técnicas, dados estruturados e um plano de medição."
+  },
+  ai: {
+    title: "Engenharia de produtos com IA",
+    label: "Contexto / Ferramentas / Avaliações / Segurança",
+    description: "Projete recursos de IA como sistemas probabilísticos, com valor explícito, comportamento observável e controle humano significativo.",
+    outcome: "Prototipe e avalie um fluxo de trabalho assistido por IA, com respostas em streaming, contexto fundamentado, limites para ferramentas e um modo de falha seguro."
+  }
+};
+
+// Keyed by the version that opens each changelog title in curriculum.js.
+export const changelog = {
+  "v3.0.1": {
+    title: "v3.0.1 — Confiabilidade e avisos de privacidade",
+    body: "Os controles duplicados agora funcionam em todos os lugares, as notas das lições são salvas com segurança, quem usa teclado consegue sair do editor de código, os modais da prévia são bloqueados, prévias descontroladas podem ser paradas ou reiniciadas, e o diálogo Sobre e privacidade explica o GA4, o Google Fonts, os dados locais do estudante, o licenciamento e as correções."
+  },
+  "v3.0": {
+    title: "v3.0 — Lições indexáveis, uma porta de entrada para iniciantes e Meu estúdio",
+    body: "Cada lição agora tem sua própria URL, que você pode compartilhar e os buscadores podem indexar. Fundamentos da web entra no currículo (trinta e seis lições em seis trilhas), as verificações de conhecimento passam a ter duas perguntas, os espaços de código ganham dicas, e o Meu estúdio acompanha seus artefatos, backups e um certificado para imprimir."
+  },
+  "v2.0": {
+    title: "v2.0 — O currículo de julho de 2026",
+    body: "Adicionamos a trilha da plataforma web moderna ao lado de UX, acessibilidade, busca e descoberta com IA, e engenharia de produtos com IA. As trinta lições foram reorganizadas em torno de um artefato e de uma definição de pronto, e chegaram o laboratório ao vivo, a busca em paleta de comandos, a detecção de recursos e o progresso local."
+  },
+  "v1.0": {
+    title: "v1.0 — Lançamento",
+    body: "O guia de campo foi lançado como uma trilha gratuita e baseada em projetos pela web moderna: acessível, atenta à busca, guiada por evidências e honesta sobre o que muda."
+  }
+};
+
+// Labels of the code lessons' checks, keyed by lesson ID, in the order of each
+// suite in codeStarters (curriculum.js).
+export const checks = {
+  "foundations-3": [
+    "Um <header> apresenta a página",
+    "Os links para as suas seções ficam em um <nav> com nome acessível",
+    "Um <footer> fecha a página",
+    "Toda imagem tem texto alternativo",
+    "Todo link tem um href real"
+  ],
+  "foundations-4": [
+    "Um layout flex ou grid organiza o conteúdo",
+    "O comprimento das linhas é limitado para facilitar a leitura",
+    "Uma media query adapta o layout"
+  ],
+  "foundations-5": [
+    "Clicar no botão atualiza a saída",
+    "A saída é anunciada quando muda",
+    "O comportamento fica no script, não em atributos onclick"
+  ],
+  "foundations-6": [
+    "Enviar o formulário cumprimenta a pessoa pelo nome",
+    "Todo campo do formulário tem um rótulo",
+    "A página tem um título"
+  ],
+  "platform-1": [
+    "O menu abre com popover ou com details e summary",
+    "Abrir o menu não precisa de um script seu",
+    "A navegação do menu tem um nome acessível",
+    "Nenhum div ou span se disfarça de botão com ARIA"
+  ],
+  "platform-2": [
+    "O trilho é um contêiner de tamanho",
+    "Uma regra @container adapta os cartões",
+    "O grupo de cartões tem um nome acessível"
+  ],
+  "platform-3": [
+    "A ancoragem fica dentro de @supports",
+    "A revelação respeita o movimento reduzido",
+    "O aviso é um popover aberto pelo seu acionador"
+  ],
+  "platform-4": [
+    "O filtro é um formulário real com action",
+    "Enviar o filtro restringe a lista",
+    "Todo projeto é um link real"
+  ],
+  "platform-5": [
+    "O clique dá retorno sem uma tarefa longa (menos de 50 ms)",
+    "O resultado é anunciado quando muda"
+  ],
+  "platform-6": [
+    "Salvar uma observação a adiciona à lista",
+    "Todo campo do formulário tem um rótulo",
+    "O salvamento é anunciado",
+    "O movimento é reduzido quando solicitado"
+  ]
+};
@@ -0,0 +1,5 @@
+// module-syntax.js — whether a workspace's JavaScript is an ES module: an
+// import or export at the start of a line. lab-runner.htm runs app.js as a
+// module by this test (generate.mjs copies it in), and an exported project's
+// index.html loads it the same way, so the preview and the download agree.
+export const moduleSyntax = /^\s*(?:import\s*[\w{*"']|export\s)/m;
@@ -2,8 +2,12 @@
 // Run: node smoke-test.mjs  (BROWSER=chromium|firefox|webkit, default chromium)
 // Requires: npm i -D playwright @axe-core/playwright + npx playwright install
 
+import { readFile } from "node:fs/promises";
 import { chromium, firefox, webkit } from "playwright";
 import { AxeBuilder } from "@axe-core/playwright";
+import { lessonModules } from "./curriculum-lessons.js";
+import { pathData, lessonGuides, studioMissions, codeStarters, hints } from "./curriculum.js";
+import { validatePack } from "./curriculum-schema.js";
 
 const base = process.env.BASE_URL || "http://127.0.0.1:4173";
 const browserName = (process.env.BROWSER || process.argv.find((arg) => arg.startsWith("--browser="))?.split("=")[1] || "chromium").toLowerCase();
@@ -125,7 +129,11 @@ log((await page.locator("h1").innerText()) === "HTML that works harder", "static
 log((await page.locator(".static-objectives li").count()) === 3, "static lesson objectives");
 log((await page.locator(".static-quiz fieldset").count()) === 2, "static lesson has 2 quiz questions");
 log((await page.locator("script[type='application/ld+json']").count()) >= 1, "lesson JSON-LD present");
-log((await page.locator(".lesson-provenance").innerText()).includes("last verified"), "lesson pages expose provenance (TRUST-002)");
+log((await page.locator(".lesson-provenance").innerText()).includes("not yet verified"), "lesson pages expose provenance (TRUST-002)");
+log((await page.locator(".lesson-provenance time").first().getAttribute("datetime")) === lessonModules.platform[0].lastChanged, "provenance shows the lesson's own change date and no review date until it is reviewed");
+log((await page.locator(".static-section .glossary-term").first().getAttribute("href")).startsWith("/learn/glossary/#"), "static lesson links glossary terms");
+log((await page.locator(".static-sources li").count()) === 3 && (await page.locator(".static-sources time").first().getAttribute("datetime")) === "2026-08-14", "static lesson lists its sources with accessed dates");
+log((await page.locator("script[type='application/ld+json']").innerText()).includes('"citation"'), "lesson JSON-LD cites its sources");
 const axeStatic = await new AxeBuilder({ page }).analyze();
 log(axeStatic.violations.filter((v) => ["serious", "critical"].includes(v.impact)).length === 0, "axe: static lesson page clean");
 
@@ -149,6 +157,31 @@ await page.keyboard.press("Tab");
 const afterExit = await page.evaluate(() => document.activeElement?.dataset?.editor || document.activeElement?.id || "other");
 log(afterExit !== "html", "Tab navigates again after exit");
 
+// 2b2. Code editor: highlighting, line numbers, brackets, indentation
+const htmlField = page.locator('.code-field:has([data-editor="html"])');
+log((await htmlField.locator(".code-highlight .code-token-tag").count()) > 0 && (await htmlField.locator(".code-highlight .code-token-attribute").count()) > 0, "the lab editor highlights HTML tags and attributes");
+log((await htmlField.locator(".code-gutter").innerText()).trim().split("\n").length === (await htmlEditor.inputValue()).split("\n").length, "the gutter numbers every line");
+await page.locator("#tab-css").click();
+const cssEditor = page.locator('[data-editor="css"]');
+await cssEditor.fill(".a {}");
+await cssEditor.evaluate((editor) => editor.setSelectionRange(4, 4));
+await page.keyboard.press("Enter");
+log((await cssEditor.inputValue()) === ".a {\n  \n}", "Enter between braces indents a new line and keeps the closer below");
+log((await page.locator('.code-field:has([data-editor="css"]) .code-bracket').count()) === 0, "no bracket is marked away from one");
+await cssEditor.evaluate((editor) => editor.setSelectionRange(4, 4));
+await cssEditor.press("ArrowLeft");
+await cssEditor.press("ArrowRight");
+log((await page.locator('.code-field:has([data-editor="css"]) .code-bracket:not(.is-unmatched)').count()) === 2, "the bracket at the caret and its partner are marked");
+await cssEditor.fill("a {\n  color: red;\n}");
+await cssEditor.evaluate((editor) => editor.setSelectionRange(0, editor.value.length));
+await page.keyboard.press("ControlOrMeta+]");
+log((await cssEditor.inputValue()) === "  a {\n    color: red;\n  }", "Ctrl+] indents every selected line");
+await page.keyboard.press("ControlOrMeta+[");
+log((await cssEditor.inputValue()) === "a {\n  color: red;\n}", "Ctrl+[ outdents them again");
+await page.locator(".reset-code").click();
+log((await page.locator('.code-field:has([data-editor="css"]) .code-token-property').count()) > 0 && !(await cssEditor.inputValue()).startsWith("a {"), "reset restores and re-highlights the starter");
+await page.locator("#tab-html").click();
+
 // 2c. Tab semantics (A11Y-002): roving tabindex and arrow keys
 await page.locator("#tab-html").focus();
 await page.keyboard.press("ArrowRight");
@@ -180,17 +213,25 @@ log((await page.locator(".run-status").innerText()) === "Stopped", "main lab Sto
 await page.locator(".run-code").click();
 await page.waitForFunction(() => document.querySelector(".lab-frame")?.dataset?.runnerState === "ready", null, { timeout: 4000 }).catch(() => {});
 log((await page.locator(".lab-frame").getAttribute("data-runner-state")) === "ready", "main lab can run again after Stop");
+log((await page.locator(".preview-pane .console-panel .console-empty").isVisible()), "main lab has a console panel under the preview");
+log((await page.locator(".preview-pane .audit-panel .audit-run").isVisible()), "main lab has an accessibility checker under the preview");
 
 // 3. Open path dialog + lesson dialog, quiz gate behavior
 await page.goto(base, { waitUntil: "networkidle" });
 await page.locator('[data-open-path="platform"]').first().click();
 log(await page.locator("#path-dialog").isVisible(), "path dialog opens");
 log((await page.locator(".module-item").count()) === 6, "path dialog lists 6 modules");
+log((await page.locator(".dialog-total-count").innerText()) === "6", "path progress total comes from the path's lesson count");
+log((await page.locator(".module-item").nth(3).locator(".module-prereqs a").innerText()).startsWith("JavaScript: the behavior"), "path dialog maps platform-4 to the foundations lesson it builds on");
 log((await page.url()).includes("#path-platform"), "path state committed to URL");
 
 // 3b. History model (UX-004): Back/Forward retraces the journey
 await page.locator(".start-lesson").first().click();
 log(await page.locator("#lesson-dialog").isVisible(), "lesson dialog opens");
+log((await page.locator(".lesson-reviewed").innerText()) === "Not yet" && (await page.locator(".lesson-reviewed time").count()) === 0, "lesson dialog says an unreviewed lesson has not been reviewed yet");
+const dialogTerms = await page.locator("#lesson-dialog .lesson-prose .glossary-term").evaluateAll((links) => links.map((link) => link.getAttribute("href")));
+log(await page.locator(".lesson-sources").isVisible() && (await page.locator(".lesson-source-list a").first().getAttribute("href")).startsWith("https://"), "lesson dialog lists the lesson's sources");
+log(dialogTerms.includes("/learn/glossary/#aria") && new Set(dialogTerms).size === dialogTerms.length, "lesson dialog links each glossary term once");
 log((await page.url()).includes("#lesson-platform-1"), "lesson state committed to URL");
 await page.goBack();
 await page.waitForTimeout(250);
@@ -239,6 +280,7 @@ log(await mobile.locator(".mobile-progress").isVisible(), "compact progress cont
 log((await mobile.locator(".mobile-progress").innerText()).includes("/36"), "compact progress shows totals");
 await mobile.locator(".mobile-progress").click();
 log(await mobile.locator("#progress-popover").isVisible(), "compact progress opens the progress popover");
+log((await mobile.locator("[data-next-lesson-link]").innerText()).length > 0, "progress popover recommends what to do next");
 await mobile.keyboard.press("Escape");
 await mobile.close();
 
@@ -254,16 +296,30 @@ log(axeDialog.violations.filter((v) => ["serious", "critical"].includes(v.impact
 const completeButton = page.locator(".complete-lesson");
 log(await completeButton.isDisabled(), "complete button disabled initially");
 
-await page.locator('.quiz-group').nth(0).locator('input').nth(1).check();
-await page.locator('.quiz-group').nth(1).locator('input').nth(1).check();
+// Options are shuffled per attempt; inputs keep the option's index as their value.
+await page.locator('.quiz-group').nth(0).locator('input[value="1"]').check();
+await page.locator('.quiz-group').nth(1).locator('input[value="1"]').check();
 await page.locator(".check-answer").click();
 log((await page.locator(".quiz-feedback.is-correct").count()) === 2, "both quiz feedbacks correct");
 log(await completeButton.isDisabled(), "complete still disabled (artifact not submitted)");
 
 // 5. Submit the studio artifact (record lessons need 3 responses >= 30 chars)
-// platform lesson 1 is a code workspace: type into all three editors
-await page.locator('[data-workspace-editor="html"]').fill("<!-- changed -->\n" + (await page.locator('[data-workspace-editor="html"]').inputValue()));
-await page.locator('[data-workspace-editor="html"]').fill((await page.locator('[data-workspace-editor="html"]').inputValue()) + "\n<p>real change for the artifact</p>");
+// platform lesson 1 is a code workspace: its starter fails every check until
+// the custom menu is rebuilt on native popover HTML
+const checksSettled = () => page.waitForFunction(() => !document.querySelector(".workspace-check-frame"), null, { timeout: 8000 }).catch(() => {});
+await checksSettled();
+log((await page.locator("[data-workspace-checks] li[data-complete='true']").count()) === 0 && (await page.locator("[data-submit-workspace]").isDisabled()), "an untouched starter passes none of its checks");
+await page.locator('[data-workspace-editor="html"]').fill(`<main class="demo-shell">
+  <h1>Native menu</h1>
+  <button popovertarget="project-menu">Project actions</button>
+  <div id="project-menu" popover>
+    <nav aria-label="Project actions"><a href="#rename">Rename project</a><button type="button">Duplicate project</button></nav>
+  </div>
+  <p id="rename">The essential content is useful before JavaScript runs.</p>
+</main>`);
+await page.locator('[data-workspace-tab="js"]').click();
+await page.locator('[data-workspace-editor="js"]').fill("");
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
 const checks = page.locator("[data-workspace-checks] li");
 await page.waitForFunction(() => {
   const items = document.querySelectorAll("[data-workspace-checks] li");
@@ -323,6 +379,32 @@ await page.locator('[data-workspace-editor="js"]').fill('Promise.reject(new Erro
 await page.locator(".workspace-mini-action:has-text('Run preview')").click();
 await page.waitForTimeout(300);
 log((await previewFrame.locator("body").innerText()).includes("Unhandled promise rejection"), "unhandled rejections surfaced");
+const consoleEntries = page.locator(".lesson-code-preview .console-entry");
+log((await consoleEntries.count()) === 1 && (await consoleEntries.first().getAttribute("data-level")) === "error" && (await consoleEntries.first().innerText()).includes("boom"), "uncaught errors reach the console panel with their stack");
+await jsTab();
+await page.locator('[data-workspace-editor="js"]').fill('console.log("hello", { list: [1, 2], el: document.body }); console.warn("careful"); console.error(new TypeError("bad"));');
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await page.waitForTimeout(300);
+log((await consoleEntries.count()) === 3, "a run starts the console fresh and collects log, warn, and error");
+log((await consoleEntries.first().locator("pre").innerText()) === 'hello {list: [1, 2], el: <body>}', "console serializes objects, arrays, and elements");
+log((await consoleEntries.nth(2).innerText()).includes("TypeError: bad"), "console shows logged errors with their message");
+await page.locator(".lesson-code-preview [data-console-filter='error']").click();
+log((await page.locator(".lesson-code-preview .console-entry:visible").count()) === 1, "console filter narrows output to one level");
+log((await page.locator(".lesson-code-preview .console-entries").getAttribute("role")) === "log", "console output is a live log region");
+await page.locator(".lesson-code-preview [data-console-filter='all']").click();
+await page.locator(".lesson-code-preview .console-clear").click();
+log((await consoleEntries.count()) === 0 && (await page.locator(".lesson-code-preview .console-empty").isVisible()), "Clear empties the console");
+await jsTab();
+await page.locator('[data-workspace-editor="js"]').fill('setInterval(() => console.log("tick"), 50);');
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await page.waitForTimeout(300);
+await page.locator(".lesson-close").click();
+await page.waitForTimeout(150);
+const ticksAtClose = await consoleEntries.count();
+await page.waitForTimeout(400);
+log(ticksAtClose > 0 && (await consoleEntries.count()) === ticksAtClose, "closing the lesson detaches its workspace from the preview");
+await page.locator("#path-dialog .start-lesson").first().click();
+await page.waitForTimeout(300);
 await page.locator(".workspace-mini-action:has-text('Stop')").click();
 await page.waitForTimeout(200);
 log((await previewFrame.locator("body").innerText()).trim() === "", "Stop button clears the preview");
@@ -381,6 +463,150 @@ await page.waitForTimeout(150);
 const studio = page.locator("[data-studio]");
 log((await studio.locator("[data-studio-complete]").innerText()) === "1", "studio shows 1 complete");
 
+// 6f. Behavioral checks — code lessons are judged by what the code does
+await page.goto(`${base}/#lesson-foundations-5`, { waitUntil: "networkidle" });
+await checksSettled();
+const behaviorChecks = page.locator("[data-workspace-checks] li");
+log((await behaviorChecks.count()) === 3 && (await behaviorChecks.first().innerText()) === "Clicking the button updates the output", "code lesson lists its behavioral checks");
+log((await behaviorChecks.first().getAttribute("data-complete")) === "false" && (await page.locator("[data-submit-workspace]").isDisabled()), "the starter's empty click handler fails its check");
+const starterJs = await page.locator('[data-workspace-editor="js"]').inputValue();
+await jsTab();
+await page.locator('[data-workspace-editor="js"]').fill(`${starterJs}\n// ${"padding ".repeat(40)}`);
+log((await page.locator("[data-workspace-status]").first().innerText()).includes("Run the preview"), "edited code waits for a run before it is judged");
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await checksSettled();
+log((await behaviorChecks.first().getAttribute("data-complete")) === "false", "padding the code with comments passes no check");
+const checkStates = () => behaviorChecks.evaluateAll((items) => items.map((item) => item.dataset.complete).join());
+const starterStates = await checkStates();
+await page.locator('[data-workspace-editor="js"]').fill(`${starterJs}\nparent.postMessage({ learnwebChecks: [true, true, true], nonce: window.event?.data?.nonce }, "*");`);
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await checksSettled();
+log((await behaviorChecks.first().getAttribute("data-complete")) === "false", "results posted by the learner's code are not taken as check results");
+await page.locator('[data-workspace-editor="js"]').fill(`${starterJs}\nObject.defineProperty(Element.prototype, "outerHTML", { get: () => String(Math.random()) });\nElement.prototype.hasAttribute = () => true;\nDocument.prototype.querySelectorAll = () => [];`);
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await checksSettled();
+log((await checkStates()) === starterStates, "patching the DOM methods the checks read with passes no check");
+await page.locator('[data-workspace-editor="js"]').fill(starterJs.replace("// Complete the interaction: update the output.", 'output.textContent = "Hello back!";'));
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await checksSettled();
+log((await behaviorChecks.evaluateAll((items) => items.every((item) => item.dataset.complete === "true"))) && !(await page.locator("[data-submit-workspace]").isDisabled()), "working code passes every check and unlocks submit");
+log((await page.frameLocator(".lesson-code-preview iframe").locator("output").innerText()) === "Nobody has said hello yet.", "checks click in their own frame, not in the visible preview");
+
+// 6g. Accessibility checker — the runner audits the preview, findings highlight
+await page.goto(`${base}/#lesson-foundations-3`, { waitUntil: "networkidle" });
+await checksSettled();
+const audit = page.locator(".lesson-code-preview .audit-panel");
+await audit.locator(".audit-run").click();
+await page.waitForTimeout(400);
+const findings = audit.locator(".audit-finding");
+log((await findings.count()) === 1 && (await findings.first().innerText()).includes("Image without alt text") && (await findings.first().getAttribute("data-audit-selector")) === "body > main > img", "the starter's image is reported with its selector");
+await findings.first().click();
+await page.waitForTimeout(200);
+log((await page.frameLocator(".lesson-code-preview iframe").locator("img").evaluate((image) => image.style.outline)).includes("solid"), "selecting a finding outlines the element in the preview");
+const auditDownload = page.waitForEvent("download");
+await page.locator(".workspace-actions button:has-text('Export artifact')").click();
+log((await readFile(await (await auditDownload).path(), "utf8")).includes("Image without alt text: body > main > img"), "the exported artifact carries the audit");
+const starterHtml = await page.locator('[data-workspace-editor="html"]').inputValue();
+await page.locator('[data-workspace-editor="html"]').fill(`${starterHtml.replace("height=\"240\">", "height=\"240\" alt=\"\">")}
+<h4 id="about">Later</h4><p style="color: #bbb">Faint</p><a href="#top"></a><input><p lang="english">Hello</p>`);
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+log((await findings.count()) === 0, "running the preview clears the last audit");
+await audit.locator(".audit-run").click();
+await page.waitForTimeout(400);
+const auditRuleNames = await findings.evaluateAll((items) => items.map((item) => item.dataset.auditRule).sort().join(" "));
+log(auditRuleNames === "contrast duplicateId heading label langInvalid link", `each rule reports its problem (${auditRuleNames})`);
+
+// 6h. Multi-file workspaces — modules, data, and export carry the file tree
+await page.goto(`${base}/#lesson-platform-6`, { waitUntil: "networkidle" });
+await checksSettled();
+const addFileButton = page.locator(".workspace-add-file");
+const fileNameInput = page.locator(".workspace-file-form input[type='text']");
+await addFileButton.click();
+await fileNameInput.fill("bad name");
+await page.locator(".workspace-file-form button:has-text('Create')").click();
+log((await page.locator(".workspace-file-status").innerText()).includes("extension"), "a file name without an extension is refused");
+await fileNameInput.fill("lib/greeting.js");
+await page.locator(".workspace-file-form button:has-text('Create')").click();
+log((await page.locator('[data-workspace-tab="file:lib/greeting.js"]').getAttribute("aria-selected")) === "true", "a new file opens in its own tab");
+await page.locator('[data-workspace-file="lib/greeting.js"]').fill('export const greeting = "Hello from a module";');
+await addFileButton.click();
+await fileNameInput.fill("data.json");
+await page.locator(".workspace-file-form button:has-text('Create')").click();
+await page.locator('[data-workspace-file="data.json"]').fill('{ "count": 3 }');
+await jsTab();
+await page.locator('[data-workspace-editor="js"]').fill(`import { greeting } from "./lib/greeting.js";
+document.body.append(greeting);
+fetch("data.json").then((response) => response.json()).then(({ count }) => { document.body.dataset.count = count; });`);
+await page.locator(".workspace-mini-action:has-text('Run preview')").click();
+await page.waitForTimeout(600);
+const projectFrame = page.frameLocator(".lesson-code-preview iframe");
+log((await projectFrame.locator("body").innerText()).includes("Hello from a module"), "app.js imports a module file by relative path");
+log((await projectFrame.locator("body").getAttribute("data-count")) === "3", "fetch() reads a JSON file from the workspace");
+const storedFiles = await page.evaluate(() => JSON.parse(localStorage.getItem("learnweb-studio-workspaces-v1"))["platform-6"].files.map((file) => file.name).join(" "));
+log(storedFiles === "lib/greeting.js data.json", "extra files are saved with the workspace");
+const projectDownload = page.waitForEvent("download");
+await page.locator(".workspace-actions button:has-text('Export artifact')").click();
+const projectArchive = await readFile(await (await projectDownload).path());
+log((await projectDownload).suggestedFilename().endsWith(".zip") && projectArchive.includes("lib/greeting.js") && projectArchive.includes('type="module"'), "a multi-file project exports as a ZIP of its tree");
+await page.locator('[data-workspace-tab="file:data.json"]').click();
+page.once("dialog", (dialog) => dialog.accept());
+await page.locator('[data-workspace-panel="file:data.json"] .workspace-file-bar button').click();
+log((await page.locator('[data-workspace-tab="file:data.json"]').count()) === 0 && (await page.locator('[data-workspace-tab="html"]').getAttribute("aria-selected")) === "true", "deleting the open file returns to the HTML tab");
+
+// 6i. Version history — named checkpoints can be compared and restored
+const history = page.locator("[data-workspace-history]");
+await history.locator("summary").click();
+await history.locator(".workspace-history-form button").click();
+log((await history.locator(".workspace-history-status").innerText()).includes("Name the checkpoint"), "a checkpoint needs a name");
+await history.locator(".workspace-history-form input").fill("Module version");
+await history.locator(".workspace-history-form button").click();
+log((await history.locator(".workspace-checkpoint.is-named strong").first().innerText()) === "Module version", "a named checkpoint is listed");
+const checkpointHtml = await page.locator('[data-workspace-editor="html"]').inputValue();
+await page.locator('[data-workspace-editor="html"]').fill(`${checkpointHtml}\n<p>Scratch line</p>`);
+await history.locator(".workspace-checkpoint.is-named [data-checkpoint-action='compare']").click();
+const addedLines = history.locator(".workspace-history-view .diff-line.is-added");
+log((await addedLines.count()) === 1 && (await addedLines.innerText()).includes("<p>Scratch line</p>"), "compare shows the lines added since the checkpoint");
+page.once("dialog", (dialog) => dialog.accept());
+await history.locator(".workspace-checkpoint.is-named [data-checkpoint-action='restore']").click();
+log((await page.locator('[data-workspace-editor="html"]').inputValue()) === checkpointHtml, "restoring a checkpoint brings its code back");
+log((await history.locator(".workspace-checkpoint strong").first().innerText()) === "Before a restore", "the replaced draft is kept as a checkpoint");
+const storedHistory = await page.evaluate(() => JSON.parse(localStorage.getItem("learnweb-workspace-history-v1"))["platform-6"].map((entry) => entry.kind).join(" "));
+log(storedHistory === "named beforeRestore", `history is saved on this device (${storedHistory})`);
+
+// 6j. Changes from the starter — unified and side by side, and in the export
+const changesPanel = page.locator("[data-workspace-changes]");
+await changesPanel.locator("summary").click();
+log((await changesPanel.locator('[data-changes-file="html"] .diff-empty').innerText()) === "No changes.", "an untouched file shows no changes");
+const jsChanges = changesPanel.locator('[data-changes-file="js"]');
+log((await jsChanges.locator(".diff-line.is-added").first().innerText()).includes('import { greeting } from "./lib/greeting.js";'), "the unified diff shows the learner's added lines");
+await changesPanel.locator("[data-diff-layout='split']").click();
+log((await changesPanel.locator("[data-diff-layout='split']").getAttribute("aria-pressed")) === "true" && (await jsChanges.locator(".diff-row .diff-side.is-added").count()) > 0, "side by side puts the new lines on the right");
+await page.locator(".workspace-export-changes input").check();
+const changesDownload = page.waitForEvent("download");
+await page.locator(".workspace-actions button:has-text('Export artifact')").click();
+const changesArchive = await readFile(await (await changesDownload).path());
+log(changesArchive.includes("changes.diff") && changesArchive.includes("+++ b/app.js"), "the export can carry the diff from the starter");
+
+// 6k. Preview emulation — window width, zoom, media features, compared widths
+const previewToolbar = page.locator(".lesson-code-preview .preview-toolbar");
+await previewToolbar.locator("[data-preview-setting='width']").selectOption("768");
+await previewToolbar.locator("[data-preview-setting='zoom']").selectOption("2");
+log((await previewToolbar.locator(".preview-status").innerText()) === "Page sees 384 CSS px", "zoom shrinks the width the page lays out at");
+log(Math.round(await previewFrame.locator("body").evaluate(() => window.innerWidth)) === 384, "the preview is as wide as a zoomed window");
+await previewToolbar.locator("[data-preview-setting='colorScheme']").selectOption("dark");
+await previewToolbar.locator("[data-preview-setting='reducedMotion']").selectOption("reduce");
+await page.waitForTimeout(300);
+log(await previewFrame.locator("body").evaluate(() => matchMedia("(prefers-color-scheme: dark)").matches && matchMedia("(prefers-reduced-motion: reduce)").matches && !matchMedia("(prefers-color-scheme: light)").matches), "the preview sees the emulated color scheme and motion preference");
+await previewToolbar.locator("[data-preview-setting='forcedColors']").check();
+await page.waitForTimeout(300);
+log(await previewFrame.locator("body").evaluate(() => matchMedia("(forced-colors: active)").matches), "forced colors are reported to the preview");
+await previewToolbar.locator(".preview-compare").click();
+await page.waitForTimeout(300);
+log((await page.locator(".lesson-code-preview .preview-column").count()) === 3 && (await page.locator(".lesson-code-preview figcaption").last().innerText()) === "1280px", "compare shows the page at three widths");
+await previewToolbar.locator(".preview-compare").click();
+log((await page.locator(".lesson-code-preview iframe").count()) === 1, "turning compare off leaves one preview");
+await page.goto(base, { waitUntil: "networkidle" });
+
 // 7. Placement check — every trigger instance works (FUNC-001)
 const placementTriggers = page.locator("[data-open-placement]");
 log((await placementTriggers.count()) >= 3, `placement triggers everywhere (${await placementTriggers.count()} found)`);
@@ -463,6 +689,308 @@ log((await page.locator(".progress-pill").innerText()).includes("1/36"), "undo r
 log(await page.locator("[data-undo-reset]").isHidden(), "undo option hides after restore");
 await page.keyboard.press("Escape");
 
+// 7e. Custom tracks — create, follow in track order, back up
+const trackForm = page.locator("[data-track-create]");
+await trackForm.locator("input[name=lessons]").fill("accessibility-2, nope-1");
+await trackForm.locator("input[name=name]").fill("Onboarding");
+await trackForm.locator("button[type=submit]").click();
+log((await page.locator("[data-track-status]").innerText()).includes("nope-1"), "track form reports unknown lesson IDs");
+await trackForm.locator("input[name=lessons]").fill("accessibility-2, platform-1");
+await trackForm.locator("button[type=submit]").click();
+const trackCard = page.locator(".track-card").first();
+log((await page.locator(".track-card").count()) === 1, "track created");
+log((await trackCard.locator(".track-progress").innerText()).includes("1 of 2 complete"), "track meter counts shared progress");
+const trackNextTitle = await trackCard.locator(".track-lesson-open").nth(1).innerText();
+await trackCard.locator(".track-actions .button-primary").click();
+await page.waitForTimeout(200);
+log((await page.evaluate(() => location.hash)) === "#lesson-accessibility-2", "following a track opens its first incomplete lesson");
+log((await page.locator("#lesson-dialog .lesson-path-label").innerText()) === "Onboarding", "lesson rail is labelled with the track");
+const trackPagerNext = await page.locator("#lesson-dialog .lesson-next strong").innerText();
+log(Boolean(trackPagerNext) && trackNextTitle.startsWith(trackPagerNext), "lesson pager follows track order across paths");
+await page.keyboard.press("Escape");
+await page.waitForTimeout(200);
+log(await page.evaluate(() => Boolean(document.activeElement?.closest(".track-card"))), "closing a track lesson returns focus to the track");
+const trackDownload = page.waitForEvent("download");
+await page.locator("[data-studio] [data-export-backup]").click();
+const trackBackup = JSON.parse(await readFile(await (await trackDownload).path(), "utf8"));
+log(trackBackup.tracks?.[0]?.lessons?.join() === "accessibility-2,platform-1", "backup includes tracks");
+log(trackBackup.version === 9 && trackBackup.workspaceHistory?.["platform-6"]?.length === 2, "backup includes workspace history");
+page.once("dialog", (dialog) => dialog.accept());
+await trackCard.locator(".track-actions .text-button").click();
+log((await page.locator(".track-card").count()) === 0, "confirmed delete removes the track");
+
+// 7f. Curriculum packs — validated like built-in paths, rendered beside them, backed up
+const packLesson = (topic) => ({
+  objectives: ["Name the review rota", "Open a pull request the team way", "Ask for review in the right channel"],
+  understand: { title: "Reviews are a conversation", paragraphs: ["Every change gets a second pair of eyes.", "Small pull requests get faster reviews."] },
+  principle: "Small changes, reviewed early.",
+  apply: { title: "Open your first pull request", paragraphs: ["Pick a starter issue.", "Follow the template and request a reviewer."] },
+  steps: ["Clone the repository", "Create a branch", "Commit the change", "Open the pull request"],
+  quiz: [
+    { question: `Who reviews changes to ${topic}?`, options: ["Anyone", "The owning rota", "Nobody"], correctIndex: 1, explanation: "Owners know the impact." },
+    { question: "Where are releases announced?", options: ["#releases", "#random", "Email"], correctIndex: 0, explanation: "One place for releases." }
+  ]
+});
+const pack = {
+  format: "learnweb-pack",
+  version: 1,
+  pathId: "handbook",
+  path: {
+    title: "Team Handbook",
+    label: "Internal",
+    description: "How our team ships.",
+    outcome: "You can ship a reviewed change.",
+    modules: [
+      { title: "Your first pull request", detail: "Ship a tiny change the team way.", time: "30 min", lastReviewed: "2026-10-01", lastChanged: "2026-10-01" },
+      { title: "Build a status badge & <chip>", detail: "Make a small component.", time: "40 min", lastReviewed: "2026-10-01", lastChanged: "2026-10-01" }
+    ]
+  },
+  lessonGuides: [packLesson("tokens"), packLesson("components")],
+  studioMissions: [{ mission: "Open a pull request.", proof: "It has a reviewer." }, { mission: "Build the badge.", proof: "It renders." }],
+  workspaceBlueprint: { artifact: "Handbook log", lenses: [[{ title: "Change", prompt: "What changed?" }, { title: "Reviewer", prompt: "Who reviewed it?" }, { title: "Lesson", prompt: "What did you learn?" }], null] },
+  codeStarters: [null, { html: "<span class=\"badge\">ok</span>", css: ".badge { color: green; }", js: "" }],
+  hints: [null, "Start with the markup."]
+};
+const packInput = page.locator("[data-import-pack]");
+await packInput.setInputFiles({ name: "pack.json", mimeType: "application/json", buffer: Buffer.from(JSON.stringify({ ...pack, hints: [] })) });
+await page.waitForTimeout(300);
+log((await page.locator("[data-pack-status]").innerText()).includes("not added"), "invalid pack is rejected");
+log((await page.locator("[data-pack-errors]").innerText()).includes("handbook-2: code lesson is missing a hint"), "pack errors use the curriculum check's rules");
+await packInput.setInputFiles({ name: "pack.json", mimeType: "application/json", buffer: Buffer.from(JSON.stringify(pack)) });
+await page.waitForTimeout(300);
+const packCard = page.locator(".path-card[data-path='handbook']");
+log(await packCard.isVisible(), "imported pack renders beside the built-in paths");
+log((await packCard.innerText()).includes("0/2 complete"), "pack card shows its own progress");
+log((await page.locator(".progress-pill").innerText()).includes("/38"), "pack lessons join the progress total");
+await packCard.locator(".path-open").click();
+log((await page.locator("#path-dialog-title").innerText()) === "Team Handbook", "pack path opens in the path dialog");
+await page.locator("#path-dialog .start-lesson").nth(1).click();
+const packExport = page.waitForEvent("download");
+await page.locator(".workspace-actions button:has-text('Export artifact')").click();
+log((await readFile(await (await packExport).path(), "utf8")).includes("<title>Build a status badge &amp; &lt;chip&gt;</title>"), "a pack's lesson title is escaped in the exported page");
+await page.locator(".lesson-close").click();
+await page.waitForTimeout(150);
+await page.locator("#path-dialog .dialog-close").click();
+await page.waitForTimeout(150);
+await page.locator(".search-trigger").first().click();
+await page.locator("#site-search").fill("status badge");
+await page.waitForTimeout(200);
+log((await page.locator(".search-result", { hasText: "Team Handbook" }).count()) >= 1, "search finds pack lessons");
+await page.keyboard.press("Escape");
+const packDownload = page.waitForEvent("download");
+await page.locator("[data-studio] [data-export-backup]").click();
+const packBackup = JSON.parse(await readFile(await (await packDownload).path(), "utf8"));
+log(packBackup.packs?.[0]?.pathId === "handbook", "backup includes curriculum packs");
+await importInputs.nth(1).setInputFiles({ name: "pack-done.json", mimeType: "application/json", buffer: Buffer.from(JSON.stringify({ ...packBackup, progress: [...packBackup.progress, "handbook-1", "handbook-2"] })) });
+await page.waitForTimeout(300);
+await hookAnalytics();
+await packCard.locator(".path-open").click();
+await page.locator("#path-dialog [data-open-exam]").click();
+for (const group of await page.locator("#exam-dialog .quiz-group").all()) await group.locator("input[value='0']").check();
+await page.locator("[data-exam-submit]").click();
+const examEvents = await page.evaluate(() => (window.__tracked || []).filter((entry) => String(entry.event).startsWith("exam_")));
+log(examEvents.length === 2 && examEvents.every((entry) => entry.path === "pack") && !JSON.stringify(examEvents).includes("handbook"), "pack exam events never send the pack's path ID");
+await page.locator("#exam-dialog .dialog-close").click();
+await page.locator("#path-dialog .dialog-close").click();
+await page.waitForTimeout(150);
+await importInputs.nth(1).setInputFiles({ name: "pack-backup.json", mimeType: "application/json", buffer: Buffer.from(JSON.stringify(packBackup)) });
+await page.waitForTimeout(300);
+page.once("dialog", (dialog) => dialog.accept());
+await page.locator(".pack-item .text-button").click();
+log((await packCard.count()) === 0 && (await page.locator(".progress-pill").innerText()).includes("/36"), "removing a pack removes its path");
+const { title: codeTitle, label: codeLabel, description: codeDescription, outcome: codeOutcome, modules: codeModules } = pathData.platform;
+const codePack = {
+  format: "learnweb-pack",
+  version: 1,
+  pathId: "coded",
+  path: { title: "Coded Handbook", label: codeLabel, description: codeDescription, outcome: codeOutcome, modules: codeModules },
+  lessonGuides: lessonGuides.platform,
+  studioMissions: studioMissions.platform,
+  codeStarters: codeStarters.platform,
+  hints: hints.platform
+};
+log(validatePack(codePack).length === 0, "a pack of code lessons alone needs no workspaceBlueprint");
+log(validatePack({ ...codePack, codeStarters: codeStarters.platform.slice(0, 5) }).includes("coded-6: missing workspace definition"), "a pack lesson with neither a code starter nor lenses is still rejected");
+await packInput.setInputFiles({ name: "coded.json", mimeType: "application/json", buffer: Buffer.from(JSON.stringify(codePack)) });
+await page.waitForTimeout(300);
+await page.locator(".path-card[data-path='coded'] .path-open").click();
+await page.locator("#path-dialog .start-lesson").first().click();
+log(await page.locator('#lesson-dialog [data-workspace-editor="html"]').isVisible(), "a lesson from a blueprint-free pack opens its code workspace");
+await page.locator(".lesson-close").click();
+await page.waitForTimeout(150);
+await page.locator("#path-dialog .dialog-close").click();
+await page.waitForTimeout(150);
+page.once("dialog", (dialog) => dialog.accept());
+await page.locator(".pack-item .text-button").click();
+log((await page.locator(".path-card[data-path='coded']").count()) === 0, "the code-only pack is removed");
+
+// 7g. Question types — multi-select, ordering, matching, fill-in-code
+await page.goto(`${base}/#lesson-foundations-4`, { waitUntil: "networkidle" });
+const boxModel = page.locator(".quiz-group:has(input[type='checkbox'])");
+log((await boxModel.locator("input[type='checkbox']").count()) === 5, "multi-select question renders checkboxes");
+await boxModel.locator("input[value='0']").check();
+await boxModel.locator("input[value='1']").check();
+await page.locator(".check-answer").click();
+log((await boxModel.locator(".quiz-feedback.is-incorrect").innerText()).includes("4 of 5"), "partial multi-select answers report how many are right");
+await boxModel.locator("input[value='3']").check();
+const orderItems = page.locator(".quiz-order-item");
+await orderItems.first().locator("[data-move='down']").click();
+log((await page.locator(".quiz-order-field [aria-live]").innerText()).includes("position 2 of 3"), "moving an item announces its new position");
+for (let target = 0; target < 3; target += 1) {
+  while ((await orderItems.nth(target).getAttribute("data-item")) !== String(target)) {
+    await page.locator(`.quiz-order-item[data-item="${target}"] [data-move='up']`).click();
+  }
+}
+await page.locator(".check-answer").click();
+log((await page.locator(".quiz-feedback.is-correct").count()) === 2, "multi-select and ordering questions grade correct answers");
+await page.goto(`${base}/#lesson-foundations-1`, { waitUntil: "networkidle" });
+const matchSelects = page.locator(".quiz-match select");
+log((await matchSelects.count()) === 3 && (await page.locator(".quiz-match label").first().innerText()) === "200", "matching question renders a labelled select per prompt");
+for (let pair = 0; pair < 3; pair += 1) await matchSelects.nth(pair).selectOption(String(pair));
+await page.locator(".check-answer").click();
+log((await page.locator(".quiz-group:has(.quiz-match) .quiz-feedback.is-correct").count()) === 1, "matching question grades the pairs");
+await page.goto(`${base}/#lesson-platform-2`, { waitUntil: "networkidle" });
+const blanks = page.locator(".quiz-code .quiz-blank");
+log((await blanks.count()) === 2 && (await blanks.first().getAttribute("aria-label")) === "Blank 1 of 2", "fill-in-code question renders labelled blanks");
+await blanks.nth(0).fill("inline-size");
+await blanks.nth(1).fill("height");
+await page.locator(".check-answer").click();
+log((await page.locator(".quiz-group:has(.quiz-code) .quiz-feedback").innerText()).includes("1 of 2"), "fill-in-code reports partially right blanks");
+await blanks.nth(1).fill("  width ");
+await page.locator(".check-answer").click();
+log((await page.locator(".quiz-group:has(.quiz-code) .quiz-feedback.is-correct").count()) === 1, "fill-in-code accepts alternatives and ignores surrounding spaces");
+await page.goto(`${base}/learn/foundations/css-the-skin/`, { waitUntil: "networkidle" });
+log((await page.locator(".static-quiz ol[type='A']").count()) === 2, "static page letters the options it reveals");
+log((await page.locator(".static-quiz details").nth(1).textContent()).includes("The correct order is"), "static page reveals the correct order");
+
+// 7g1. Static knowledge checks — answerable with the script, readable without it
+log((await page.locator(".static-quiz fieldset.is-interactive").count()) === 2, "static page turns its questions into a self-test");
+const staticMulti = page.locator(".static-quiz fieldset").nth(0);
+await staticMulti.locator("input[value='0']").check();
+await staticMulti.locator("input[value='1']").check();
+await staticMulti.locator(".static-quiz-check").click();
+log((await staticMulti.locator(".static-quiz-feedback").innerText()).includes("4 of 5"), "static self-test reports partially right answers");
+await staticMulti.locator("input[value='3']").check();
+await staticMulti.locator(".static-quiz-check").click();
+log((await staticMulti.locator(".static-quiz-feedback.is-correct").innerText()).startsWith("Correct —"), "static self-test confirms a right answer with the explanation");
+const staticOrder = page.locator(".static-quiz fieldset").nth(1);
+const orderKey = JSON.parse(await staticOrder.getAttribute("data-answer"));
+for (const [position, letterIndex] of orderKey.entries()) await staticOrder.locator("select").nth(position).selectOption(String(letterIndex));
+await staticOrder.locator(".static-quiz-check").click();
+log((await staticOrder.locator(".static-quiz-feedback.is-correct").count()) === 1, "static self-test grades an ordering question");
+const noScript = await browser.newPage({ javaScriptEnabled: false });
+await noScript.goto(`${base}/learn/foundations/css-the-skin/`, { waitUntil: "networkidle" });
+log((await noScript.locator(".static-quiz input, .static-quiz-check").count()) === 0 && (await noScript.locator(".static-quiz details").count()) === 2, "without JavaScript the static quiz keeps its reveal-answer markup");
+await noScript.close();
+
+// 7g2. Question banks — the app draws from a lesson's bank, the static page lists all of it
+await page.goto(`${base}/#lesson-accessibility-3`, { waitUntil: "networkidle" });
+log((await page.locator(".quiz-group").count()) === 2, "the lesson dialog draws two questions from a four-question bank");
+const drawnValues = await page.locator(".quiz-group").first().locator("input").evaluateAll((inputs) => inputs.map((input) => input.value).sort().join());
+log(drawnValues === "0,1,2", "shuffled options keep their canonical indexes");
+await page.goto(`${base}/learn/accessibility/keyboard-and-focus-systems/`, { waitUntil: "networkidle" });
+log((await page.locator(".static-quiz fieldset").count()) === 4, "static page shows the whole question bank");
+log((await page.locator(".static-section .static-quiz-note").first().innerText()).includes("draws 2 of these 4"), "static page says how many questions an attempt draws");
+
+// 7g3. Option rationales — a wrong choice says why it is wrong
+await page.goto(`${base}/#lesson-foundations-4`, { waitUntil: "networkidle" });
+const rationaleGroup = page.locator(".quiz-group:has(input[type='checkbox'])");
+await rationaleGroup.locator("input[value='2']").check();
+await page.locator(".check-answer").click();
+log((await rationaleGroup.locator(".quiz-rationale").count()) === 1 && (await rationaleGroup.locator("label:has(input[value='2']) .quiz-rationale").innerText()).includes("not a layer"), "a wrong choice shows its rationale");
+await rationaleGroup.locator("input[value='2']").uncheck();
+log((await rationaleGroup.locator(".quiz-rationale").count()) === 0, "changing the answer clears the rationale");
+await page.goto(`${base}/learn/foundations/css-the-skin/`, { waitUntil: "networkidle" });
+const staticRationales = page.locator(".static-quiz fieldset").nth(0);
+await staticRationales.locator("input[value='4']").check();
+await staticRationales.locator(".static-quiz-check").click();
+log((await staticRationales.locator(".static-rationale.is-shown").count()) === 1 && (await staticRationales.locator(".static-rationale:visible").count()) === 1, "static self-test shows only the wrong choice's rationale");
+await staticRationales.locator("summary").click();
+log((await staticRationales.locator(".static-rationale:visible").count()) === 5, "revealing the answer shows every option's rationale");
+await page.goto(base, { waitUntil: "networkidle" });
+
+// 7h. Spaced review — due questions from completed lessons, rescheduled by the answer
+log((await page.locator("[data-review-due]").innerText()) === "0" && (await page.locator("[data-open-review]").isDisabled()), "a just-completed lesson is not due for review yet");
+const reviewBackup = JSON.stringify({
+  app: "learnweb",
+  version: 5,
+  progress: ["platform-1"],
+  notes: {},
+  workspaces: {},
+  review: { "platform-1": [{ box: 2, due: "2026-01-01" }, { box: 0, due: "2026-01-02" }] }
+});
+await importInputs.nth(1).setInputFiles({ name: "review.json", mimeType: "application/json", buffer: Buffer.from(reviewBackup) });
+await page.waitForTimeout(300);
+log((await page.locator("[data-review-due]").innerText()) === "2", "My Studio counts questions due for review");
+await page.locator("[data-open-review]").click();
+log(await page.locator("#review-dialog").isVisible(), "review session opens in its own dialog");
+log((await page.locator("[data-review-meta]").innerText()).startsWith("Question 1 of 2"), "review session shows its position");
+await page.locator("[data-review-question] input[value='1']").check();
+await page.locator("[data-review-check]").click();
+log((await page.locator("[data-review-question] .quiz-feedback.is-correct").count()) === 1, "a right review answer is confirmed");
+await page.locator("[data-review-next]").click();
+await page.locator("[data-review-question] input[value='0']").check();
+await page.locator("[data-review-check]").click();
+log((await page.locator("[data-review-question] .quiz-feedback.is-incorrect").count()) === 1, "a wrong review answer shows the explanation");
+await page.locator("[data-review-next]").click();
+log((await page.locator("[data-review-summary]").innerText()).includes("got 1 right"), "review session ends with a summary");
+await page.locator("#review-dialog .dialog-close").click();
+log((await page.locator("[data-review-due]").innerText()) === "0", "reviewed questions leave the queue");
+const reviewDownload = page.waitForEvent("download");
+await page.locator("[data-studio] [data-export-backup]").click();
+const reviewSchedule = JSON.parse(await readFile(await (await reviewDownload).path(), "utf8")).review?.["platform-1"];
+log(reviewSchedule?.[0]?.box === 3 && reviewSchedule?.[1]?.box === 0, "backup carries the updated review schedule");
+
+// 7i. Weak spots — attempts stay local, the report links back to lessons
+const weakSpots = page.locator("[data-weak-spots]");
+log((await weakSpots.locator("[data-weak-questions] li").count()) >= 1, "weak-spot report lists missed questions");
+log((await weakSpots.locator("[data-weak-questions] li").first().innerText()).includes("Missed 1 time"), "weak spots count misses per question");
+const attemptEvents = await page.evaluate(() => (window.dataLayer || []).filter((entry) => JSON.stringify(entry).includes("answer")).length);
+log(attemptEvents === 0, "quiz answers are never pushed to analytics");
+const attemptDownload = page.waitForEvent("download");
+await page.locator("[data-studio] [data-export-backup]").click();
+const attemptBackup = JSON.parse(await readFile(await (await attemptDownload).path(), "utf8"));
+log(attemptBackup.attempts?.some((attempt) => attempt.lesson === "platform-1" && attempt.question === 1 && attempt.answer === 0 && attempt.correct === false), "backup includes quiz attempts");
+await weakSpots.locator("[data-weak-lessons] a").first().click();
+log(await page.locator("#lesson-dialog").isVisible(), "weak-spot links open the lesson");
+await page.keyboard.press("Escape");
+await page.waitForTimeout(200);
+await page.locator("#path-dialog .dialog-close").click();
+await page.waitForTimeout(150);
+page.once("dialog", (dialog) => dialog.accept());
+await weakSpots.locator("[data-clear-attempts]").click();
+log(await weakSpots.locator("[data-weak-empty]").isVisible(), "clearing the history empties the report");
+
+// 7j. Mastery exam — unlocked by a finished path, recorded as a dated badge
+const foundationsDone = ["foundations-1", "foundations-2", "foundations-3", "foundations-4", "foundations-5", "foundations-6"];
+const examBackup = (mastery) => JSON.stringify({ app: "learnweb", version: 7, progress: foundationsDone, notes: {}, workspaces: {}, ...(mastery && { mastery }) });
+await importInputs.nth(1).setInputFiles({ name: "exam.json", mimeType: "application/json", buffer: Buffer.from(examBackup()) });
+await page.waitForTimeout(300);
+await page.locator('[data-open-path="foundations"]').first().click();
+const openExam = page.locator("#path-dialog [data-open-exam]");
+log(await openExam.isEnabled(), "a finished path unlocks its mastery exam");
+await openExam.click();
+log(await page.locator("#exam-dialog").isVisible() && (await page.locator("#exam-dialog .quiz-group").count()) === 12, "the exam draws questions from all six lessons");
+await page.locator("[data-exam-submit]").click();
+log((await page.locator("[data-exam-result]").innerText()).includes("12 questions are still unanswered"), "the exam asks for every answer before grading");
+for (const group of await page.locator("#exam-dialog .quiz-group").all()) {
+  if (await group.locator("input[value='0']").count()) await group.locator("input[value='0']").check();
+  for (const select of await group.locator("select").all()) await select.selectOption({ index: 1 });
+}
+await page.locator("[data-exam-submit]").click();
+log((await page.locator("[data-exam-result]").innerText()).includes("passing takes 10"), "a failing score names the pass mark");
+log(await page.locator("[data-exam-retry]").isVisible(), "a finished exam can be retaken");
+await page.locator("#exam-dialog .dialog-close").click();
+log((await page.locator("#path-dialog [data-path-exam-status]").innerText()).includes("80%"), "the path stays unmastered after a failed exam");
+await page.locator("#path-dialog .dialog-close").click();
+await page.waitForTimeout(150);
+await importInputs.nth(1).setInputFiles({ name: "mastery.json", mimeType: "application/json", buffer: Buffer.from(examBackup({ foundations: { passedAt: "2026-08-20T10:00:00.000Z", score: 11, total: 12 } })) });
+await page.waitForTimeout(300);
+log((await page.locator("[data-studio-list] .studio-badge").innerText()).includes("August 20, 2026"), "My Studio shows the dated path badge");
+const masteryDownload = page.waitForEvent("download");
+await page.locator("[data-studio] [data-export-backup]").click();
+log(JSON.parse(await readFile(await (await masteryDownload).path(), "utf8")).mastery?.foundations?.score === 11, "backup includes mastery badges");
+
 // 8. Changelog dialog
 await page.locator("[data-open-changelog]").first().click();
 log(await page.locator("#changelog-dialog").isVisible(), "changelog dialog opens");
@@ -481,6 +1009,9 @@ await page.locator(".search-trigger").first().click();
 await page.locator("#site-search").fill("where should I start");
 await page.waitForTimeout(200);
 log((await page.locator(".search-result").count()) >= 1, "search finds placement check");
+await page.locator("#site-search").fill("groundedness");
+await page.waitForTimeout(200);
+log((await page.locator(".search-result", { hasText: "Glossary" }).count()) >= 1, "search finds glossary terms");
 log((await page.locator(".search-count").innerText()).toLowerCase().includes("result"), "search announces result count (SEARCH-004)");
 await page.locator("#site-search").fill("zzzzzzzz");
 await page.waitForTimeout(200);
@@ -492,6 +1023,30 @@ await page.goto(`${base}/learn/`, { waitUntil: "networkidle" });
 log((await page.locator(".learn-path").count()) === 6, "hub lists 6 paths");
 await page.goto(`${base}/learn/foundations/`, { waitUntil: "networkidle" });
 log((await page.locator("h1").innerText()) === "Web Foundations", "foundations path page h1");
+await page.goto(`${base}/learn/platform/`, { waitUntil: "networkidle" });
+log((await page.locator(".learn-prereqs").count()) === 6, "static path page shows what each lesson builds on");
+await page.goto(`${base}/learn/glossary/`, { waitUntil: "networkidle" });
+log((await page.locator(".glossary-list dfn").count()) >= 25 && await page.locator("#subgrid dfn").isVisible(), "glossary page defines the terms lessons link to");
+log((await page.locator("script[type='application/ld+json']").innerText()).includes('"DefinedTermSet"'), "glossary page publishes a DefinedTermSet");
+
+// 10b. Locales: the app and static pages follow the chosen language
+const completedBefore = await page.evaluate(() => localStorage.getItem("learnweb-progress-v2"));
+await page.goto(`${base}/?lang=es`, { waitUntil: "networkidle" });
+log((await page.locator("html").getAttribute("lang")) === "es", "?lang=es switches the document language");
+log((await page.locator(".site-header nav a").first().innerText()) === "Rutas", "interface strings come from the Spanish catalog");
+log((await page.evaluate(() => localStorage.getItem("learnweb-progress-v2"))) === completedBefore, "switching language keeps lesson progress");
+await page.goto(`${base}/?lang=es#path-platform`, { waitUntil: "networkidle" });
+log((await page.locator(".module-item .module-untranslated").count()) === 6 && (await page.locator(".module-item strong").first().getAttribute("lang")) === "en", "path dialog labels untranslated lessons as English");
+await page.goto(`${base}/?lang=es#path-foundations`, { waitUntil: "networkidle" });
+log((await page.locator(".module-item .module-untranslated").count()) === 0, "translated lessons carry no English label");
+await page.goto(`${base}/?lang=es#lesson-platform-2`, { waitUntil: "networkidle" });
+log((await page.locator("[data-workspace-checks] li").first().innerText()) === "El carril es un contenedor de tamaño", "code lesson checks are labelled in the chosen language");
+await page.goto(`${base}/es/learn/foundations/how-the-web-works/`, { waitUntil: "networkidle" });
+log((await page.locator("h1").innerText()) === "Cómo funciona la web", "translated static lesson page");
+log((await page.locator("link[rel='alternate'][hreflang]").count()) === 4, "translated lesson lists hreflang alternates");
+await page.goto(`${base}/es/learn/`, { waitUntil: "networkidle" });
+log((await page.locator(".learn-lessons a[hreflang='en']").count()) === 30, "untranslated lessons link to English and say so");
+await page.goto(`${base}/?lang=en`, { waitUntil: "networkidle" });
 
 // 11. No console errors (excluding expected third-party and preview-frame noise)
 const expectedFrameErrors = ["Function statements require a function name", "SyntaxError", "allow-modals", "google-analytics", "googletagmanager", "githack"];
@@ -0,0 +1,129 @@
+// static-quiz.js — lets readers of a static lesson page answer its knowledge
+// check and get feedback. Without it the page keeps its lettered lists and
+// "Reveal answer" details. generate.mjs writes the answer key (data-answer, in
+// the page's lettering) and the localized messages (data-messages).
+
+const quiz = document.querySelector(".static-quiz[data-messages]");
+const messages = quiz ? JSON.parse(quiz.dataset.messages) : {};
+const fill = (message, values = {}) => message.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+const letter = (index) => String.fromCharCode(65 + index);
+const normalizeBlank = (value) => value.trim().replace(/\s+/g, " ");
+
+function makeElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+// Single and multiple choice: the lettered list becomes radios or checkboxes,
+// each keeping its rationale.
+function choiceControls(fieldset, type, name) {
+  const list = fieldset.querySelector("ol[type='A']");
+  const options = makeElement("div", "static-quiz-options");
+  [...list.children].forEach((item, index) => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = type === "multiple" ? "checkbox" : "radio";
+    input.name = name;
+    input.value = String(index);
+    const rationale = item.querySelector(".static-rationale");
+    rationale?.remove();
+    label.append(input, makeElement("span", "", letter(index)), makeElement("strong", "", item.textContent));
+    if (rationale) label.append(rationale);
+    options.append(label);
+  });
+  list.replaceWith(options);
+  options.addEventListener("change", () => options.querySelectorAll(".is-shown").forEach((node) => node.classList.remove("is-shown")));
+  return () => {
+    const checked = [...options.querySelectorAll("input:checked")].map((input) => Number(input.value));
+    return checked.length ? checked : null;
+  };
+}
+
+// Ordering and matching keep their lists and add one letter select per
+// position or prompt.
+function selectControls(fieldset, labels) {
+  const letters = [...fieldset.querySelector("ol[type='A']").children];
+  const controls = makeElement("div", "static-quiz-selects");
+  const selects = labels.map((text) => {
+    const label = makeElement("label", "", text);
+    const select = document.createElement("select");
+    select.append(new Option(messages.choose, ""), ...letters.map((item, index) => new Option(`${letter(index)} — ${item.textContent}`, String(index))));
+    label.append(select);
+    controls.append(label);
+    return select;
+  });
+  fieldset.querySelector("details").before(controls);
+  return () => (selects.some((select) => !select.value) ? null : selects.map((select) => Number(select.value)));
+}
+
+function codeControls(fieldset, count) {
+  const controls = makeElement("div", "static-quiz-blanks");
+  const inputs = Array.from({ length: count }, (_, index) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.spellcheck = false;
+    input.autocomplete = "off";
+    input.setAttribute("aria-label", fill(messages.blank, { number: index + 1, total: count }));
+    controls.append(input);
+    return input;
+  });
+  fieldset.querySelector("details").before(controls);
+  return () => (inputs.some((input) => !input.value.trim()) ? null : inputs.map((input) => normalizeBlank(input.value)));
+}
+
+// How many parts are right, out of how many; a multi-select counts every
+// option, marked or not, as the app does.
+function grade(type, key, given, optionCount) {
+  if (type === "code") return { right: given.filter((value, index) => key[index].some((accepted) => normalizeBlank(accepted) === value)).length, total: key.length };
+  if (type === "multiple") return { right: Array.from({ length: optionCount }, (_, index) => given.includes(index) === key.includes(index)).filter(Boolean).length, total: optionCount };
+  if (type === "single") return { right: Number(given[0] === key[0]), total: 1 };
+  return { right: given.filter((value, index) => value === key[index]).length, total: key.length };
+}
+
+function enhance(fieldset, number) {
+  const type = fieldset.dataset.quizType;
+  const key = JSON.parse(fieldset.dataset.answer);
+  let answer;
+  let optionCount = 0;
+  if (type === "single" || type === "multiple") {
+    optionCount = fieldset.querySelector("ol[type='A']").children.length;
+    answer = choiceControls(fieldset, type, `static-quiz-${number}`);
+  } else if (type === "order") {
+    answer = selectControls(fieldset, key.map((_, index) => fill(messages.position, { number: index + 1 })));
+  } else if (type === "match") {
+    answer = selectControls(fieldset, [...fieldset.querySelector(".static-match > ol:not([type])").children].map((item) => item.textContent));
+  } else if (type === "code") {
+    answer = codeControls(fieldset, key.length);
+  } else {
+    return;
+  }
+
+  const check = makeElement("button", "static-quiz-check", messages.check);
+  check.type = "button";
+  const feedback = makeElement("p", "static-quiz-feedback");
+  feedback.setAttribute("role", "status");
+  fieldset.querySelector("details").before(check, feedback);
+  check.addEventListener("click", () => {
+    const given = answer();
+    if (!given) {
+      feedback.className = "static-quiz-feedback is-incorrect";
+      feedback.textContent = messages.answerFirst;
+      return;
+    }
+    const { right, total } = grade(type, key, given, optionCount);
+    const correct = right === total;
+    if (optionCount) {
+      fieldset.querySelectorAll(".static-quiz-options label").forEach((label, index) => {
+        label.querySelector(".static-rationale")?.classList.toggle("is-shown", given.includes(index) && !key.includes(index));
+      });
+    }
+    feedback.className = `static-quiz-feedback ${correct ? "is-correct" : "is-incorrect"}`;
+    if (correct) feedback.textContent = fill(messages.correct, { explanation: fieldset.querySelector("[data-explanation]").textContent });
+    else feedback.textContent = total > 1 && right > 0 ? fill(messages.partial, { right, total }) : messages.incorrect;
+  });
+  fieldset.classList.add("is-interactive");
+}
+
+quiz?.querySelectorAll("fieldset[data-quiz-type]").forEach(enhance);
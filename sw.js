@@ -1,15 +1,28 @@
-const CACHE = "learnweb-2026-08-v5";
+const CACHE = "learnweb-2026-08-v28";
 const CORE = [
   "/",
   "/offline.html",
   "/styles.css",
   "/static.css",
+  "/static-quiz.js",
   "/app.js",
   "/curriculum.js",
+  "/curriculum-schema.js",
+  "/curriculum-lessons.js",
+  "/curriculum-lessons.es.js",
+  "/curriculum-lessons.pt.js",
+  "/i18n.js",
+  "/code-editor.js",
+  "/line-diff.js",
+  "/module-syntax.js",
+  "/locales/en.js",
+  "/locales/es.js",
+  "/locales/pt.js",
   "/manifest.webmanifest",
   "/icon.svg",
   "/lab-runner.htm",
-  "/learn/"
+  "/learn/",
+  "/learn/glossary/"
 ];
 
 self.addEventListener("install", (event) => {